@@ -0,0 +1,433 @@
+// albumManager.js - Album switcher above the gallery, drag-to-reorder and modal album membership
+// Smart albums are saved searches; the server re-evaluates them on every listing
+
+import { database } from './clientDatabase.js';
+import { setGalleryQuery } from './galleryDataManager.js';
+import { getAllImages, setAllImages } from './gallery.js';
+import { getCurrentImageId } from './modalState.js';
+import { showNotification, showConfirmDialog, showPromptDialog } from './utils.js';
+
+let albums = [];
+let currentAlbumId = null; // null = all media
+
+export function getCurrentAlbumId() {
+    return currentAlbumId;
+}
+
+// Fetch albums (with counts and covers) and redraw the album bar
+export async function loadAlbums() {
+    try {
+        albums = await database.listAlbums();
+
+        // The selected album may have been deleted elsewhere
+        if (currentAlbumId && !albums.some(album => album.id === currentAlbumId)) {
+            await selectAlbum(null);
+            return;
+        }
+
+        renderAlbumBar();
+    } catch (error) {
+        console.error('Error loading albums:', error);
+    }
+}
+
+// Image source for an album cover, following the same rules as the gallery cards
+function getCoverSrc(cover) {
+    if (!cover) return '';
+    if (cover.mediaType !== 'video' && cover.serverPath) {
+        return `/${cover.serverPath.replace(/\\/g, '/')}`;
+    }
+    return cover.thumbnailData || '';
+}
+
+function renderAlbumBar() {
+    const albumList = document.getElementById('albumList');
+    const albumActions = document.getElementById('albumActions');
+    if (!albumList) return;
+
+    albumList.innerHTML = '';
+
+    const allChip = document.createElement('button');
+    allChip.className = 'album-chip' + (currentAlbumId === null ? ' active' : '');
+    allChip.dataset.albumId = '';
+    allChip.textContent = '🖼️ All media';
+    albumList.appendChild(allChip);
+
+    for (const album of albums) {
+        const chip = document.createElement('button');
+        chip.className = 'album-chip' + (album.id === currentAlbumId ? ' active' : '');
+        chip.dataset.albumId = album.id;
+        chip.title = album.isSmart
+            ? (album.queryError ? `⚠️ ${album.queryError}` : `Smart album: ${album.query}`)
+            : (album.description || album.name);
+        if (album.isSmart) {
+            chip.classList.add('album-chip-smart');
+            chip.appendChild(document.createTextNode('🔍 '));
+        }
+
+        const coverSrc = getCoverSrc(album.cover);
+        if (coverSrc) {
+            const cover = document.createElement('img');
+            cover.className = 'album-chip-cover';
+            cover.src = coverSrc;
+            cover.alt = '';
+            chip.appendChild(cover);
+        } else if (!album.isSmart) {
+            chip.appendChild(document.createTextNode('📁 '));
+        }
+
+        chip.appendChild(document.createTextNode(album.name));
+        const count = document.createElement('span');
+        count.className = 'album-chip-count';
+        count.textContent = album.queryError ? '⚠️' : album.itemCount;
+        chip.appendChild(count);
+
+        albumList.appendChild(chip);
+    }
+
+    const newChip = document.createElement('button');
+    newChip.className = 'album-chip album-chip-new';
+    newChip.id = 'createAlbum';
+    newChip.textContent = '➕ New album';
+    albumList.appendChild(newChip);
+
+    const newSmartChip = document.createElement('button');
+    newSmartChip.className = 'album-chip album-chip-new';
+    newSmartChip.id = 'createSmartAlbum';
+    newSmartChip.title = 'Save a search as an album that always shows its current matches';
+    newSmartChip.textContent = '➕ Smart album';
+    albumList.appendChild(newSmartChip);
+
+    const currentAlbum = getCurrentAlbum();
+    if (albumActions) {
+        albumActions.style.display = currentAlbum ? 'flex' : 'none';
+    }
+
+    // Manual order only exists for regular albums; only smart albums have a query
+    const reorderHint = document.getElementById('albumReorderHint');
+    const editQueryBtn = document.getElementById('editAlbumQuery');
+    if (reorderHint) {
+        reorderHint.style.display = currentAlbum && !currentAlbum.isSmart ? 'inline' : 'none';
+    }
+    if (editQueryBtn) {
+        editQueryBtn.style.display = currentAlbum && currentAlbum.isSmart ? 'inline-block' : 'none';
+    }
+}
+
+function getCurrentAlbum() {
+    return albums.find(album => album.id === currentAlbumId) || null;
+}
+
+// Scope the gallery to an album (null shows all media)
+export async function selectAlbum(albumId) {
+    currentAlbumId = albumId || null;
+    const isSmart = !!getCurrentAlbum()?.isSmart;
+
+    const searchBox = document.getElementById('searchBox');
+    const sortSelect = document.getElementById('sortSelect');
+    const albumOrderOption = document.getElementById('albumOrderOption');
+
+    // Albums open in their manual order; that order only exists inside an album
+    if (albumOrderOption) {
+        albumOrderOption.hidden = !currentAlbumId || isSmart;
+    }
+    if (sortSelect) {
+        if (currentAlbumId && !isSmart) {
+            sortSelect.value = 'position:asc';
+        } else if (sortSelect.value === 'position:asc') {
+            sortSelect.value = 'created_at:desc';
+        }
+    }
+    if (searchBox) {
+        searchBox.value = '';
+    }
+
+    renderAlbumBar();
+
+    const [sort, order] = (sortSelect ? sortSelect.value : 'created_at:desc').split(':');
+    await setGalleryQuery({ album: currentAlbumId, sort, order });
+
+    // Refresh the live counts (smart albums may match different items by now)
+    await loadAlbums();
+}
+
+async function createAlbum() {
+    const name = await showPromptDialog('Name of the new album:', '', 'Create');
+    if (!name || !name.trim()) return;
+
+    try {
+        const album = await database.createAlbum({ name: name.trim() });
+        showNotification(`Album "${album.name}" created`, 'success');
+        await loadAlbums();
+        await selectAlbum(album.id);
+    } catch (error) {
+        showNotification('Error creating album: ' + error.message, 'error');
+    }
+}
+
+// Create a smart album, starting from the current search
+async function createSmartAlbum() {
+    const searchBox = document.getElementById('searchBox');
+    const query = await showPromptDialog(
+        'Search query for the smart album (e.g. model:flux tag:portrait added:last-week):',
+        searchBox ? searchBox.value.trim() : '',
+        'Next'
+    );
+    if (!query || !query.trim()) return;
+
+    const name = await showPromptDialog('Name of the smart album:', query.trim(), 'Create');
+    if (!name || !name.trim()) return;
+
+    try {
+        const album = await database.createAlbum({ name: name.trim(), query: query.trim() });
+        showNotification(`Smart album "${album.name}" created (${album.itemCount} items)`, 'success');
+        await loadAlbums();
+        await selectAlbum(album.id);
+    } catch (error) {
+        showNotification('Error creating smart album: ' + error.message, 'error');
+    }
+}
+
+async function editCurrentAlbumQuery() {
+    const album = getCurrentAlbum();
+    if (!album || !album.isSmart) return;
+
+    const query = await showPromptDialog(`Search query for "${album.name}":`, album.query);
+    if (!query || !query.trim() || query.trim() === album.query) return;
+
+    try {
+        await database.updateAlbum(album.id, { query: query.trim() });
+        await loadAlbums();
+        await setGalleryQuery({});
+    } catch (error) {
+        showNotification('Error updating smart album: ' + error.message, 'error');
+    }
+}
+
+async function renameCurrentAlbum() {
+    const album = albums.find(a => a.id === currentAlbumId);
+    if (!album) return;
+
+    const name = await showPromptDialog('Rename album:', album.name);
+    if (!name || !name.trim() || name.trim() === album.name) return;
+
+    try {
+        await database.updateAlbum(album.id, { name: name.trim() });
+        await loadAlbums();
+    } catch (error) {
+        showNotification('Error renaming album: ' + error.message, 'error');
+    }
+}
+
+async function deleteCurrentAlbum() {
+    const album = albums.find(a => a.id === currentAlbumId);
+    if (!album) return;
+
+    const confirmed = await showConfirmDialog(`Delete the album "${album.name}"? The media in it are kept.`);
+    if (!confirmed) return;
+
+    try {
+        await database.deleteAlbum(album.id);
+        showNotification(`Album "${album.name}" deleted`, 'success');
+        albums = albums.filter(a => a.id !== album.id);
+        await selectAlbum(null);
+    } catch (error) {
+        showNotification('Error deleting album: ' + error.message, 'error');
+    }
+}
+
+// Setup the album bar and drag-to-reorder; call once at startup
+export async function setupAlbumBar() {
+    const albumList = document.getElementById('albumList');
+    if (!albumList) return;
+
+    albumList.addEventListener('click', (e) => {
+        const chip = e.target.closest('.album-chip');
+        if (!chip) return;
+
+        if (chip.id === 'createAlbum') {
+            createAlbum();
+        } else if (chip.id === 'createSmartAlbum') {
+            createSmartAlbum();
+        } else {
+            selectAlbum(chip.dataset.albumId ? parseInt(chip.dataset.albumId) : null);
+        }
+    });
+
+    document.getElementById('renameAlbum')?.addEventListener('click', renameCurrentAlbum);
+    document.getElementById('deleteAlbum')?.addEventListener('click', deleteCurrentAlbum);
+    document.getElementById('editAlbumQuery')?.addEventListener('click', editCurrentAlbumQuery);
+
+    // Counts and covers change when media are added or deleted
+    window.addEventListener('mediaUpdated', loadAlbums);
+
+    setupAlbumReorder();
+    await loadAlbums();
+}
+
+// Drag cards to reorder them while an album is shown in album order.
+// Cards are only draggable then (see displayImages' reorderable option).
+function setupAlbumReorder() {
+    const gallery = document.getElementById('gallery');
+    let draggedCard = null;
+    let orderBefore = '';
+
+    const getCardIds = () => Array.from(gallery.querySelectorAll('.image-card'))
+        .map(card => parseInt(card.dataset.itemId));
+
+    gallery.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('.image-card');
+        if (!card || !card.draggable || !currentAlbumId) return;
+
+        draggedCard = card;
+        orderBefore = getCardIds().join(',');
+        card.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', card.dataset.itemId);
+    });
+
+    gallery.addEventListener('dragover', (e) => {
+        if (!draggedCard) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.image-card');
+        if (!target || target === draggedCard) return;
+
+        // Drop before or after the hovered card depending on which half the pointer is in
+        const rect = target.getBoundingClientRect();
+        const after = e.clientX > rect.left + rect.width / 2;
+        gallery.insertBefore(draggedCard, after ? target.nextSibling : target);
+    });
+
+    gallery.addEventListener('drop', (e) => {
+        if (draggedCard) e.preventDefault();
+    });
+
+    gallery.addEventListener('dragend', async () => {
+        if (!draggedCard) return;
+
+        draggedCard.classList.remove('dragging');
+        draggedCard = null;
+
+        const ids = getCardIds();
+        if (ids.join(',') === orderBefore) return;
+
+        // Keep the in-memory list in card order so indexes stay in sync with the DOM
+        const itemsById = new Map(getAllImages().map(item => [item.id, item]));
+        setAllImages(ids.map(id => itemsById.get(id)).filter(Boolean));
+
+        try {
+            await database.reorderAlbum(currentAlbumId, ids);
+            await loadAlbums(); // The first item may be the cover
+        } catch (error) {
+            showNotification('Error saving album order: ' + error.message, 'error');
+            await setGalleryQuery({});
+        }
+    });
+}
+
+// Fill the album section of the modal for a media item
+export async function renderModalAlbums(mediaId) {
+    const container = document.getElementById('imageAlbums');
+    const select = document.getElementById('addToAlbumSelect');
+    if (!container || !select) return;
+
+    container.innerHTML = '';
+    select.innerHTML = '';
+
+    try {
+        const [memberAlbums, allAlbums] = await Promise.all([
+            database.getMediaAlbums(mediaId),
+            database.listAlbums()
+        ]);
+
+        // The modal may have moved on to another item meanwhile
+        if (getCurrentImageId() !== mediaId) return;
+
+        if (memberAlbums.length === 0) {
+            container.innerHTML = '<span class="modal-albums-empty">Not in any album</span>';
+        }
+
+        for (const album of memberAlbums) {
+            const chip = document.createElement('span');
+            chip.className = 'modal-album-chip';
+            chip.dataset.albumId = album.id;
+
+            const isCover = album.cover && album.cover.id === mediaId;
+            chip.appendChild(document.createTextNode(album.name));
+
+            const coverBtn = document.createElement('button');
+            coverBtn.className = 'modal-album-cover-btn' + (isCover ? ' active' : '');
+            coverBtn.title = isCover ? 'Album cover' : 'Use as album cover';
+            coverBtn.textContent = '★';
+            coverBtn.disabled = isCover;
+            chip.appendChild(coverBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'modal-album-remove-btn';
+            removeBtn.title = 'Remove from album';
+            removeBtn.textContent = '×';
+            chip.appendChild(removeBtn);
+
+            container.appendChild(chip);
+        }
+
+        const memberIds = new Set(memberAlbums.map(album => album.id));
+        // Smart albums are filled by their query, not by hand
+        const available = allAlbums.filter(album => !album.isSmart && !memberIds.has(album.id));
+
+        select.appendChild(new Option(available.length ? 'Add to album…' : 'No other albums', ''));
+        for (const album of available) {
+            select.appendChild(new Option(album.name, album.id));
+        }
+        select.disabled = available.length === 0;
+    } catch (error) {
+        console.error('Error loading albums for media item:', error);
+    }
+}
+
+// Add the item shown in the modal to the album chosen in the select
+export async function addCurrentMediaToAlbum() {
+    const mediaId = getCurrentImageId();
+    const select = document.getElementById('addToAlbumSelect');
+    const albumId = parseInt(select?.value);
+    if (!mediaId || !albumId) return;
+
+    try {
+        await database.addMediaToAlbum(albumId, [mediaId]);
+        await afterMembershipChange(mediaId, albumId);
+    } catch (error) {
+        showNotification('Error adding to album: ' + error.message, 'error');
+    }
+}
+
+// Handle the cover/remove buttons on the modal's album chips
+export async function handleModalAlbumAction(button) {
+    const mediaId = getCurrentImageId();
+    const chip = button.closest('.modal-album-chip');
+    if (!mediaId || !chip) return;
+
+    const albumId = parseInt(chip.dataset.albumId);
+
+    try {
+        if (button.classList.contains('modal-album-remove-btn')) {
+            await database.removeMediaFromAlbum(albumId, mediaId);
+        } else if (button.classList.contains('modal-album-cover-btn')) {
+            await database.updateAlbum(albumId, { coverMediaId: mediaId });
+            showNotification('Album cover updated', 'success');
+        }
+        await afterMembershipChange(mediaId, albumId);
+    } catch (error) {
+        showNotification('Error updating album: ' + error.message, 'error');
+    }
+}
+
+async function afterMembershipChange(mediaId, albumId) {
+    await renderModalAlbums(mediaId);
+    await loadAlbums();
+
+    // The open album's contents changed
+    if (albumId === currentAlbumId) {
+        await setGalleryQuery({});
+    }
+}
@@ -0,0 +1,206 @@
+// animationDetector.js - Detects animated GIF, animated WebP and APNG files by walking their
+// frame structure, and reports the frame count and the playback duration of one loop.
+// Works on plain bytes; used by upload ingestion, the file listing and the backfill of older items.
+
+// Browsers play GIF frames with a delay of 0 or 1 centiseconds at 100 ms
+const GIF_MIN_DELAY_CS = 2;
+const GIF_DEFAULT_DELAY_CS = 10;
+
+// File extensions that may hold an animation
+export const ANIMATABLE_EXTENSIONS = /\.(gif|webp|png|apng)$/i;
+
+function readAscii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function readUint16LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint24LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function readUint32LE(bytes, offset) {
+    return (readUint24LE(bytes, offset) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function readUint16BE(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+// Offset after a run of GIF data sub-blocks (size byte + data, ended by a 0 size byte)
+function skipGifSubBlocks(bytes, offset) {
+    while (offset < bytes.length && bytes[offset] !== 0) {
+        offset += bytes[offset] + 1;
+    }
+    return offset + 1;
+}
+
+function detectGif(bytes) {
+    const flags = bytes[10];
+    let offset = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+
+    let frameCount = 0;
+    let durationMs = 0;
+    let loopCount = null;
+    let delay = 0;
+
+    while (offset < bytes.length) {
+        const block = bytes[offset];
+
+        if (block === 0x21) {
+            const label = bytes[offset + 1];
+            if (label === 0xF9 && bytes[offset + 2] === 4) {
+                // Graphic control extension: the delay of the next image
+                delay = readUint16LE(bytes, offset + 4);
+            } else if (label === 0xFF && readAscii(bytes, offset + 3, 11) === 'NETSCAPE2.0' && bytes[offset + 15] === 1) {
+                loopCount = readUint16LE(bytes, offset + 16);
+            }
+            offset = skipGifSubBlocks(bytes, offset + 2);
+        } else if (block === 0x2C) {
+            const imageFlags = bytes[offset + 9];
+            offset += 10 + (imageFlags & 0x80 ? 3 * 2 ** ((imageFlags & 0x07) + 1) : 0);
+            // LZW minimum code size, then the image data
+            offset = skipGifSubBlocks(bytes, offset + 1);
+
+            frameCount++;
+            durationMs += (delay < GIF_MIN_DELAY_CS ? GIF_DEFAULT_DELAY_CS : delay) * 10;
+            delay = 0;
+        } else {
+            // Trailer (0x3B) or a truncated / corrupt file
+            break;
+        }
+    }
+
+    return { format: 'GIF', frameCount, durationMs, loopCount };
+}
+
+function detectWebp(bytes) {
+    let frameCount = 0;
+    let durationMs = 0;
+    let loopCount = null;
+    let animated = false;
+
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = readAscii(bytes, offset, 4);
+        const size = readUint32LE(bytes, offset + 4);
+        const data = offset + 8;
+
+        if (type === 'VP8X') {
+            animated = (bytes[data] & 0x02) !== 0;
+            if (!animated) break;
+        } else if (type === 'ANIM') {
+            loopCount = readUint16LE(bytes, data + 4);
+        } else if (type === 'ANMF') {
+            frameCount++;
+            durationMs += readUint24LE(bytes, data + 12);
+        }
+
+        // Chunks are padded to an even size
+        offset = data + size + (size & 1);
+    }
+
+    return animated ? { format: 'WebP', frameCount, durationMs, loopCount } : null;
+}
+
+function detectApng(bytes) {
+    let frameCount = 0;
+    let durationMs = 0;
+    let loopCount = null;
+    let animated = false;
+
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = readUint32BE(bytes, offset);
+        const type = readAscii(bytes, offset + 4, 4);
+        const data = offset + 8;
+
+        if (type === 'acTL') {
+            animated = true;
+            loopCount = readUint32BE(bytes, data + 4);
+        } else if (type === 'fcTL') {
+            const delayNum = readUint16BE(bytes, data + 20);
+            const delayDen = readUint16BE(bytes, data + 22) || 100;
+            frameCount++;
+            durationMs += (delayNum / delayDen) * 1000;
+        } else if (type === 'IDAT' && !animated) {
+            // acTL must come before the image data
+            break;
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset = data + length + 4; // + CRC
+    }
+
+    return animated ? { format: 'APNG', frameCount, durationMs, loopCount } : null;
+}
+
+/**
+ * Detect whether an image is animated and how it plays
+ * @param {Uint8Array|Buffer} bytes - The complete image file
+ * @returns {{format: string, frameCount: number, duration: number, loopCount: number|null}|null}
+ *   format is "GIF", "WebP" or "APNG", duration is one loop in seconds and loopCount 0 means
+ *   forever; null for still images and other formats
+ */
+export function detectAnimation(bytes) {
+    if (!bytes || bytes.length < 16) return null;
+
+    let info = null;
+    const signature = readAscii(bytes, 0, 6);
+    if (signature === 'GIF87a' || signature === 'GIF89a') {
+        info = detectGif(bytes);
+    } else if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+        info = detectWebp(bytes);
+    } else if (readUint32BE(bytes, 0) === 0x89504E47 && readUint32BE(bytes, 4) === 0x0D0A1A0A) {
+        info = detectApng(bytes);
+    }
+
+    if (!info || info.frameCount < 2) return null;
+
+    return {
+        format: info.format,
+        frameCount: info.frameCount,
+        duration: Math.round(info.durationMs) / 1000,
+        loopCount: info.loopCount
+    };
+}
+
+/**
+ * The animation of a stored item, from what was recorded when it was added (no file access)
+ * @param {number|null} frameCount - The item's frame count
+ * @param {Object|null} metadata - Its metadata (see getAnimationMetadata())
+ * @returns {{format: string, frameCount: number, duration: number, loopCount: number|null}|null}
+ *   Like detectAnimation(); null for still images
+ */
+export function getStoredAnimation(frameCount, metadata) {
+    if (!(frameCount > 1)) return null;
+    return {
+        format: metadata?.animationFormat ?? null,
+        frameCount,
+        duration: metadata?.duration ?? null,
+        loopCount: metadata?.loopCount ?? null
+    };
+}
+
+/**
+ * Metadata fields recorded for an animated image (merged into the item's metadata)
+ * @param {Object|null} animation - Result of detectAnimation()
+ * @returns {Object} { animated, animationFormat, frameCount, duration, loopCount }, or {} for still images
+ */
+export function getAnimationMetadata(animation) {
+    if (!animation) return {};
+    return {
+        animated: true,
+        animationFormat: animation.format,
+        frameCount: animation.frameCount,
+        duration: animation.duration,
+        loopCount: animation.loopCount
+    };
+}
@@ -1,6 +1,7 @@
 import { database } from './clientDatabase.js';
 import { showNotification, downloadBlob, generateSafeFilename } from './utils.js';
 import { loadImages, updateStatsDisplay } from './galleryDataManager.js';
+import { loadAlbums } from './albumManager.js';
 
 // Export all data to JSON file
 export async function exportAllData() {
@@ -31,10 +32,18 @@ export async function importAllData(e) {
         if (importData.images && Array.isArray(importData.images)) {
             const results = await database.addMultipleMedia(importData.images);
             
+            // Smart albums (saved searches) are part of the backup since v3.0-server
+            let smartAlbumMessage = '';
+            if (Array.isArray(importData.smartAlbums) && importData.smartAlbums.length > 0) {
+                const albumResult = await database.importSmartAlbums(importData.smartAlbums);
+                smartAlbumMessage = `\n(${albumResult.imported} smart album${albumResult.imported !== 1 ? 's' : ''} restored)`;
+                await loadAlbums();
+            }
+            
             await loadImages();
             await updateStatsDisplay();
             
-            showNotification(`Imported ${importData.images.length} items successfully!`, 'success');
+            showNotification(`Imported ${importData.images.length} items successfully!${smartAlbumMessage}`, 'success');
         } else {
             showNotification('Invalid backup file format!', 'error');
         }
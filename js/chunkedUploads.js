@@ -0,0 +1,312 @@
+// chunkedUploads.js - Resumable uploads for files too large for one request (long videos,
+// upscales). POST /api/uploads starts (or resumes) an upload, chunks are sent with
+// PUT /api/uploads/:id/chunks/:index in any order, and POST /api/uploads/:id/complete checks the
+// SHA-256 of the whole file before it is added like a regular upload.
+// Partial uploads live in .uploads/<id>/ (state.json + the file being assembled), so an upload
+// interrupted by a network error or a server restart continues where it stopped.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { requestError } from './serverDatabase.js';
+import { hashFile, isContentHash } from './contentHash.js';
+import { createLibraryPath } from './mediaIngest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+// UPLOADS_DIR keeps partial uploads somewhere else (the tests use a temporary folder)
+export const UPLOADS_ROOT = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(PROJECT_ROOT, '.uploads');
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_UPLOAD_SIZE_MB = 4096;
+const DEFAULT_EXPIRY_HOURS = 24;
+export const CHUNK_SIZE = 8 * MB;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Upload id -> state (loaded from .uploads/ on first use)
+let uploads = null;
+// Ids of uploads being checked and moved by completeUpload(); they take no more chunks
+const completing = new Set();
+
+// Largest file accepted by chunked uploads, in bytes (MAX_UPLOAD_SIZE_MB)
+export function getMaxUploadSize() {
+    const megabytes = parseFloat(process.env.MAX_UPLOAD_SIZE_MB);
+    return (Number.isNaN(megabytes) || megabytes <= 0 ? DEFAULT_MAX_UPLOAD_SIZE_MB : megabytes) * MB;
+}
+
+// Hours an unfinished upload is kept after its last chunk (UPLOAD_EXPIRY_HOURS)
+function getExpiryHours() {
+    const hours = parseFloat(process.env.UPLOAD_EXPIRY_HOURS);
+    return Number.isNaN(hours) || hours <= 0 ? DEFAULT_EXPIRY_HOURS : hours;
+}
+
+function getUploadDir(id) {
+    return path.join(UPLOADS_ROOT, id);
+}
+
+function getDataPath(id) {
+    return path.join(getUploadDir(id), 'data');
+}
+
+function loadUploads() {
+    if (uploads) return uploads;
+
+    uploads = new Map();
+    if (!fs.existsSync(UPLOADS_ROOT)) return uploads;
+
+    for (const entry of fs.readdirSync(UPLOADS_ROOT, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        try {
+            const state = JSON.parse(fs.readFileSync(path.join(getUploadDir(entry.name), 'state.json'), 'utf8'));
+            uploads.set(state.id, state);
+        } catch (error) {
+            console.warn(`⚠️ Removing unreadable partial upload ${entry.name}:`, error.message);
+            fs.rmSync(getUploadDir(entry.name), { recursive: true, force: true });
+        }
+    }
+    return uploads;
+}
+
+// Write state.json through a temporary file so a crash never leaves it half written
+function saveState(state) {
+    state.updatedAt = new Date().toISOString();
+    const statePath = path.join(getUploadDir(state.id), 'state.json');
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+}
+
+function removeUpload(id) {
+    loadUploads().delete(id);
+    fs.rmSync(getUploadDir(id), { recursive: true, force: true });
+}
+
+function getChunkLength(state, index) {
+    return index === state.totalChunks - 1 ? state.size - index * state.chunkSize : state.chunkSize;
+}
+
+// What the API reports about an upload
+function describeUpload(state, extra = {}) {
+    return {
+        id: state.id,
+        fileName: state.fileName,
+        mimeType: state.mimeType,
+        size: state.size,
+        chunkSize: state.chunkSize,
+        totalChunks: state.totalChunks,
+        receivedChunks: [...state.receivedChunks].sort((a, b) => a - b),
+        createdAt: state.createdAt,
+        updatedAt: state.updatedAt,
+        ...extra
+    };
+}
+
+function getUploadState(id) {
+    const state = loadUploads().get(id);
+    if (!state) {
+        throw requestError('Upload not found (it may have expired)', 404);
+    }
+    return state;
+}
+
+/**
+ * Start a chunked upload, or resume the unfinished upload of the same file
+ * (same name, size and modification time)
+ * @param {Object} data - { fileName, size, mimeType, lastModified }
+ * @returns {Object} The upload: id, chunkSize, totalChunks, receivedChunks, resumed
+ */
+export function startUpload(data = {}) {
+    const fileName = String(data.fileName || '').trim();
+    const size = Number(data.size);
+    const mimeType = String(data.mimeType || '');
+    const lastModified = data.lastModified ? String(data.lastModified) : null;
+
+    if (!fileName) {
+        throw requestError('fileName is required', 400);
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        throw requestError('size must be a positive number of bytes', 400);
+    }
+    if (!mimeType.startsWith('image/') && !mimeType.startsWith('video/')) {
+        throw requestError('Only image and video files are allowed!', 400);
+    }
+    const maxSize = getMaxUploadSize();
+    if (size > maxSize) {
+        throw requestError(`File too large (max ${Math.round(maxSize / MB)}MB)`, 413);
+    }
+
+    for (const state of loadUploads().values()) {
+        if (state.fileName === fileName && state.size === size && state.lastModified === lastModified) {
+            console.log(`📦 Resuming upload ${state.id} of ${fileName} (${state.receivedChunks.length}/${state.totalChunks} chunks)`);
+            return describeUpload(state, { resumed: true });
+        }
+    }
+
+    const now = new Date().toISOString();
+    const state = {
+        id: crypto.randomUUID(),
+        fileName,
+        mimeType,
+        size,
+        lastModified,
+        chunkSize: CHUNK_SIZE,
+        totalChunks: Math.ceil(size / CHUNK_SIZE),
+        receivedChunks: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    fs.mkdirSync(getUploadDir(state.id), { recursive: true });
+    fs.closeSync(fs.openSync(getDataPath(state.id), 'w'));
+    saveState(state);
+    uploads.set(state.id, state);
+
+    console.log(`📦 Started upload ${state.id} of ${fileName} (${(size / MB).toFixed(1)}MB, ${state.totalChunks} chunks)`);
+    return describeUpload(state, { resumed: false });
+}
+
+// The state of an upload, to see which chunks are still missing
+export function getUpload(id) {
+    return describeUpload(getUploadState(id));
+}
+
+/**
+ * Store one chunk, streamed from the request into its place in the file
+ * @param {string} id - Upload id
+ * @param {number} index - Chunk number, from 0
+ * @param {import('stream').Readable} body - The chunk bytes (exactly chunkSize, less for the last one)
+ * @returns {Promise<Object>} The upload
+ */
+export async function writeChunk(id, index, body) {
+    const state = getUploadState(id);
+    if (completing.has(id)) {
+        throw requestError('Upload is already being completed', 409);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= state.totalChunks) {
+        throw requestError(`Chunk index must be from 0 to ${state.totalChunks - 1}`, 400);
+    }
+
+    const expected = getChunkLength(state, index);
+    let received = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > expected ? requestError(`Chunk ${index} must be ${expected} bytes`, 400) : null, chunk);
+        }
+    });
+
+    await pipeline(body, counter, fs.createWriteStream(getDataPath(id), { flags: 'r+', start: index * state.chunkSize }));
+    if (received !== expected) {
+        throw requestError(`Chunk ${index} must be ${expected} bytes, got ${received}`, 400);
+    }
+
+    // The upload may have been cancelled or completed while the chunk was arriving
+    if (uploads.get(id) !== state) {
+        throw requestError('Upload not found (it may have expired)', 404);
+    }
+    if (!state.receivedChunks.includes(index)) {
+        state.receivedChunks.push(index);
+    }
+    saveState(state);
+    return describeUpload(state);
+}
+
+/**
+ * Check that every chunk arrived and that the file matches its checksum, then move it into
+ * images|videos/YYYY-MM-DD/
+ * @param {string} id - Upload id
+ * @param {string} [sha256] - Hex SHA-256 of the whole file, as computed by the client
+ * @returns {Promise<Object>} A multer-style file ({ path, filename, originalname, mimetype, size })
+ *   plus its contentHash and lastModified
+ */
+export async function completeUpload(id, sha256 = null) {
+    const state = getUploadState(id);
+    if (completing.has(id)) {
+        throw requestError('Upload is already being completed', 409);
+    }
+
+    const missing = state.totalChunks - state.receivedChunks.length;
+    if (missing > 0) {
+        throw requestError(`${missing} of ${state.totalChunks} chunks have not been uploaded yet`, 409);
+    }
+    if (sha256 && !isContentHash(String(sha256).toLowerCase())) {
+        throw requestError('sha256 must be a hex SHA-256 checksum', 400);
+    }
+
+    // Claimed before the first await, so a second request cannot move the same file
+    completing.add(id);
+    let contentHash;
+    let target;
+    try {
+        contentHash = await hashFile(getDataPath(id));
+        if (sha256 && contentHash !== String(sha256).toLowerCase()) {
+            removeUpload(id);
+            throw requestError('Checksum mismatch: the uploaded file is corrupt and was discarded, please upload it again', 422);
+        }
+
+        target = createLibraryPath(state.fileName, state.mimeType);
+        try {
+            fs.renameSync(getDataPath(id), target);
+        } catch (error) {
+            // The media folders may be on another device
+            if (error.code !== 'EXDEV') throw error;
+            fs.copyFileSync(getDataPath(id), target);
+        }
+        removeUpload(id);
+    } finally {
+        completing.delete(id);
+    }
+
+    console.log(`📦 Completed upload ${id} of ${state.fileName}`);
+    return {
+        path: target,
+        filename: path.basename(target),
+        originalname: state.fileName,
+        mimetype: state.mimeType,
+        size: state.size,
+        contentHash,
+        lastModified: state.lastModified
+    };
+}
+
+// Cancel an upload and delete what was received; false when it does not exist
+export function cancelUpload(id) {
+    if (!loadUploads().has(id)) return false;
+    removeUpload(id);
+    console.log(`📦 Cancelled upload ${id}`);
+    return true;
+}
+
+// Delete unfinished uploads that have not received a chunk for UPLOAD_EXPIRY_HOURS
+export function purgeExpiredUploads() {
+    const cutoff = Date.now() - getExpiryHours() * 60 * 60 * 1000;
+    let removed = 0;
+    for (const state of [...loadUploads().values()]) {
+        if (new Date(state.updatedAt).getTime() < cutoff) {
+            removeUpload(state.id);
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        console.log(`📦 Removed ${removed} unfinished uploads older than ${getExpiryHours()} hours`);
+    }
+    return removed;
+}
+
+// Purge expired uploads now and then every hour while the server runs
+export function startUploadCleanup() {
+    const run = () => {
+        try {
+            purgeExpiredUploads();
+        } catch (error) {
+            console.error('❌ Upload cleanup failed:', error);
+        }
+    };
+
+    run();
+    setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
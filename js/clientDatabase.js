@@ -62,6 +62,39 @@ class ClientDatabase {
         }
     }
 
+    // Load a single page of media ({ limit, offset, sort, order, mediaType, model, tag, dateFrom, dateTo })
+    async loadMediaPage(options = {}) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const params = new URLSearchParams();
+            for (const [key, value] of Object.entries(options)) {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.set(key, value);
+                }
+            }
+            if (!params.has('limit')) {
+                params.set('limit', 50);
+            }
+
+            const response = await fetch(`${this.baseUrl}/api/media?${params.toString()}`);
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load media page');
+            }
+
+            console.log(`📊 Loaded page of ${result.media.length} media items (offset ${result.pagination.offset}, total ${result.pagination.total})`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error loading media page from server:', error);
+            throw error;
+        }
+    }
+
     async addMedia(mediaData) {
         if (!this.isInitialized) await this.init();
         
@@ -206,7 +239,8 @@ class ClientDatabase {
         return results;
     }
 
-    async searchMedia(searchTerm) {
+    // options: { album } scopes the search to one album
+    async searchMedia(searchTerm, options = {}) {
         if (!this.isInitialized) await this.init();
         
         try {
@@ -215,7 +249,18 @@ class ClientDatabase {
             }
             
             const encodedTerm = encodeURIComponent(searchTerm);
-            const response = await fetch(`${this.baseUrl}/api/media/search/${encodedTerm}`);
+            const params = new URLSearchParams();
+            if (options.album) params.set('album', options.album);
+            const queryString = params.toString() ? `?${params.toString()}` : '';
+            const response = await fetch(`${this.baseUrl}/api/media/search/${encodedTerm}${queryString}`);
+            
+            if (response.status === 400) {
+                // Malformed query - surface the server's explanation to the search box
+                const errorData = await response.json().catch(() => ({}));
+                const queryError = new Error(errorData.error || 'Invalid search query');
+                queryError.invalidQuery = true;
+                throw queryError;
+            }
             
             if (!response.ok) {
                 throw new Error(`Server error: ${response.status}`);
@@ -229,7 +274,287 @@ class ClientDatabase {
             console.log(`🔍 Search for "${searchTerm}" returned ${result.media.length} results`);
             return result.media;
         } catch (error) {
-            console.error('❌ Error searching media on server:', error);
+            if (!error.invalidQuery) {
+                console.error('❌ Error searching media on server:', error);
+            }
+            throw error;
+        }
+    }
+
+    // One page of search results: options { album, limit, offset }; resolves to
+    // { media, pagination: { offset, limit, hasMore } }
+    async searchMediaPage(searchTerm, options = {}) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const params = new URLSearchParams();
+            for (const [key, value] of Object.entries(options)) {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.set(key, value);
+                }
+            }
+            if (!params.has('limit')) {
+                params.set('limit', 50);
+            }
+
+            const response = await fetch(`${this.baseUrl}/api/media/search/${encodeURIComponent(searchTerm)}?${params.toString()}`);
+            if (response.status === 400) {
+                // Malformed query - surface the server's explanation to the search box
+                const errorData = await response.json().catch(() => ({}));
+                const queryError = new Error(errorData.error || 'Invalid search query');
+                queryError.invalidQuery = true;
+                throw queryError;
+            }
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to search media');
+            }
+
+            console.log(`🔍 Search for "${searchTerm}" returned ${result.media.length} results (offset ${result.pagination.offset})`);
+            return result;
+        } catch (error) {
+            if (!error.invalidQuery) {
+                console.error('❌ Error searching media on server:', error);
+            }
+            throw error;
+        }
+    }
+
+    // List tags with usage counts; `query` filters by name prefix (autocomplete)
+    async listTags(query = '', limit) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const params = new URLSearchParams();
+            if (query) params.set('q', query);
+            if (limit) params.set('limit', limit);
+
+            const response = await fetch(`${this.baseUrl}/api/tags?${params.toString()}`);
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load tags');
+            }
+
+            return result.tags;
+        } catch (error) {
+            console.error('❌ Error loading tags from server:', error);
+            throw error;
+        }
+    }
+
+    // Replace the tags of a media item; returns the normalized comma-separated tags
+    async setMediaTags(id, tags) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const response = await fetch(`${this.baseUrl}/api/media/${id}/tags`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ tags })
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+
+            console.log(`🏷️ Updated tags for media item ID: ${id}`);
+            return result.tags;
+        } catch (error) {
+            console.error('❌ Error updating media tags on server:', error);
+            throw error;
+        }
+    }
+
+    async renameTag(tagId, name) {
+        return await this.sendJsonRequest(`/api/tags/${tagId}`, 'PUT', { name });
+    }
+
+    // Store the raw workflow / prompt JSON text of a media item ({ workflow, prompt }).
+    // Sent as multipart file parts: workflows can be larger than the JSON body limit.
+    async saveMediaWorkflow(id, parts) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const formData = new FormData();
+            for (const part of ['workflow', 'prompt']) {
+                if (parts[part]) {
+                    formData.append(part, new Blob([parts[part]], { type: 'application/json' }), `${part}.json`);
+                }
+            }
+
+            const response = await fetch(`${this.baseUrl}/api/media/${id}/workflow`, {
+                method: 'PUT',
+                body: formData
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+
+            console.log(`🧬 Stored workflow data for media item ID: ${id}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error storing workflow on server:', error);
+            throw error;
+        }
+    }
+
+    // Raw workflow / prompt JSON text of a media item ({ workflow, prompt }), or null if none is stored
+    async getMediaWorkflow(id) {
+        if (!this.isInitialized) await this.init();
+
+        const response = await fetch(`${this.baseUrl}/api/media/${id}/workflow`);
+        if (response.status === 404) {
+            return null;
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        return { workflow: result.workflow, prompt: result.prompt };
+    }
+
+    async mergeTags(sourceIds, targetId) {
+        return await this.sendJsonRequest('/api/tags/merge', 'POST', { sourceIds, targetId });
+    }
+
+    async deleteTag(tagId) {
+        return await this.sendJsonRequest(`/api/tags/${tagId}`, 'DELETE');
+    }
+
+    // Albums
+
+    async listAlbums() {
+        const result = await this.sendJsonRequest('/api/albums', 'GET');
+        return result.albums;
+    }
+
+    async getMediaAlbums(mediaId) {
+        const result = await this.sendJsonRequest(`/api/media/${mediaId}/albums`, 'GET');
+        return result.albums;
+    }
+
+    // albumData: { name, description } or { name, query } for a smart album
+    async createAlbum(albumData) {
+        const result = await this.sendJsonRequest('/api/albums', 'POST', albumData);
+        return result.album;
+    }
+
+    // albumData may contain name, description and coverMediaId (query for smart albums)
+    async updateAlbum(albumId, albumData) {
+        const result = await this.sendJsonRequest(`/api/albums/${albumId}`, 'PUT', albumData);
+        return result.album;
+    }
+
+    async deleteAlbum(albumId) {
+        return await this.sendJsonRequest(`/api/albums/${albumId}`, 'DELETE');
+    }
+
+    async addMediaToAlbum(albumId, mediaIds) {
+        const result = await this.sendJsonRequest(`/api/albums/${albumId}/media`, 'POST', { mediaIds });
+        return result.added;
+    }
+
+    async removeMediaFromAlbum(albumId, mediaId) {
+        const result = await this.sendJsonRequest(`/api/albums/${albumId}/media/${mediaId}`, 'DELETE');
+        return result.removed;
+    }
+
+    // Restore smart album definitions from a JSON backup
+    async importSmartAlbums(smartAlbums) {
+        return await this.sendJsonRequest('/api/albums/import', 'POST', { smartAlbums });
+    }
+
+    // Save a new manual order for (a subset of) the album's items
+    async reorderAlbum(albumId, mediaIds) {
+        return await this.sendJsonRequest(`/api/albums/${albumId}/order`, 'PUT', { mediaIds });
+    }
+
+    // TRASH
+
+    // Move an item to the trash (soft delete, can be restored)
+    async trashMedia(id) {
+        const result = await this.sendJsonRequest(`/api/media/${id}/trash`, 'POST');
+        return result.media;
+    }
+
+    // Trashed items and how many days they are kept ({ items, retentionDays })
+    async listTrash() {
+        const result = await this.sendJsonRequest('/api/trash', 'GET');
+        return { items: result.items, retentionDays: result.retentionDays };
+    }
+
+    async restoreMedia(id) {
+        const result = await this.sendJsonRequest(`/api/trash/${id}/restore`, 'POST');
+        return result.media;
+    }
+
+    // Permanently delete a trashed item and its file
+    async deleteTrashedMedia(id) {
+        return await this.sendJsonRequest(`/api/trash/${id}`, 'DELETE');
+    }
+
+    async emptyTrash() {
+        const result = await this.sendJsonRequest('/api/trash', 'DELETE');
+        return result.deleted;
+    }
+
+    // Groups of visually similar media (threshold = max Hamming distance of perceptual hashes)
+    async findSimilarMedia(threshold) {
+        const query = threshold !== undefined ? `?threshold=${encodeURIComponent(threshold)}` : '';
+        const result = await this.sendJsonRequest(`/api/similar${query}`, 'GET');
+        return result.groups;
+    }
+
+    // Start a server-side import job ({ source: 'orphans', files } or { path, recursive })
+    async startImportJob(options) {
+        const result = await this.sendJsonRequest('/api/import-jobs', 'POST', options);
+        return result.job;
+    }
+
+    // Progress and per-file errors of an import job
+    async getImportJob(jobId) {
+        const result = await this.sendJsonRequest(`/api/import-jobs/${jobId}`, 'GET');
+        return result.job;
+    }
+
+    async cancelImportJob(jobId) {
+        const result = await this.sendJsonRequest(`/api/import-jobs/${jobId}/cancel`, 'POST');
+        return result.job;
+    }
+
+    // Shared request helper for JSON endpoints (errors carry the server message)
+    async sendJsonRequest(path, method, body) {
+        if (!this.isInitialized) await this.init();
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+
+            return result;
+        } catch (error) {
+            console.error(`❌ Error in request ${method} ${path}:`, error);
             throw error;
         }
     }
@@ -324,6 +649,10 @@ export const database = {
         return await clientDB.loadAllMedia();
     },
 
+    async loadMediaPage(options) {
+        return await clientDB.loadMediaPage(options);
+    },
+
     async addMedia(mediaData) {
         return await clientDB.addMedia(mediaData);
     },
@@ -348,8 +677,112 @@ export const database = {
         return await clientDB.addMultipleMedia(mediaArray);
     },
 
-    async searchMedia(searchTerm) {
-        return await clientDB.searchMedia(searchTerm);
+    async searchMedia(searchTerm, options) {
+        return await clientDB.searchMedia(searchTerm, options);
+    },
+
+    async searchMediaPage(searchTerm, options) {
+        return await clientDB.searchMediaPage(searchTerm, options);
+    },
+
+    async saveMediaWorkflow(id, parts) {
+        return await clientDB.saveMediaWorkflow(id, parts);
+    },
+
+    async getMediaWorkflow(id) {
+        return await clientDB.getMediaWorkflow(id);
+    },
+
+    async listTags(query, limit) {
+        return await clientDB.listTags(query, limit);
+    },
+
+    async setMediaTags(id, tags) {
+        return await clientDB.setMediaTags(id, tags);
+    },
+
+    async renameTag(tagId, name) {
+        return await clientDB.renameTag(tagId, name);
+    },
+
+    async mergeTags(sourceIds, targetId) {
+        return await clientDB.mergeTags(sourceIds, targetId);
+    },
+
+    async deleteTag(tagId) {
+        return await clientDB.deleteTag(tagId);
+    },
+
+    async listAlbums() {
+        return await clientDB.listAlbums();
+    },
+
+    async getMediaAlbums(mediaId) {
+        return await clientDB.getMediaAlbums(mediaId);
+    },
+
+    async createAlbum(albumData) {
+        return await clientDB.createAlbum(albumData);
+    },
+
+    async updateAlbum(albumId, albumData) {
+        return await clientDB.updateAlbum(albumId, albumData);
+    },
+
+    async deleteAlbum(albumId) {
+        return await clientDB.deleteAlbum(albumId);
+    },
+
+    async addMediaToAlbum(albumId, mediaIds) {
+        return await clientDB.addMediaToAlbum(albumId, mediaIds);
+    },
+
+    async removeMediaFromAlbum(albumId, mediaId) {
+        return await clientDB.removeMediaFromAlbum(albumId, mediaId);
+    },
+
+    async reorderAlbum(albumId, mediaIds) {
+        return await clientDB.reorderAlbum(albumId, mediaIds);
+    },
+
+    async importSmartAlbums(smartAlbums) {
+        return await clientDB.importSmartAlbums(smartAlbums);
+    },
+
+    async trashMedia(id) {
+        return await clientDB.trashMedia(id);
+    },
+
+    async listTrash() {
+        return await clientDB.listTrash();
+    },
+
+    async restoreMedia(id) {
+        return await clientDB.restoreMedia(id);
+    },
+
+    async deleteTrashedMedia(id) {
+        return await clientDB.deleteTrashedMedia(id);
+    },
+
+    async emptyTrash() {
+        return await clientDB.emptyTrash();
+    },
+
+    async findSimilarMedia(threshold) {
+        return await clientDB.findSimilarMedia(threshold);
+    },
+
+    async startImportJob(options) {
+        return await clientDB.startImportJob(options);
+    },
+
+    async getImportJob(jobId) {
+        return await clientDB.getImportJob(jobId);
+    },
+
+    async cancelImportJob(jobId) {
+        return await clientDB.cancelImportJob(jobId);
     },
 
     async getStats() {
@@ -0,0 +1,19 @@
+// contentHash.js - SHA-256 content hashes used to recognize identical media files
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Hex SHA-256 of a file, streamed so large videos are not read into memory
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+export function isContentHash(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
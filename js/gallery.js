@@ -2,25 +2,35 @@
 
 import { formatDuration, getThumbnailPositionStyle, calculateFileSize, validateDataUrl, dataUrlToBlobUrl } from './utils.js';
 import { openImageModal } from './modal.js';
+import { renderRatingBadges } from './mediaRatings.js';
 
 let allImages = [];
 
 // Display images and videos in gallery
-export function displayImages(items) {
+// Pass { append: true } to add a further page of items below the existing cards
+// and { reorderable: true } to make the cards draggable (album manual order)
+export function displayImages(items, options = {}) {
+    const { append = false, reorderable = false } = options;
+    
     // Handle undefined or null items
     if (!items || !Array.isArray(items)) {
         console.warn('⚠️ displayImages called with invalid items:', items);
         items = []; // Default to empty array
     }
     
-    console.log(`🎨 displayImages called with ${items.length} items`);
-    allImages = items; // Store for other modules to access
+    console.log(`🎨 displayImages called with ${items.length} items${append ? ' (append)' : ''}`);
     const gallery = document.getElementById('gallery');
     const noImages = document.getElementById('noImages');
+    const indexOffset = append ? allImages.length : 0;
+    
+    // Store for other modules to access
+    allImages = append ? allImages.concat(items) : items;
     
-    gallery.innerHTML = '';
+    if (!append) {
+        gallery.innerHTML = '';
+    }
     
-    if (items.length === 0) {
+    if (allImages.length === 0) {
         console.log('📭 No items to display');
         noImages.style.display = 'block';
         noImages.querySelector('p').textContent = 'No media yet. Add some images or videos by dragging and dropping them above!';
@@ -29,15 +39,23 @@ export function displayImages(items) {
     
     noImages.style.display = 'none';
     
-    items.forEach((item, index) => {
+    items.forEach((item, itemIndex) => {
+        const index = indexOffset + itemIndex;
         console.log(`🖼️ Rendering item ${index + 1}: ${item.title || 'Untitled'} (${item.mediaType || 'image'})`);
         
         const card = document.createElement('div');
         card.className = 'image-card';
+        card.dataset.itemId = item.id;
+        card.draggable = reorderable;
+        card.tabIndex = 0; // Focusable for the rating hotkeys
         card.onclick = () => openImageModal(item);
         
         const date = new Date(item.dateAdded).toLocaleDateString();
         const isVideo = item.mediaType === 'video';
+        const isAnimated = !isVideo && !!item.metadata?.animated;
+        
+        // Search results carry a server-escaped prompt fragment with <mark> highlights
+        const hasSearchSnippet = !!(item.searchSnippet && item.searchSnippet.includes('<mark>'));
         
         // Get file size from base64 data or server file info
         let fileSize;
@@ -60,6 +78,7 @@ export function displayImages(items) {
         
 // Use server path if available, otherwise fall back to database data
 let displayImage;
+let animatedSource = null;
 if (isVideo && item.thumbnailData) {
     // For videos, use thumbnail data if available
     console.log(`🔍 Video thumbnail data preview: ${item.thumbnailData.substring(0, 100)}...`);
@@ -73,6 +92,11 @@ if (isVideo && item.thumbnailData) {
         displayImage = validatedThumbnail; // This will be the placeholder
         console.log(`⚠️ Video thumbnail validation failed, using placeholder`);
     }
+} else if (isAnimated && item.thumbnailData) {
+    // Animated images show their first frame (the thumbnail) and play on hover
+    displayImage = validateDataUrl(item.thumbnailData);
+    animatedSource = item.serverPath ? `/${item.serverPath.replace(/\\/g, '/')}` : item.imageData || null;
+    console.log(`🎞️ Using first-frame thumbnail for animated ${item.metadata.animationFormat || 'image'}`);
 } else if (!isVideo && item.serverPath && item.serverPath.trim() !== '') {
     // Use server path for images uploaded to server
     // Convert Windows backslashes to forward slashes for web URLs
@@ -107,16 +131,19 @@ if (isVideo && item.thumbnailData) {
                         <div class="video-indicator">🎬</div>
                     </div>
                 ` : ''}
+                ${isAnimated ? `<div class="animation-indicator" title="${item.metadata.frameCount} frames">🎞️ ${formatAnimationBadge(item.metadata)}</div>` : ''}
                 <button class="thumbnail-edit-btn" onclick="openThumbnailEditor(${item.id}, event)" title="Edit thumbnail position">✂️</button>
             </div>
             <div class="image-info">
                 <div class="image-title">${item.title || 'Untitled'}</div>
+                ${renderRatingBadges(item)}
+                ${hasSearchSnippet ? `<div class="search-snippet" title="Matched prompt text">${item.searchSnippet}</div>` : ''}
                 <div class="image-details">
                     <div class="image-detail-line">
                         📅 ${date}
                     </div>
                     <div class="image-detail-line">
-                        ${isVideo ? '🎬' : '📐'} <span class="dimensions-placeholder">Loading...</span>
+                        ${isVideo ? '🎬' : isAnimated ? '🎞️' : '📐'} <span class="dimensions-placeholder">Loading...</span>
                     </div>
                     <div class="image-detail-line">
                         💾 ${fileSize.display}
@@ -162,6 +189,11 @@ if (isVideo && item.thumbnailData) {
             }
         };
         
+        if (animatedSource) {
+            card.addEventListener('mouseenter', () => { img.src = animatedSource; });
+            card.addEventListener('mouseleave', () => { img.src = displayImage; });
+        }
+        
         gallery.appendChild(card);
         console.log(`✅ Card ${index + 1} added to gallery`);
         
@@ -174,6 +206,12 @@ if (isVideo && item.thumbnailData) {
             if (dimensionsSpan) {
                 dimensionsSpan.textContent = dimensions + duration;
             }
+        } else if (isAnimated && item.width && item.height) {
+            // The thumbnail is downscaled, so use the stored size of animated images
+            const dimensionsSpan = card.querySelector('.dimensions-placeholder');
+            if (dimensionsSpan) {
+                dimensionsSpan.textContent = `${item.width} × ${item.height} (${item.metadata.frameCount} frames)`;
+            }
         } else {
             // For images or videos without metadata, calculate from image
             const dimensionsImg = new Image();
@@ -201,7 +239,15 @@ if (isVideo && item.thumbnailData) {
         }
     });
     
-    console.log(`🏁 Gallery rendering complete: ${items.length} cards displayed`);
+    console.log(`🏁 Gallery rendering complete: ${items.length} cards added (${allImages.length} total)`);
+}
+
+// Badge text for animated images, e.g. "GIF 2.4s"
+function formatAnimationBadge(metadata) {
+    const format = metadata.animationFormat || 'Animated';
+    if (!metadata.duration) return format;
+    const duration = metadata.duration < 60 ? `${metadata.duration.toFixed(1)}s` : formatDuration(metadata.duration);
+    return `${format} ${duration}`;
 }
 
 // Play video function (called when play button is clicked)
@@ -226,6 +272,11 @@ export function updateStats(stats) {
     }
     
     document.getElementById('imageCount').textContent = statsText;
+
+    const trashButton = document.getElementById('openTrash');
+    if (trashButton) {
+        trashButton.textContent = stats.trashed > 0 ? `🗑️ Trash (${stats.trashed})` : '🗑️ Trash';
+    }
 }
 
 // Get all images (for other modules to access)
@@ -2,29 +2,121 @@ import { database } from './clientDatabase.js';
 import { displayImages, updateStats, setAllImages } from './gallery.js';
 import { showNotification } from './utils.js';
 
-// Load all images and display them
+const PAGE_SIZE = 50;
+
+// Paging state for the gallery listing
+const pagingState = {
+    query: { sort: 'created_at', order: 'desc' }, // Active filters and sort for /api/media
+    search: null, // Active search query; its results are paged like the listing
+    offset: 0,
+    hasMore: false,
+    isLoading: false,
+    generation: 0 // Bumped on every reset so stale page responses are ignored
+};
+
+// Start again from the first page; responses to earlier requests are ignored from now on
+function resetPaging() {
+    pagingState.generation++;
+    pagingState.offset = 0;
+    pagingState.hasMore = false;
+    pagingState.isLoading = false;
+    return pagingState.generation;
+}
+
+// Load the first page of media (or of the active search) and display it
 export async function loadImages() {
+    resetPaging();
+
     try {
-        // Load ONLY from server database (no filesystem merging needed)
-        const allImages = await database.loadAllMedia();
-        
-        // Ensure we always have a valid array
-        const validImages = Array.isArray(allImages) ? allImages : [];
-        
-        setAllImages(validImages);
-        displayImages(validImages);
-        
-        console.log(`📊 Loaded ${validImages.length} media items from server database`);
+        await loadNextPage(false);
     } catch (error) {
         console.error('Error loading images:', error);
         showNotification('Error loading media: ' + error.message, 'error');
-        
+
         // Display empty gallery on error
         setAllImages([]);
         displayImages([]);
     }
 }
 
+// Load the next page of media and append it to the gallery
+export async function loadMoreImages() {
+    if (!pagingState.hasMore || pagingState.isLoading) return;
+
+    try {
+        await loadNextPage(true);
+    } catch (error) {
+        console.error('Error loading more images:', error);
+        showNotification('Error loading more media: ' + error.message, 'error');
+    }
+}
+
+async function loadNextPage(append) {
+    const generation = pagingState.generation;
+    pagingState.isLoading = true;
+
+    try {
+        const page = { limit: PAGE_SIZE, offset: pagingState.offset };
+        const result = pagingState.search
+            ? await database.searchMediaPage(pagingState.search, { album: pagingState.query.album, ...page })
+            : await database.loadMediaPage({ ...pagingState.query, ...page });
+
+        // A newer reset (search, filter change, reload) superseded this request
+        if (generation !== pagingState.generation) return;
+
+        // Ensure we always have a valid array
+        const validImages = Array.isArray(result.media) ? result.media : [];
+
+        // Cards can be dragged to reorder only while an album is shown in its manual order
+        const reorderable = !pagingState.search && !!pagingState.query.album && pagingState.query.sort === 'position';
+        displayImages(validImages, { append, reorderable });
+
+        pagingState.offset += validImages.length;
+        pagingState.hasMore = result.pagination.hasMore;
+
+        console.log(pagingState.search
+            ? `🔍 Showing ${pagingState.offset} search results${pagingState.hasMore ? ' (more available)' : ''}`
+            : `📊 Showing ${pagingState.offset} of ${result.pagination.total} media items from server database`);
+    } finally {
+        if (generation === pagingState.generation) {
+            pagingState.isLoading = false;
+        }
+    }
+
+    updateLoadMoreSentinel();
+}
+
+// Replace the active listing filters/sort and reload from the first page
+// ({ album: null } leaves the album; an empty object just reloads). Ends an active search.
+export async function setGalleryQuery(query) {
+    pagingState.query = { ...pagingState.query, ...query };
+    pagingState.search = null;
+    await loadImages();
+}
+
+// Show the sentinel only while more pages are available
+function updateLoadMoreSentinel() {
+    const sentinel = document.getElementById('gallerySentinel');
+    if (sentinel) {
+        sentinel.style.display = pagingState.hasMore ? 'block' : 'none';
+    }
+}
+
+// Load further pages when the sentinel below the gallery scrolls into view
+export function setupInfiniteScroll() {
+    const sentinel = document.getElementById('gallerySentinel');
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreImages();
+        }
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    sentinel.addEventListener('click', loadMoreImages);
+}
+
 // Update stats display
 export async function updateStatsDisplay() {
     try {
@@ -35,21 +127,48 @@ export async function updateStatsDisplay() {
     }
 }
 
-// Handle search with debouncing
+// Show or clear the inline search query error below the search box
+function showSearchError(message) {
+    const searchError = document.getElementById('searchError');
+    const searchBox = document.getElementById('searchBox');
+    if (!searchError) return;
+
+    searchError.textContent = message || '';
+    searchError.style.display = message ? 'block' : 'none';
+    if (searchBox) {
+        searchBox.classList.toggle('invalid', !!message);
+    }
+}
+
+// Handle search with debouncing; results are loaded page by page like the listing
 export async function handleSearch(e) {
+    const searchTerm = e.target.value.trim();
+    showSearchError(null);
+
+    // Restored when the query is malformed, so the results on screen keep paging
+    const previous = { search: pagingState.search, offset: pagingState.offset, hasMore: pagingState.hasMore };
+
+    // An empty search returns to the paged listing
+    pagingState.search = searchTerm || null;
+    const generation = resetPaging();
+
     try {
-        const searchTerm = e.target.value;
-        const results = await database.searchMedia(searchTerm);
-        
-        // Ensure we always have a valid array
-        const validResults = Array.isArray(results) ? results : [];
-        
-        setAllImages(validResults);
-        displayImages(validResults);
+        await loadNextPage(false);
     } catch (error) {
+        // A newer search or listing reset superseded this one while it was running
+        if (generation !== pagingState.generation) return;
+
+        // Keep the current results on screen while the user fixes a malformed query
+        if (error.invalidQuery) {
+            Object.assign(pagingState, previous);
+            updateLoadMoreSentinel();
+            showSearchError(error.message);
+            return;
+        }
+
         console.error('Error searching:', error);
         showNotification('Error searching media: ' + error.message, 'error');
-        
+
         // Display empty results on error
         setAllImages([]);
         displayImages([]);
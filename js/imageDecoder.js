@@ -0,0 +1,627 @@
+// imageDecoder.js - Minimal pure JS image decoders (server-side) for pixel analysis such as
+// perceptual hashing. PNG decodes fully to RGBA; JPEG decodes baseline files to luminance only.
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export class UnsupportedImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedImageError';
+    }
+}
+
+/**
+ * Decode a PNG or baseline JPEG buffer.
+ * @param {Buffer|Uint8Array} buffer - Encoded image bytes
+ * @returns {{width: number, height: number, channels: number, data: Uint8Array}}
+ *   channels is 4 (RGBA) for PNG and 1 (luminance) for JPEG
+ */
+export function decodeImage(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        return decodePNG(bytes);
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        return decodeJPEG(bytes);
+    }
+    throw new UnsupportedImageError('Unsupported image format (only PNG and JPEG can be decoded)');
+}
+
+/**
+ * Read the pixel size from the header of a PNG, JPEG (any coding), GIF or WebP file without
+ * decoding it.
+ * @param {Buffer|Uint8Array} buffer - Encoded image bytes
+ * @returns {{width: number, height: number}|null} null for other formats or broken headers
+ */
+export function readImageSize(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes.length < 30) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    if (ascii(0, 3) === 'GIF') {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const format = ascii(12, 4);
+        if (format === 'VP8X') {
+            return {
+                width: 1 + (view.getUint32(24, true) & 0xffffff),
+                height: 1 + (view.getUint32(27, true) & 0xffffff)
+            };
+        }
+        if (format === 'VP8 ') {
+            return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+        }
+        if (format === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+        }
+        return null;
+    }
+
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        // Walk the segments up to the first frame header (SOF0-SOF15 except DHT, JPG and DAC)
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+            const marker = bytes[offset + 1];
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+// Decode the bytes of a base64 data URL (e.g. a stored thumbnail)
+export function decodeDataUrl(dataUrl) {
+    const match = /^data:[^;,]*;base64,(.*)$/s.exec(dataUrl || '');
+    if (!match) {
+        throw new UnsupportedImageError('Not a base64 data URL');
+    }
+    return decodeImage(Buffer.from(match[1], 'base64'));
+}
+
+// PNG
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+function decodePNG(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const idat = [];
+    let header = null;
+    let palette = null;
+    let transparency = null;
+
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header || idat.length === 0) {
+        throw new UnsupportedImageError('Invalid PNG: missing IHDR or IDAT');
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || width === 0 || height === 0) {
+        throw new UnsupportedImageError(`Unsupported PNG (color type ${colorType}, bit depth ${bitDepth})`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new UnsupportedImageError('Invalid PNG: indexed image without a palette');
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const output = new Uint8Array(width * height * 4);
+    const readPixel = createPNGPixelReader(header, channels, palette, transparency);
+
+    if (interlace === 1) {
+        let position = 0;
+        for (const [x0, y0, dx, dy] of ADAM7_PASSES) {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const { rows, consumed } = unfilterPNG(raw, position, passWidth, passHeight, channels, bitDepth);
+            position += consumed;
+            for (let y = 0; y < passHeight; y++) {
+                for (let x = 0; x < passWidth; x++) {
+                    readPixel(rows[y], x, output, ((y0 + y * dy) * width + x0 + x * dx) * 4);
+                }
+            }
+        }
+    } else {
+        const { rows } = unfilterPNG(raw, 0, width, height, channels, bitDepth);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                readPixel(rows[y], x, output, (y * width + x) * 4);
+            }
+        }
+    }
+
+    return { width, height, channels: 4, data: output };
+}
+
+// Reverse the per-scanline filters; returns the unfiltered rows and the bytes consumed
+function unfilterPNG(raw, start, width, height, channels, bitDepth) {
+    const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+    const bpp = Math.max(1, (channels * bitDepth) >> 3);
+    const rows = [];
+    let previous = new Uint8Array(rowBytes);
+    let position = start;
+
+    for (let y = 0; y < height; y++) {
+        if (position + 1 + rowBytes > raw.length) {
+            throw new UnsupportedImageError('Invalid PNG: image data is truncated');
+        }
+        const filter = raw[position];
+        const row = Uint8Array.from(raw.subarray(position + 1, position + 1 + rowBytes));
+        position += 1 + rowBytes;
+
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bpp ? row[i - bpp] : 0;
+            const up = previous[i];
+            const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+            if (filter === 1) {
+                row[i] = (row[i] + left) & 0xff;
+            } else if (filter === 2) {
+                row[i] = (row[i] + up) & 0xff;
+            } else if (filter === 3) {
+                row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+            } else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                const predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                row[i] = (row[i] + predictor) & 0xff;
+            } else if (filter !== 0) {
+                throw new UnsupportedImageError(`Invalid PNG: unknown filter type ${filter}`);
+            }
+        }
+
+        rows.push(row);
+        previous = row;
+    }
+
+    return { rows, consumed: position - start };
+}
+
+// Returns a function that writes pixel x of an unfiltered row to `output` as RGBA8
+function createPNGPixelReader({ bitDepth, colorType }, channels, palette, transparency) {
+    const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+
+    // Sample `index` of a row, scaled to 0-255 (indexed images return the raw palette index)
+    const sample = (row, index) => {
+        if (bitDepth === 8) return row[index];
+        if (bitDepth === 16) return row[index * 2];
+
+        const bitOffset = index * bitDepth;
+        const value = (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxValue;
+        return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+    };
+
+    // tRNS for grayscale/RGB holds a single transparent color (compared at 8-bit precision)
+    const transparentColor = transparency && colorType !== 3
+        ? Array.from({ length: colorType === 2 ? 3 : 1 }, (_, i) => {
+            const value = (transparency[i * 2] << 8) | transparency[i * 2 + 1];
+            return bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round((value * 255) / maxValue);
+        })
+        : null;
+
+    return (row, x, output, target) => {
+        const base = x * channels;
+        let r, g, b, a = 255;
+
+        if (colorType === 3) {
+            const index = sample(row, base);
+            r = palette[index * 3] ?? 0;
+            g = palette[index * 3 + 1] ?? 0;
+            b = palette[index * 3 + 2] ?? 0;
+            a = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (channels <= 2) {
+            r = g = b = sample(row, base);
+            if (channels === 2) a = sample(row, base + 1);
+            else if (transparentColor && r === transparentColor[0]) a = 0;
+        } else {
+            r = sample(row, base);
+            g = sample(row, base + 1);
+            b = sample(row, base + 2);
+            if (channels === 4) a = sample(row, base + 3);
+            else if (transparentColor && r === transparentColor[0] && g === transparentColor[1] && b === transparentColor[2]) a = 0;
+        }
+
+        output[target] = r;
+        output[target + 1] = g;
+        output[target + 2] = b;
+        output[target + 3] = a;
+    };
+}
+
+// JPEG (baseline, Huffman coded)
+
+const ZIGZAG = new Uint8Array([
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT basis: IDCT_TABLE[x * 8 + u] = C(u) * cos((2x + 1) * u * PI / 16) / 2
+const IDCT_TABLE = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+        const c = u === 0 ? Math.SQRT1_2 : 1;
+        IDCT_TABLE[x * 8 + u] = (c * Math.cos(((2 * x + 1) * u * Math.PI) / 16)) / 2;
+    }
+}
+
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(18).fill(-1);
+    const minCode = new Int32Array(17);
+    const valuePointer = new Int32Array(17);
+
+    let code = 0;
+    let k = 0;
+    for (let length = 1; length <= 16; length++) {
+        valuePointer[length] = k;
+        minCode[length] = code;
+        code += counts[length - 1];
+        k += counts[length - 1];
+        if (counts[length - 1] > 0) maxCode[length] = code - 1;
+        code <<= 1;
+    }
+
+    return { maxCode, minCode, valuePointer, symbols };
+}
+
+function decodeJPEG(bytes) {
+    const quantTables = [];
+    const huffmanTables = { dc: [], ac: [] };
+    let frame = null;
+    let restartInterval = 0;
+    let lumaPlane = null;
+
+    let offset = 2;
+    while (offset < bytes.length) {
+        if (bytes[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        offset += 2;
+
+        // Fill bytes and markers without a payload
+        if (marker === 0xff) {
+            offset--;
+            continue;
+        }
+        if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) continue;
+        if (marker === 0xd9) break;
+
+        const length = (bytes[offset] << 8) | bytes[offset + 1];
+        const segment = bytes.subarray(offset + 2, offset + length);
+
+        if (marker === 0xdb) {
+            // DQT: one or more quantization tables (stored in zigzag order)
+            for (let p = 0; p < segment.length;) {
+                const precision = segment[p] >> 4;
+                const id = segment[p] & 15;
+                const table = new Int32Array(64);
+                p++;
+                for (let i = 0; i < 64; i++) {
+                    table[i] = precision ? (segment[p] << 8) | segment[p + 1] : segment[p];
+                    p += precision ? 2 : 1;
+                }
+                quantTables[id] = table;
+            }
+        } else if (marker === 0xc4) {
+            // DHT: one or more Huffman tables
+            for (let p = 0; p < segment.length;) {
+                const tableClass = segment[p] >> 4;
+                const id = segment[p] & 15;
+                const counts = segment.subarray(p + 1, p + 17);
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const symbols = segment.subarray(p + 17, p + 17 + total);
+                (tableClass === 0 ? huffmanTables.dc : huffmanTables.ac)[id] = buildHuffmanTable(counts, symbols);
+                p += 17 + total;
+            }
+        } else if (marker === 0xdd) {
+            restartInterval = (segment[0] << 8) | segment[1];
+        } else if (marker === 0xc0 || marker === 0xc1) {
+            frame = parseJPEGFrame(segment);
+        } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            throw new UnsupportedImageError('Only baseline JPEG images can be decoded (progressive or lossless found)');
+        } else if (marker === 0xda) {
+            if (!frame) {
+                throw new UnsupportedImageError('Invalid JPEG: scan before frame header');
+            }
+            const scanEnd = decodeJPEGScan(bytes, offset + length, segment, frame, quantTables, huffmanTables, restartInterval);
+            lumaPlane = frame.components[0];
+            offset = scanEnd;
+            continue;
+        }
+
+        offset += length;
+    }
+
+    if (!frame || !lumaPlane || !lumaPlane.pixels) {
+        throw new UnsupportedImageError('Invalid JPEG: no image data');
+    }
+
+    return { width: frame.width, height: frame.height, channels: 1, data: extractLuma(frame) };
+}
+
+function parseJPEGFrame(segment) {
+    const height = (segment[1] << 8) | segment[2];
+    const width = (segment[3] << 8) | segment[4];
+    const count = segment[5];
+    if (width === 0 || height === 0) {
+        throw new UnsupportedImageError('Invalid JPEG: missing dimensions');
+    }
+    if (count !== 1 && count !== 3) {
+        throw new UnsupportedImageError(`Unsupported JPEG with ${count} color components`);
+    }
+
+    const components = [];
+    for (let i = 0; i < count; i++) {
+        const p = 6 + i * 3;
+        components.push({
+            id: segment[p],
+            h: segment[p + 1] >> 4,
+            v: segment[p + 1] & 15,
+            quantId: segment[p + 2]
+        });
+    }
+
+    const maxH = Math.max(...components.map(c => c.h));
+    const maxV = Math.max(...components.map(c => c.v));
+    const mcusX = Math.ceil(width / (8 * maxH));
+    const mcusY = Math.ceil(height / (8 * maxV));
+
+    for (const component of components) {
+        component.blocksPerLine = mcusX * component.h;
+        component.blocksPerColumn = mcusY * component.v;
+        component.pred = 0;
+    }
+
+    // Only the first (luminance) component is reconstructed
+    const luma = components[0];
+    luma.pixels = new Uint8Array(luma.blocksPerLine * 8 * luma.blocksPerColumn * 8);
+
+    return { width, height, components, maxH, maxV, mcusX, mcusY };
+}
+
+// Decode one entropy-coded scan; returns the offset of the marker that follows it
+function decodeJPEGScan(bytes, start, header, frame, quantTables, huffmanTables, restartInterval) {
+    const scanComponents = [];
+    for (let i = 0; i < header[0]; i++) {
+        const component = frame.components.find(c => c.id === header[1 + i * 2]);
+        if (!component) {
+            throw new UnsupportedImageError('Invalid JPEG: scan references an unknown component');
+        }
+        component.dcTable = huffmanTables.dc[header[2 + i * 2] >> 4];
+        component.acTable = huffmanTables.ac[header[2 + i * 2] & 15];
+        component.pred = 0;
+        if (!component.dcTable || !component.acTable) {
+            throw new UnsupportedImageError('Invalid JPEG: missing Huffman table');
+        }
+        scanComponents.push(component);
+    }
+
+    let position = start;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const readBit = () => {
+        if (bitCount === 0) {
+            let byte = 0;
+            if (position < bytes.length) {
+                byte = bytes[position];
+                if (byte === 0xff) {
+                    const next = bytes[position + 1];
+                    if (next === 0) {
+                        position += 2;
+                    } else {
+                        // A marker: feed zeros without consuming it
+                        byte = 0;
+                    }
+                } else {
+                    position++;
+                }
+            }
+            bitBuffer = byte;
+            bitCount = 8;
+        }
+        bitCount--;
+        return (bitBuffer >> bitCount) & 1;
+    };
+
+    const receive = (length) => {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+        return value;
+    };
+
+    const receiveExtend = (length) => {
+        if (length === 0) return 0;
+        const value = receive(length);
+        return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+    };
+
+    const decodeHuffman = (table) => {
+        let code = readBit();
+        let length = 1;
+        while (length <= 16 && code > table.maxCode[length]) {
+            code = (code << 1) | readBit();
+            length++;
+        }
+        if (length > 16) {
+            throw new UnsupportedImageError('Invalid JPEG: bad Huffman code');
+        }
+        return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+    };
+
+    const coefficients = new Float32Array(64);
+    const decodeBlock = (component, blockRow, blockCol) => {
+        const quant = quantTables[component.quantId];
+        if (!quant) {
+            throw new UnsupportedImageError('Invalid JPEG: missing quantization table');
+        }
+        const reconstruct = component === frame.components[0];
+        coefficients.fill(0);
+
+        component.pred += receiveExtend(decodeHuffman(component.dcTable));
+        coefficients[0] = component.pred * quant[0];
+
+        for (let k = 1; k < 64;) {
+            const rs = decodeHuffman(component.acTable);
+            const run = rs >> 4;
+            const size = rs & 15;
+            if (size === 0) {
+                if (run !== 15) break;
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[ZIGZAG[k]] = receiveExtend(size) * quant[k];
+            k++;
+        }
+
+        if (reconstruct && blockRow < component.blocksPerColumn && blockCol < component.blocksPerLine) {
+            writeIDCTBlock(coefficients, component, blockRow, blockCol);
+        }
+    };
+
+    const resetForRestart = () => {
+        bitCount = 0;
+        for (const component of scanComponents) component.pred = 0;
+        // Skip to just past the RSTn marker
+        while (position < bytes.length - 1 && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+            position++;
+        }
+        position += 2;
+    };
+
+    if (scanComponents.length === 1) {
+        // Non-interleaved scan: blocks of a single component in raster order
+        const component = scanComponents[0];
+        const blocksWide = Math.ceil(Math.ceil((frame.width * component.h) / frame.maxH) / 8);
+        const blocksHigh = Math.ceil(Math.ceil((frame.height * component.v) / frame.maxV) / 8);
+        let decoded = 0;
+        for (let row = 0; row < blocksHigh; row++) {
+            for (let col = 0; col < blocksWide; col++) {
+                if (restartInterval && decoded > 0 && decoded % restartInterval === 0) resetForRestart();
+                decodeBlock(component, row, col);
+                decoded++;
+            }
+        }
+    } else {
+        const totalMcus = frame.mcusX * frame.mcusY;
+        for (let mcu = 0; mcu < totalMcus; mcu++) {
+            if (restartInterval && mcu > 0 && mcu % restartInterval === 0) resetForRestart();
+            const mcuRow = Math.floor(mcu / frame.mcusX);
+            const mcuCol = mcu % frame.mcusX;
+            for (const component of scanComponents) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, mcuRow * component.v + v, mcuCol * component.h + h);
+                    }
+                }
+            }
+        }
+    }
+
+    // The scan ends at the next marker that is not a restart marker
+    while (position < bytes.length - 1) {
+        if (bytes[position] === 0xff && bytes[position + 1] !== 0 && !(bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+            break;
+        }
+        position++;
+    }
+    return position;
+}
+
+// Inverse DCT of one block into the component's pixel plane
+function writeIDCTBlock(coefficients, component, blockRow, blockCol) {
+    const temp = new Float32Array(64);
+    // Rows: temp[v * 8 + x] = sum over u
+    for (let v = 0; v < 8; v++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let u = 0; u < 8; u++) sum += IDCT_TABLE[x * 8 + u] * coefficients[v * 8 + u];
+            temp[v * 8 + x] = sum;
+        }
+    }
+
+    const lineWidth = component.blocksPerLine * 8;
+    for (let y = 0; y < 8; y++) {
+        const rowStart = (blockRow * 8 + y) * lineWidth + blockCol * 8;
+        for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) sum += IDCT_TABLE[y * 8 + v] * temp[v * 8 + x];
+            const value = Math.round(sum + 128);
+            component.pixels[rowStart + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+    }
+}
+
+// Crop (and upsample, if luminance is subsampled) the luminance plane to the image size
+function extractLuma(frame) {
+    const luma = frame.components[0];
+    const lineWidth = luma.blocksPerLine * 8;
+    const output = new Uint8Array(frame.width * frame.height);
+
+    for (let y = 0; y < frame.height; y++) {
+        const sourceY = Math.floor((y * luma.v) / frame.maxV);
+        for (let x = 0; x < frame.width; x++) {
+            const sourceX = Math.floor((x * luma.h) / frame.maxH);
+            output[y * frame.width + x] = luma.pixels[sourceY * lineWidth + sourceX];
+        }
+    }
+    return output;
+}
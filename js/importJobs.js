@@ -0,0 +1,235 @@
+// importJobs.js - Bulk import jobs: adopt orphan files (files in images/ and videos/ without a
+// media record) or import every media file of a folder on the server. Jobs run one at a time in
+// the background and report their progress and a per-file error list (GET /api/import-jobs/:id).
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import serverDB, { requestError } from './serverDatabase.js';
+import { importServerFile, isImportableFile } from './mediaIngest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+// Folders whose files are adopted in place instead of copied
+const LIBRARY_FOLDERS = ['images', 'videos'].map(folder => path.join(PROJECT_ROOT, folder));
+
+// Files this recent may be uploads that are still being added
+const RECENT_UPLOAD_MS = 60 * 1000;
+
+// Finished jobs kept for GET /api/import-jobs (jobs live in memory until the server restarts)
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+let nextJobId = 1;
+// Jobs run one at a time
+let jobQueue = Promise.resolve();
+
+function isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Path with forward slashes relative to the gallery folder, as stored in media.server_path
+function toStoredPath(fullPath) {
+    return path.relative(PROJECT_ROOT, fullPath).split(path.sep).join('/');
+}
+
+// Media files below a folder, hidden folders skipped
+function listMediaFiles(folder, recursive) {
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive && !entry.name.startsWith('.')) walk(fullPath);
+            } else if (entry.isFile() && isImportableFile(entry.name)) {
+                files.push(fullPath);
+            }
+        }
+    };
+    walk(folder);
+    return files.sort();
+}
+
+// Files of library folders that have no media record
+async function findOrphans(folders, recursive = true) {
+    const storedPaths = await serverDB.getStoredServerPaths();
+    return folders
+        .filter(folder => fs.existsSync(folder))
+        .flatMap(folder => listMediaFiles(folder, recursive))
+        .filter(fullPath => !storedPaths.has(toStoredPath(fullPath)) &&
+            Date.now() - fs.statSync(fullPath).mtimeMs > RECENT_UPLOAD_MS);
+}
+
+// Resolve the folder of a folder import: any existing directory outside the gallery folder, or a
+// folder inside images/ or videos/ (whose files without a record are then adopted in place)
+function resolveImportFolder(folderPath) {
+    if (!folderPath || typeof folderPath !== 'string') {
+        throw requestError('Folder path is required', 400);
+    }
+
+    const resolved = path.resolve(PROJECT_ROOT, folderPath.trim());
+    let stats;
+    try {
+        stats = fs.statSync(resolved);
+    } catch (error) {
+        throw requestError(`Folder not found: ${resolved}`, 400);
+    }
+    if (!stats.isDirectory()) {
+        throw requestError(`Not a folder: ${resolved}`, 400);
+    }
+
+    const inLibrary = LIBRARY_FOLDERS.some(folder => isInside(folder, resolved));
+    if (!inLibrary && (isInside(PROJECT_ROOT, resolved) || isInside(resolved, PROJECT_ROOT))) {
+        throw requestError('Only images/, videos/ and folders outside the gallery folder can be imported', 400);
+    }
+    return { folder: resolved, inLibrary };
+}
+
+// What the API reports about a job
+function describeJob(job) {
+    const { cancelRequested, ...state } = job;
+    return { ...state, errors: [...job.errors] };
+}
+
+function forgetOldJobs() {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+        jobs.delete(job.id);
+    }
+}
+
+async function runJob(job, listFiles) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`📥 Import job ${job.id} started (${job.source === 'orphans' ? 'orphan files' : job.path})`);
+
+    try {
+        const files = await listFiles();
+        job.total = files.length;
+
+        for (const file of files) {
+            if (job.cancelRequested) break;
+
+            job.currentFile = file.displayPath;
+            try {
+                const { media, duplicateOf } = await importServerFile(file.sourcePath, { storedPath: file.storedPath });
+                if (duplicateOf) {
+                    job.duplicates++;
+                } else {
+                    job.imported++;
+                    job.mediaIds.push(media.id);
+                }
+            } catch (error) {
+                console.error(`❌ Import job ${job.id}: could not import ${file.displayPath}:`, error.message);
+                job.failed++;
+                job.errors.push({ file: file.displayPath, error: error.message });
+            }
+            job.processed++;
+        }
+
+        job.status = job.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+        console.error(`❌ Import job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+    }
+
+    job.currentFile = null;
+    job.finishedAt = new Date().toISOString();
+    console.log(`📥 Import job ${job.id} ${job.status}: ${job.imported} imported, ${job.duplicates} duplicates, ${job.failed} failed`);
+    forgetOldJobs();
+}
+
+function queueJob(fields, listFiles) {
+    const job = {
+        id: nextJobId++,
+        ...fields,
+        status: 'queued',
+        total: null,
+        processed: 0,
+        imported: 0,
+        duplicates: 0,
+        failed: 0,
+        currentFile: null,
+        mediaIds: [],
+        errors: [],
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        cancelRequested: false
+    };
+    jobs.set(job.id, job);
+
+    jobQueue = jobQueue.then(() => runJob(job, listFiles));
+    return describeJob(job);
+}
+
+/**
+ * Start a job that creates media records for orphan files
+ * @param {string[]} [files] - Only these orphans (stored paths like "images/2025-07-23/a.png");
+ *   all orphans in images/ and videos/ when omitted
+ * @returns {Object} The queued job
+ */
+export function startOrphanImport(files = null) {
+    const wanted = Array.isArray(files)
+        ? new Set(files.map(file => String(file).replace(/\\/g, '/').replace(/^\/+/, '')))
+        : null;
+
+    return queueJob({ source: 'orphans', path: null, recursive: true }, async () => {
+        const orphans = await findOrphans(LIBRARY_FOLDERS);
+        return orphans
+            .map(fullPath => ({ sourcePath: fullPath, storedPath: fullPath, displayPath: toStoredPath(fullPath) }))
+            .filter(file => !wanted || wanted.has(file.displayPath));
+    });
+}
+
+/**
+ * Start a job that imports the media files of a server folder. Files outside the gallery folder
+ * are copied into images|videos/YYYY-MM-DD/ (keep them in place with a 'reference' watch folder
+ * instead); files inside images/ or videos/ without a record are adopted where they are.
+ * @param {string} folderPath - Absolute path, or relative to the gallery folder
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=true] - Include subfolders
+ * @returns {Object} The queued job
+ */
+export function startFolderImport(folderPath, { recursive = true } = {}) {
+    const { folder, inLibrary } = resolveImportFolder(folderPath);
+    recursive = recursive !== false && recursive !== 'false';
+
+    return queueJob({ source: 'folder', path: folder, recursive }, async () => {
+        if (inLibrary) {
+            return (await findOrphans([folder], recursive))
+                .map(fullPath => ({ sourcePath: fullPath, storedPath: fullPath, displayPath: toStoredPath(fullPath) }));
+        }
+        return listMediaFiles(folder, recursive)
+            .map(fullPath => ({ sourcePath: fullPath, storedPath: null, displayPath: path.relative(folder, fullPath) }));
+    });
+}
+
+// A job's progress and errors, or null when it does not exist (or was forgotten)
+export function getImportJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? describeJob(job) : null;
+}
+
+// Known jobs, newest first
+export function listImportJobs() {
+    return [...jobs.values()].reverse().map(describeJob);
+}
+
+/**
+ * Stop a job after the file it is importing (queued jobs do not start)
+ * @returns {Object|null} The job, null when it does not exist
+ */
+export function cancelImportJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    if (!job.finishedAt) {
+        job.cancelRequested = true;
+    }
+    return describeJob(job);
+}
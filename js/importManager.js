@@ -0,0 +1,163 @@
+// importManager.js - Import view: adopt orphan files or import a folder on the server as gallery
+// items (server-side import jobs, see importJobs.js), with progress and a per-file error list
+
+import { database } from './clientDatabase.js';
+import { showNotification, showSideView, closeSideView } from './utils.js';
+
+const POLL_INTERVAL_MS = 1000;
+
+let activeJobId = null;
+
+function plural(count, word) {
+    return `${count} ${word}${count !== 1 ? 's' : ''}`;
+}
+
+// "12 of 40 · 10 added · 1 duplicate · 1 failed"
+function describeCounts(job) {
+    const parts = [job.total === null ? 'Listing files…' : `${job.processed} of ${job.total}`];
+    if (job.imported > 0) parts.push(`${job.imported} added`);
+    if (job.duplicates > 0) parts.push(plural(job.duplicates, 'duplicate'));
+    if (job.failed > 0) parts.push(`${job.failed} failed`);
+    return parts.join(' · ');
+}
+
+function renderJob(job) {
+    const progress = document.getElementById('importProgress');
+    const bar = document.getElementById('importProgressBar');
+    const text = document.getElementById('importProgressText');
+    const cancelButton = document.getElementById('cancelImport');
+    const errorList = document.getElementById('importErrors');
+
+    progress.style.display = '';
+    bar.max = Math.max(1, job.total || 0);
+    bar.value = job.total ? job.processed : 0;
+
+    const source = job.source === 'orphans' ? 'Orphan files' : job.path;
+    if (!job.finishedAt) {
+        text.textContent = `${source}: ${describeCounts(job)}${job.currentFile ? ` — ${job.currentFile}` : ''}`;
+    } else if (job.status === 'failed') {
+        text.textContent = `${source}: import failed (${job.error})`;
+    } else {
+        text.textContent = `${source}: ${job.status === 'cancelled' ? 'cancelled' : 'done'} — ${describeCounts(job)}`;
+    }
+    cancelButton.style.display = job.finishedAt ? 'none' : '';
+
+    errorList.innerHTML = '';
+    for (const { file, error } of job.errors) {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = file;
+        item.append(name, `: ${error}`);
+        errorList.appendChild(item);
+    }
+}
+
+function setSourcesDisabled(disabled) {
+    for (const id of ['importOrphans', 'importFolder']) {
+        document.getElementById(id).disabled = disabled;
+    }
+}
+
+function finishJob(job) {
+    activeJobId = null;
+    setSourcesDisabled(false);
+
+    if (job.status === 'failed') {
+        showNotification('Import failed: ' + job.error, 'error');
+    } else {
+        showNotification(
+            `Import ${job.status === 'cancelled' ? 'cancelled' : 'finished'}: ${job.imported} added, ` +
+            `${plural(job.duplicates, 'duplicate')} skipped, ${job.failed} failed`,
+            job.failed > 0 ? 'error' : 'success'
+        );
+    }
+
+    if (job.imported > 0) {
+        window.dispatchEvent(new CustomEvent('mediaUpdated'));
+    }
+}
+
+// Poll the running job until it finishes (also while the view is closed)
+async function pollJob() {
+    if (activeJobId === null) return;
+
+    try {
+        const job = await database.getImportJob(activeJobId);
+        renderJob(job);
+        if (job.finishedAt) {
+            finishJob(job);
+            return;
+        }
+    } catch (error) {
+        console.error('Error fetching import progress:', error);
+    }
+    setTimeout(pollJob, POLL_INTERVAL_MS);
+}
+
+async function startImport(options) {
+    if (activeJobId !== null) return;
+
+    try {
+        setSourcesDisabled(true);
+        const job = await database.startImportJob(options);
+        activeJobId = job.id;
+        renderJob(job);
+        setTimeout(pollJob, POLL_INTERVAL_MS);
+    } catch (error) {
+        setSourcesDisabled(false);
+        console.error('Error starting import:', error);
+        showNotification('Error starting import: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Open the import view and create gallery items for orphan files
+ * @param {string[]} [files] - Web paths of the orphans (e.g. "/images/2025-07-23/a.png"); all when omitted
+ */
+export async function adoptOrphanFiles(files) {
+    openImportView();
+    await startImport({ source: 'orphans', files });
+}
+
+async function importFolder() {
+    const pathInput = document.getElementById('importFolderPath');
+    const folderPath = pathInput.value.trim();
+    if (!folderPath) {
+        showNotification('Enter the path of a folder on the server', 'error');
+        pathInput.focus();
+        return;
+    }
+
+    await startImport({ path: folderPath, recursive: document.getElementById('importRecursive').checked });
+}
+
+export function openImportView() {
+    showSideView('importView');
+}
+
+export function closeImportView() {
+    closeSideView('importView');
+}
+
+async function cancelImport() {
+    if (activeJobId === null) return;
+
+    try {
+        renderJob(await database.cancelImportJob(activeJobId));
+    } catch (error) {
+        console.error('Error cancelling import:', error);
+        showNotification('Error cancelling import: ' + error.message, 'error');
+    }
+}
+
+// Wire up the Import button and the import view; call once at startup
+export function setupImportView() {
+    document.getElementById('openImport')?.addEventListener('click', openImportView);
+    document.getElementById('closeImport')?.addEventListener('click', closeImportView);
+    document.getElementById('importOrphans')?.addEventListener('click', () => startImport({ source: 'orphans' }));
+    document.getElementById('importFolder')?.addEventListener('click', importFolder);
+    document.getElementById('cancelImport')?.addEventListener('click', cancelImport);
+    document.getElementById('importFolderPath')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') importFolder();
+    });
+}
@@ -2,6 +2,7 @@ import { showNotification } from './utils.js';
 import { generateIntegrityReport, cleanupOrphanFiles } from './orphanFileManager.js';
 import { cleanupDatabaseStorage, isCleanupNeeded, getStorageStats } from './databaseCleanup.js';
 import { database } from './clientDatabase.js';
+import { adoptOrphanFiles } from './importManager.js';
 
 // Handle orphan file cleanup
 export async function handleOrphanCleanup() {
@@ -17,16 +18,22 @@ export async function handleOrphanCleanup() {
         
         const message = `🗑️ Orphan File Cleanup Report\n\n` +
             `Found ${report.orphanCount} orphan files on server without database records.\n` +
-            `These files are taking up space and should be cleaned up.\n\n` +
+            `They can be added to the gallery or deleted to free up space.\n\n` +
             `📊 System Status:\n` +
             `• Server Files: ${report.serverFiles}\n` +
             `• Database Records: ${report.databaseRecords}\n` +
             `• Orphan Files: ${report.orphanCount}\n` +
             `• Missing Files: ${report.missingCount}\n` +
             `• Integrity Score: ${report.integrityScore}%\n\n` +
-            `Would you like to delete these orphan files?`;
+            `Would you like to add these files to the gallery?\n` +
+            `(Cancel to choose whether to delete them instead.)`;
         
         if (confirm(message)) {
+            await adoptOrphanFiles(report.orphanFiles.map(file => file.path));
+            return;
+        }
+        
+        if (confirm(`Delete the ${report.orphanCount} orphan files instead? This cannot be undone.`)) {
             showNotification('🧹 Cleaning up orphan files...', 'info');
             
             const cleanupResult = await cleanupOrphanFiles(report.orphanFiles);
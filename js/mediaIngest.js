@@ -0,0 +1,256 @@
+// mediaIngest.js - Server-side ingestion of uploaded files (POST /upload): runs the metadata
+// parsers on the stored file, probes its dimensions, builds the thumbnail and inserts the media
+// row, so any HTTP client can add media with a single multipart request.
+// Files already on the server (watch folders, import jobs) go through importServerFile().
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import serverDB from './serverDatabase.js';
+import { extractEmbeddedTextChunks } from './parsers/metadataExtractor.js';
+import { extractVideoTextChunks } from './parsers/videoMetadataExtractor.js';
+import { extractAIInfo } from './parsers/parserRegistry.js';
+import { detectAnimation, getAnimationMetadata } from './animationDetector.js';
+import { readImageSize } from './imageDecoder.js';
+import { createImageThumbnail, createVideoThumbnail, probeVideo } from './serverThumbnails.js';
+import { hashFile } from './contentHash.js';
+import { updatePerceptualHash } from './similarMedia.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, '..');
+
+// File extension -> MIME type of the media files imported from server folders
+const MEDIA_MIME_TYPES = {
+    '.png': 'image/png',
+    '.apng': 'image/apng',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    '.avi': 'video/x-msvideo'
+};
+
+// Partial downloads and editor temp files are never imported
+const TEMPORARY_FILE_PATTERN = /\.(tmp|part|crdownload)$|^~/i;
+
+// Parsers only read the file name from the file object
+function describeFile(file) {
+    return { name: file.originalname, size: file.size, type: file.mimetype };
+}
+
+function toDate(lastModified) {
+    const date = lastModified ? new Date(Number(lastModified) || lastModified) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+// Image: embedded text chunks, parser output, animation and pixel size
+async function extractImage(file) {
+    const bytes = await fs.promises.readFile(file.path);
+
+    const textChunks = await extractEmbeddedTextChunks(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length));
+    const parsed = await extractAIInfo(describeFile(file), textChunks);
+    console.log('Processing image:', file.originalname, 'Parser:', parsed.parserId || 'none');
+
+    const animation = detectAnimation(bytes);
+    if (animation) {
+        console.log(`🎞️ Animated ${animation.format}: ${animation.frameCount} frames, ${animation.duration}s`);
+    }
+
+    const size = readImageSize(bytes) || { width: null, height: null };
+    return {
+        aiInfo: parsed.aiInfo,
+        metadata: { ...textChunks, ...getAnimationMetadata(animation), fileSize: file.size },
+        width: size.width,
+        height: size.height,
+        thumbnailData: await createImageThumbnail(file.path, bytes)
+    };
+}
+
+// Video: container tags (ComfyUI video nodes embed the workflow there), FFprobe and a poster
+async function extractVideo(file, lastModified) {
+    const blob = fs.openAsBlob
+        ? await fs.openAsBlob(file.path)
+        : new Blob([await fs.promises.readFile(file.path)]);
+    const videoChunks = await extractVideoTextChunks(blob);
+    const probe = await probeVideo(file.path) || {};
+    const modified = toDate(lastModified);
+
+    const aiInfo = {
+        title: '',
+        prompt: '',
+        model: '',
+        tags: 'Video,AI-Generated',
+        notes: `🎬 Video file\n📅 Added: ${new Date().toLocaleDateString()}\n💾 Size: ${(file.size / (1024 * 1024)).toFixed(2)} MB\n`,
+        generationParams: null
+    };
+
+    if (Object.keys(videoChunks).length > 0) {
+        const parsed = await extractAIInfo(describeFile(file), videoChunks);
+        console.log('Video metadata tags:', Object.keys(videoChunks).join(', '), 'Parser:', parsed.parserId || 'none');
+        if (parsed.parserId) {
+            Object.assign(aiInfo, {
+                title: parsed.aiInfo.title,
+                prompt: parsed.aiInfo.prompt,
+                model: parsed.aiInfo.model,
+                tags: parsed.aiInfo.tags ? `Video,${parsed.aiInfo.tags}` : aiInfo.tags,
+                notes: aiInfo.notes + parsed.aiInfo.notes,
+                generationParams: parsed.aiInfo.generationParams
+            });
+        }
+    }
+
+    return {
+        aiInfo,
+        metadata: {
+            duration: probe.duration ?? null,
+            videoWidth: probe.width ?? null,
+            videoHeight: probe.height ?? null,
+            fileSize: file.size,
+            fileName: file.originalname,
+            fileType: file.mimetype,
+            fileLastModified: modified ? modified.toISOString() : null,
+            creationDate: modified ? modified.toLocaleDateString() : 'Unknown',
+            ...videoChunks
+        },
+        width: probe.width ?? null,
+        height: probe.height ?? null,
+        thumbnailData: await createVideoThumbnail(file.path, probe.duration)
+    };
+}
+
+/**
+ * Turn a file stored by multer into a media item
+ * @param {Object} file - multer file (path, originalname, mimetype, size)
+ * @param {Object} [options]
+ * @param {string} [options.contentHash] - SHA-256 of the file (see contentHash.js)
+ * @param {number|string} [options.lastModified] - The original file's modification time (ms or ISO date)
+ * @returns {Promise<Object>} The created media record, as returned by GET /api/media/:id
+ */
+export async function ingestUploadedFile(file, { contentHash = null, lastModified = null } = {}) {
+    const isVideo = file.mimetype.startsWith('video/');
+    const extracted = isVideo ? await extractVideo(file, lastModified) : await extractImage(file);
+    const { aiInfo } = extracted;
+
+    const media = {
+        title: aiInfo.title || file.originalname.replace(/\.[^/.]+$/, ''),
+        prompt: aiInfo.prompt || '',
+        model: aiInfo.model || '',
+        tags: aiInfo.tags || '',
+        notes: aiInfo.notes || '',
+        generationParams: aiInfo.generationParams || null,
+        dateAdded: new Date().toISOString(),
+        imageData: '',
+        metadata: extracted.metadata,
+        serverPath: path.relative(ROOT_DIR, file.path),
+        contentHash,
+        mediaType: isVideo ? 'video' : 'image',
+        thumbnailData: extracted.thumbnailData,
+        thumbnailPosition: { x: 50, y: 25 }, // TOP-ALIGNED: 25% from top instead of 50% center
+        width: extracted.width,
+        height: extracted.height
+    };
+
+    // Row, tags, generation parameters and the full workflow are stored together or not at all
+    const mediaId = await serverDB.withTransaction(() => serverDB.addMedia(media));
+    return serverDB.getMediaById(mediaId);
+}
+
+/**
+ * MIME type of a media file from its extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} null for files the gallery does not import
+ */
+export function getMediaMimeType(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    return Object.hasOwn(MEDIA_MIME_TYPES, ext) ? MEDIA_MIME_TYPES[ext] : null;
+}
+
+/**
+ * Whether a file found in a server folder should be imported (media, not hidden or temporary)
+ * @param {string} fileName - File name without the folder
+ * @returns {boolean}
+ */
+export function isImportableFile(fileName) {
+    return !fileName.startsWith('.') && !TEMPORARY_FILE_PATTERN.test(fileName) && getMediaMimeType(fileName) !== null;
+}
+
+// Date folder (YYYY-MM-DD, server's local timezone) that uploads go into
+function getLocalDateFolder() {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date());
+}
+
+/**
+ * Where a new file goes in the gallery: images|videos/YYYY-MM-DD/<timestamp>_<name>, like uploads
+ * @param {string} originalName - The file's original name
+ * @param {string} mimetype - Its MIME type (video/* files go into videos/)
+ * @returns {string} Full path; the date folder is created
+ */
+export function createLibraryPath(originalName, mimetype) {
+    const mediaFolder = mimetype.startsWith('video/') ? 'videos' : 'images';
+    const targetDir = path.join(ROOT_DIR, mediaFolder, getLocalDateFolder());
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    const sanitizedName = originalName.replace(/[^a-zA-Z0-9.-]/g, '_');
+    return path.join(targetDir, `${Date.now()}_${sanitizedName}`);
+}
+
+// Copy a file into images|videos/YYYY-MM-DD/ with an upload-style name
+function copyIntoLibrary(sourcePath, mimetype) {
+    const target = createLibraryPath(path.basename(sourcePath), mimetype);
+    fs.copyFileSync(sourcePath, target);
+    return target;
+}
+
+/**
+ * Import a media file that is already on the server. Files identical (same SHA-256) to an item
+ * in the gallery are not imported.
+ * @param {string} sourcePath - Full path to the file
+ * @param {Object} [options]
+ * @param {string|null} [options.storedPath] - Full path inside the gallery folder the item uses
+ *   for its file (the file itself, or a link to its folder); null copies the file into
+ *   images|videos/YYYY-MM-DD/ like an upload
+ * @returns {Promise<{media: Object|null, duplicateOf: Object|null}>} The created item, or the
+ *   existing item the file duplicates
+ */
+export async function importServerFile(sourcePath, { storedPath = null } = {}) {
+    const mimetype = getMediaMimeType(sourcePath);
+    if (!mimetype) {
+        throw new Error('Unsupported file type');
+    }
+
+    const stats = await fs.promises.stat(sourcePath);
+    const contentHash = await hashFile(sourcePath);
+    const duplicateOf = await serverDB.findMediaByContentHash(contentHash);
+    if (duplicateOf) {
+        return { media: null, duplicateOf };
+    }
+
+    const copiedPath = storedPath ? null : copyIntoLibrary(sourcePath, mimetype);
+    let media;
+    try {
+        media = await ingestUploadedFile({
+            path: storedPath || copiedPath,
+            originalname: path.basename(sourcePath),
+            mimetype,
+            size: stats.size
+        }, { contentHash, lastModified: stats.mtimeMs });
+    } catch (error) {
+        if (copiedPath) fs.rmSync(copiedPath, { force: true });
+        throw error;
+    }
+
+    // Perceptual hash for the similar-media finder
+    updatePerceptualHash(media.id).catch(error => console.error('Error hashing new media:', error));
+    return { media, duplicateOf: null };
+}
@@ -1,864 +1,235 @@
-// mediaProcessor.js - Handles file upload and metadata extraction for both images and videos
-// v2.1 - Top-aligned thumbnail defaults
-
-/**
- * Main function to process uploaded files (images and videos)
- * Determines which parser to use based on filename and uploads to server
- */
-export async function processFile(file, database) {
-    console.log('🔍 processFile called with:', file.name, 'Type:', file.type);
-    
-    const isVideo = file.type.startsWith('video/');
-    const isImage = file.type.startsWith('image/');
-    
-    if (!isVideo && !isImage) {
-        throw new Error('Unsupported file type. Only images and MP4 videos are supported.');
-    }
-    
-    let aiInfo = {};
-    let metadata = {};
-    let thumbnailData = null;
-    
-    if (isVideo) {
-        // Handle video files
-        console.log('Processing video:', file.name);
-        aiInfo = extractVideoInfo(file);
-        metadata = await extractVideoMetadata(file);
-        thumbnailData = await generateVideoThumbnail(file);
-    } else {
-        // Handle image files
-        const arrayBuffer = await file.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        // Check if this is a ChatGPT image (filename starts with "ChatGPT")
-        const isChatGPTImage = file.name.startsWith('ChatGPT');
-        
-        if (isChatGPTImage) {
-            console.log('Processing ChatGPT image:', file.name);
-            const pngTextChunks = extractPNGTextChunks(uint8Array);
-            aiInfo = extractChatGPTInfo(pngTextChunks);
-            metadata = pngTextChunks;
-        } else {
-            console.log('Processing regular image:', file.name);
-            const pngTextChunks = extractPNGTextChunks(uint8Array);
-            aiInfo = extractComfyUIInfo(pngTextChunks);
-            metadata = pngTextChunks;
-        }
-    }
-    
-    console.log('🔍 About to try server upload...');
-    
-    try {
-        // STEP 1: Upload file to server (for backup in images/videos folder)
-        console.log('Attempting to upload to server:', file.name);
-        const serverUploadResult = await uploadFileToServer(file);
-        console.log('✅ Server upload successful:', serverUploadResult);
-        
-        // STEP 2: Store in Database (metadata only, no full image data for server-uploaded files)
-        // For videos, we don't need to read the file data since we're not storing it
-        if (isVideo) {
-            try {
-                // Optimize metadata for server transmission (same as images)
-                const optimizedMetadata = optimizeMetadataForServer(metadata || {});
-                
-                // Ensure we have a thumbnail - if generation failed, create a simple placeholder
-                let finalThumbnailData = thumbnailData;
-                if (!finalThumbnailData || finalThumbnailData.trim() === '') {
-                    console.warn('⚠️ No thumbnail generated for video, creating placeholder');
-                    finalThumbnailData = await createVideoPlaceholderThumbnail();
-                }
-                
-                const newMedia = {
-                    title: aiInfo.title || file.name.replace(/\.[^/.]+$/, ''),
-                    prompt: aiInfo.prompt || '',
-                    model: aiInfo.model || '',
-                    tags: aiInfo.tags || '',
-                    notes: aiInfo.notes || '',
-                    dateAdded: new Date().toISOString(),
-                    imageData: '', // Don't store full video data
-                    metadata: optimizedMetadata,
-                    serverPath: serverUploadResult.relativePath || null,
-                    mediaType: 'video',
-                    thumbnailData: finalThumbnailData,
-                    thumbnailPosition: { x: 50, y: 25 } // TOP-ALIGNED: 25% from top instead of 50% center
-                };
-
-                console.log('🎬 Video media object prepared:', {
-                    title: newMedia.title,
-                    hasThumbnail: !!newMedia.thumbnailData,
-                    thumbnailLength: newMedia.thumbnailData ? newMedia.thumbnailData.length : 0,
-                    serverPath: newMedia.serverPath
-                });
-
-                // CRITICAL: Try to add to database, rollback server file if it fails
-                const mediaId = await database.addMedia(newMedia);
-                console.log('✅ Database entry created successfully');
-                return { 
-                    success: true, 
-                    imageId: mediaId, 
-                    imageData: newMedia,
-                    serverUpload: serverUploadResult 
-                };
-            } catch (dbError) {
-                console.error('❌ Database operation failed, rolling back server file:', dbError);
-                console.error('❌ Database error details:', dbError.message, dbError.stack);
-                
-                // Rollback: Delete the uploaded file from server
-                try {
-                    await deleteServerFile(serverUploadResult.relativePath);
-                    console.log('✅ Server file rolled back successfully');
-                } catch (deleteError) {
-                    console.error('❌ Failed to rollback server file:', deleteError);
-                }
-                
-                throw new Error(`Database operation failed: ${dbError.message}. Server file has been cleaned up.`);
-            }
-        } else {
-            // For images, read the file data
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = async (e) => {
-                    try {
-                        const mediaData = e.target.result;
-                        
-                        // Create a small thumbnail for images
-                        const finalThumbnailData = await createSmallThumbnail(mediaData, mediaData);
-                        
-                        // Add original file size to metadata for images
-                        const imageMetadata = { ...metadata, fileSize: file.size };
-
-                        const newMedia = {
-                            title: aiInfo.title || file.name.replace(/\.[^/.]+$/, ''),
-                            prompt: aiInfo.prompt || '',
-                            model: aiInfo.model || '',
-                            tags: aiInfo.tags || '',
-                            notes: aiInfo.notes || '',
-                            dateAdded: new Date().toISOString(),
-                            imageData: '', // Don't store full image data when server upload succeeds
-                            metadata: optimizeMetadataForServer(imageMetadata), // Optimize metadata for server transmission
-                            serverPath: serverUploadResult.relativePath || null,
-                            mediaType: 'image',
-                            thumbnailData: finalThumbnailData, // Store thumbnail data
-                            thumbnailPosition: { x: 50, y: 25 } // TOP-ALIGNED: 25% from top instead of 50% center
-                        };
-
-                        // CRITICAL: Try to add to database, rollback server file if it fails
-                        try {
-                            const mediaId = await database.addMedia(newMedia);
-                            console.log('✅ Database entry created successfully');
-                            resolve({ 
-                                success: true, 
-                                imageId: mediaId, 
-                                imageData: newMedia,
-                                serverUpload: serverUploadResult 
-                            });
-                        } catch (dbError) {
-                            console.error('❌ Database operation failed, rolling back server file:', dbError);
-                            
-                            // Rollback: Delete the uploaded file from server
-                            try {
-                                await deleteServerFile(serverUploadResult.relativePath);
-                                console.log('✅ Server file rolled back successfully');
-                            } catch (deleteError) {
-                                console.error('❌ Failed to rollback server file:', deleteError);
-                            }
-                            
-                            reject(new Error(`Database operation failed: ${dbError.message}. Server file has been cleaned up.`));
-                        }
-                    } catch (error) {
-                        // If any other error occurs, also try to rollback server file
-                        console.error('❌ Processing error, rolling back server file:', error);
-                        try {
-                            await deleteServerFile(serverUploadResult.relativePath);
-                            console.log('✅ Server file rolled back after processing error');
-                        } catch (deleteError) {
-                            console.error('❌ Failed to rollback server file after processing error:', deleteError);
-                        }
-                        reject(error);
-                    }
-                };
-                
-                reader.onerror = () => {
-                    // Also rollback on file read error
-                    deleteServerFile(serverUploadResult.relativePath).catch(console.error);
-                    reject(new Error('Failed to read file'));
-                };
-                reader.readAsDataURL(file);
-            });
-        }
-    } catch (serverError) {
-        console.error('❌ Server upload failed:', serverError);
-        console.error('Error details:', serverError.message);
-        // Continue with IndexedDB storage even if server upload fails
-        const reader = new FileReader();
-        return new Promise((resolve, reject) => {
-            reader.onload = async (e) => {
-                try {
-                    const mediaData = e.target.result;
-                    
-                    // Add original file size to metadata for images, even if server upload fails
-                    const imageMetadata = { ...metadata, fileSize: file.size };
-
-                    const newMedia = {
-                        title: aiInfo.title || file.name.replace(/\.[^/.]+$/, ''),
-                        prompt: aiInfo.prompt || '',
-                        model: aiInfo.model || '',
-                        tags: aiInfo.tags || '',
-                        notes: aiInfo.notes || '',
-                        dateAdded: new Date().toISOString(),
-                        imageData: mediaData,
-                        metadata: optimizeMetadataForServer(imageMetadata), // Optimize metadata for server transmission
-                        serverPath: null,
-                        mediaType: isVideo ? 'video' : 'image',
-                        thumbnailData: thumbnailData || mediaData,
-                        thumbnailPosition: { x: 50, y: 25 } // TOP-ALIGNED: 25% from top instead of 50% center
-                    };
+// mediaProcessor.js - Uploads images and videos; the server parses their metadata, builds the
+// thumbnails and creates the media items (see mediaIngest.js). The upload queue panel
+// (uploadQueue.js) runs several uploads at a time through processFile().
+// v3.0 - Server-side ingestion
+
+import { Sha256 } from './sha256.js';
+
+// Files larger than this are sent in chunks (/api/uploads) so an interrupted upload resumes
+// instead of starting over; /upload accepts at most 100MB
+const CHUNKED_UPLOAD_THRESHOLD = 32 * 1024 * 1024;
+const CHUNK_RETRIES = 3;
+
+// What to do when an upload is identical (same SHA-256) to an item already in the gallery:
+// 'skip' discards it, 'link' discards it and opens the existing item, 'keep' stores both
+export const DUPLICATE_UPLOAD_MODES = ['skip', 'link', 'keep'];
+const DUPLICATE_MODE_STORAGE_KEY = 'duplicateUploadMode';
+
+export function getDuplicateUploadMode() {
+    const mode = localStorage.getItem(DUPLICATE_MODE_STORAGE_KEY);
+    return DUPLICATE_UPLOAD_MODES.includes(mode) ? mode : 'skip';
+}
 
-                    const mediaId = await database.addMedia(newMedia);
-                    resolve({ 
-                        success: true, 
-                        imageId: mediaId, 
-                        imageData: newMedia,
-                        serverUpload: { success: false, error: serverError.message }
-                    });
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsDataURL(file);
-        });
+export function setDuplicateUploadMode(mode) {
+    if (DUPLICATE_UPLOAD_MODES.includes(mode)) {
+        localStorage.setItem(DUPLICATE_MODE_STORAGE_KEY, mode);
     }
 }
 
 /**
- * Optimize metadata for server transmission by reducing size
- * Keeps essential information while removing large data that could cause "request entity too large" errors
+ * Upload a file (image or video) and return the media item the server created for it
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (sentBytes, totalBytes) while the file is sent
+ * @param {Function} [options.onStage] - Called with 'uploading', then 'processing' once every byte is
+ *   sent and the server parses the metadata and builds the thumbnail
+ * @param {AbortSignal} [options.signal] - Cancels the upload (rejects with an AbortError)
  */
-function optimizeMetadataForServer(metadata) {
-    if (!metadata || typeof metadata !== 'object') {
-        return {};
-    }
-    
-    const optimized = {};
+export async function processFile(file, { onProgress, onStage, signal } = {}) {
+    console.log('🔍 processFile called with:', file.name, 'Type:', file.type);
     
-    // Copy essential metadata fields with size limits
-    for (const [key, value] of Object.entries(metadata)) {
-        if (typeof value === 'string') {
-            // Limit string values to 1000 characters to prevent oversized requests
-            optimized[key] = value.length > 1000 ? value.substring(0, 1000) + '...[truncated]' : value;
-        } else if (typeof value === 'number' || typeof value === 'boolean') {
-            // Keep numbers and booleans as-is
-            optimized[key] = value;
-        } else if (value && typeof value === 'object') {
-            // For objects, only keep essential fields and limit depth
-            if (key === 'workflow' || key === 'prompt') {
-                // For large objects like workflow, create a summary instead
-                optimized[key] = `[Object with ${Object.keys(value).length} properties]`;
-            } else {
-                // For other objects, keep but limit size
-                const objStr = JSON.stringify(value);
-                if (objStr.length > 500) {
-                    optimized[key] = `[Large object - ${objStr.length} chars]`;
-                } else {
-                    optimized[key] = value;
-                }
-            }
-        }
+    if (!file.type.startsWith('video/') && !file.type.startsWith('image/')) {
+        throw new Error('Unsupported file type. Only images and MP4 videos are supported.');
     }
     
-    return optimized;
+    const duplicateMode = getDuplicateUploadMode();
+    const options = { onProgress, onStage, signal };
+    const serverUploadResult = file.size > CHUNKED_UPLOAD_THRESHOLD
+        ? await uploadFileInChunks(file, duplicateMode, options)
+        : await uploadFileToServer(file, duplicateMode, options);
+    
+    // An identical file is already in the gallery and the server discarded this copy
+    if (serverUploadResult.discarded) {
+        const existing = serverUploadResult.duplicateOf;
+        console.log(`♊ ${file.name} is already in the gallery as media ID ${existing.id}`);
+        return {
+            success: true,
+            duplicate: true,
+            linked: duplicateMode === 'link',
+            imageId: existing.id,
+            duplicateOf: existing,
+            filename: file.name
+        };
+    }
+    
+    const media = serverUploadResult.media;
+    console.log(`✅ ${file.name} added as media ID ${media.id}`);
+    return {
+        success: true,
+        imageId: media.id,
+        imageData: media,
+        serverUpload: serverUploadResult
+    };
 }
 
-/**
- * Create a small thumbnail for database storage (max 200x200, high compression)
- */
-async function createSmallThumbnail(originalData, sourceData) {
-    return new Promise((resolve) => {
-        try {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                
-                // Calculate dimensions to fit within 200x200 while maintaining aspect ratio
-                const maxSize = 200;
-                let { width, height } = img;
-                
-                if (width > height) {
-                    if (width > maxSize) {
-                        height = (height * maxSize) / width;
-                        width = maxSize;
-                    }
-                } else {
-                    if (height > maxSize) {
-                        width = (width * maxSize) / height;
-                        height = maxSize;
-                    }
-                }
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                // Draw the image with high compression
-                ctx.drawImage(img, 0, 0, width, height);
-                
-                // Convert to JPEG with high compression (quality 0.3)
-                const thumbnailDataUrl = canvas.toDataURL('image/jpeg', 0.3);
-                resolve(thumbnailDataUrl);
-            };
-            
-            img.onerror = () => {
-                console.warn('Failed to create small thumbnail, using original');
-                resolve(sourceData);
-            };
-            
-            img.src = sourceData;
-        } catch (error) {
-            console.warn('Error creating small thumbnail:', error);
-            resolve(sourceData);
-        }
-    });
+function abortError() {
+    return new DOMException('Upload cancelled', 'AbortError');
 }
 
 /**
- * Generate video thumbnail from first frame (simple and reliable)
+ * Send a request with XMLHttpRequest (fetch cannot report upload progress) and parse the JSON
+ * response. Errors carry the HTTP status as `status`; cancelling rejects with an AbortError.
  */
-async function generateVideoThumbnail(videoFile) {
+function sendRequest(method, url, { body = null, headers = {}, onUploadProgress = null, onUploaded = null, signal = null } = {}) {
     return new Promise((resolve, reject) => {
-        const video = document.createElement('video');
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        video.addEventListener('loadeddata', () => {
-            // Seek to 1 second or 10% of video duration, whichever is smaller
-            const seekTime = Math.min(1, video.duration * 0.1);
-            video.currentTime = seekTime;
-        });
-
-        video.addEventListener('seeked', () => {
-            try {
-                // Set canvas to video dimensions
-                canvas.width = video.videoWidth;
-                canvas.height = video.videoHeight;
-
-                // Draw the video frame
-                ctx.drawImage(video, 0, 0, video.videoWidth, video.videoHeight);
-
-                // Convert to data URL with slightly reduced quality to prevent corruption
-                const thumbnailDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-                URL.revokeObjectURL(video.src);
-
-                // Add detailed logging for base64 data
-                console.log(`🔍 Generated video thumbnail data URL (${thumbnailDataUrl.length} chars)`);
-                console.log(`🔍 Thumbnail data preview: ${thumbnailDataUrl.substring(0, 100)}...`);
-
-                // Validate the generated thumbnail data URL
-                if (!thumbnailDataUrl.startsWith('data:image/jpeg;base64,')) {
-                    console.warn('⚠️ Invalid thumbnail data URL format');
-                    resolve(null);
-                } else {
-                    // Ensure the base64 data is not corrupted
-                    try {
-                        const base64Data = thumbnailDataUrl.split(',')[1];
-                        atob(base64Data);
-                        resolve(thumbnailDataUrl);
-                    } catch (e) {
-                        console.warn('⚠️ Corrupted base64 data detected');
-                        resolve(null);
-                    }
-                }
-            } catch (error) {
-                console.error('Error generating video thumbnail:', error);
-                URL.revokeObjectURL(video.src);
-                resolve(null);
-            }
-        });
-
-        video.addEventListener('error', (e) => {
-            console.error('Video loading error:', e);
-            URL.revokeObjectURL(video.src);
-            resolve(null);
-        });
-
-        video.src = URL.createObjectURL(videoFile);
-        video.load();
-    });
-}
-
-/**
- * Create a placeholder thumbnail for videos when thumbnail generation fails
- */
-async function createVideoPlaceholderThumbnail() {
-    return new Promise((resolve) => {
-        try {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            // Create a 200x200 placeholder
-            canvas.width = 200;
-            canvas.height = 200;
-            
-            // Fill with dark background
-            ctx.fillStyle = '#2a2a2a';
-            ctx.fillRect(0, 0, 200, 200);
-            
-            // Add video icon
-            ctx.fillStyle = '#ffffff';
-            ctx.font = '48px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText('🎬', 100, 100);
-            
-            // Add "VIDEO" text
-            ctx.font = '16px Arial';
-            ctx.fillText('VIDEO', 100, 140);
-            
-            const placeholderDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-            resolve(placeholderDataUrl);
-        } catch (error) {
-            console.warn('Error creating video placeholder:', error);
-            // Return a minimal data URL as last resort
-            resolve('data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7');
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
         }
-    });
-}
-
-/**
- * Extract basic video information
- */
-function extractVideoInfo(file) {
-    const aiInfo = {
-        title: file.name.replace(/\.[^/.]+$/, ''),
-        prompt: '',
-        model: '',
-        tags: 'Video,AI-Generated',
-        notes: `🎬 Video file\n📅 Added: ${new Date().toLocaleDateString()}\n💾 Size: ${(file.size / (1024 * 1024)).toFixed(2)} MB\n`
-    };
-    
-    return aiInfo;
-}
-
-/**
- * Extract video metadata (duration, dimensions, creation date, etc.)
- */
-async function extractVideoMetadata(videoFile) {
-    return new Promise((resolve) => {
-        const video = document.createElement('video');
         
-        video.addEventListener('loadedmetadata', () => {
-            const metadata = {
-                duration: video.duration,
-                videoWidth: video.videoWidth,
-                videoHeight: video.videoHeight,
-                fileSize: videoFile.size,
-                fileName: videoFile.name,
-                fileType: videoFile.type,
-                // Add creation date from file metadata
-                fileLastModified: videoFile.lastModified ? new Date(videoFile.lastModified).toISOString() : null,
-                creationDate: videoFile.lastModified ? new Date(videoFile.lastModified).toLocaleDateString() : 'Unknown'
-            };
-            
-            URL.revokeObjectURL(video.src);
-            resolve(metadata);
-        });
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        for (const [name, value] of Object.entries(headers)) {
+            xhr.setRequestHeader(name, value);
+        }
+        if (onUploadProgress) {
+            xhr.upload.addEventListener('progress', (e) => onUploadProgress(e.loaded, e.total));
+        }
+        if (onUploaded) {
+            xhr.upload.addEventListener('load', onUploaded);
+        }
         
-        video.addEventListener('error', () => {
-            URL.revokeObjectURL(video.src);
-            resolve({
-                fileName: videoFile.name,
-                fileSize: videoFile.size,
-                fileType: videoFile.type,
-                // Add creation date even on error
-                fileLastModified: videoFile.lastModified ? new Date(videoFile.lastModified).toISOString() : null,
-                creationDate: videoFile.lastModified ? new Date(videoFile.lastModified).toLocaleDateString() : 'Unknown'
-            });
+        const onAbort = () => xhr.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        xhr.addEventListener('loadend', () => signal?.removeEventListener('abort', onAbort));
+        
+        xhr.addEventListener('load', () => {
+            let result = {};
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (error) {
+                // Not JSON (e.g. a proxy error page)
+            }
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(result);
+                return;
+            }
+            const error = new Error(result.error || `Upload failed (${xhr.status} ${xhr.statusText})`);
+            error.status = xhr.status;
+            reject(error);
         });
+        xhr.addEventListener('error', () => reject(new Error('Network error, the server could not be reached')));
+        xhr.addEventListener('abort', () => reject(abortError()));
         
-        video.src = URL.createObjectURL(videoFile);
-        video.load();
+        xhr.send(body);
     });
 }
 
 /**
- * Upload file to server (to save in images/videos folders)
+ * Upload file to server (saved in the images/videos folders and added to the gallery)
+ * duplicateMode tells the server whether to keep a copy identical to an existing item
  */
-async function uploadFileToServer(file) {
+async function uploadFileToServer(file, duplicateMode = 'keep', { onProgress, onStage, signal } = {}) {
     console.log('📤 Starting server upload for:', file.name);
     
     const formData = new FormData();
+    // Text fields must come before the file so the server sees them when the upload finishes
+    formData.append('onDuplicate', duplicateMode);
+    formData.append('lastModified', String(file.lastModified || ''));
     formData.append('image', file); // Keep same field name for server compatibility
     
     console.log('📤 Sending POST request to /upload');
-    
-    const response = await fetch('/upload', {
-        method: 'POST',
-        body: formData
+    onStage?.('uploading');
+    
+    const result = await sendRequest('POST', '/upload', {
+        body: formData,
+        signal,
+        // The multipart body is a little larger than the file
+        onUploadProgress: (loaded, total) => onProgress?.(Math.round(file.size * loaded / (total || 1)), file.size),
+        onUploaded: () => onStage?.('processing')
     });
     
-    console.log('📤 Server response status:', response.status, response.statusText);
-    
-    if (!response.ok) {
-        const errorData = await response.json();
-        console.error('📤 Server response error:', errorData);
-        throw new Error(errorData.error || 'Upload failed');
-    }
-    
-    const result = await response.json();
     console.log('📤 Server upload complete:', result);
     return result;
 }
 
-/**
- * Delete file from server (for rollback when database operations fail)
- */
-async function deleteServerFile(relativePath) {
-    if (!relativePath) {
-        throw new Error('No file path provided for deletion');
-    }
-    
-    console.log('🗑️ Attempting to delete server file:', relativePath);
-    
-    // Normalize path separators to forward slashes
-    const normalizedPath = relativePath.replace(/\\/g, '/');
-    
-    // Parse the relative path to extract folder, date, and filename
-    // Expected format: "images/2025-07-23/filename.png" or "videos/2025-07-23/filename.mp4"
-    const pathParts = normalizedPath.split('/');
-    if (pathParts.length !== 3) {
-        throw new Error(`Invalid path format: ${normalizedPath}. Expected: folder/date/filename`);
-    }
-    
-    const [folder, date, filename] = pathParts;
-    
-    const response = await fetch(`/delete/${folder}/${date}/${filename}`, {
-        method: 'DELETE'
-    });
-    
-    console.log('🗑️ Delete response status:', response.status, response.statusText);
-    
-    if (!response.ok) {
-        const errorData = await response.json();
-        console.error('🗑️ Delete response error:', errorData);
-        throw new Error(errorData.error || 'Delete failed');
-    }
-    
-    const result = await response.json();
-    console.log('🗑️ Server file deleted successfully:', result);
-    return result;
-}
-
-/**
- * Extract PNG text chunks (tEXt, iTXt, zTXt)
- * This is where ComfyUI and other tools store metadata
- */
-function extractPNGTextChunks(uint8Array) {
-    const chunks = {};
-    
-    if (uint8Array[0] !== 0x89 || uint8Array[1] !== 0x50 || uint8Array[2] !== 0x4E || uint8Array[3] !== 0x47) {
-        return chunks; // Not a PNG file
-    }
-    
-    let offset = 8; // Skip PNG signature
-    
-    while (offset < uint8Array.length - 8) {
-        // Read chunk length (4 bytes, big-endian)
-        const length = (uint8Array[offset] << 24) | (uint8Array[offset + 1] << 16) | 
-                      (uint8Array[offset + 2] << 8) | uint8Array[offset + 3];
-        
-        // Read chunk type (4 bytes)
-        const type = String.fromCharCode(uint8Array[offset + 4], uint8Array[offset + 5], 
-                                        uint8Array[offset + 6], uint8Array[offset + 7]);
-        
-        // Check if it's a text chunk
-        if (type === 'tEXt' || type === 'iTXt' || type === 'zTXt') {
-            const dataStart = offset + 8;
-            const chunkData = uint8Array.slice(dataStart, dataStart + length);
-            
-            if (type === 'tEXt') {
-                const nullIndex = chunkData.indexOf(0);
-                if (nullIndex !== -1) {
-                    const keyword = new TextDecoder().decode(chunkData.slice(0, nullIndex));
-                    const text = new TextDecoder().decode(chunkData.slice(nullIndex + 1));
-                    chunks[keyword] = text;
-                }
-            }
-        }
-        
-        // Move to next chunk
-        offset += 8 + length + 4; // length + type + data + CRC
-    }
-    
-    return chunks;
-}
-
-/**
- * Extract ChatGPT-specific information from PNG text chunks
- * Handles the special JSON format that ChatGPT images use
- */
-function extractChatGPTInfo(chunks) {
-    const aiInfo = {
-        title: '',
-        prompt: '',
-        model: '',
-        tags: '',
-        notes: ''
-    };
-
-    // Look for the "prompt" key that contains ChatGPT JSON data
-    if (chunks.prompt) {
+// PUT one chunk, retrying network and server errors with a growing delay
+async function sendChunk(uploadId, index, bytes, { onUploadProgress, signal }) {
+    for (let attempt = 0; ; attempt++) {
         try {
-            const chatGPTData = JSON.parse(chunks.prompt);
-            console.log('ChatGPT data found:', chatGPTData);
-            
-            // Extract prompt and internal_prompt and combine them
-            let combinedPrompt = '';
-            
-            if (chatGPTData.prompt) {
-                combinedPrompt += `USER PROMPT:\n${chatGPTData.prompt}\n\n`;
-            }
-            
-            if (chatGPTData.internal_prompt) {
-                combinedPrompt += `INTERNAL PROMPT:\n${chatGPTData.internal_prompt}`;
-            }
-            
-            aiInfo.prompt = combinedPrompt.trim();
-            
-            // Extract tool information for AI Model
-            if (chatGPTData.tool) {
-                aiInfo.model = chatGPTData.tool;
-            }
-            
-            // Build detailed notes from ChatGPT metadata
-            aiInfo.notes += `🤖 ChatGPT Image Generation\n`;
-            aiInfo.notes += `📅 Generated: ${chatGPTData.date_generated || 'Unknown'}\n`;
-            
-            if (chatGPTData.filename) {
-                aiInfo.notes += `📄 Original filename: ${chatGPTData.filename}\n`;
-            }
-            
-            if (chatGPTData.style) {
-                aiInfo.notes += `🎨 Style: ${chatGPTData.style}\n`;
-            }
-            
-            if (chatGPTData.aspect_ratio) {
-                aiInfo.notes += `📐 Aspect ratio: ${chatGPTData.aspect_ratio}\n`;
-            }
-            
-            if (chatGPTData.resolution) {
-                aiInfo.notes += `🔍 Resolution: ${chatGPTData.resolution}\n`;
-            }
-            
-            if (chatGPTData.file_size_mb) {
-                aiInfo.notes += `💾 File size: ${chatGPTData.file_size_mb} MB\n`;
-            }
-            
-            if (chatGPTData.source_image) {
-                aiInfo.notes += `🖼️ Source image: ${chatGPTData.source_image}\n`;
-            }
-            
-            // Set appropriate tags
-            aiInfo.tags = 'ChatGPT,AI-Generated,Image-Gen';
-            
-            console.log('Extracted ChatGPT info:', aiInfo);
-            
-        } catch (e) {
-            console.error('Error parsing ChatGPT data:', e);
-            aiInfo.notes += '🤖 ChatGPT data found but could not parse JSON\n';
-            aiInfo.tags = 'ChatGPT,AI-Generated';
+            return await sendRequest('PUT', `/api/uploads/${uploadId}/chunks/${index}`, {
+                body: bytes,
+                headers: { 'Content-Type': 'application/octet-stream' },
+                onUploadProgress,
+                signal
+            });
+        } catch (error) {
+            // Cancelled, or a 4xx (other than a timeout) that will not get better by retrying
+            const retryable = error.name !== 'AbortError' && (!error.status || error.status >= 500 || error.status === 408);
+            if (!retryable || attempt >= CHUNK_RETRIES) throw error;
+            console.warn(`📤 Chunk ${index} failed (${error.message}), retrying`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
         }
     }
-    
-    return aiInfo;
 }
 
 /**
- * Extract ComfyUI-specific information from PNG text chunks
- * Handles workflow and prompt data from ComfyUI
+ * Upload a large file in chunks. Starting the upload again for the same file (after a network
+ * error or a reload) resumes it: chunks the server already has are only read for the checksum.
+ * Cancelling deletes the chunks already sent.
  */
-function extractComfyUIInfo(chunks) {
-    const aiInfo = {
-        title: '',
-        prompt: '',
-        model: '',
-        tags: '',
-        notes: ''
-    };
-
-    // ComfyUI typically stores workflow in 'workflow' and prompt info in 'prompt'
-    if (chunks.workflow) {
-        try {
-            const workflow = JSON.parse(chunks.workflow);
-            
-            // Add generation info first
-            aiInfo.notes += `📅 Generated: ${new Date().toLocaleDateString()}\n`;
-            
-            // Handle different workflow structures
-            let nodeCount = 0;
-            let nodeTypes = new Set();
-            
-            if (workflow.nodes && Array.isArray(workflow.nodes)) {
-                // New workflow format with nodes array
-                nodeCount = workflow.nodes.length;
-                workflow.nodes.forEach(node => {
-                    if (node.type) {
-                        nodeTypes.add(node.type);
-                    }
-                });
-            } else if (typeof workflow === 'object') {
-                // Old workflow format with direct node objects
-                nodeCount = Object.keys(workflow).length;
-                for (const nodeId in workflow) {
-                    const node = workflow[nodeId];
-                    if (node.class_type) {
-                        nodeTypes.add(node.class_type);
-                    }
-                }
-            }
-            
-            aiInfo.notes += `🔧 ComfyUI Workflow detected (${nodeCount} nodes)\n`;
-            
-            // Add node types to notes if found
-            if (nodeTypes.size > 0) {
-                const sortedNodeTypes = Array.from(nodeTypes).sort();
-                aiInfo.notes += `🔗 Node Types: ${sortedNodeTypes.join(', ')}\n`;
-            }
-            
-            // Try to extract prompt from workflow nodes (new format)
-            if (workflow.nodes && Array.isArray(workflow.nodes)) {
-                for (const node of workflow.nodes) {
-                    if (node.type === 'CLIPTextEncode' && node.widgets_values && node.widgets_values.length > 0) {
-                        const text = node.widgets_values[0];
-                        if (typeof text === 'string' && text.length > 10 && !aiInfo.prompt) {
-                            aiInfo.prompt = text;
-                            break;
-                        }
-                    }
-                }
-            } else {
-                // Try to extract prompt from workflow nodes (old format)
-                for (const nodeId in workflow) {
-                    const node = workflow[nodeId];
-                    if (node.inputs && node.inputs.text && typeof node.inputs.text === 'string') {
-                        if (node.inputs.text.length > 10 && !aiInfo.prompt) {
-                            aiInfo.prompt = node.inputs.text;
-                            break;
-                        }
-                    }
-                }
-            }
-        } catch (e) {
-            aiInfo.notes += '🔧 ComfyUI Workflow data found (raw)\n';
-        }
-    }
-
-    if (chunks.prompt) {
-        try {
-            const promptData = JSON.parse(chunks.prompt);
-            if (typeof promptData === 'object') {
-                // Extract useful info from prompt data
-                for (const key in promptData) {
-                    if (typeof promptData[key] === 'string' && promptData[key].length > 10 && !aiInfo.prompt) {
-                        aiInfo.prompt = promptData[key];
-                        break;
-                    }
-                }
-            }
-        } catch (e) {
-            // If not JSON, treat as plain text
-            if (chunks.prompt.length > 5 && !aiInfo.prompt) {
-                aiInfo.prompt = chunks.prompt;
-            }
-        }
-    }
-
-    // Check for parameters (AUTOMATIC1111 style)
-    if (chunks.parameters) {
-        aiInfo.prompt = aiInfo.prompt || chunks.parameters;
-        aiInfo.notes += '🤖 A1111 Parameters detected\n';
-    }
-
-    // Check for Software/model info
-    if (chunks.Software) {
-        aiInfo.model = chunks.Software;
-    }
+async function uploadFileInChunks(file, duplicateMode = 'keep', { onProgress, onStage, signal } = {}) {
+    console.log(`📤 Starting chunked upload for: ${file.name} (${(file.size / (1024 * 1024)).toFixed(1)}MB)`);
+    onStage?.('uploading');
+    
+    const json = { 'Content-Type': 'application/json' };
+    const { upload } = await sendRequest('POST', '/api/uploads', {
+        body: JSON.stringify({
+            fileName: file.name,
+            size: file.size,
+            mimeType: file.type,
+            lastModified: file.lastModified || null
+        }),
+        headers: json,
+        signal
+    });
     
-    if (chunks.software) {
-        aiInfo.model = chunks.software;
-    }
-
-    // Set tags if we have ComfyUI data
-    if (chunks.workflow || chunks.prompt) {
-        aiInfo.tags = aiInfo.tags || 'ComfyUI,AI-Generated';
+    const received = new Set(upload.receivedChunks);
+    if (upload.resumed) {
+        console.log(`📤 Resuming ${file.name}: ${received.size}/${upload.totalChunks} chunks already on the server`);
     }
     
-    return aiInfo;
-}
-
-/**
- * Utility function to handle file selection from input
- */
-export function handleFileSelect(fileInput, database, onComplete) {
-    const files = Array.from(fileInput.files);
-    
-    // Process files one by one to avoid overwhelming the server
-    processFilesSequentially(files, database, onComplete);
-}
-
-/**
- * Utility function to handle drag and drop
- */
-export function handleFileDrop(event, database, onComplete) {
-    event.preventDefault();
-    
-    // Accept both images and videos
-    const files = Array.from(event.dataTransfer.files).filter(file => 
-        file.type.startsWith('image/') || file.type.startsWith('video/')
-    );
-    
-    // Process files one by one to avoid overwhelming the server
-    processFilesSequentially(files, database, onComplete);
-}
-
-/**
- * Process files one by one (sequential) to avoid server overload
- */
-async function processFilesSequentially(files, database, onComplete) {
-    const results = [];
-    let successCount = 0;
-    let errorCount = 0;
-    
-    for (let i = 0; i < files.length; i++) {
-        try {
-            console.log(`Processing file ${i + 1}/${files.length}: ${files[i].name}`);
-            const result = await processFile(files[i], database);
-            results.push(result);
-            successCount++;
-            
-            if (result.serverUpload && !result.serverUpload.success) {
-                console.warn(`Server backup failed for ${files[i].name}: ${result.serverUpload.error}`);
+    try {
+        const hash = new Sha256();
+        let sentBytes = 0;
+        for (let index = 0; index < upload.totalChunks; index++) {
+            if (signal?.aborted) throw abortError();
+            
+            const start = index * upload.chunkSize;
+            const bytes = new Uint8Array(await file.slice(start, start + upload.chunkSize).arrayBuffer());
+            hash.update(bytes);
+            if (!received.has(index)) {
+                await sendChunk(upload.id, index, bytes, {
+                    signal,
+                    onUploadProgress: (loaded) => onProgress?.(sentBytes + Math.min(loaded, bytes.length), file.size)
+                });
             }
-        } catch (error) {
-            console.error(`Error processing ${files[i].name}:`, error);
-            results.push({ success: false, filename: files[i].name, error: error.message });
-            errorCount++;
+            sentBytes += bytes.length;
+            onProgress?.(sentBytes, file.size);
         }
-    }
-    
-    console.log(`Completed: ${successCount} successful, ${errorCount} failed`);
-    
-    if (errorCount > 0) {
-        alert(`Processed ${successCount} files successfully. ${errorCount} files had errors.`);
-    } else if (successCount > 0) {
-        console.log(`All ${successCount} files processed successfully!`);
-    }
-    
-    if (onComplete) {
-        try {
-            onComplete(results);
-        } catch (callbackError) {
-            console.error('Error in completion callback:', callbackError);
+        
+        onStage?.('processing');
+        const result = await sendRequest('POST', `/api/uploads/${upload.id}/complete`, {
+            body: JSON.stringify({ sha256: hash.hexDigest(), onDuplicate: duplicateMode }),
+            headers: json
+        });
+        
+        console.log('📤 Chunked upload complete:', result);
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            sendRequest('DELETE', `/api/uploads/${upload.id}`).catch(() => {});
         }
+        throw error;
     }
 }
@@ -0,0 +1,164 @@
+// mediaRatings.js - Star ratings, favorite flag and color labels
+// (card badges, card hotkeys and the rating controls in the modal form)
+
+import { database } from './clientDatabase.js';
+import { getAllImages } from './gallery.js';
+import { showNotification } from './utils.js';
+import { COLOR_LABELS } from './searchQueryParser.js';
+
+const LABEL_COLORS = {
+    red: '#e74c3c',
+    orange: '#e67e22',
+    yellow: '#f1c40f',
+    green: '#27ae60',
+    blue: '#3498db',
+    purple: '#9b59b6',
+    gray: '#95a5a6'
+};
+
+// Hotkeys on a focused card: 0-5 rating, F favorite, 6-9 color labels (press again to clear)
+const LABEL_HOTKEYS = {
+    6: 'red',
+    7: 'yellow',
+    8: 'green',
+    9: 'blue'
+};
+
+// Badges shown on a gallery card (empty when the item has no rating, favorite or label)
+export function renderRatingBadges(item) {
+    const stars = item.rating > 0 ? `<span class="card-stars" title="${item.rating} star${item.rating !== 1 ? 's' : ''}">${'★'.repeat(item.rating)}</span>` : '';
+    const favorite = item.favorite ? '<span class="card-favorite" title="Favorite">♥</span>' : '';
+    const label = item.colorLabel && LABEL_COLORS[item.colorLabel]
+        ? `<span class="card-color-label" title="${item.colorLabel} label" style="background: ${LABEL_COLORS[item.colorLabel]};"></span>`
+        : '';
+
+    return `<div class="card-rating-badges">${favorite}${stars}${label}</div>`;
+}
+
+// Save rating changes for an item and refresh its card
+async function updateItemRating(item, changes) {
+    try {
+        await database.updateMedia(item.id, changes);
+        Object.assign(item, changes);
+
+        const card = document.querySelector(`.image-card[data-item-id="${item.id}"]`);
+        const badges = card?.querySelector('.card-rating-badges');
+        if (badges) {
+            badges.outerHTML = renderRatingBadges(item);
+        }
+    } catch (error) {
+        console.error('Error updating rating:', error);
+        showNotification('Error saving rating: ' + error.message, 'error');
+    }
+}
+
+// Keyboard shortcuts for the focused gallery card; call once at startup
+export function setupCardHotkeys() {
+    const gallery = document.getElementById('gallery');
+    if (!gallery) return;
+
+    gallery.addEventListener('keydown', (e) => {
+        const card = e.target.closest('.image-card');
+        // Only when the card itself has focus (not a button inside it)
+        if (!card || e.target !== card || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            card.click();
+            return;
+        }
+
+        const item = getAllImages().find(i => String(i.id) === card.dataset.itemId);
+        if (!item) return;
+
+        const key = e.key.toLowerCase();
+        if (/^[0-5]$/.test(key)) {
+            e.preventDefault();
+            updateItemRating(item, { rating: Number(key) });
+        } else if (key === 'f') {
+            e.preventDefault();
+            updateItemRating(item, { favorite: !item.favorite });
+        } else if (LABEL_HOTKEYS[key]) {
+            e.preventDefault();
+            const label = LABEL_HOTKEYS[key];
+            updateItemRating(item, { colorLabel: item.colorLabel === label ? null : label });
+        }
+    });
+}
+
+// HTML for the rating controls in the modal form
+export function renderModalRatingControls() {
+    const stars = [1, 2, 3, 4, 5]
+        .map(value => `<button type="button" class="star-btn" data-value="${value}" title="${value} star${value !== 1 ? 's' : ''}">★</button>`)
+        .join('');
+    const labels = COLOR_LABELS
+        .map(label => `<button type="button" class="color-label-btn" data-label="${label}" title="${label}" style="background: ${LABEL_COLORS[label]};"></button>`)
+        .join('');
+
+    return `
+        <div class="rating-controls">
+            <div class="star-rating" id="imageRating" data-rating="0">${stars}</div>
+            <button type="button" class="favorite-btn" id="imageFavorite" data-favorite="false" title="Favorite">♡</button>
+            <div class="color-label-picker" id="imageColorLabel" data-label="">
+                <button type="button" class="color-label-btn color-label-none" data-label="" title="No label">✕</button>
+                ${labels}
+            </div>
+        </div>
+    `;
+}
+
+// Show an item's rating, favorite flag and label in the modal controls
+export function setModalRatingState({ rating = 0, favorite = false, colorLabel = null }) {
+    const ratingEl = document.getElementById('imageRating');
+    const favoriteEl = document.getElementById('imageFavorite');
+    const labelEl = document.getElementById('imageColorLabel');
+    if (!ratingEl || !favoriteEl || !labelEl) return;
+
+    ratingEl.dataset.rating = rating;
+    ratingEl.querySelectorAll('.star-btn').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.value) <= rating);
+    });
+
+    favoriteEl.dataset.favorite = favorite ? 'true' : 'false';
+    favoriteEl.textContent = favorite ? '♥' : '♡';
+    favoriteEl.classList.toggle('active', !!favorite);
+
+    labelEl.dataset.label = colorLabel || '';
+    labelEl.querySelectorAll('.color-label-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.label === (colorLabel || ''));
+    });
+}
+
+// Current values of the modal controls, in the shape updateMedia expects
+export function readModalRatingState() {
+    const ratingEl = document.getElementById('imageRating');
+    const favoriteEl = document.getElementById('imageFavorite');
+    const labelEl = document.getElementById('imageColorLabel');
+    if (!ratingEl || !favoriteEl || !labelEl) return {};
+
+    return {
+        rating: Number(ratingEl.dataset.rating) || 0,
+        favorite: favoriteEl.dataset.favorite === 'true',
+        colorLabel: labelEl.dataset.label || null
+    };
+}
+
+// Handle clicks on the modal rating controls (saved with the rest of the form)
+export function handleModalRatingClick(target) {
+    const state = readModalRatingState();
+
+    const star = target.closest('.star-btn');
+    if (star) {
+        const value = Number(star.dataset.value);
+        // Clicking the current rating again clears it
+        state.rating = state.rating === value ? 0 : value;
+    } else if (target.closest('#imageFavorite')) {
+        state.favorite = !state.favorite;
+    } else if (target.closest('.color-label-btn')) {
+        state.colorLabel = target.closest('.color-label-btn').dataset.label || null;
+    } else {
+        return;
+    }
+
+    setModalRatingState(state);
+}
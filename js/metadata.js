@@ -1,9 +1,78 @@
 // metadata.js - Handles metadata extraction and display
 
 import { formatDuration, cleanPromptText, cleanModelName } from './utils.js';
+import { resolveComfyUIPrompt } from './parsers/comfyuiGraph.js';
+import { parseJsonObject } from './parsers/generationParams.js';
+
+// "Hires upscaler"-style labels for the camelCase keys of the hires/adetailer groups
+function formatParamLabel(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+}
+
+// Table rows (label, value) for parsed generation parameters; empty values are skipped
+function buildGenerationParamRows(params) {
+    const rows = [
+        ['Prompt', params.positivePrompt],
+        ['Negative prompt', params.negativePrompt],
+        ['Steps', params.steps],
+        ['Sampler', params.sampler],
+        ['Schedule type', params.scheduleType],
+        ['CFG scale', params.cfgScale],
+        ['Seed', params.seed],
+        ['Size', params.width && params.height ? `${params.width} × ${params.height}` : ''],
+        ['Model', params.model],
+        ['Model hash', params.modelHash],
+        ['VAE', params.vae],
+        ['Denoise', params.denoise],
+        ['Clip skip', params.clipSkip]
+    ];
+
+    for (const [group, values] of [['Hires', params.hires], ['ADetailer', params.adetailer]]) {
+        const entries = Object.entries(values || {});
+        if (entries.length > 0) {
+            rows.push([group, entries.map(([key, value]) => `${formatParamLabel(key)}: ${value}`).join('\n')]);
+        }
+    }
+
+    if (params.loras?.length > 0) {
+        rows.push(['LoRAs', params.loras.map(lora =>
+            lora.name + (lora.weight !== null ? ` (${lora.weight})` : '') +
+            (lora.clipWeight != null && lora.clipWeight !== lora.weight ? ` (clip ${lora.clipWeight})` : '') +
+            (lora.hash ? ` · ${lora.hash}` : '')
+        ).join('\n')]);
+    }
+
+    rows.push(['Version', params.version]);
+    for (const [key, value] of Object.entries(params.extra || {})) {
+        rows.push([key, value]);
+    }
+
+    return rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+// Show parsed generation parameters (seed, sampler, ...) as a table
+export function displayGenerationParams(params) {
+    const section = document.getElementById('generationParamsSection');
+    const table = document.getElementById('generationParamsTable');
+    if (!section || !table) return false;
+
+    table.innerHTML = '';
+    const rows = params ? buildGenerationParamRows(params) : [];
+    section.style.display = rows.length > 0 ? 'block' : 'none';
+
+    for (const [label, value] of rows) {
+        const row = table.insertRow();
+        const header = document.createElement('th');
+        header.textContent = label;
+        row.appendChild(header);
+        row.insertCell().textContent = String(value);
+    }
+
+    return rows.length > 0;
+}
 
 // Display metadata in organized sections
-export function displayOrganizedMetadata(metadata, isVideo = false) {
+export function displayOrganizedMetadata(metadata, isVideo = false, generationParams = null) {
     const promptSection = document.getElementById('promptSection');
     const workflowSection = document.getElementById('workflowSection');
     const otherMetadataSection = document.getElementById('otherMetadataSection');
@@ -19,11 +88,16 @@ export function displayOrganizedMetadata(metadata, isVideo = false) {
     otherMetadataSection.style.display = 'none';
     noMetadataMessage.style.display = 'block';
     
+    const hasGenerationParams = displayGenerationParams(generationParams);
+    if (hasGenerationParams) {
+        noMetadataMessage.style.display = 'none';
+    }
+    
     if (!metadata || Object.keys(metadata).length === 0) {
         return;
     }
     
-    let hasAnyMetadata = false;
+    let hasAnyMetadata = hasGenerationParams;
     
     if (isVideo) {
         // Handle video metadata
@@ -55,126 +129,131 @@ export function displayOrganizedMetadata(metadata, isVideo = false) {
         videoHtml += '</div>';
         otherMetadataDisplay.innerHTML = videoHtml;
     } else {
-        // Handle image metadata (existing logic)
-        // Handle Prompt Data - Updated to be collapsible like Workflow Data
-        if (metadata.prompt) {
+        // Handle Other Metadata
+        const otherMetadata = {};
+        for (const [key, value] of Object.entries(metadata)) {
+            if (key !== 'prompt' && key !== 'workflow' && value !== null && value !== undefined && value !== '') {
+                otherMetadata[key] = value;
+            }
+        }
+        
+        if (Object.keys(otherMetadata).length > 0) {
             hasAnyMetadata = true;
-            promptSection.style.display = 'block';
-            try {
-                const promptData = JSON.parse(metadata.prompt);
-                if (typeof promptData === 'object') {
-                    // Check if this is ChatGPT data
-                    const isChatGPTData = promptData.tool && promptData.tool.includes('ChatGPT');
-                    
-                    if (isChatGPTData) {
-                        // Show ChatGPT-specific summary
-                        promptDisplay.innerHTML = `
-                            <div style="color: #2c3e50; margin-bottom: 8px;">
-                                <strong>Tool:</strong> ${promptData.tool || 'Unknown'}<br>
-                                <strong>Style:</strong> ${promptData.style || 'Unknown'}<br>
-                                <strong>Resolution:</strong> ${promptData.resolution || 'Unknown'}<br>
-                                <strong>Generated:</strong> ${promptData.date_generated || 'Unknown'}
-                            </div>
-                            <details style="margin-top: 8px;">
-                                <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full ChatGPT JSON</summary>
-                                <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(promptData, null, 2)}</pre>
-                            </details>
-                        `;
-                    } else {
-                        // Show regular prompt data summary
-                        const promptKeys = Object.keys(promptData);
-                        const promptSize = JSON.stringify(promptData).length;
-                        
-                        promptDisplay.innerHTML = `
-                            <div style="color: #2c3e50; margin-bottom: 8px;">
-                                <strong>Keys:</strong> ${promptKeys.join(', ')}<br>
-                                <strong>Data Size:</strong> ${promptSize} characters
-                            </div>
-                            <details style="margin-top: 8px;">
-                                <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full Prompt JSON</summary>
-                                <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(promptData, null, 2)}</pre>
-                            </details>
-                        `;
-                    }
+            otherMetadataSection.style.display = 'block';
+            let otherHtml = '';
+            for (const [key, value] of Object.entries(otherMetadata)) {
+                otherHtml += `<strong>${key}:</strong> ${value}<br>`;
+            }
+            otherMetadataDisplay.innerHTML = otherHtml;
+        }
+    }
+    
+    // Handle Prompt Data - Updated to be collapsible like Workflow Data (ComfyUI videos carry it too)
+    if (metadata.prompt) {
+        hasAnyMetadata = true;
+        promptSection.style.display = 'block';
+        try {
+            const promptData = JSON.parse(metadata.prompt);
+            if (typeof promptData === 'object') {
+                // Check if this is ChatGPT data
+                const isChatGPTData = promptData.tool && promptData.tool.includes('ChatGPT');
+                
+                if (isChatGPTData) {
+                    // Show ChatGPT-specific summary
+                    promptDisplay.innerHTML = `
+                        <div style="color: #2c3e50; margin-bottom: 8px;">
+                            <strong>Tool:</strong> ${promptData.tool || 'Unknown'}<br>
+                            <strong>Style:</strong> ${promptData.style || 'Unknown'}<br>
+                            <strong>Resolution:</strong> ${promptData.resolution || 'Unknown'}<br>
+                            <strong>Generated:</strong> ${promptData.date_generated || 'Unknown'}
+                        </div>
+                        <details style="margin-top: 8px;">
+                            <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full ChatGPT JSON</summary>
+                            <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(promptData, null, 2)}</pre>
+                        </details>
+                    `;
                 } else {
-                    // If it's not an object (plain text), still make it collapsible
+                    // Show regular prompt data summary
+                    const promptKeys = Object.keys(promptData);
+                    const promptSize = JSON.stringify(promptData).length;
+                    
                     promptDisplay.innerHTML = `
                         <div style="color: #2c3e50; margin-bottom: 8px;">
-                            <strong>Type:</strong> Plain Text<br>
-                            <strong>Length:</strong> ${promptData.length} characters
+                            <strong>Keys:</strong> ${promptKeys.join(', ')}<br>
+                            <strong>Data Size:</strong> ${promptSize} characters
                         </div>
                         <details style="margin-top: 8px;">
-                            <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full Prompt Data</summary>
-                            <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 11px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px; color: #2c3e50;">${promptData}</pre>
+                            <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full Prompt JSON</summary>
+                            <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(promptData, null, 2)}</pre>
                         </details>
                     `;
                 }
-            } catch (e) {
-                // If not JSON, display as text with collapsible view
-                const textLength = metadata.prompt.length;
+            } else {
+                // If it's not an object (plain text), still make it collapsible
                 promptDisplay.innerHTML = `
                     <div style="color: #2c3e50; margin-bottom: 8px;">
-                        <strong>Type:</strong> Raw Text<br>
-                        <strong>Length:</strong> ${textLength} characters
+                        <strong>Type:</strong> Plain Text<br>
+                        <strong>Length:</strong> ${promptData.length} characters
                     </div>
                     <details style="margin-top: 8px;">
                         <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full Prompt Data</summary>
-                        <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 11px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px; color: #2c3e50;">${metadata.prompt}</pre>
+                        <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 11px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px; color: #2c3e50;">${promptData}</pre>
                     </details>
                 `;
             }
+        } catch (e) {
+            // If not JSON, display as text with collapsible view
+            const textLength = metadata.prompt.length;
+            promptDisplay.innerHTML = `
+                <div style="color: #2c3e50; margin-bottom: 8px;">
+                    <strong>Type:</strong> Raw Text<br>
+                    <strong>Length:</strong> ${textLength} characters
+                </div>
+                <details style="margin-top: 8px;">
+                    <summary style="cursor: pointer; color: #2c3e50; font-weight: bold;">View Full Prompt Data</summary>
+                    <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 11px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px; color: #2c3e50;">${metadata.prompt}</pre>
+                </details>
+            `;
         }
-        
-        // Handle Workflow Data
-        if (metadata.workflow) {
-            hasAnyMetadata = true;
-            workflowSection.style.display = 'block';
-            try {
-                const workflowData = JSON.parse(metadata.workflow);
-                
-                // Extract text from workflow data and populate AI Prompt field
+    }
+    
+    // ComfyUI: the prompt graph names the exact prompt, checkpoint and LoRAs the sampler used
+    const resolvedParams = generationParams?.source === 'comfyui'
+        ? generationParams
+        : resolveComfyUIPrompt(parseJsonObject(metadata.prompt));
+    const resolvedFromGraph = applyResolvedComfyUIParams(resolvedParams);
+    
+    // Handle Workflow Data
+    if (metadata.workflow) {
+        hasAnyMetadata = true;
+        workflowSection.style.display = 'block';
+        try {
+            const workflowData = JSON.parse(metadata.workflow);
+            
+            // Without a resolvable prompt graph, guess the prompt and model from the workflow nodes
+            if (!resolvedFromGraph) {
                 extractTextFromWorkflow(workflowData);
-                
-                // Extract model information and populate AI Model field
                 extractModelFromWorkflow(workflowData);
-                
-                // Show a summary of the workflow
-                const nodeCount = workflowData.nodes ? workflowData.nodes.length : 'Unknown';
-                const workflowId = workflowData.id || 'Unknown';
-                const lastNodeId = workflowData.last_node_id || 'Unknown';
-                
-                workflowDisplay.innerHTML = `
-                    <div style="color: #856404; margin-bottom: 8px;">
-                        <strong>Workflow ID:</strong> ${workflowId}<br>
-                        <strong>Nodes:</strong> ${nodeCount}<br>
-                        <strong>Last Node ID:</strong> ${lastNodeId}
-                    </div>
-                    <details style="margin-top: 8px;">
-                        <summary style="cursor: pointer; color: #856404; font-weight: bold;">View Full Workflow JSON</summary>
-                        <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(workflowData, null, 2)}</pre>
-                    </details>
-                `;
-            } catch (e) {
-                workflowDisplay.innerHTML = `<div style="color: #856404;">Raw workflow data (${metadata.workflow.length} characters)</div>`;
             }
-        }
-        
-        // Handle Other Metadata
-        const otherMetadata = {};
-        for (const [key, value] of Object.entries(metadata)) {
-            if (key !== 'prompt' && key !== 'workflow' && value !== null && value !== undefined && value !== '') {
-                otherMetadata[key] = value;
-            }
-        }
-        
-        if (Object.keys(otherMetadata).length > 0) {
-            hasAnyMetadata = true;
-            otherMetadataSection.style.display = 'block';
-            let otherHtml = '';
-            for (const [key, value] of Object.entries(otherMetadata)) {
-                otherHtml += `<strong>${key}:</strong> ${value}<br>`;
-            }
-            otherMetadataDisplay.innerHTML = otherHtml;
+            
+            // Show a summary of the workflow
+            const nodeCount = workflowData.nodes ? workflowData.nodes.length : 'Unknown';
+            const workflowId = workflowData.id || 'Unknown';
+            const lastNodeId = workflowData.last_node_id || 'Unknown';
+            
+            workflowDisplay.innerHTML = `
+                <div style="color: #856404; margin-bottom: 8px;">
+                    <strong>Workflow ID:</strong> ${workflowId}<br>
+                    <strong>Nodes:</strong> ${nodeCount}<br>
+                    <strong>Last Node ID:</strong> ${lastNodeId}
+                </div>
+                <details style="margin-top: 8px;">
+                    <summary style="cursor: pointer; color: #856404; font-weight: bold;">View Full Workflow JSON</summary>
+                    <pre style="margin: 8px 0 0 0; white-space: pre-wrap; font-size: 10px; max-height: 200px; overflow-y: auto; background: #fff; padding: 8px; border-radius: 4px;">${JSON.stringify(workflowData, null, 2)}</pre>
+                </details>
+            `;
+        } catch (e) {
+            workflowDisplay.innerHTML = `<div style="color: #856404;">Raw workflow data (${metadata.workflow.length} characters)</div>`;
         }
     }
     
@@ -184,6 +263,28 @@ export function displayOrganizedMetadata(metadata, isVideo = false) {
     }
 }
 
+// Populate empty AI Prompt / AI Model fields from parameters resolved from a ComfyUI prompt graph.
+// Returns false when there is nothing resolved to use.
+export function applyResolvedComfyUIParams(params) {
+    if (!params || !params.positivePrompt) {
+        return false;
+    }
+    
+    const promptTextarea = document.getElementById('imagePrompt');
+    if (!promptTextarea.value || promptTextarea.value.includes('aidma-niji, niji, anime style')) {
+        promptTextarea.value = params.positivePrompt;
+    }
+    
+    const modelInput = document.getElementById('imageModel');
+    if ((!modelInput.value || modelInput.value.trim() === '') && params.model) {
+        const loraCount = params.loras ? params.loras.length : 0;
+        modelInput.value = cleanModelName(params.model) +
+            (loraCount > 0 ? ` + ${loraCount} LoRA${loraCount > 1 ? 's' : ''}` : '');
+    }
+    
+    return true;
+}
+
 // Extract model information from workflow and populate AI Model field
 export function extractModelFromWorkflow(workflowData) {
     const modelInput = document.getElementById('imageModel');
@@ -10,6 +10,7 @@ import { setupVideoControls } from './modalVideoControls.js';
 import { setupFullSizeHandlers, openFullSizeMedia } from './fullsizeOverlay.js';
 import { ensureModalStructure, populateModalUI } from './modalUI.js';
 import { setupModalEventListeners } from './modalEvents.js';
+import { renderModalAlbums } from './albumManager.js';
 
 export function openImageModal(item, autoplay = false) {
     setCurrentImage(item);
@@ -20,6 +21,7 @@ export function openImageModal(item, autoplay = false) {
     
     // Populate UI elements
     populateModalUI(item, item.mediaType === 'video');
+    renderModalAlbums(item.id);
 
     const modalPreviewVideo = document.getElementById('modalPreviewVideo');
     const isVideo = item.mediaType === 'video';
@@ -5,6 +5,7 @@ import { showNotification, showConfirmDialog, downloadBlob, generateSafeFilename
 import { getCurrentImageData, getCurrentImageId } from './modalState.js';
 import { cleanupMediaElement, performBatchCleanup } from './mediaCleanup.js';
 import { closeModal } from './modal.js'; // Import closeModal from the main modal file
+import { readModalRatingState } from './mediaRatings.js';
 
 // Save metadata (works for both images and videos)
 export async function saveImageMetadata() {
@@ -15,13 +16,17 @@ export async function saveImageMetadata() {
         title: document.getElementById('imageTitle').value,
         prompt: document.getElementById('imagePrompt').value,
         model: document.getElementById('imageModel').value,
-        tags: document.getElementById('imageTags').value,
-        notes: document.getElementById('imageNotes').value
+        notes: document.getElementById('imageNotes').value,
+        ...readModalRatingState()
     };
+    const tagsInput = document.getElementById('imageTags');
     
     try {
         await database.updateMedia(currentImageId, updatedData);
         
+        // Tags go through the tag endpoint, which normalizes and links them
+        tagsInput.value = await database.setMediaTags(currentImageId, tagsInput.value);
+        
         // Update the title in the modal
         const modalMediaTitle = document.getElementById('modalMediaTitle');
         if (modalMediaTitle) {
@@ -38,7 +43,7 @@ export async function saveImageMetadata() {
     }
 }
 
-// Delete current item (works for both images and videos) - CONSOLIDATED LOGGING
+// Move current item to the trash (works for both images and videos) - CONSOLIDATED LOGGING
 export async function deleteCurrentImage() {
     const currentImageId = getCurrentImageId();
     const currentImageData = getCurrentImageData();
@@ -47,10 +52,10 @@ export async function deleteCurrentImage() {
     const mediaType = currentImageData.mediaType === 'video' ? 'video' : 'image';
     
     // Show custom confirmation dialog
-    const confirmed = await showConfirmDialog(`Are you sure you want to delete this ${mediaType}?`);
+    const confirmed = await showConfirmDialog(`Move this ${mediaType} to the trash? You can restore it from the Trash.`, 'Move to Trash');
     if (confirmed) {
         try {
-            console.log(`🗑️ Starting deletion process for item ${currentImageId} (${mediaType})`);
+            console.log(`🗑️ Starting trash process for item ${currentImageId} (${mediaType})`);
             
             // STEP 1: Clean up modal media elements (individual logging for important elements)
             const modalResults = { success: 0, failed: 0, skipped: 0 };
@@ -81,48 +86,15 @@ export async function deleteCurrentImage() {
                 }
             }
             
-            // STEP 3: Delete from server if serverPath exists
-            if (currentImageData.serverPath) {
-                try {
-                    // Split serverPath into components: folder/date/filename
-                    // Handle both forward slashes and backslashes
-                    const pathComponents = currentImageData.serverPath.replace(/\\/g, '/').split('/');
-                    
-                    if (pathComponents.length >= 3) {
-                        const folder = encodeURIComponent(pathComponents[0]);
-                        const date = encodeURIComponent(pathComponents[1]);
-                        const filename = encodeURIComponent(pathComponents.slice(2).join('/')); // Join remaining parts in case filename has slashes
-                        
-                        const response = await fetch(`/delete/${folder}/${date}/${filename}`, {
-                            method: 'DELETE'
-                        });
-                        
-                        if (response.ok) {
-                            console.log('✅ File deleted from server');
-                        } else if (response.status === 404) {
-                            console.log('ℹ️ Server file not found (already deleted or test data)');
-                        } else {
-                            const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                            console.warn(`⚠️ Server file deletion failed (${response.status}): ${errorData.error || 'Unknown error'}`);
-                        }
-                    } else {
-                        console.warn('⚠️ Invalid server path format, cannot delete from server');
-                    }
-                } catch (serverError) {
-                    console.warn('⚠️ Server delete request failed:', serverError.message);
-                    // Continue with database deletion even if server deletion fails
-                }
-            }
-            
-            // STEP 4: Delete from database
-            console.log(`🗄️ Attempting to delete item ${currentImageId} from database...`);
-            const deleteResult = await database.deleteMedia(currentImageId);
-            console.log(`✅ Database deletion completed`);
+            // STEP 3: Move to the trash (the server moves the file to .trash/ so it can be restored)
+            console.log(`🗑️ Moving item ${currentImageId} to trash...`);
+            await database.trashMedia(currentImageId);
+            console.log(`✅ Item moved to trash`);
             
-            // STEP 5: Close modal
+            // STEP 4: Close modal
             closeModal();
             
-            // STEP 6: Targeted gallery cleanup with batch processing
+            // STEP 5: Targeted gallery cleanup with batch processing
             const gallery = document.getElementById('gallery');
             if (gallery) {
                 // Count and clean videos
@@ -146,57 +118,71 @@ export async function deleteCurrentImage() {
                 console.log(`🧹 Gallery cleanup completed: ${totalCleaned} media elements cleaned, DOM cleared`);
             }
             
-            // STEP 7: Wait for cleanup to complete, then reload
+            // STEP 6: Wait for cleanup to complete, then reload
             setTimeout(() => {
                 console.log('🔄 Triggering media reload after cleanup...');
                 window.dispatchEvent(new CustomEvent('mediaUpdated'));
             }, 400);
             
-            showNotification(`${mediaType.charAt(0).toUpperCase() + mediaType.slice(1)} deleted successfully!`, 'success');
+            showNotification(`${mediaType.charAt(0).toUpperCase() + mediaType.slice(1)} moved to trash`, 'success');
         } catch (error) {
             console.error('❌ Error deleting media:', error);
-            showNotification('Error deleting media: ' + error.message, 'error');
+            showNotification('Error moving media to trash: ' + error.message, 'error');
         }
     }
 }
 
 // Download current item's workflow (images only)
-export function downloadCurrentWorkflow() {
+export async function downloadCurrentWorkflow() {
     const currentImageData = getCurrentImageData();
     if (!currentImageData || !currentImageData.metadata) {
         showNotification('No workflow data available for this item!', 'error');
         return;
     }
     
-    if (currentImageData.mediaType === 'video') {
-        showNotification('Workflow download is not available for video files.', 'error');
+    const hasWorkflow = currentImageData.metadata.workflow || currentImageData.metadata.prompt;
+    if (!hasWorkflow) {
+        showNotification('No ComfyUI workflow data available for this item!', 'error');
         return;
     }
     
-    const hasWorkflow = currentImageData.metadata.workflow || currentImageData.metadata.prompt;
-    if (!hasWorkflow) {
-        showNotification('No ComfyUI workflow data available for this image!', 'error');
+    // The server keeps the workflow exactly as embedded in the file; older items only have
+    // the (possibly truncated) copy in their metadata
+    let stored = null;
+    try {
+        stored = await database.getMediaWorkflow(currentImageData.id);
+    } catch (error) {
+        console.error('Error loading stored workflow:', error);
+    }
+    
+    if (stored && stored.workflow) {
+        const blob = new Blob([stored.workflow], { type: 'application/json' });
+        downloadBlob(blob, generateSafeFilename(currentImageData.title, 'workflow') + '.json');
+        showNotification(`Downloaded ComfyUI workflow for "${currentImageData.title || 'Untitled'}"! This file can be directly imported into ComfyUI.`, 'success');
         return;
     }
     
+    const workflowText = stored ? null : currentImageData.metadata.workflow;
+    const promptText = (stored && stored.prompt) || currentImageData.metadata.prompt;
+    
     let workflowJson = null;
     let promptJson = null;
     
     // Extract and parse workflow data
-    if (currentImageData.metadata.workflow) {
+    if (workflowText) {
         try {
-            workflowJson = JSON.parse(currentImageData.metadata.workflow);
+            workflowJson = JSON.parse(workflowText);
         } catch (e) {
             console.error('Error parsing workflow:', e);
-            showNotification('Error: Invalid workflow data format', 'error');
+            showNotification('Error: The stored workflow is incomplete (saved before full workflows were kept)', 'error');
             return;
         }
     }
     
     // Extract and parse prompt data
-    if (currentImageData.metadata.prompt) {
+    if (promptText) {
         try {
-            promptJson = JSON.parse(currentImageData.metadata.prompt);
+            promptJson = JSON.parse(promptText);
         } catch (e) {
             console.error('Error parsing prompt:', e);
             // If prompt fails to parse, it's not critical
@@ -2,6 +2,8 @@
 
 import { closeModal } from './modal.js';
 import { saveImageMetadata, deleteCurrentImage, downloadCurrentWorkflow } from './modalActions.js';
+import { addCurrentMediaToAlbum, handleModalAlbumAction } from './albumManager.js';
+import { handleModalRatingClick } from './mediaRatings.js';
 
 // Setup modal event listeners
 export function setupModalEventListeners() {
@@ -23,6 +25,12 @@ export function setupModalEventListeners() {
             deleteCurrentImage();
         } else if (e.target.id === 'downloadWorkflow') {
             downloadCurrentWorkflow();
+        } else if (e.target.id === 'addToAlbum') {
+            addCurrentMediaToAlbum();
+        } else if (e.target.closest('.modal-album-chip button')) {
+            handleModalAlbumAction(e.target);
+        } else if (e.target.closest('.rating-controls')) {
+            handleModalRatingClick(e.target);
         }
     });
     
@@ -1,6 +1,10 @@
 // modalUI.js - Handles the UI structure and content population of the modal
 
 import { displayOrganizedMetadata } from './metadata.js';
+import { database } from './clientDatabase.js';
+import { getCurrentImageId } from './modalState.js';
+import { setupTagAutocomplete } from './tagAutocomplete.js';
+import { renderModalRatingControls, setModalRatingState } from './mediaRatings.js';
 
 // Ensure the modal has the correct two-column structure
 export function ensureModalStructure() {
@@ -48,10 +52,20 @@ export function ensureModalStructure() {
                         <label for="imageModel">AI Model:</label>
                         <input type="text" id="imageModel" placeholder="e.g., DALL-E 3, Midjourney, Stable Diffusion, Sora">
                     </div>
+                    <div class="form-group">
+                        <label>Rating:</label>
+                        ${renderModalRatingControls()}
+                    </div>
                     <div class="form-group">
                         <label for="imageTags">Tags:</label>
                         <input type="text" id="imageTags" placeholder="Enter tags separated by commas">
                     </div>
+                    <div class="form-group">
+                        <label for="addToAlbumSelect">Albums:</label>
+                        <div class="modal-albums" id="imageAlbums"></div>
+                        <select id="addToAlbumSelect" class="filter-select"></select>
+                        <button class="btn" id="addToAlbum">Add</button>
+                    </div>
                     <div class="form-group">
                         <label for="imageNotes">Notes:</label>
                         <textarea id="imageNotes" placeholder="Additional notes about this media"></textarea>
@@ -62,6 +76,14 @@ export function ensureModalStructure() {
                         <label>📋 Media Metadata:</label>
                         <div class="metadata-display-section">
                             
+                            <!-- Generation Parameters Section -->
+                            <div id="generationParamsSection" style="display: none;">
+                                <h4 style="color: #2c3e50; margin: 0 0 6px 0; font-size: 13px; font-family: Arial, sans-serif;">
+                                    ⚙️ Generation Parameters:
+                                </h4>
+                                <table id="generationParamsTable" class="generation-params-table"></table>
+                            </div>
+                            
                             <!-- Prompt Section -->
                             <div id="promptSection" style="display: none;">
                                 <h4 style="color: #2c3e50; margin: 0 0 6px 0; font-size: 13px; font-family: Arial, sans-serif;">
@@ -103,13 +125,15 @@ export function ensureModalStructure() {
                     <!-- Buttons Section -->
                     <div class="modal-buttons">
                         <button class="btn" id="saveMetadata">Save Changes</button>
-                        <button class="btn btn-danger" id="deleteImage">Delete Media</button>
+                        <button class="btn btn-danger" id="deleteImage">Move to Trash</button>
                         <button class="btn btn-workflow" id="downloadWorkflow" style="display: none;">Download ComfyUI Workflow</button>
                     </div>
                 </div>
             </div>
         `;
     }
+
+    setupTagAutocomplete(document.getElementById('imageTags'));
 }
 
 export function populateModalUI(item, isVideo) {
@@ -158,9 +182,10 @@ export function populateModalUI(item, isVideo) {
     document.getElementById('imageModel').value = item.model || '';
     document.getElementById('imageTags').value = item.tags || '';
     document.getElementById('imageNotes').value = item.notes || '';
+    setModalRatingState(item);
     
     // Check if this item has workflow data (only for images)
-    const hasWorkflow = !isVideo && item.metadata && (item.metadata.workflow || item.metadata.prompt);
+    const hasWorkflow = item.metadata && (item.metadata.workflow || item.metadata.prompt);
     if (hasWorkflow) {
         downloadWorkflow.style.display = 'inline-block';
     } else {
@@ -168,5 +193,31 @@ export function populateModalUI(item, isVideo) {
     }
     
     // Display organized metadata
-    displayOrganizedMetadata(item.metadata, isVideo);
+    displayOrganizedMetadata(item.metadata, isVideo, item.generationParams);
+
+    if (hasWorkflow) {
+        loadStoredWorkflow(item);
+    }
+}
+
+// The metadata only holds a placeholder (or, for older items, a truncated copy) of the
+// workflow and prompt JSON; fetch the stored originals and show them once they arrive
+async function loadStoredWorkflow(item) {
+    try {
+        const stored = await database.getMediaWorkflow(item.id);
+        if (!stored) return;
+
+        item.metadata = {
+            ...item.metadata,
+            ...(stored.workflow ? { workflow: stored.workflow } : {}),
+            ...(stored.prompt ? { prompt: stored.prompt } : {})
+        };
+
+        // The user may have moved on to another item meanwhile
+        if (getCurrentImageId() === item.id) {
+            displayOrganizedMetadata(item.metadata, item.mediaType === 'video', item.generationParams);
+        }
+    } catch (error) {
+        console.error('❌ Failed to load stored workflow:', error);
+    }
 }
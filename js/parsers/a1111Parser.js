@@ -0,0 +1,231 @@
+// a1111Parser.js - Version 1.1
+// Parser for the "parameters" text written by AUTOMATIC1111 and Forge:
+//
+//   <positive prompt, may span lines>
+//   Negative prompt: <negative prompt, may span lines>
+//   Steps: 20, Sampler: DPM++ 2M, Schedule type: Karras, CFG scale: 7, Seed: 1234, Size: 512x768, ...
+
+import { createGenerationParams } from './generationParams.js';
+
+// "Key: value" pairs of the settings line; values containing commas are quoted (same pattern A1111 uses)
+const SETTING_PATTERN = /\s*(\w[\w \-/]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g;
+
+// <lora:name:weight> (and <lyco:...>) tags in the prompt
+const LORA_TAG_PATTERN = /<(?:lora|lyco):([^:>]+)(?::([\d.-]+))?[^>]*>/gi;
+
+// Settings line key -> generationParams field
+const KNOWN_SETTINGS = {
+    'Steps': 'steps',
+    'Sampler': 'sampler',
+    'Schedule type': 'scheduleType',
+    'CFG scale': 'cfgScale',
+    'Seed': 'seed',
+    'Model hash': 'modelHash',
+    'Model': 'model',
+    'VAE hash': 'vaeHash',
+    'VAE': 'vae',
+    'Denoising strength': 'denoise',
+    'Clip skip': 'clipSkip',
+    'Version': 'version'
+};
+
+const NUMERIC_FIELDS = ['steps', 'cfgScale', 'seed', 'denoise', 'clipSkip'];
+
+// Turn a numeric-looking string into a number, leave anything else as is
+function toValue(value) {
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+// "Hires upscaler" -> "upscaler", "ADetailer denoising strength" -> "denoisingStrength"
+function toFieldName(label) {
+    return label.trim().toLowerCase().replace(/[\s\-/]+(\w)/g, (_, letter) => letter.toUpperCase());
+}
+
+// Quoted values are JSON strings
+function unquote(value) {
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value.slice(1, -1);
+        }
+    }
+    return value;
+}
+
+/**
+ * Split the settings line into its "Key: value" pairs
+ * @param {string} line - e.g. 'Steps: 20, Sampler: Euler a, Lora hashes: "a: 123, b: 456"'
+ * @returns {Array<[string, string]>} Key/value pairs in order
+ */
+function parseSettingsLine(line) {
+    const pairs = [];
+    for (const match of line.matchAll(SETTING_PATTERN)) {
+        pairs.push([match[1].trim(), unquote(match[2].trim())]);
+    }
+    return pairs;
+}
+
+// "name1: hash1, name2: hash2" -> [{ name, hash }]
+function parseHashList(value) {
+    return String(value).split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.lastIndexOf(':');
+            return separator === -1
+                ? { name: entry, hash: '' }
+                : { name: entry.slice(0, separator).trim(), hash: entry.slice(separator + 1).trim() };
+        });
+}
+
+// LoRAs from the "Lora hashes" setting merged with the weights of the <lora:...> prompt tags
+function collectLoras(prompt, loraHashes) {
+    const loras = loraHashes.map(({ name, hash }) => ({ name, hash, weight: null }));
+
+    for (const match of prompt.matchAll(LORA_TAG_PATTERN)) {
+        const name = match[1].trim();
+        const weight = match[2] !== undefined && !isNaN(Number(match[2])) ? Number(match[2]) : 1;
+        const existing = loras.find(lora => lora.name === name);
+        if (existing) {
+            existing.weight = weight;
+        } else {
+            loras.push({ name, hash: '', weight });
+        }
+    }
+
+    return loras;
+}
+
+/**
+ * Check whether a text looks like A1111 / Forge "parameters" (has a "Steps: N, ..." settings line)
+ * @param {string} text - Candidate text, e.g. an EXIF UserComment
+ * @returns {boolean} True if the text can be parsed with parseA1111Parameters
+ */
+export function isA1111ParametersText(text) {
+    return typeof text === 'string' && /(^|\n)\s*Steps:\s*\d+/.test(text);
+}
+
+/**
+ * Check if an image is from AUTOMATIC1111 based on metadata
+ * @param {Object} chunks - PNG text chunks
+ * @returns {boolean} True if this appears to be an A1111 image
+ */
+export function isA1111Image(chunks) {
+    return !!chunks.parameters;
+}
+
+/**
+ * Parse an AUTOMATIC1111 / Forge "parameters" text chunk into structured fields
+ * @param {string} text - Contents of the "parameters" chunk
+ * @returns {Object|null} Generation parameters, or null for empty text
+ */
+export function parseA1111Parameters(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const lines = text.replace(/\r\n?/g, '\n').trim().split('\n');
+
+    // The settings line is the last line; older versions sometimes leave it out
+    let settingsLine = '';
+    if (/^\s*Steps:\s*\d+/.test(lines[lines.length - 1])) {
+        settingsLine = lines.pop();
+    }
+
+    const negativeIndex = lines.findIndex(line => line.startsWith('Negative prompt:'));
+    const positiveLines = negativeIndex === -1 ? lines : lines.slice(0, negativeIndex);
+    const negativeLines = negativeIndex === -1 ? [] : lines.slice(negativeIndex);
+    if (negativeLines.length > 0) {
+        negativeLines[0] = negativeLines[0].slice('Negative prompt:'.length);
+    }
+
+    const params = createGenerationParams('a1111', {
+        positivePrompt: positiveLines.join('\n'),
+        negativePrompt: negativeLines.join('\n'),
+        hires: {},
+        adetailer: {}
+    });
+
+    if (!settingsLine) {
+        return params.positivePrompt || params.negativePrompt ? params : null;
+    }
+
+    let loraHashes = [];
+    for (const [key, value] of parseSettingsLine(settingsLine)) {
+        const field = KNOWN_SETTINGS[key];
+
+        if (field) {
+            params[field] = NUMERIC_FIELDS.includes(field) ? toValue(value) : value;
+        } else if (key === 'Size') {
+            const size = value.match(/^(\d+)\s*x\s*(\d+)$/);
+            if (size) {
+                params.width = Number(size[1]);
+                params.height = Number(size[2]);
+            }
+        } else if (key === 'Lora hashes') {
+            loraHashes = parseHashList(value);
+        } else if (key.startsWith('Hires ')) {
+            params.hires[toFieldName(key.slice('Hires '.length))] = toValue(value);
+        } else if (key.startsWith('ADetailer ')) {
+            params.adetailer[toFieldName(key.slice('ADetailer '.length))] = toValue(value);
+        } else {
+            params.extra[key] = value;
+        }
+    }
+
+    // Values that did not parse as numbers are dropped rather than stored as text
+    for (const field of NUMERIC_FIELDS) {
+        if (typeof params[field] !== 'number') params[field] = null;
+    }
+
+    params.loras = collectLoras(params.positivePrompt, loraHashes);
+    return params;
+}
+
+/**
+ * Extract AUTOMATIC1111 / Forge information from PNG text chunks
+ * @param {Object} chunks - PNG text chunks extracted from the image
+ * @returns {Object} Extracted AI information, including the structured generationParams
+ */
+export function extractA1111Info(chunks) {
+    const aiInfo = {
+        title: '',
+        prompt: '',
+        model: '',
+        tags: '',
+        notes: '',
+        generationParams: null
+    };
+
+    const params = parseA1111Parameters(chunks.parameters);
+    if (!params) {
+        aiInfo.prompt = chunks.parameters || '';
+        aiInfo.tags = 'AUTOMATIC1111,AI-Generated';
+        return aiInfo;
+    }
+
+    // Forge reports versions like "f2.0.1v1.10.1-previous-..."
+    const isForge = /^f\d/.test(params.version);
+
+    aiInfo.prompt = params.positivePrompt;
+    aiInfo.model = params.model || chunks.Software || chunks.software || '';
+    aiInfo.tags = `${isForge ? 'Forge' : 'AUTOMATIC1111'},AI-Generated`;
+    aiInfo.notes = `🤖 ${isForge ? 'Forge' : 'A1111'} Parameters detected\n`;
+    aiInfo.generationParams = params;
+
+    return aiInfo;
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const a1111Parser = {
+    id: 'a1111',
+    name: 'AUTOMATIC1111 / Forge',
+    detect(file, chunks) {
+        if (!isA1111Image(chunks)) return 0;
+        const confidence = isA1111ParametersText(chunks.parameters) ? 0.8 : 0.4;
+        // ComfyUI nodes that also write A1111-style parameters: the workflow is the richer source
+        return chunks.workflow ? confidence / 2 : confidence;
+    },
+    extract: extractA1111Info
+};
@@ -1,4 +1,4 @@
-// chatgptParser.js - Version 1.0
+// chatgptParser.js - Version 1.1
 // Parser for extracting metadata from ChatGPT-generated images
 
 /**
@@ -107,3 +107,17 @@ export function isChatGPTImage(filename, chunks) {
     
     return false;
 }
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const chatgptParser = {
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    detect(file, chunks) {
+        // ChatGPT's own JSON metadata is certain; a file merely named "ChatGPT..." is likely
+        if (isChatGPTImage('', chunks)) return 1;
+        return isChatGPTImage(file?.name || '', {}) ? 0.9 : 0;
+    },
+    extract: extractChatGPTInfo
+};
@@ -0,0 +1,243 @@
+// comfyuiGraph.js - Version 1.0
+// Resolves generation parameters from the ComfyUI API-format prompt graph stored in the "prompt"
+// chunk: { "<node id>": { class_type, inputs: { name: value | [sourceNodeId, outputIndex] } } }.
+// Starting from the sampler that produced the saved image, links are followed back to the
+// prompt text encoders, the checkpoint and LoRA loaders and the empty latent.
+
+import { createGenerationParams, toNumber } from './generationParams.js';
+
+// Nodes that write the final image or video
+const OUTPUT_NODE_PATTERN = /^(SaveImage|PreviewImage|Image Save|SaveAnimatedWEBP|SaveAnimatedPNG|SaveVideo|SaveWEBM|VHS_VideoCombine)/;
+
+// Inputs that carry prompt text on text encoders (CLIPTextEncode, CLIPTextEncodeSDXL, CLIPTextEncodeFlux, ...)
+const TEXT_INPUTS = ['text', 'text_g', 'text_l', 'clip_l', 't5xxl', 'prompt'];
+
+// Inputs that carry a single value on primitive / utility nodes
+const VALUE_INPUTS = ['value', 'text', 'string', 'seed', 'noise_seed', 'int', 'float', 'number', 'prompt'];
+
+// Limit for link walks, so malformed (cyclic) graphs cannot hang the upload
+const MAX_DEPTH = 50;
+
+function isLink(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        (typeof value[0] === 'string' || typeof value[0] === 'number') && typeof value[1] === 'number';
+}
+
+/**
+ * Check whether a parsed "prompt" chunk is an API-format graph
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True if at least one entry looks like a node
+ */
+export function isComfyUIPromptGraph(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+    return Object.values(data).some(node => node && typeof node.class_type === 'string' && node.inputs && typeof node.inputs === 'object');
+}
+
+// A node is a sampler when it turns conditioning or a guider into a latent
+function isSamplerNode(node) {
+    const inputs = node?.inputs || {};
+    return /sampler/i.test(node?.class_type || '') &&
+        ((isLink(inputs.positive) && isLink(inputs.negative)) || isLink(inputs.guider) || isLink(inputs.conditioning));
+}
+
+class PromptGraph {
+    constructor(graph) {
+        this.graph = graph;
+    }
+
+    node(link) {
+        return isLink(link) ? this.graph[String(link[0])] || null : null;
+    }
+
+    // Literal value of an input, following links to primitive nodes
+    value(input, depth = 0) {
+        if (!isLink(input)) return input;
+        const node = this.node(input);
+        if (!node || depth > MAX_DEPTH) return undefined;
+
+        for (const name of VALUE_INPUTS) {
+            if (node.inputs?.[name] !== undefined) {
+                return this.value(node.inputs[name], depth + 1);
+            }
+        }
+        return undefined;
+    }
+
+    // Prompt texts reachable from a conditioning link. `side` is "positive" or "negative" and
+    // selects the matching output of nodes that pass both through (e.g. ControlNetApplyAdvanced).
+    texts(link, side, depth = 0, seen = new Set()) {
+        const node = this.node(link);
+        const key = isLink(link) ? String(link[0]) : null;
+        if (!node || depth > MAX_DEPTH || seen.has(key)) return [];
+        seen.add(key);
+
+        const inputs = node.inputs || {};
+        const texts = [];
+        for (const name of TEXT_INPUTS) {
+            const value = this.value(inputs[name]);
+            if (typeof value === 'string' && value.trim() && !texts.includes(value.trim())) {
+                texts.push(value.trim());
+            }
+        }
+        if (texts.length > 0) return texts;
+
+        // Pass-through nodes: follow the matching side, else every conditioning input
+        const upstream = isLink(inputs[side])
+            ? [inputs[side]]
+            : Object.entries(inputs)
+                .filter(([name, value]) => name.startsWith('conditioning') && isLink(value))
+                .map(([, value]) => value);
+
+        for (const next of upstream) {
+            for (const text of this.texts(next, side, depth + 1, seen)) {
+                if (!texts.includes(text)) texts.push(text);
+            }
+        }
+        return texts;
+    }
+
+    // Walk the model input back to the checkpoint, collecting LoRAs on the way
+    modelChain(link) {
+        const result = { checkpoint: '', loras: [] };
+        let current = link;
+
+        for (let depth = 0; depth < MAX_DEPTH; depth++) {
+            const node = this.node(current);
+            if (!node) break;
+            const inputs = node.inputs || {};
+
+            if (typeof inputs.lora_name === 'string') {
+                const lora = {
+                    name: inputs.lora_name,
+                    hash: '',
+                    weight: toNumber(this.value(inputs.strength_model ?? inputs.strength))
+                };
+                // LoraLoader also patches the text encoder, with its own strength
+                if (inputs.strength_clip !== undefined) {
+                    lora.clipWeight = toNumber(this.value(inputs.strength_clip));
+                }
+                result.loras.unshift(lora);
+            }
+            // rgthree "Power Lora Loader": lora_1 = { on, lora, strength }, ...
+            for (const [name, value] of Object.entries(inputs)) {
+                if (/^lora_\d+$/.test(name) && value && typeof value === 'object' && !Array.isArray(value) && value.on !== false && value.lora) {
+                    result.loras.unshift({ name: value.lora, hash: '', weight: toNumber(value.strength) });
+                }
+            }
+
+            const checkpoint = inputs.ckpt_name ?? inputs.unet_name ?? inputs.model_name;
+            if (typeof checkpoint === 'string') {
+                result.checkpoint = checkpoint;
+                break;
+            }
+            current = inputs.model;
+        }
+
+        return result;
+    }
+
+    // Follow latent inputs back to the node that sets the size (EmptyLatentImage and friends)
+    latentSize(link) {
+        let current = link;
+        for (let depth = 0; depth < MAX_DEPTH; depth++) {
+            const node = this.node(current);
+            if (!node) break;
+            const inputs = node.inputs || {};
+
+            const width = toNumber(this.value(inputs.width));
+            const height = toNumber(this.value(inputs.height));
+            if (width && height) return { width, height };
+
+            current = inputs.latent_image ?? inputs.samples ?? inputs.latent ?? inputs.pixels;
+        }
+        return { width: null, height: null };
+    }
+
+    // Sampler that produced the saved image: walk back from the output nodes, else the sampler
+    // that no other sampler consumes (the last pass of a hires-fix chain)
+    findFinalSampler() {
+        const samplerIds = Object.keys(this.graph).filter(id => isSamplerNode(this.graph[id]));
+        if (samplerIds.length === 0) return null;
+
+        for (const node of Object.values(this.graph)) {
+            if (!OUTPUT_NODE_PATTERN.test(node?.class_type || '')) continue;
+            let current = node.inputs?.images;
+            for (let depth = 0; depth < MAX_DEPTH && isLink(current); depth++) {
+                if (samplerIds.includes(String(current[0]))) return String(current[0]);
+                const inputs = this.node(current)?.inputs || {};
+                current = inputs.samples ?? inputs.images ?? inputs.image ?? inputs.latent ?? inputs.latent_image;
+            }
+        }
+
+        const consumed = new Set();
+        for (const id of samplerIds) {
+            let current = this.graph[id].inputs?.latent_image;
+            for (let depth = 0; depth < MAX_DEPTH && isLink(current); depth++) {
+                if (samplerIds.includes(String(current[0]))) consumed.add(String(current[0]));
+                const inputs = this.node(current)?.inputs || {};
+                current = inputs.samples ?? inputs.latent_image ?? inputs.latent;
+            }
+        }
+        return samplerIds.find(id => !consumed.has(id)) || samplerIds[0];
+    }
+}
+
+/**
+ * Resolve generation parameters from a ComfyUI API-format prompt graph
+ * @param {Object} graph - Parsed "prompt" chunk
+ * @returns {Object|null} Generation parameters, or null if the graph has no sampler
+ */
+export function resolveComfyUIPrompt(graph) {
+    if (!isComfyUIPromptGraph(graph)) return null;
+
+    const prompt = new PromptGraph(graph);
+    const samplerId = prompt.findFinalSampler();
+    if (!samplerId) return null;
+
+    const sampler = graph[samplerId];
+    const inputs = sampler.inputs || {};
+    const extra = { 'Sampler node': sampler.class_type };
+
+    // SamplerCustomAdvanced splits its settings over guider, noise, sampler and sigmas nodes
+    const guider = prompt.node(inputs.guider);
+    const noise = prompt.node(inputs.noise);
+    const samplerSelect = prompt.node(inputs.sampler);
+    const sigmas = prompt.node(inputs.sigmas);
+    const conditioningInputs = guider ? guider.inputs || {} : inputs;
+
+    const positive = prompt.texts(conditioningInputs.positive ?? conditioningInputs.conditioning, 'positive');
+    const negative = prompt.texts(conditioningInputs.negative, 'negative');
+    const model = prompt.modelChain(conditioningInputs.model ?? inputs.model);
+    const size = prompt.latentSize(inputs.latent_image);
+
+    // Flux models take their guidance from a FluxGuidance node on the conditioning path
+    let conditioning = conditioningInputs.positive ?? conditioningInputs.conditioning;
+    for (let depth = 0; depth < MAX_DEPTH && isLink(conditioning); depth++) {
+        const node = prompt.node(conditioning);
+        if (!node) break;
+        if (node.inputs?.guidance !== undefined) {
+            extra['Guidance'] = prompt.value(node.inputs.guidance);
+            break;
+        }
+        conditioning = node.inputs?.conditioning;
+    }
+
+    const scheduler = sigmas?.inputs || {};
+    const value = (...candidates) => candidates.map(candidate => prompt.value(candidate)).find(v => v !== undefined && v !== null);
+
+    return createGenerationParams('comfyui', {
+        positivePrompt: positive.join('\n\n'),
+        negativePrompt: negative.join('\n\n'),
+        steps: value(inputs.steps, scheduler.steps),
+        sampler: value(inputs.sampler_name, samplerSelect?.inputs?.sampler_name),
+        scheduleType: value(inputs.scheduler, scheduler.scheduler),
+        cfgScale: value(inputs.cfg, guider?.inputs?.cfg),
+        seed: value(inputs.seed, inputs.noise_seed, noise?.inputs?.noise_seed, noise?.inputs?.seed),
+        width: size.width,
+        height: size.height,
+        model: model.checkpoint,
+        denoise: value(inputs.denoise, scheduler.denoise),
+        loras: model.loras,
+        extra
+    });
+}
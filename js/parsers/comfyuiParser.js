@@ -1,6 +1,10 @@
-// comfyuiParser.js - Version 1.0
+// comfyuiParser.js - Version 1.3
 // Parser for extracting metadata from ComfyUI and AUTOMATIC1111 images
 
+import { parseA1111Parameters, isA1111Image } from './a1111Parser.js';
+import { resolveComfyUIPrompt } from './comfyuiGraph.js';
+import { parseJsonObject } from './generationParams.js';
+
 /**
  * Extract ComfyUI-specific information from PNG text chunks
  * Handles workflow and prompt data from ComfyUI
@@ -13,9 +17,20 @@ export function extractComfyUIInfo(chunks) {
         prompt: '',
         model: '',
         tags: '',
-        notes: ''
+        notes: '',
+        generationParams: null
     };
 
+    // The 'prompt' chunk is the executed API graph: walk it from the sampler to the real
+    // prompts, checkpoint, LoRAs and sampler settings
+    const promptGraph = parseJsonObject(chunks.prompt);
+    const resolved = promptGraph ? resolveComfyUIPrompt(promptGraph) : null;
+    if (resolved) {
+        aiInfo.prompt = resolved.positivePrompt;
+        aiInfo.model = resolved.model;
+        aiInfo.generationParams = resolved;
+    }
+
     // ComfyUI typically stores workflow in 'workflow' and prompt info in 'prompt'
     if (chunks.workflow) {
         try {
@@ -83,8 +98,8 @@ export function extractComfyUIInfo(chunks) {
         }
     }
 
-    // Check for prompt data (might be from ComfyUI or other tools)
-    if (chunks.prompt && !aiInfo.prompt) {
+    // Check for prompt data from other tools (not a resolvable graph)
+    if (chunks.prompt && !aiInfo.prompt && !resolved) {
         try {
             const promptData = JSON.parse(chunks.prompt);
             if (typeof promptData === 'object') {
@@ -106,18 +121,16 @@ export function extractComfyUIInfo(chunks) {
 
     // Check for parameters (AUTOMATIC1111 style)
     if (chunks.parameters) {
-        aiInfo.prompt = aiInfo.prompt || chunks.parameters;
+        const params = parseA1111Parameters(chunks.parameters);
+        aiInfo.prompt = aiInfo.prompt || params?.positivePrompt || chunks.parameters;
+        aiInfo.generationParams = resolved || params;
         aiInfo.notes += '🤖 A1111 Parameters detected\n';
         aiInfo.tags = 'AUTOMATIC1111,AI-Generated';
     }
 
-    // Check for Software/model info
-    if (chunks.Software) {
-        aiInfo.model = chunks.Software;
-    }
-    
-    if (chunks.software) {
-        aiInfo.model = chunks.software;
+    // Check for Software/model info (the checkpoint from the graph is more specific)
+    if (!aiInfo.model && (chunks.Software || chunks.software)) {
+        aiInfo.model = chunks.software || chunks.Software;
     }
 
     // Set tags if we have ComfyUI data
@@ -137,11 +150,21 @@ export function isComfyUIImage(chunks) {
     return !!(chunks.workflow || chunks.prompt);
 }
 
+// Kept here for existing importers; the A1111 parser lives in a1111Parser.js
+export { isA1111Image };
+
 /**
- * Check if an image is from AUTOMATIC1111 based on metadata
- * @param {Object} chunks - PNG text chunks
- * @returns {boolean} True if this appears to be an A1111 image
+ * Parser registry entry (see parserRegistry.js). Also the generic fallback for images that
+ * only carry a Software tag or plain prompt text.
  */
-export function isA1111Image(chunks) {
-    return !!chunks.parameters;
-}
\ No newline at end of file
+export const comfyuiParser = {
+    id: 'comfyui',
+    name: 'ComfyUI',
+    detect(file, chunks) {
+        if (chunks.workflow) return 0.9;
+        // API-format prompt graph, or prompt text from another tool
+        if (isComfyUIImage(chunks)) return 0.6;
+        return chunks.Software || chunks.software ? 0.05 : 0;
+    },
+    extract: extractComfyUIInfo
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+// drawthingsParser.js - Version 1.0
+// Parser for Draw Things images: XMP with xmp:CreatorTool "Draw Things" and the generation
+// settings as JSON in exif:UserComment (see metadataExtractor.js for how XMP becomes chunks)
+
+import { createGenerationParams, parseJsonObject, createAIInfoFromParams } from './generationParams.js';
+
+/**
+ * Extract Draw Things information from the XMP properties
+ * @param {Object} chunks - Embedded text metadata (XMP properties by qualified name)
+ * @returns {Object} Extracted AI information
+ */
+export function extractDrawThingsInfo(chunks) {
+    const data = parseJsonObject(chunks['exif:UserComment']) || {};
+    const size = String(data.size || '').match(/^(\d+)\s*x\s*(\d+)$/);
+
+    const extra = {};
+    if (data.seed_mode) extra['Seed mode'] = data.seed_mode;
+    if (data.shift !== undefined) extra['Shift'] = data.shift;
+    if (data.upscaler) extra['Upscaler'] = data.upscaler;
+    if (data.refiner) extra['Refiner'] = data.refiner;
+
+    const params = createGenerationParams('drawthings', {
+        positivePrompt: data.c,
+        negativePrompt: data.uc,
+        steps: data.steps,
+        sampler: data.sampler,
+        cfgScale: data.scale,
+        seed: data.seed,
+        width: size ? size[1] : null,
+        height: size ? size[2] : null,
+        model: data.model,
+        denoise: data.strength,
+        loras: (Array.isArray(data.lora) ? data.lora : []).map(lora => ({
+            name: lora.file || lora.model || '',
+            hash: '',
+            weight: typeof lora.weight === 'number' ? lora.weight : null
+        })),
+        extra
+    });
+
+    return createAIInfoFromParams(params, 'Draw Things');
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const drawthingsParser = {
+    id: 'drawthings',
+    name: 'Draw Things',
+    detect(file, chunks) {
+        const data = parseJsonObject(chunks['exif:UserComment']);
+        if (!data) return 0;
+        if (/^Draw Things/.test(chunks['xmp:CreatorTool'] || '')) return 1;
+        return data.c !== undefined && data.sampler !== undefined ? 0.7 : 0;
+    },
+    extract: extractDrawThingsInfo
+};
@@ -0,0 +1,270 @@
+// exifXmpExtractor.js - Version 1.0
+// Reads EXIF and XMP metadata from JPEG (APP1 segments) and WebP (EXIF / "XMP " RIFF chunks).
+// A1111 and Forge store their "parameters" text in the EXIF UserComment of JPEG/WebP files.
+
+const XMP_SIGNATURE = 'http://ns.adobe.com/xap/1.0/\0';
+
+// TIFF tags we read
+const TAG_IMAGE_DESCRIPTION = 0x010E;
+const TAG_SOFTWARE = 0x0131;
+const TAG_ARTIST = 0x013B;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_USER_COMMENT = 0x9286;
+const TAG_XP_COMMENT = 0x9C9C;
+
+// Bytes per value for each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function readAscii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Check if a file is a JPEG by examining its header
+ * @param {Uint8Array} uint8Array - File data
+ * @returns {boolean} True if file is a JPEG
+ */
+export function isJPEGFile(uint8Array) {
+    return uint8Array.length > 3 && uint8Array[0] === 0xFF && uint8Array[1] === 0xD8 && uint8Array[2] === 0xFF;
+}
+
+/**
+ * Check if a file is a WebP by examining its RIFF header
+ * @param {Uint8Array} uint8Array - File data
+ * @returns {boolean} True if file is a WebP
+ */
+export function isWebPFile(uint8Array) {
+    return uint8Array.length > 12 && readAscii(uint8Array, 0, 4) === 'RIFF' && readAscii(uint8Array, 8, 4) === 'WEBP';
+}
+
+/**
+ * Find the raw EXIF (TIFF) and XMP blocks of a JPEG file
+ * @param {Uint8Array} uint8Array - The JPEG file
+ * @returns {{exif: Uint8Array|null, xmp: string|null}} Raw metadata blocks
+ */
+export function extractJPEGMetadataBlocks(uint8Array) {
+    const blocks = { exif: null, xmp: null };
+    if (!isJPEGFile(uint8Array)) return blocks;
+
+    let offset = 2; // Skip SOI
+    while (offset + 4 <= uint8Array.length) {
+        if (uint8Array[offset] !== 0xFF) break; // Lost sync; metadata segments come first anyway
+        const marker = uint8Array[offset + 1];
+
+        // Fill bytes and markers without a length field
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        // Start of scan / end of image: no metadata after this point
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = (uint8Array[offset + 2] << 8) | uint8Array[offset + 3];
+        const dataStart = offset + 4;
+        const dataEnd = offset + 2 + length;
+        if (length < 2 || dataEnd > uint8Array.length) break;
+
+        if (marker === 0xE1) {
+            const data = uint8Array.subarray(dataStart, dataEnd);
+            if (!blocks.exif && readAscii(data, 0, 6) === 'Exif\0\0') {
+                blocks.exif = data.subarray(6);
+            } else if (!blocks.xmp && readAscii(data, 0, XMP_SIGNATURE.length) === XMP_SIGNATURE) {
+                blocks.xmp = new TextDecoder().decode(data.subarray(XMP_SIGNATURE.length));
+            }
+        }
+
+        offset = dataEnd;
+    }
+
+    return blocks;
+}
+
+/**
+ * Find the raw EXIF (TIFF) and XMP blocks of a WebP file
+ * @param {Uint8Array} uint8Array - The WebP file
+ * @returns {{exif: Uint8Array|null, xmp: string|null}} Raw metadata blocks
+ */
+export function extractWebPMetadataBlocks(uint8Array) {
+    const blocks = { exif: null, xmp: null };
+    if (!isWebPFile(uint8Array)) return blocks;
+
+    let offset = 12; // Skip "RIFF" size "WEBP"
+    while (offset + 8 <= uint8Array.length) {
+        const type = readAscii(uint8Array, offset, 4);
+        const size = (uint8Array[offset + 4] | (uint8Array[offset + 5] << 8) |
+                     (uint8Array[offset + 6] << 16) | (uint8Array[offset + 7] << 24)) >>> 0;
+        const dataStart = offset + 8;
+        if (dataStart + size > uint8Array.length) break;
+
+        const data = uint8Array.subarray(dataStart, dataStart + size);
+        if (type === 'EXIF') {
+            // Some writers keep the JPEG-style "Exif\0\0" prefix
+            blocks.exif = readAscii(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+        } else if (type === 'XMP ') {
+            blocks.xmp = new TextDecoder().decode(data);
+        }
+
+        offset = dataStart + size + (size % 2); // Chunks are padded to an even size
+    }
+
+    return blocks;
+}
+
+/**
+ * Decode an EXIF UserComment: an 8-byte character code followed by the text
+ * ("UNICODE\0" is UTF-16, big-endian from piexif but little-endian from some tools)
+ * @param {Uint8Array} bytes - Raw UserComment value
+ * @param {boolean} littleEndian - Byte order of the surrounding TIFF block
+ * @returns {string} Decoded comment
+ */
+export function decodeUserComment(bytes, littleEndian = false) {
+    if (bytes.length <= 8) return '';
+
+    const code = readAscii(bytes, 0, 8).replace(/\0+$/, '');
+    const body = bytes.subarray(8);
+    let text;
+
+    if (code === 'UNICODE') {
+        // ASCII characters leave a zero byte in the high half; its position gives the byte order
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < Math.min(body.length, 200); i++) {
+            if (body[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        const isLittleEndian = evenZeros === oddZeros ? littleEndian : oddZeros > evenZeros;
+        text = new TextDecoder(isLittleEndian ? 'utf-16le' : 'utf-16be').decode(body);
+    } else if (code === 'ASCII') {
+        text = new TextDecoder('latin1').decode(body);
+    } else {
+        // Undefined character code: tools writing it use UTF-8
+        text = new TextDecoder().decode(body);
+    }
+
+    return text.replace(/\0+$/, '');
+}
+
+/**
+ * Read the text fields AI tools use from a TIFF (EXIF) block
+ * @param {Uint8Array} tiff - EXIF data starting at the TIFF header
+ * @returns {Object} userComment, imageDescription, software, artist and xpComment (when present)
+ */
+export function parseExif(tiff) {
+    const fields = {};
+    if (!tiff || tiff.length < 8) return fields;
+
+    const byteOrder = readAscii(tiff, 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return fields;
+    const littleEndian = byteOrder === 'II';
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+
+    // Raw bytes of an IFD entry's value (stored inline when it fits in 4 bytes)
+    const readValueBytes = (entryOffset) => {
+        const type = view.getUint16(entryOffset + 2, littleEndian);
+        const count = view.getUint32(entryOffset + 4, littleEndian);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * count;
+        const start = size <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+        if (start + size > tiff.length) return null;
+        return tiff.subarray(start, start + size);
+    };
+
+    const readAsciiValue = (entryOffset) => {
+        const bytes = readValueBytes(entryOffset);
+        return bytes ? new TextDecoder().decode(bytes).replace(/\0+$/, '').trim() : '';
+    };
+
+    // Visit the entries of one IFD; returns false when the IFD is out of bounds
+    const readIfd = (ifdOffset, visit) => {
+        if (ifdOffset + 2 > tiff.length) return false;
+        const entryCount = view.getUint16(ifdOffset, littleEndian);
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = ifdOffset + 2 + i * 12;
+            if (entryOffset + 12 > tiff.length) return false;
+            visit(view.getUint16(entryOffset, littleEndian), entryOffset);
+        }
+        return true;
+    };
+
+    let exifIfdOffset = 0;
+    readIfd(view.getUint32(4, littleEndian), (tag, entryOffset) => {
+        if (tag === TAG_IMAGE_DESCRIPTION) fields.imageDescription = readAsciiValue(entryOffset);
+        else if (tag === TAG_SOFTWARE) fields.software = readAsciiValue(entryOffset);
+        else if (tag === TAG_ARTIST) fields.artist = readAsciiValue(entryOffset);
+        else if (tag === TAG_EXIF_IFD) exifIfdOffset = view.getUint32(entryOffset + 8, littleEndian);
+        else if (tag === TAG_XP_COMMENT) {
+            // Windows "XP" tags are always UTF-16LE
+            const bytes = readValueBytes(entryOffset);
+            if (bytes) fields.xpComment = new TextDecoder('utf-16le').decode(bytes).replace(/\0+$/, '');
+        }
+    });
+
+    if (exifIfdOffset) {
+        readIfd(exifIfdOffset, (tag, entryOffset) => {
+            if (tag === TAG_USER_COMMENT) {
+                const bytes = readValueBytes(entryOffset);
+                if (bytes) fields.userComment = decodeUserComment(bytes, littleEndian);
+            }
+        });
+    }
+
+    // Leave out empty values
+    for (const key of Object.keys(fields)) {
+        if (!fields[key]) delete fields[key];
+    }
+    return fields;
+}
+
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            // Not a character (String.fromCodePoint would throw): keep the entity as written
+            return Number.isNaN(code) || code > 0x10FFFF ? entity : String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[name] ?? entity;
+    });
+}
+
+/**
+ * Collect the simple properties of an XMP packet, keyed by qualified name (e.g. "dc:description").
+ * Properties may be attributes of rdf:Description or elements; for rdf:Alt/Seq/Bag values the
+ * list items are joined with newlines.
+ * @param {string} xmp - XMP packet (XML)
+ * @returns {Object} Property name -> text value
+ */
+export function parseXmp(xmp) {
+    const properties = {};
+    if (typeof xmp !== 'string' || !xmp) return properties;
+
+    const isPropertyName = (name) => !/^(rdf|x|xmlns|xml):/.test(name);
+
+    // <rdf:Description dc:format="image/jpeg" xmp:CreatorTool="...">
+    for (const description of xmp.matchAll(/<rdf:Description\b([^>]*)>/g)) {
+        for (const [, name, value] of description[1].matchAll(/([\w-]+:[\w-]+)\s*=\s*"([^"]*)"/g)) {
+            if (isPropertyName(name)) properties[name] = decodeXmlEntities(value);
+        }
+    }
+
+    // <dc:description><rdf:Alt><rdf:li xml:lang="x-default">...</rdf:li></rdf:Alt></dc:description>
+    // (container elements are excluded from the pattern so the scan continues inside them)
+    for (const [, name, content] of xmp.matchAll(/<(?!(?:rdf|x):)([\w-]+:[\w-]+)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g)) {
+        if (properties[name] !== undefined) continue;
+
+        const items = [...content.matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g)].map(item => item[1]);
+        const value = items.length > 0 ? items.join('\n') : content;
+        // Skip structured values (nested elements other than list items)
+        if (/<[\w-]+:/.test(value)) continue;
+
+        properties[name] = decodeXmlEntities(value.trim());
+    }
+
+    return properties;
+}
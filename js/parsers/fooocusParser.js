@@ -0,0 +1,94 @@
+// fooocusParser.js - Version 1.0
+// Parser for Fooocus images saved with the "fooocus" metadata scheme: JSON in the "parameters"
+// chunk, next to a "fooocus_scheme" chunk. (The "a1111" scheme is handled by a1111Parser.js.)
+
+import { createGenerationParams, parseJsonObject, toNumber, createAIInfoFromParams } from './generationParams.js';
+
+// Settings shown as extra table rows
+const EXTRA_FIELDS = {
+    styles: 'Styles',
+    performance: 'Performance',
+    sharpness: 'Sharpness',
+    adm_guidance: 'ADM guidance',
+    refiner_model: 'Refiner model',
+    refiner_switch: 'Refiner switch'
+};
+
+// "sd_xl_offset_example-lora_1.0.safetensors : 0.1" (older versions: [name, weight] pairs)
+function parseLora(value) {
+    if (Array.isArray(value)) {
+        return { name: String(value[0]), hash: '', weight: toNumber(value[1]) };
+    }
+    const separator = String(value).lastIndexOf(' : ');
+    return separator === -1
+        ? { name: String(value).trim(), hash: '', weight: null }
+        : { name: value.slice(0, separator).trim(), hash: '', weight: toNumber(value.slice(separator + 3)) };
+}
+
+/**
+ * Parse the Fooocus JSON parameters
+ * @param {Object} data - Parsed "parameters" JSON
+ * @returns {Object} Generation parameters
+ */
+export function parseFooocusParameters(data) {
+    // "resolution": "(1152, 896)" is width, height
+    const resolution = String(data.resolution || '').match(/(\d+)\D+(\d+)/);
+
+    const loras = Object.keys(data)
+        .filter(key => /^lora_combined_\d+$/.test(key))
+        .sort((a, b) => parseInt(a.slice(14)) - parseInt(b.slice(14)))
+        .map(key => parseLora(data[key]));
+    if (Array.isArray(data.loras)) {
+        loras.push(...data.loras.map(parseLora));
+    }
+
+    const extra = {};
+    for (const [key, label] of Object.entries(EXTRA_FIELDS)) {
+        if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+            extra[label] = Array.isArray(data[key]) ? data[key].join(', ') : data[key];
+        }
+    }
+
+    return createGenerationParams('fooocus', {
+        positivePrompt: data.prompt,
+        negativePrompt: data.negative_prompt,
+        steps: data.steps,
+        sampler: data.sampler,
+        scheduleType: data.scheduler,
+        cfgScale: data.guidance_scale,
+        seed: data.seed,
+        width: resolution ? resolution[1] : null,
+        height: resolution ? resolution[2] : null,
+        model: data.base_model,
+        modelHash: data.base_model_hash,
+        vae: data.vae,
+        clipSkip: data.clip_skip,
+        version: data.version,
+        loras,
+        extra
+    });
+}
+
+/**
+ * Extract Fooocus information from PNG text chunks
+ * @param {Object} chunks - PNG text chunks extracted from the image
+ * @returns {Object} Extracted AI information
+ */
+export function extractFooocusInfo(chunks) {
+    return createAIInfoFromParams(parseFooocusParameters(parseJsonObject(chunks.parameters) || {}), 'Fooocus');
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const fooocusParser = {
+    id: 'fooocus',
+    name: 'Fooocus',
+    detect(file, chunks) {
+        const data = parseJsonObject(chunks.parameters);
+        if (!data) return 0;
+        if (chunks.fooocus_scheme === 'fooocus' || String(data.version || '').startsWith('Fooocus')) return 1;
+        return data.guidance_scale !== undefined && data.base_model !== undefined ? 0.7 : 0;
+    },
+    extract: extractFooocusInfo
+};
@@ -0,0 +1,86 @@
+// generationParams.js - Version 1.0
+// Shared shape of the structured generation parameters every parser produces (stored in
+// media.generation_params, shown as a table in the modal and searchable with seed:, cfg:, ...)
+
+/**
+ * Create a generationParams object with every common field present
+ * @param {string} source - Parser id, e.g. "a1111" or "invokeai"
+ * @param {Object} [values] - Known values; numeric fields that are not finite numbers become null
+ * @returns {Object} Generation parameters
+ */
+export function createGenerationParams(source, values = {}) {
+    const params = {
+        source,
+        positivePrompt: '',
+        negativePrompt: '',
+        steps: null,
+        sampler: '',
+        scheduleType: '',
+        cfgScale: null,
+        seed: null,
+        width: null,
+        height: null,
+        modelHash: '',
+        model: '',
+        vaeHash: '',
+        vae: '',
+        denoise: null,
+        clipSkip: null,
+        version: '',
+        loras: [],
+        extra: {},
+        ...values
+    };
+
+    for (const field of ['steps', 'cfgScale', 'seed', 'width', 'height', 'denoise', 'clipSkip']) {
+        params[field] = toNumber(params[field]);
+    }
+    for (const field of ['positivePrompt', 'negativePrompt', 'sampler', 'scheduleType', 'modelHash', 'model', 'vaeHash', 'vae', 'version']) {
+        params[field] = params[field] === null || params[field] === undefined ? '' : String(params[field]).trim();
+    }
+
+    return params;
+}
+
+/**
+ * Convert numbers and numeric strings to a number
+ * @param {*} value - Raw value
+ * @returns {number|null} The number, or null if the value is not numeric
+ */
+export function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return Number(value);
+    return null;
+}
+
+/**
+ * Parse a JSON object from a text chunk
+ * @param {string} text - Chunk text
+ * @returns {Object|null} The object, or null if the text is not a JSON object
+ */
+export function parseJsonObject(text) {
+    if (typeof text !== 'string' || !text.trim().startsWith('{')) return null;
+    try {
+        const value = JSON.parse(text);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Build aiInfo (the fields shown in the modal form) from parsed generation parameters
+ * @param {Object} params - Generation parameters from createGenerationParams()
+ * @param {string} toolName - Generator name, used as tag and in the notes
+ * @returns {Object} Extracted AI information
+ */
+export function createAIInfoFromParams(params, toolName) {
+    return {
+        title: '',
+        prompt: params.positivePrompt,
+        model: params.model,
+        tags: `${toolName},AI-Generated`,
+        notes: `🤖 ${toolName} metadata detected\n`,
+        generationParams: params
+    };
+}
@@ -0,0 +1,106 @@
+// invokeaiParser.js - Version 1.0
+// Parser for InvokeAI images: "invokeai_metadata" JSON (v3+) and the legacy "sd-metadata" JSON (v2)
+
+import { createGenerationParams, parseJsonObject, createAIInfoFromParams } from './generationParams.js';
+
+// Model references are { name } in v4, { model_name } in v3
+function modelName(model) {
+    if (!model) return '';
+    if (typeof model === 'string') return model;
+    return model.name || model.model_name || '';
+}
+
+/**
+ * Parse InvokeAI v3+ "invokeai_metadata"
+ * @param {Object} data - Parsed invokeai_metadata JSON
+ * @returns {Object} Generation parameters
+ */
+function parseInvokeAIMetadata(data) {
+    const extra = {};
+    if (data.generation_mode) extra['Generation mode'] = data.generation_mode;
+    if (data.positive_style_prompt) extra['Style prompt'] = data.positive_style_prompt;
+    if (data.negative_style_prompt) extra['Negative style prompt'] = data.negative_style_prompt;
+    if (data.model?.base || data.model?.base_model) extra['Base model'] = data.model.base || data.model.base_model;
+    if (data.rand_device) extra['Noise device'] = data.rand_device;
+
+    return createGenerationParams('invokeai', {
+        positivePrompt: data.positive_prompt,
+        negativePrompt: data.negative_prompt,
+        steps: data.steps,
+        // InvokeAI calls its samplers "schedulers" (e.g. dpmpp_2m_k)
+        sampler: data.scheduler,
+        cfgScale: data.cfg_scale,
+        seed: data.seed,
+        width: data.width,
+        height: data.height,
+        model: modelName(data.model),
+        modelHash: data.model?.hash || '',
+        vae: modelName(data.vae),
+        denoise: data.strength,
+        clipSkip: data.clip_skip,
+        version: data.app_version,
+        loras: (Array.isArray(data.loras) ? data.loras : []).map(lora => ({
+            name: modelName(lora.model || lora.lora),
+            hash: lora.model?.hash || '',
+            weight: typeof lora.weight === 'number' ? lora.weight : null
+        })),
+        extra
+    });
+}
+
+/**
+ * Parse InvokeAI v2 "sd-metadata"
+ * @param {Object} data - Parsed sd-metadata JSON
+ * @returns {Object} Generation parameters
+ */
+function parseLegacyMetadata(data) {
+    const image = data.image || {};
+    // The prompt is a list of weighted prompts; negative terms are written in [brackets]
+    const promptText = Array.isArray(image.prompt)
+        ? image.prompt.map(entry => entry.prompt).join(' ')
+        : String(image.prompt || '');
+    const negative = [...promptText.matchAll(/\[([^\]]*)\]/g)].map(match => match[1].trim());
+
+    return createGenerationParams('invokeai', {
+        positivePrompt: promptText.replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' '),
+        negativePrompt: negative.join(', '),
+        steps: image.steps,
+        sampler: image.sampler,
+        cfgScale: image.cfg_scale,
+        seed: image.seed,
+        width: image.width,
+        height: image.height,
+        model: data.model_weights,
+        modelHash: data.model_hash,
+        denoise: image.strength,
+        version: data.app_version,
+        extra: image.type ? { 'Generation mode': image.type } : {}
+    });
+}
+
+/**
+ * Extract InvokeAI information from PNG text chunks
+ * @param {Object} chunks - PNG text chunks extracted from the image
+ * @returns {Object} Extracted AI information
+ */
+export function extractInvokeAIInfo(chunks) {
+    const metadata = parseJsonObject(chunks.invokeai_metadata);
+    const params = metadata
+        ? parseInvokeAIMetadata(metadata)
+        : parseLegacyMetadata(parseJsonObject(chunks['sd-metadata']) || {});
+    return createAIInfoFromParams(params, 'InvokeAI');
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const invokeaiParser = {
+    id: 'invokeai',
+    name: 'InvokeAI',
+    detect(file, chunks) {
+        if (parseJsonObject(chunks.invokeai_metadata)) return 1;
+        const legacy = parseJsonObject(chunks['sd-metadata']);
+        return legacy?.image ? 0.9 : 0;
+    },
+    extract: extractInvokeAIInfo
+};
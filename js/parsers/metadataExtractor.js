@@ -0,0 +1,84 @@
+// metadataExtractor.js - Version 1.0
+// Reads the embedded text metadata of PNG, JPEG and WebP files into one keyword -> text object,
+// so every format feeds the same parsers (ChatGPT, ComfyUI, A1111)
+
+import { extractPNGTextChunks, isPNGFile } from './pngChunkExtractor.js';
+import {
+    extractJPEGMetadataBlocks,
+    extractWebPMetadataBlocks,
+    isJPEGFile,
+    isWebPFile,
+    parseExif,
+    parseXmp
+} from './exifXmpExtractor.js';
+import { isA1111ParametersText } from './a1111Parser.js';
+
+// parseExif() field -> chunk keyword
+const EXIF_CHUNK_NAMES = {
+    userComment: 'UserComment',
+    imageDescription: 'ImageDescription',
+    software: 'Software',
+    artist: 'Artist',
+    xpComment: 'XPComment'
+};
+
+// PNG text keyword holding an XMP packet (Draw Things and Adobe tools write one)
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+// Where A1111-style "parameters" text can end up in EXIF/XMP, in order of preference
+const PARAMETER_SOURCES = ['UserComment', 'exif:UserComment', 'ImageDescription', 'dc:description', 'XPComment'];
+
+/**
+ * Extract embedded text metadata from an image file
+ * PNG text chunks are returned as is, except that an XMP chunk is expanded into its
+ * properties. For JPEG and WebP the EXIF fields are named like their tags (UserComment,
+ * ImageDescription, Software, ...). XMP properties keep their qualified names (dc:description,
+ * xmp:CreatorTool, ...). A1111 / Forge parameters found in EXIF or XMP are returned as
+ * "parameters" instead, the keyword they use in PNGs.
+ * @param {Uint8Array} uint8Array - The image file
+ * @returns {Promise<Object>} Keyword -> text
+ */
+export async function extractEmbeddedTextChunks(uint8Array) {
+    let chunks = {};
+    let blocks = null;
+
+    if (isPNGFile(uint8Array)) {
+        chunks = await extractPNGTextChunks(uint8Array);
+        // The XMP packet is replaced by its properties
+        if (chunks[PNG_XMP_KEYWORD]) {
+            blocks = { exif: null, xmp: chunks[PNG_XMP_KEYWORD] };
+            delete chunks[PNG_XMP_KEYWORD];
+        }
+    } else if (isJPEGFile(uint8Array)) {
+        blocks = extractJPEGMetadataBlocks(uint8Array);
+    } else if (isWebPFile(uint8Array)) {
+        blocks = extractWebPMetadataBlocks(uint8Array);
+    }
+
+    if (!blocks) return chunks;
+
+    try {
+        for (const [field, value] of Object.entries(parseExif(blocks.exif))) {
+            chunks[EXIF_CHUNK_NAMES[field]] = value;
+        }
+    } catch (error) {
+        console.warn('Could not read EXIF metadata:', error.message);
+    }
+
+    try {
+        for (const [name, value] of Object.entries(parseXmp(blocks.xmp))) {
+            if (value && chunks[name] === undefined) chunks[name] = value;
+        }
+    } catch (error) {
+        console.warn('Could not read XMP metadata:', error.message);
+    }
+
+    // Moved rather than copied so the text is stored once
+    const parameterSource = !chunks.parameters && PARAMETER_SOURCES.find(name => isA1111ParametersText(chunks[name]));
+    if (parameterSource) {
+        chunks.parameters = chunks[parameterSource];
+        delete chunks[parameterSource];
+    }
+
+    return chunks;
+}
@@ -0,0 +1,66 @@
+// novelaiParser.js - Version 1.0
+// Parser for NovelAI images: generation settings as JSON in the "Comment" chunk, with the
+// prompt also in "Description" and the model in "Source"
+
+import { createGenerationParams, parseJsonObject, createAIInfoFromParams } from './generationParams.js';
+
+// V4 prompts split the scene (base caption) from per-character captions
+function v4Captions(prompt) {
+    const caption = prompt?.caption;
+    if (!caption) return { base: '', characters: [] };
+    return {
+        base: caption.base_caption || '',
+        characters: (caption.char_captions || []).map(entry => entry.char_caption).filter(Boolean)
+    };
+}
+
+/**
+ * Extract NovelAI information from PNG text chunks
+ * @param {Object} chunks - PNG text chunks extracted from the image
+ * @returns {Object} Extracted AI information
+ */
+export function extractNovelAIInfo(chunks) {
+    const data = parseJsonObject(chunks.Comment) || {};
+    const positive = v4Captions(data.v4_prompt);
+    const negative = v4Captions(data.v4_negative_prompt);
+
+    const extra = {};
+    if (positive.characters.length > 0) extra['Character prompts'] = positive.characters.join('\n');
+    if (negative.characters.length > 0) extra['Character negative prompts'] = negative.characters.join('\n');
+    if (data.cfg_rescale) extra['CFG rescale'] = data.cfg_rescale;
+    if (data.uncond_scale !== undefined && data.uncond_scale !== 1) extra['Undesired content strength'] = data.uncond_scale;
+    if (data.request_type) extra['Request type'] = data.request_type;
+
+    const params = createGenerationParams('novelai', {
+        positivePrompt: data.prompt || positive.base || chunks.Description,
+        negativePrompt: data.uc || negative.base,
+        steps: data.steps,
+        sampler: data.sampler,
+        scheduleType: data.noise_schedule,
+        cfgScale: data.scale,
+        seed: data.seed,
+        width: data.width,
+        height: data.height,
+        // e.g. "NovelAI Diffusion V4.5 4BDE2A90" (the hex suffix identifies the model build)
+        model: chunks.Source || chunks.Software || 'NovelAI',
+        denoise: data.strength,
+        extra
+    });
+
+    return createAIInfoFromParams(params, 'NovelAI');
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const novelaiParser = {
+    id: 'novelai',
+    name: 'NovelAI',
+    detect(file, chunks) {
+        const data = parseJsonObject(chunks.Comment);
+        if (!data) return 0;
+        if (chunks.Software === 'NovelAI' || /^NovelAI/.test(chunks.Source || '')) return 1;
+        return data.uc !== undefined && data.scale !== undefined ? 0.7 : 0;
+    },
+    extract: extractNovelAIInfo
+};
@@ -0,0 +1,145 @@
+// parserRegistry.js - Version 1.0
+// Chooses the metadata parser for an uploaded image. Each parser declares how confident it is
+// that it understands a file (detect) and how to turn the embedded text into aiInfo (extract);
+// the most confident parser wins.
+//
+// Parsers run on the server when a file is uploaded (see mediaIngest.js), so third-party parsers
+// register from server code, e.g. a module imported by server.js, the same way as the built-in ones:
+//
+//   import { registerMetadataParser } from './js/parsers/parserRegistry.js';
+//   registerMetadataParser({
+//       id: 'mytool',
+//       name: 'My Tool',
+//       detect: (file, chunks) => (chunks.mytool ? 0.9 : 0),
+//       extract: (chunks, file) => ({ prompt: JSON.parse(chunks.mytool).prompt, tags: 'MyTool' })
+//   });
+
+import { chatgptParser } from './chatgptParser.js';
+import { comfyuiParser } from './comfyuiParser.js';
+import { a1111Parser } from './a1111Parser.js';
+import { invokeaiParser } from './invokeaiParser.js';
+import { fooocusParser } from './fooocusParser.js';
+import { novelaiParser } from './novelaiParser.js';
+import { swarmuiParser } from './swarmuiParser.js';
+import { drawthingsParser } from './drawthingsParser.js';
+
+// Registered parsers by id, in registration order
+const parsers = new Map();
+
+/**
+ * Empty aiInfo, the shape every parser's extract() result is normalized to
+ * @returns {Object} aiInfo with empty fields
+ */
+export function createEmptyAIInfo() {
+    return {
+        title: '',
+        prompt: '',
+        model: '',
+        tags: '',
+        notes: '',
+        generationParams: null
+    };
+}
+
+/**
+ * Register a metadata parser (replaces a registered parser with the same id)
+ * @param {Object} parser
+ * @param {string} parser.id - Unique id, e.g. "comfyui"
+ * @param {string} [parser.name] - Display name
+ * @param {function(File|{name: string}, Object): number} parser.detect - Confidence from 0 (not this
+ *     tool) to 1 (certain) that the file was made by this tool; receives the file and its text chunks
+ * @param {function(Object, File|{name: string}): (Object|Promise<Object>)} parser.extract - aiInfo
+ *     (title, prompt, model, tags, notes, generationParams) from the text chunks
+ */
+export function registerMetadataParser(parser) {
+    if (!parser || typeof parser.id !== 'string' || !parser.id.trim()) {
+        throw new Error('Metadata parser needs an id');
+    }
+    if (typeof parser.detect !== 'function' || typeof parser.extract !== 'function') {
+        throw new Error(`Metadata parser "${parser.id}" needs detect() and extract() functions`);
+    }
+
+    if (parsers.has(parser.id)) {
+        console.warn(`🧩 Replacing metadata parser "${parser.id}"`);
+        parsers.delete(parser.id);
+    }
+    parsers.set(parser.id, { name: parser.id, ...parser });
+}
+
+/**
+ * Remove a registered parser
+ * @param {string} id - Parser id
+ * @returns {boolean} True if a parser was removed
+ */
+export function unregisterMetadataParser(id) {
+    return parsers.delete(id);
+}
+
+/**
+ * List the registered parsers
+ * @returns {Array<{id: string, name: string}>} Parsers in registration order
+ */
+export function getMetadataParsers() {
+    return Array.from(parsers.values(), ({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Find the parser most confident it understands a file. On equal scores the parser registered
+ * last wins, so third-party parsers can take over from built-in ones.
+ * @param {File|{name: string}} file - The uploaded file (only the name is used by built-in parsers)
+ * @param {Object} chunks - Embedded text metadata (see metadataExtractor.js)
+ * @returns {{parser: Object, confidence: number}|null} Best parser, or null if none detects the file
+ */
+export function selectMetadataParser(file, chunks) {
+    let best = null;
+
+    for (const parser of parsers.values()) {
+        let confidence = 0;
+        try {
+            confidence = Math.min(1, Number(parser.detect(file, chunks)) || 0);
+        } catch (error) {
+            console.warn(`🧩 Metadata parser "${parser.id}" failed to detect ${file?.name}:`, error);
+        }
+
+        if (confidence > 0 && (!best || confidence >= best.confidence)) {
+            best = { parser, confidence };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Run the best matching parser on a file's embedded metadata
+ * @param {File|{name: string}} file - The uploaded file
+ * @param {Object} chunks - Embedded text metadata (see metadataExtractor.js)
+ * @returns {Promise<{parserId: string|null, aiInfo: Object}>} Id of the parser used and its aiInfo
+ */
+export async function extractAIInfo(file, chunks) {
+    const match = selectMetadataParser(file, chunks || {});
+    if (!match) {
+        return { parserId: null, aiInfo: createEmptyAIInfo() };
+    }
+
+    const { parser, confidence } = match;
+    console.log(`🧩 Using ${parser.name} metadata parser for ${file?.name} (confidence ${confidence})`);
+
+    try {
+        const result = await parser.extract(chunks, file);
+        return { parserId: parser.id, aiInfo: { ...createEmptyAIInfo(), ...result } };
+    } catch (error) {
+        // A broken parser must not block the upload; the raw chunks are still stored
+        console.error(`🧩 Metadata parser "${parser.id}" failed on ${file?.name}:`, error);
+        return { parserId: null, aiInfo: createEmptyAIInfo() };
+    }
+}
+
+// Built-in parsers
+registerMetadataParser(comfyuiParser);
+registerMetadataParser(a1111Parser);
+registerMetadataParser(chatgptParser);
+registerMetadataParser(invokeaiParser);
+registerMetadataParser(fooocusParser);
+registerMetadataParser(novelaiParser);
+registerMetadataParser(swarmuiParser);
+registerMetadataParser(drawthingsParser);
@@ -1,54 +1,119 @@
-// pngChunkExtractor.js - Version 1.0
+// pngChunkExtractor.js - Version 1.1
 // Shared utility for extracting PNG text chunks where AI tools store metadata
 
+const TEXT_CHUNK_TYPES = ['tEXt', 'iTXt', 'zTXt'];
+
 /**
- * Extract PNG text chunks (tEXt, iTXt, zTXt)
- * This is where ComfyUI, ChatGPT, and other tools store metadata
+ * Inflate zlib-compressed bytes (compression method 0, the only one PNG defines)
+ * Uses DecompressionStream, which is available in browsers and Node 18+
+ * @param {Uint8Array} bytes - zlib stream
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode the data of a single tEXt, zTXt or iTXt chunk
+ * @param {string} type - Chunk type
+ * @param {Uint8Array} chunkData - Chunk data (without length, type and CRC)
+ * @returns {Promise<Object|null>} Decoded entry, or null if the chunk is malformed
+ */
+async function decodeTextChunk(type, chunkData) {
+    const keywordEnd = chunkData.indexOf(0);
+    if (keywordEnd === -1) return null;
+
+    // Keywords are Latin-1 in every text chunk type
+    const keyword = new TextDecoder('latin1').decode(chunkData.slice(0, keywordEnd));
+    const entry = { type, keyword, text: '', compressed: false, languageTag: '', translatedKeyword: '' };
+
+    if (type === 'tEXt') {
+        // Spec says Latin-1, but most AI tools write UTF-8 here
+        entry.text = new TextDecoder().decode(chunkData.slice(keywordEnd + 1));
+    } else if (type === 'zTXt') {
+        // keyword \0 compression-method compressed-text (Latin-1, in practice UTF-8)
+        entry.compressed = true;
+        entry.text = new TextDecoder().decode(await inflate(chunkData.slice(keywordEnd + 2)));
+    } else {
+        // keyword \0 compression-flag compression-method language-tag \0 translated-keyword \0 text
+        const compressionFlag = chunkData[keywordEnd + 1];
+        const languageStart = keywordEnd + 3;
+        const languageEnd = chunkData.indexOf(0, languageStart);
+        if (languageEnd === -1) return null;
+        const translatedEnd = chunkData.indexOf(0, languageEnd + 1);
+        if (translatedEnd === -1) return null;
+
+        entry.compressed = compressionFlag === 1;
+        entry.languageTag = new TextDecoder('latin1').decode(chunkData.slice(languageStart, languageEnd));
+        entry.translatedKeyword = new TextDecoder().decode(chunkData.slice(languageEnd + 1, translatedEnd));
+
+        const textBytes = chunkData.slice(translatedEnd + 1);
+        entry.text = new TextDecoder().decode(entry.compressed ? await inflate(textBytes) : textBytes);
+    }
+
+    return entry;
+}
+
+/**
+ * Extract every PNG text chunk (tEXt, iTXt, zTXt) with its details, in file order
  * @param {Uint8Array} uint8Array - The PNG file as a Uint8Array
- * @returns {Object} Object containing extracted text chunks
+ * @returns {Promise<Array<{type: string, keyword: string, text: string, compressed: boolean,
+ *     languageTag: string, translatedKeyword: string}>>} Decoded text chunks
  */
-export function extractPNGTextChunks(uint8Array) {
-    const chunks = {};
-    
-    // Check PNG signature
-    if (uint8Array[0] !== 0x89 || uint8Array[1] !== 0x50 || 
-        uint8Array[2] !== 0x4E || uint8Array[3] !== 0x47) {
-        return chunks; // Not a PNG file
+export async function extractPNGTextChunkEntries(uint8Array) {
+    const entries = [];
+
+    if (!isPNGFile(uint8Array)) {
+        return entries;
     }
-    
+
     let offset = 8; // Skip PNG signature
-    
+
     while (offset < uint8Array.length - 8) {
         // Read chunk length (4 bytes, big-endian)
-        const length = (uint8Array[offset] << 24) | (uint8Array[offset + 1] << 16) | 
-                      (uint8Array[offset + 2] << 8) | uint8Array[offset + 3];
-        
+        const length = ((uint8Array[offset] << 24) | (uint8Array[offset + 1] << 16) |
+                       (uint8Array[offset + 2] << 8) | uint8Array[offset + 3]) >>> 0;
+
         // Read chunk type (4 bytes)
         const type = String.fromCharCode(
-            uint8Array[offset + 4], uint8Array[offset + 5], 
+            uint8Array[offset + 4], uint8Array[offset + 5],
             uint8Array[offset + 6], uint8Array[offset + 7]
         );
-        
-        // Check if it's a text chunk
-        if (type === 'tEXt' || type === 'iTXt' || type === 'zTXt') {
-            const dataStart = offset + 8;
-            const chunkData = uint8Array.slice(dataStart, dataStart + length);
-            
-            if (type === 'tEXt') {
-                const nullIndex = chunkData.indexOf(0);
-                if (nullIndex !== -1) {
-                    const keyword = new TextDecoder().decode(chunkData.slice(0, nullIndex));
-                    const text = new TextDecoder().decode(chunkData.slice(nullIndex + 1));
-                    chunks[keyword] = text;
-                }
+
+        const dataStart = offset + 8;
+        if (type === 'IEND' || dataStart + length > uint8Array.length) {
+            break; // End of image, or a truncated file
+        }
+
+        if (TEXT_CHUNK_TYPES.includes(type)) {
+            try {
+                const entry = await decodeTextChunk(type, uint8Array.slice(dataStart, dataStart + length));
+                if (entry) entries.push(entry);
+            } catch (error) {
+                // Corrupt compressed data; skip this chunk but keep the others
+                console.warn(`Could not decode PNG ${type} chunk:`, error.message);
             }
-            // Note: iTXt and zTXt support could be added here for compressed text
         }
-        
+
         // Move to next chunk
         offset += 8 + length + 4; // length + type + data + CRC
     }
-    
+
+    return entries;
+}
+
+/**
+ * Extract PNG text chunks (tEXt, iTXt, zTXt)
+ * This is where ComfyUI, ChatGPT, and other tools store metadata
+ * @param {Uint8Array} uint8Array - The PNG file as a Uint8Array
+ * @returns {Promise<Object>} Object mapping each keyword to its (decompressed) text
+ */
+export async function extractPNGTextChunks(uint8Array) {
+    const chunks = {};
+    for (const entry of await extractPNGTextChunkEntries(uint8Array)) {
+        chunks[entry.keyword] = entry.text;
+    }
     return chunks;
 }
 
@@ -63,4 +128,4 @@ export function isPNGFile(uint8Array) {
            uint8Array[1] === 0x50 && 
            uint8Array[2] === 0x4E && 
            uint8Array[3] === 0x47;
-}
\ No newline at end of file
+}
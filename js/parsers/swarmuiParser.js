@@ -0,0 +1,72 @@
+// swarmuiParser.js - Version 1.0
+// Parser for SwarmUI images: {"sui_image_params": {...}, "sui_extra_data": {...}} JSON, stored in
+// the "parameters" chunk (or EXIF UserComment for JPEG/WebP)
+
+import { createGenerationParams, parseJsonObject, toNumber, createAIInfoFromParams } from './generationParams.js';
+
+// sui_image_params found in the chunks, or null
+function findImageParams(chunks) {
+    if (chunks.sui_image_params) {
+        return parseJsonObject(chunks.sui_image_params);
+    }
+    for (const text of [chunks.parameters, chunks.UserComment]) {
+        const data = parseJsonObject(text);
+        if (data?.sui_image_params) return data.sui_image_params;
+    }
+    return null;
+}
+
+/**
+ * Extract SwarmUI information from PNG text chunks
+ * @param {Object} chunks - PNG text chunks extracted from the image
+ * @returns {Object} Extracted AI information
+ */
+export function extractSwarmUIInfo(chunks) {
+    const data = findImageParams(chunks) || {};
+
+    // LoRA names and weights are parallel lists
+    const weights = Array.isArray(data.loraweights) ? data.loraweights : [];
+    const loras = (Array.isArray(data.loras) ? data.loras : []).map((name, index) => ({
+        name: String(name),
+        hash: '',
+        weight: toNumber(weights[index])
+    }));
+
+    const extra = {};
+    if (data.aspectratio) extra['Aspect ratio'] = data.aspectratio;
+    if (data.refinermodel) extra['Refiner model'] = data.refinermodel;
+    if (data.generation_time) extra['Generation time'] = data.generation_time;
+
+    const params = createGenerationParams('swarmui', {
+        positivePrompt: data.prompt,
+        negativePrompt: data.negativeprompt,
+        steps: data.steps,
+        sampler: data.sampler,
+        scheduleType: data.scheduler,
+        cfgScale: data.cfgscale,
+        seed: data.seed,
+        width: data.width,
+        height: data.height,
+        model: data.model,
+        vae: data.vae,
+        denoise: data.initimagecreativity,
+        clipSkip: data.clipstopatlayer !== undefined ? Math.abs(data.clipstopatlayer) : null,
+        version: data.swarm_version,
+        loras,
+        extra
+    });
+
+    return createAIInfoFromParams(params, 'SwarmUI');
+}
+
+/**
+ * Parser registry entry (see parserRegistry.js)
+ */
+export const swarmuiParser = {
+    id: 'swarmui',
+    name: 'SwarmUI',
+    detect(file, chunks) {
+        return findImageParams(chunks) ? 1 : 0;
+    },
+    extract: extractSwarmUIInfo
+};
@@ -0,0 +1,321 @@
+// videoMetadataExtractor.js - Version 1.0
+// Reads the metadata tags of MP4/MOV (moov/udta/meta/ilst) and Matroska/WebM (Tags) files.
+// ComfyUI video nodes (VideoHelperSuite, SaveVideo, SaveWEBM) store the prompt graph and the
+// workflow there, either as "prompt"/"workflow" tags or as one JSON object in "comment".
+// Only the boxes/elements that hold tags are read, so large videos are never loaded whole.
+
+// MP4 container boxes on the way to the tags
+const MP4_CONTAINER_BOXES = ['moov', 'udta', 'meta', 'ilst'];
+
+// iTunes-style ilst item -> tag name
+const MP4_ITEM_NAMES = {
+    '©cmt': 'comment',
+    '©nam': 'title',
+    '©too': 'encoder',
+    '©ART': 'artist',
+    '©day': 'date',
+    'desc': 'description',
+    'ldes': 'description'
+};
+
+// Largest box / element read into memory (workflows are large, but not this large)
+const MAX_METADATA_SIZE = 64 * 1024 * 1024;
+
+// Matroska element ids (the length marker bits included)
+const EBML_HEADER = 0x1A45DFA3;
+const MKV_SEGMENT = 0x18538067;
+const MKV_TAGS = 0x1254C367;
+const MKV_TAG = 0x7373;
+const MKV_SIMPLE_TAG = 0x67C8;
+const MKV_TAG_NAME = 0x45A3;
+const MKV_TAG_STRING = 0x4487;
+
+// Matroska elements entered while looking for tags
+const MKV_CONTAINER_IDS = [MKV_TAGS, MKV_TAG, MKV_SIMPLE_TAG];
+
+const utf8 = new TextDecoder();
+
+function readAscii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+async function readBlob(blob, start, length) {
+    const end = Math.min(blob.size, start + length);
+    return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Check if a file is an MP4 / QuickTime file by looking for its first box type
+ * @param {Uint8Array} header - At least the first 12 bytes of the file
+ * @returns {boolean} True for ISO base media files
+ */
+export function isMP4File(header) {
+    return header.length >= 12 && ['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(readAscii(header, 4, 4));
+}
+
+/**
+ * Check if a file is a Matroska / WebM file
+ * @param {Uint8Array} header - At least the first 4 bytes of the file
+ * @returns {boolean} True if the file starts with an EBML header
+ */
+export function isMatroskaFile(header) {
+    return header.length >= 4 && readUint32(header, 0) === EBML_HEADER;
+}
+
+// MP4: boxes in bytes[start, end) as { type, start (payload), end }
+function listBoxes(bytes, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = readUint32(bytes, offset);
+        const type = readAscii(bytes, offset + 4, 4);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = readUint32(bytes, offset + 8) * 2 ** 32 + readUint32(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        boxes.push({ type, start: offset + headerSize, end: offset + size, index: readUint32(bytes, offset + 4) });
+        offset += size;
+    }
+    return boxes;
+}
+
+// The value of an ilst item's "data" box as text (UTF-8 / UTF-16 types only)
+function readMp4DataBox(bytes, item) {
+    const data = listBoxes(bytes, item.start, item.end).find(box => box.type === 'data');
+    if (!data || data.end - data.start < 8) return null;
+
+    const dataType = readUint32(bytes, data.start) & 0xFFFFFF;
+    const value = bytes.subarray(data.start + 8, data.end);
+    if (dataType === 1 || dataType === 0) return utf8.decode(value);
+    if (dataType === 2) return new TextDecoder('utf-16be').decode(value);
+    return null;
+}
+
+// Tags of one "meta" box: iTunes items (©cmt, ...), freeform "----" items and "mdta" keys
+function readMp4Meta(bytes, meta, tags) {
+    // "meta" is a full box in ISO files but not in QuickTime files
+    let start = meta.start;
+    if (readAscii(bytes, start + 4, 4) !== 'hdlr') start += 4;
+
+    const children = listBoxes(bytes, start, meta.end);
+    const keysBox = children.find(box => box.type === 'keys');
+    const ilst = children.find(box => box.type === 'ilst');
+    if (!ilst) return;
+
+    // mdta keys: ilst items are numbered (1-based) into this list
+    const keys = [];
+    if (keysBox) {
+        const count = readUint32(bytes, keysBox.start + 4);
+        let offset = keysBox.start + 8;
+        for (let i = 0; i < count && offset + 8 <= keysBox.end; i++) {
+            const size = readUint32(bytes, offset);
+            if (size < 8) break;
+            keys.push(utf8.decode(bytes.subarray(offset + 8, offset + size)));
+            offset += size;
+        }
+    }
+
+    for (const item of listBoxes(bytes, ilst.start, ilst.end)) {
+        let name;
+        if (item.type === '----') {
+            const nameBox = listBoxes(bytes, item.start, item.end).find(box => box.type === 'name');
+            name = nameBox ? utf8.decode(bytes.subarray(nameBox.start + 4, nameBox.end)) : null;
+        } else if (keys.length > 0 && item.index >= 1 && item.index <= keys.length) {
+            name = keys[item.index - 1];
+        } else {
+            name = MP4_ITEM_NAMES[item.type] || item.type;
+        }
+
+        const value = name ? readMp4DataBox(bytes, item) : null;
+        if (value && tags[name] === undefined) tags[name] = value;
+    }
+}
+
+// MP4: find "moov" at the top level (reading only box headers) and collect its tags
+async function extractMP4Tags(blob) {
+    const tags = {};
+    let offset = 0;
+
+    while (offset + 8 <= blob.size) {
+        const header = await readBlob(blob, offset, 16);
+        let size = readUint32(header, 0);
+        const type = readAscii(header, 4, 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32(header, 8) * 2 ** 32 + readUint32(header, 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = blob.size - offset;
+        }
+        if (size < headerSize) break;
+
+        if (type === 'moov') {
+            if (size > MAX_METADATA_SIZE) break;
+            const moov = await readBlob(blob, offset, size);
+            collectMp4Tags(moov, { type, start: headerSize, end: moov.length }, tags);
+            break;
+        }
+        offset += size;
+    }
+
+    return tags;
+}
+
+function collectMp4Tags(bytes, box, tags) {
+    if (box.type === 'meta') {
+        readMp4Meta(bytes, box, tags);
+        return;
+    }
+    for (const child of listBoxes(bytes, box.start, box.end)) {
+        if (MP4_CONTAINER_BOXES.includes(child.type)) collectMp4Tags(bytes, child, tags);
+    }
+}
+
+// EBML variable-length integer at offset: { value, length }; ids keep their marker bits
+function readVint(bytes, offset, keepMarker = false) {
+    const first = bytes[offset];
+    if (first === undefined || first === 0) return null;
+
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > bytes.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let unknown = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xFF) unknown = false;
+    }
+    return { value, length, unknown: !keepMarker && unknown };
+}
+
+// Element header at offset: { id, size, dataStart } (size is null for "unknown size")
+function readElementHeader(bytes, offset) {
+    const id = readVint(bytes, offset, true);
+    if (!id) return null;
+    const size = readVint(bytes, offset + id.length);
+    if (!size) return null;
+    return { id: id.value, size: size.unknown ? null : size.value, dataStart: offset + id.length + size.length };
+}
+
+// SimpleTag elements inside bytes[start, end), nested SimpleTags included
+function collectMatroskaTags(bytes, start, end, tags) {
+    let offset = start;
+    while (offset < end) {
+        const element = readElementHeader(bytes, offset);
+        if (!element || element.size === null) break;
+        const dataEnd = element.dataStart + element.size;
+        if (dataEnd > end) break;
+
+        if (element.id === MKV_SIMPLE_TAG) {
+            let name = null;
+            let value = null;
+            let inner = element.dataStart;
+            while (inner < dataEnd) {
+                const child = readElementHeader(bytes, inner);
+                if (!child || child.size === null) break;
+                const childEnd = child.dataStart + child.size;
+                if (child.id === MKV_TAG_NAME) name = utf8.decode(bytes.subarray(child.dataStart, childEnd));
+                else if (child.id === MKV_TAG_STRING) value = utf8.decode(bytes.subarray(child.dataStart, childEnd));
+                inner = childEnd;
+            }
+            if (name && value && tags[name.toLowerCase()] === undefined) tags[name.toLowerCase()] = value;
+            collectMatroskaTags(bytes, element.dataStart, dataEnd, tags);
+        } else if (MKV_CONTAINER_IDS.includes(element.id)) {
+            collectMatroskaTags(bytes, element.dataStart, dataEnd, tags);
+        }
+
+        offset = dataEnd;
+    }
+}
+
+// Matroska: walk the Segment's children (reading only element headers), skip clusters and
+// read every Tags element
+async function extractMatroskaTags(blob) {
+    const tags = {};
+
+    const ebml = readElementHeader(await readBlob(blob, 0, 16), 0);
+    if (!ebml || ebml.size === null) return tags;
+    let offset = ebml.dataStart + ebml.size;
+
+    const segmentHeader = await readBlob(blob, offset, 16);
+    const segment = readElementHeader(segmentHeader, 0);
+    if (!segment || segment.id !== MKV_SEGMENT) return tags;
+    const segmentEnd = segment.size === null ? blob.size : Math.min(blob.size, offset + segment.dataStart + segment.size);
+    offset += segment.dataStart;
+
+    while (offset < segmentEnd) {
+        const element = readElementHeader(await readBlob(blob, offset, 16), 0);
+        // Elements of unknown size (live recordings) cannot be skipped
+        if (!element || element.size === null) break;
+
+        if (element.id === MKV_TAGS && element.size <= MAX_METADATA_SIZE) {
+            const data = await readBlob(blob, offset + element.dataStart, element.size);
+            collectMatroskaTags(data, 0, data.length, tags);
+        }
+        offset += element.dataStart + element.size;
+    }
+
+    return tags;
+}
+
+/**
+ * Read the metadata tags of an MP4/MOV or Matroska/WebM video
+ * @param {Blob} blob - The video file
+ * @returns {Promise<Object>} Tag name -> text (Matroska tag names are lowercased)
+ */
+export async function extractVideoTags(blob) {
+    const header = await readBlob(blob, 0, 16);
+    try {
+        if (isMP4File(header)) return await extractMP4Tags(blob);
+        if (isMatroskaFile(header)) return await extractMatroskaTags(blob);
+    } catch (error) {
+        console.warn('Could not read video metadata tags:', error.message);
+    }
+    return {};
+}
+
+// JSON text of a value that may already be a string
+function toJsonText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Extract the embedded text metadata of a video in the same shape as image text chunks, so the
+ * ComfyUI parser can read it: "prompt" and "workflow" come from their own tags or from the
+ * JSON object in "comment"; other tags are returned as is.
+ * @param {Blob} blob - The video file
+ * @returns {Promise<Object>} Keyword -> text
+ */
+export async function extractVideoTextChunks(blob) {
+    const chunks = await extractVideoTags(blob);
+
+    // VideoHelperSuite: comment = {"prompt": {...}, "workflow": {...}}
+    if (typeof chunks.comment === 'string' && chunks.comment.trim().startsWith('{')) {
+        try {
+            const comment = JSON.parse(chunks.comment);
+            let expanded = false;
+            for (const key of ['prompt', 'workflow']) {
+                if (comment[key] && chunks[key] === undefined) {
+                    chunks[key] = toJsonText(comment[key]);
+                    expanded = true;
+                }
+            }
+            // Stored once, in its parts
+            if (expanded) delete chunks.comment;
+        } catch (e) {
+            // Not JSON: keep the comment as text
+        }
+    }
+
+    return chunks;
+}
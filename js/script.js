@@ -2,15 +2,21 @@
 
 // Import all modules (keeping existing structure)
 import { database } from './clientDatabase.js';  // ← Updated to use server-side database
-import { handleFileSelect, handleFileDrop } from './mediaProcessor.js';
+import { getDuplicateUploadMode, setDuplicateUploadMode } from './mediaProcessor.js';
+import { handleFileSelect, handleFileDrop, setupUploadQueue } from './uploadQueue.js';
 import { displayImages, setAllImages } from './gallery.js';
-import { loadImages, updateStatsDisplay, handleSearch } from './galleryDataManager.js';
+import { loadImages, updateStatsDisplay, handleSearch, setGalleryQuery, setupInfiniteScroll } from './galleryDataManager.js';
 import { setupThumbnailPositionPicker } from './thumbnailEditor.js';
 import { setupModalEventListeners } from './modalEvents.js';
 import { addThumbnailGenerationControls } from './thumbnailGenerator.js';
 import { debounce, showNotification } from './utils.js';
 import { exportAllData, importAllData } from './backupManager.js';
 import { handleOrphanCleanup, checkAndOfferCleanup } from './maintenanceManager.js';
+import { setupAlbumBar } from './albumManager.js';
+import { setupCardHotkeys } from './mediaRatings.js';
+import { setupTrashView } from './trashManager.js';
+import { setupSimilarView } from './similarFinder.js';
+import { setupImportView } from './importManager.js';
 
 // Initialize the app
 async function init() {
@@ -23,6 +29,16 @@ async function init() {
         await loadImages();
         await updateStatsDisplay();
         setupEventListeners();
+        setupInfiniteScroll();
+        await setupAlbumBar();
+        setupCardHotkeys();
+        setupTrashView();
+        setupSimilarView();
+        setupImportView();
+        setupUploadQueue(database, async () => {
+            await loadImages();
+            await updateStatsDisplay();
+        });
         setupModalEventListeners();
         setupThumbnailPositionPicker();
         addThumbnailGenerationControls();
@@ -45,16 +61,23 @@ function setupEventListeners() {
     const importData = document.getElementById('importData');
     const importFile = document.getElementById('importFile');
     const orphanCleanup = document.getElementById('orphanCleanup');
+    const mediaTypeFilter = document.getElementById('mediaTypeFilter');
+    const sortSelect = document.getElementById('sortSelect');
+    const ratingFilter = document.getElementById('ratingFilter');
+    const labelFilter = document.getElementById('labelFilter');
+    const favoriteFilter = document.getElementById('favoriteFilter');
+    const duplicateMode = document.getElementById('duplicateMode');
 
     // Upload area click
     uploadArea.addEventListener('click', () => fileInput.click());
 
+    // Remembered choice for uploads identical to an existing item
+    duplicateMode.value = getDuplicateUploadMode();
+    duplicateMode.addEventListener('change', () => setDuplicateUploadMode(duplicateMode.value));
+
     // File input change
     fileInput.addEventListener('change', (e) => {
-        handleFileSelect(e.target, database, async () => {
-            await loadImages();
-            await updateStatsDisplay();
-        });
+        handleFileSelect(e.target);
     });
 
     // Drag and drop
@@ -69,16 +92,32 @@ function setupEventListeners() {
 
     uploadArea.addEventListener('drop', (e) => {
         uploadArea.classList.remove('dragover');
-        handleFileDrop(e, database, async () => {
-            await loadImages();
-            await updateStatsDisplay();
-        });
+        handleFileDrop(e);
     });
 
     // Search functionality with debounce
     const debouncedSearch = debounce(handleSearch, 300);
     searchBox.addEventListener('input', debouncedSearch);
 
+    // Listing filters and sort order (reload from the first page)
+    const applyGalleryQuery = () => {
+        const [sort, order] = sortSelect.value.split(':');
+        searchBox.value = '';
+        setGalleryQuery({
+            mediaType: mediaTypeFilter.value,
+            minRating: ratingFilter.value,
+            colorLabel: labelFilter.value,
+            favorite: favoriteFilter.checked ? 'true' : '',
+            sort,
+            order
+        });
+    };
+    mediaTypeFilter.addEventListener('change', applyGalleryQuery);
+    sortSelect.addEventListener('change', applyGalleryQuery);
+    ratingFilter.addEventListener('change', applyGalleryQuery);
+    labelFilter.addEventListener('change', applyGalleryQuery);
+    favoriteFilter.addEventListener('change', applyGalleryQuery);
+
     // Export/Import buttons
     exportData.addEventListener('click', exportAllData);
     importData.addEventListener('click', () => importFile.click());
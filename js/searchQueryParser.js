@@ -0,0 +1,409 @@
+// searchQueryParser.js - Parses the gallery search language into structured terms
+// Used by serverDatabase.js to build parameterized SQL
+//
+// Syntax (terms are combined with AND):
+//   sunset                 free text, prefix match across title/prompt/tags/model/notes
+//   "exact phrase"         free text phrase
+//   model:flux             field match (value may be quoted: model:"flux dev")
+//   -tag:nsfw  -blurry     leading "-" negates any term
+//   width:>1024            numeric comparison (>, >=, <, <=, =) or range (512..1024)
+//   size:>10mb             file size with optional kb/mb/gb unit
+//   added:2025-07..2025-08 date (YYYY, YYYY-MM or YYYY-MM-DD), comparison or range
+//   added:last-week        relative dates: today, yesterday, this-/last-week|month|year,
+//                          or 7d / 2w / 3m / 1y for "within the last N days/weeks/months/years"
+//   has:tags  -has:prompt  presence of tags, prompt, model, notes or title
+//   rating:>=4  favorite:yes  label:red   star rating (0-5), favorite flag, color label (or label:none)
+//   type:animated  frames:>24             animated GIF/WebP/PNG images, frame count
+//   seed:1234  cfg:>7  sampler:euler      generation parameters parsed from embedded metadata: seed, steps,
+//                                          cfg, denoise (numbers); sampler, scheduler, checkpoint, negative,
+//                                          lora, vae (text)
+
+/**
+ * Error thrown for queries that cannot be parsed; the message is shown to the user
+ */
+export class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+// Field name -> value kind
+const FIELDS = {
+    model: 'text',
+    tag: 'text',
+    title: 'text',
+    prompt: 'text',
+    notes: 'text',
+    type: 'mediaType',
+    width: 'number',
+    height: 'number',
+    size: 'size',
+    added: 'date',
+    has: 'presence',
+    rating: 'number',
+    favorite: 'boolean',
+    label: 'colorLabel',
+    frames: 'number',
+    negative: 'text',
+    sampler: 'text',
+    scheduler: 'text',
+    checkpoint: 'text',
+    vae: 'text',
+    lora: 'text',
+    seed: 'number',
+    steps: 'number',
+    cfg: 'number',
+    denoise: 'number'
+};
+
+// Color labels media can carry (shared with the database layer)
+export const COLOR_LABELS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'gray'];
+
+const BOOLEAN_VALUES = {
+    yes: true,
+    true: true,
+    1: true,
+    no: false,
+    false: false,
+    0: false
+};
+
+// Values accepted by has:
+const PRESENCE_FIELDS = ['tags', 'prompt', 'model', 'notes', 'title'];
+
+const MEDIA_TYPES = {
+    image: 'image',
+    images: 'image',
+    video: 'video',
+    videos: 'video',
+    animated: 'animated',
+    animation: 'animated'
+};
+
+const SIZE_UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a search string into free-text terms and field filters
+ * @param {string} input - Raw search box text
+ * @returns {{text: Array<{value: string, phrase: boolean, negated: boolean}>,
+ *            filters: Array<{field: string, kind: string, negated: boolean, value?: string, min?: *, max?: *, minExclusive?: boolean, maxExclusive?: boolean}>}}
+ * @throws {SearchQueryError} When the query is malformed
+ */
+export function parseSearchQuery(input) {
+    const result = { text: [], filters: [] };
+    if (!input || typeof input !== 'string') return result;
+
+    let pos = 0;
+
+    while (pos < input.length) {
+        // Skip whitespace between terms
+        if (/\s/.test(input[pos])) {
+            pos++;
+            continue;
+        }
+
+        let negated = false;
+        if (input[pos] === '-' && pos + 1 < input.length && !/\s/.test(input[pos + 1])) {
+            negated = true;
+            pos++;
+        }
+
+        // Quoted free-text phrase
+        if (input[pos] === '"') {
+            const { value, end } = readQuoted(input, pos);
+            pos = end;
+            if (value.trim()) {
+                result.text.push({ value: value.trim(), phrase: true, negated });
+            }
+            continue;
+        }
+
+        // Bare word, possibly field:value
+        let end = pos;
+        while (end < input.length && !/\s/.test(input[end]) && input[end] !== '"') {
+            end++;
+        }
+        const word = input.slice(pos, end);
+        pos = end;
+
+        const fieldMatch = word.match(/^([a-z_]+):(.*)$/i);
+        if (!fieldMatch) {
+            result.text.push({ value: word, phrase: false, negated });
+            continue;
+        }
+
+        const field = fieldMatch[1].toLowerCase();
+        let rawValue = fieldMatch[2];
+
+        if (!FIELDS[field]) {
+            throw new SearchQueryError(
+                `Unknown search field "${field}:". Supported fields: ${Object.keys(FIELDS).map(f => f + ':').join(' ')}`
+            );
+        }
+
+        // field:"quoted value"
+        if (rawValue === '' && input[pos] === '"') {
+            const quoted = readQuoted(input, pos);
+            rawValue = quoted.value;
+            pos = quoted.end;
+        }
+
+        if (rawValue.trim() === '') {
+            throw new SearchQueryError(`Missing value after "${field}:"`);
+        }
+
+        result.filters.push({ field, negated, ...parseFieldValue(field, rawValue.trim()) });
+    }
+
+    return result;
+}
+
+/**
+ * Parse a single field filter given outside the search box, e.g. the API query parameter ?cfg=>7
+ * @param {string} field - Field name without the colon
+ * @param {string} rawValue - Value in the search syntax (no quotes needed)
+ * @returns {Object} Filter in the shape of parseSearchQuery().filters entries
+ * @throws {SearchQueryError} When the field is unknown or the value is malformed
+ */
+export function parseFieldFilter(field, rawValue) {
+    const name = String(field).toLowerCase();
+    if (!FIELDS[name]) {
+        throw new SearchQueryError(`Unknown filter "${field}"`);
+    }
+    if (typeof rawValue !== 'string' || rawValue.trim() === '') {
+        throw new SearchQueryError(`Missing value for ${name}`);
+    }
+    return { field: name, negated: false, ...parseFieldValue(name, rawValue.trim()) };
+}
+
+// Read a double-quoted string starting at `start`; returns the value and the index after the closing quote
+function readQuoted(input, start) {
+    const close = input.indexOf('"', start + 1);
+    if (close === -1) {
+        throw new SearchQueryError('Missing closing quote (")');
+    }
+    return { value: input.slice(start + 1, close), end: close + 1 };
+}
+
+function parseFieldValue(field, rawValue) {
+    const kind = FIELDS[field];
+
+    switch (kind) {
+        case 'text':
+            return { kind, value: rawValue };
+
+        case 'mediaType': {
+            const mediaType = MEDIA_TYPES[rawValue.toLowerCase()];
+            if (!mediaType) {
+                throw new SearchQueryError(`Invalid type "${rawValue}". Use type:image, type:video or type:animated`);
+            }
+            return { kind, value: mediaType };
+        }
+
+        case 'number':
+            return { kind, ...parseComparison(rawValue, value => parseNumber(field, value)) };
+
+        case 'size':
+            return { kind, ...parseComparison(rawValue, value => parseSize(value)) };
+
+        case 'date':
+            return { kind, ...parseDateComparison(rawValue) };
+
+        case 'boolean': {
+            const value = BOOLEAN_VALUES[rawValue.toLowerCase()];
+            if (value === undefined) {
+                throw new SearchQueryError(`Invalid value "${rawValue}" for ${field}:. Use ${field}:yes or ${field}:no`);
+            }
+            return { kind, value };
+        }
+
+        case 'colorLabel': {
+            const value = rawValue.toLowerCase();
+            if (value !== 'none' && !COLOR_LABELS.includes(value)) {
+                throw new SearchQueryError(`Invalid label "${rawValue}". Use one of: ${COLOR_LABELS.join(', ')}, none`);
+            }
+            return { kind, value };
+        }
+
+        case 'presence': {
+            const value = rawValue.toLowerCase() === 'tag' ? 'tags' : rawValue.toLowerCase();
+            if (!PRESENCE_FIELDS.includes(value)) {
+                throw new SearchQueryError(`Invalid value "${rawValue}" for has:. Use ${PRESENCE_FIELDS.map(f => 'has:' + f).join(', ')}`);
+            }
+            return { kind, value };
+        }
+
+        default:
+            throw new SearchQueryError(`Unsupported field "${field}:"`);
+    }
+}
+
+// Parse ">N", ">=N", "<N", "<=N", "=N", "N", "A..B", "A.." or "..B" into inclusive/exclusive bounds
+function parseComparison(rawValue, parseValue) {
+    const rangeIndex = rawValue.indexOf('..');
+    if (rangeIndex !== -1) {
+        const from = rawValue.slice(0, rangeIndex);
+        const to = rawValue.slice(rangeIndex + 2);
+        if (!from && !to) {
+            throw new SearchQueryError(`Invalid range "${rawValue}"`);
+        }
+        const bounds = {};
+        if (from) bounds.min = parseValue(from);
+        if (to) bounds.max = parseValue(to);
+        if (bounds.min !== undefined && bounds.max !== undefined && bounds.min > bounds.max) {
+            throw new SearchQueryError(`Invalid range "${rawValue}": start is after end`);
+        }
+        return bounds;
+    }
+
+    const match = rawValue.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const operator = match[1] || '=';
+    const value = parseValue(match[2]);
+
+    switch (operator) {
+        case '>': return { min: value, minExclusive: true };
+        case '>=': return { min: value };
+        case '<': return { max: value, maxExclusive: true };
+        case '<=': return { max: value };
+        default: return { min: value, max: value };
+    }
+}
+
+function parseNumber(field, value) {
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        throw new SearchQueryError(`Invalid number "${value}" for ${field}:`);
+    }
+    return Number(value);
+}
+
+function parseSize(value) {
+    const match = value.toLowerCase().match(/^(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/);
+    if (!match) {
+        throw new SearchQueryError(`Invalid size "${value}". Use e.g. size:>10mb or size:500kb..2mb`);
+    }
+    return Math.round(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+// Dates are periods (a year, month or day); comparisons use the period's start and end
+function parseDateComparison(rawValue) {
+    const rangeIndex = rawValue.indexOf('..');
+    if (rangeIndex !== -1) {
+        const from = rawValue.slice(0, rangeIndex);
+        const to = rawValue.slice(rangeIndex + 2);
+        if (!from && !to) {
+            throw new SearchQueryError(`Invalid date range "${rawValue}"`);
+        }
+        const bounds = {};
+        if (from) bounds.min = parseDatePeriod(from).start;
+        if (to) {
+            bounds.max = parseDatePeriod(to).end;
+            bounds.maxExclusive = true;
+        }
+        if (bounds.min && bounds.max && bounds.min >= bounds.max) {
+            throw new SearchQueryError(`Invalid date range "${rawValue}": start is after end`);
+        }
+        return bounds;
+    }
+
+    const match = rawValue.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const operator = match[1] || '=';
+    const period = parseDatePeriod(match[2]);
+
+    switch (operator) {
+        case '>': return { min: period.end };
+        case '>=': return { min: period.start };
+        case '<': return { max: period.start, maxExclusive: true };
+        case '<=': return { max: period.end, maxExclusive: true };
+        default: return { min: period.start, max: period.end, maxExclusive: true };
+    }
+}
+
+// Returns ISO timestamps for the start of the period and the start of the following one
+function parseDatePeriod(value) {
+    const relative = parseRelativePeriod(value.toLowerCase());
+    if (relative) {
+        return { start: relative.start.toISOString(), end: relative.end.toISOString() };
+    }
+
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) {
+        throw new SearchQueryError(`Invalid date "${value}". Use YYYY, YYYY-MM, YYYY-MM-DD, today, last-week or 7d`);
+    }
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+
+    let start;
+    let end;
+    if (month === null) {
+        start = new Date(Date.UTC(year, 0, 1));
+        end = new Date(Date.UTC(year + 1, 0, 1));
+    } else if (day === null) {
+        start = new Date(Date.UTC(year, month, 1));
+        end = new Date(Date.UTC(year, month + 1, 1));
+    } else {
+        start = new Date(Date.UTC(year, month, day));
+        end = new Date(Date.UTC(year, month, day + 1));
+    }
+
+    // Reject overflowing values such as 2025-13 or 2025-02-30
+    if (month !== null && (month > 11 || start.getUTCMonth() !== month ||
+        (day !== null && start.getUTCDate() !== day))) {
+        throw new SearchQueryError(`Invalid date "${value}"`);
+    }
+
+    return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// Periods relative to the current (UTC) date, evaluated at parse time so saved
+// queries such as "added:last-week" always refer to the current week
+function parseRelativePeriod(value) {
+    const now = new Date();
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+    const today = new Date(Date.UTC(year, month, day));
+    const tomorrow = new Date(Date.UTC(year, month, day + 1));
+    // Weeks start on Monday
+    const weekStart = new Date(Date.UTC(year, month, day - ((now.getUTCDay() + 6) % 7)));
+
+    switch (value) {
+        case 'today':
+            return { start: today, end: tomorrow };
+        case 'yesterday':
+            return { start: new Date(Date.UTC(year, month, day - 1)), end: today };
+        case 'this-week':
+            return { start: weekStart, end: new Date(weekStart.getTime() + 7 * 86400000) };
+        case 'last-week':
+            return { start: new Date(weekStart.getTime() - 7 * 86400000), end: weekStart };
+        case 'this-month':
+            return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+        case 'last-month':
+            return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+        case 'this-year':
+            return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+        case 'last-year':
+            return { start: new Date(Date.UTC(year - 1, 0, 1)), end: new Date(Date.UTC(year, 0, 1)) };
+    }
+
+    // "7d", "2w", "3m", "1y": from N units before today up to the end of today
+    const match = value.match(/^(\d+)(d|w|m|y)$/);
+    if (!match) return null;
+
+    const amount = Number(match[1]);
+    const unit = match[2];
+    let start;
+    if (unit === 'd') start = new Date(Date.UTC(year, month, day - amount));
+    else if (unit === 'w') start = new Date(Date.UTC(year, month, day - amount * 7));
+    else if (unit === 'm') start = new Date(Date.UTC(year, month - amount, day));
+    else start = new Date(Date.UTC(year - amount, month, day));
+
+    return { start, end: tomorrow };
+}
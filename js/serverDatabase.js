@@ -4,25 +4,265 @@
 import sqlite3 from 'sqlite3';
 import path from 'path';
 import fs from 'fs';
+import zlib from 'zlib';
+import { promisify } from 'util';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { parseSearchQuery, parseFieldFilter, SearchQueryError, COLOR_LABELS } from './searchQueryParser.js';
+import { hashFile, isContentHash } from './contentHash.js';
+import { detectAnimation, getAnimationMetadata, getStoredAnimation, ANIMATABLE_EXTENSIONS } from './animationDetector.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Columns the media listing may be sorted by (API name -> SQL column)
+const SORTABLE_COLUMNS = {
+    date_added: 'date_added',
+    created_at: 'created_at',
+    title: 'title COLLATE NOCASE',
+    file_size: 'file_size',
+    rating: 'rating',
+    favorite: 'favorite'
+};
+
+
+const MAX_ALBUM_NAME_LENGTH = 200;
+
+// Trashed media (soft deleted, see serverTrash.js) is left out of listings, searches and counts
+const ACTIVE_MEDIA_SQL = 'media.deleted_at IS NULL';
+
+// Animated GIF / WebP / PNG images (see animationDetector.js), filtered like a media type
+const ANIMATED_MEDIA_SQL = "(media.media_type = 'image' AND media.frame_count > 1)";
+
+// How a watch folder imports new files (see watchFolders.js)
+export const WATCH_FOLDER_MODES = ['copy', 'reference'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Control characters mark snippet highlights so the text can be HTML-escaped afterwards
+const SNIPPET_MARK_START = '\u0002';
+const SNIPPET_MARK_END = '\u0003';
+
+// Matches media carrying the bound tag name (case-insensitive)
+const TAG_MATCH_SQL = `media.id IN (
+    SELECT media_tags.media_id FROM media_tags
+    JOIN tags ON tags.id = media_tags.tag_id
+    WHERE tags.name = ?
+)`;
+
+// Search field -> SQL column (see searchQueryParser.js for the syntax)
+const SEARCH_FIELD_COLUMNS = {
+    model: 'media.model',
+    title: 'media.title',
+    prompt: 'media.prompt',
+    notes: 'media.notes',
+    type: 'media.media_type',
+    width: 'media.width',
+    height: 'media.height',
+    size: 'media.file_size',
+    added: 'media.date_added',
+    rating: 'media.rating',
+    favorite: 'media.favorite',
+    label: 'media.color_label',
+    frames: 'media.frame_count',
+    // Generation parameters parsed from the embedded metadata (see parsers/generationParams.js).
+    // The settings are columns of the generation_params table; the prompts only live in the JSON copy.
+    negative: "json_extract(media.generation_params, '$.negativePrompt')",
+    vae: "json_extract(media.generation_params, '$.vae')",
+    sampler: '(SELECT sampler FROM generation_params WHERE generation_params.media_id = media.id)',
+    scheduler: '(SELECT scheduler FROM generation_params WHERE generation_params.media_id = media.id)',
+    checkpoint: '(SELECT checkpoint FROM generation_params WHERE generation_params.media_id = media.id)',
+    seed: '(SELECT seed FROM generation_params WHERE generation_params.media_id = media.id)',
+    steps: '(SELECT steps FROM generation_params WHERE generation_params.media_id = media.id)',
+    cfg: '(SELECT cfg FROM generation_params WHERE generation_params.media_id = media.id)',
+    denoise: '(SELECT denoise FROM generation_params WHERE generation_params.media_id = media.id)',
+    lora: "(SELECT GROUP_CONCAT(name, ' ') FROM generation_loras WHERE generation_loras.media_id = media.id)"
+};
+
+// Metadata fields holding ComfyUI workflow / prompt JSON. They are stored gzip-compressed in
+// media_workflows, never truncated; metadata_json only keeps a placeholder.
+const WORKFLOW_PARTS = ['workflow', 'prompt'];
+
+// Generation parameters the media listing can be filtered on (?seed=1234&cfg=>7, same values as search)
+const GENERATION_FILTER_FIELDS = ['seed', 'steps', 'cfg', 'denoise', 'sampler', 'scheduler', 'checkpoint', 'lora'];
+
+// Turn parsed free-text terms into an FTS5 MATCH expression: phrases match
+// exactly, every other word matches as a prefix. All terms must match.
+function buildFtsQuery(textTerms) {
+    const terms = [];
+
+    for (const term of textTerms) {
+        if (term.phrase) {
+            terms.push(`"${term.value.replace(/"/g, '""')}"`);
+        } else {
+            const word = term.value.replace(/"/g, '');
+            // Skip tokens with no indexable characters (e.g. "&")
+            if (/[\p{L}\p{N}]/u.test(word)) {
+                terms.push(`"${word}"*`);
+            }
+        }
+    }
+
+    return terms.join(' ');
+}
+
+// Escape LIKE wildcards so a value matches literally; use with ESCAPE '\\'
+function escapeLikePattern(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+const MAX_TAG_LENGTH = 100;
+
+// Split a comma-separated string (or array) into unique, trimmed tag names.
+// Duplicates are detected case-insensitively; the first spelling wins.
+function normalizeTagList(tags) {
+    const rawTags = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    const names = [];
+
+    for (const rawTag of rawTags) {
+        const name = String(rawTag ?? '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LENGTH);
+        const key = name.toLowerCase();
+        if (name && !seen.has(key)) {
+            seen.add(key);
+            names.push(name);
+        }
+    }
+
+    return names;
+}
+
+// Validate a 0-5 star rating
+function toRating(value) {
+    const rating = Number(value ?? 0);
+    if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+        throw requestError('Rating must be a whole number from 0 to 5', 400);
+    }
+    return rating;
+}
+
+// Validate a color label; empty values clear the label
+function toColorLabel(value) {
+    if (value === null || value === undefined || value === '' || value === 'none') return null;
+    const label = String(value).toLowerCase();
+    if (!COLOR_LABELS.includes(label)) {
+        throw requestError(`Color label must be one of: ${COLOR_LABELS.join(', ')}`, 400);
+    }
+    return label;
+}
+
+// Accept true/false, 1/0 and "true"/"false" for the favorite flag
+function toFavorite(value) {
+    return value === true || value === 1 || value === '1' || value === 'true' ? 1 : 0;
+}
+
+// Watch folder switches (recursive, enabled) accept the same values as the favorite flag
+const toWatchFlag = toFavorite;
+
+// Error carrying the HTTP status the API should respond with
+export function requestError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Serialize parsed generation parameters; anything but a plain object is stored as NULL
+function toGenerationParamsJson(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : null;
+}
+
+// True for text that parses as a JSON object or array (workflow and prompt graphs)
+function isJsonText(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return false;
+    try {
+        JSON.parse(value);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Placeholder kept in metadata_json for a workflow part stored in media_workflows
+function storedWorkflowPlaceholder(text) {
+    return `[Stored separately: ${text.length} characters]`;
+}
+
+// Take the workflow / prompt JSON out of a metadata object: returns the metadata with
+// placeholders in their place and the parts to store with setMediaWorkflow()
+function separateWorkflowParts(metadata) {
+    const workflowParts = {};
+    const rest = { ...metadata };
+    for (const part of WORKFLOW_PARTS) {
+        const value = metadata[part];
+        const text = value && typeof value === 'object' ? JSON.stringify(value) : value;
+        if (isJsonText(text)) {
+            workflowParts[part] = text;
+            rest[part] = storedWorkflowPlaceholder(text);
+        }
+    }
+    return { metadata: rest, workflowParts };
+}
+
+// Finite number or null, for the numeric generation_params columns
+function toNumberOrNull(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+// Text or null, for the text generation_params columns
+function toTextOrNull(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text ? text.substring(0, 500) : null;
+}
+
+// Normalize a width/height value to a positive integer or null
+function toDimension(value) {
+    const number = parseInt(value);
+    return number > 0 ? number : null;
+}
+
+// HTML-escape a raw snippet and turn the highlight markers into <mark> tags
+function formatSearchSnippet(snippet) {
+    if (!snippet) return '';
+
+    return snippet
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .split(SNIPPET_MARK_START).join('<mark>')
+        .split(SNIPPET_MARK_END).join('</mark>');
+}
 
 
+// The transaction the current async call chain belongs to (see withTransaction)
+const transactionScope = new AsyncLocalStorage();
 
 class ServerDatabase {
     constructor() {
         this.db = null;
-        this.dbPath = path.join(__dirname, '..', 'ai-gallery.db');
+        // DB_PATH points the server (or the tests) at another database file
+        this.dbPath = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, '..', 'ai-gallery.db');
         this.isInitialized = false;
+        this.initPromise = null;
+        // Transactions run one after another on the shared connection
+        this.transactionQueue = Promise.resolve();
+        this.activeTransaction = null;
+        // Statements outside a transaction that have not finished yet
+        this.pendingStatements = new Set();
     }
 
     async init() {
         if (this.isInitialized) return;
+        // Callers arriving while the schema is being set up wait for the same initialization
+        if (this.initPromise) return this.initPromise;
 
-        return new Promise((resolve, reject) => {
+        this.initPromise = new Promise((resolve, reject) => {
             console.log('🗄️ Initializing server-side SQLite database...');
             
             this.db = new sqlite3.Database(this.dbPath, (err) => {
@@ -42,10 +282,24 @@ class ServerDatabase {
                     .catch(reject);
             });
         });
+
+        try {
+            await this.initPromise;
+        } finally {
+            this.initPromise = null;
+        }
     }
 
     async createSchema() {
-        return new Promise((resolve, reject) => {
+        // Derived tables are backfilled from existing rows the first time they are created
+        const hadSearchIndex = await this.tableExists('media_fts');
+        const hadTagTables = await this.tableExists('tags');
+        const hadGenerationTables = await this.tableExists('generation_params');
+
+        // Needed for ON DELETE CASCADE (per-connection setting)
+        await this.runStatement('PRAGMA foreign_keys = ON');
+
+        await new Promise((resolve, reject) => {
             const schema = `
                 CREATE TABLE IF NOT EXISTS media (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -63,6 +317,12 @@ class ServerDatabase {
                     metadata_json TEXT,
                     server_path TEXT,
                     file_size INTEGER,
+                    width INTEGER,
+                    height INTEGER,
+                    rating INTEGER NOT NULL DEFAULT 0,
+                    favorite INTEGER NOT NULL DEFAULT 0,
+                    color_label TEXT,
+                    frame_count INTEGER,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
                 );
@@ -71,15 +331,162 @@ class ServerDatabase {
                 CREATE INDEX IF NOT EXISTS idx_media_type ON media(media_type);
                 CREATE INDEX IF NOT EXISTS idx_title ON media(title);
                 CREATE INDEX IF NOT EXISTS idx_created_at ON media(created_at DESC);
+                CREATE INDEX IF NOT EXISTS idx_file_size ON media(file_size);
 
                 CREATE TRIGGER IF NOT EXISTS update_timestamp 
                 AFTER UPDATE ON media
                 BEGIN
                     UPDATE media SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
                 END;
+
+                -- Full-text search index over the searchable text columns
+                CREATE VIRTUAL TABLE IF NOT EXISTS media_fts USING fts5(
+                    title, prompt, tags, model, notes,
+                    content='media', content_rowid='id',
+                    tokenize='unicode61 remove_diacritics 2',
+                    prefix='2 3'
+                );
+
+                CREATE TRIGGER IF NOT EXISTS media_fts_insert
+                AFTER INSERT ON media
+                BEGIN
+                    INSERT INTO media_fts(rowid, title, prompt, tags, model, notes)
+                    VALUES (NEW.id, NEW.title, NEW.prompt, NEW.tags, NEW.model, NEW.notes);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS media_fts_delete
+                AFTER DELETE ON media
+                BEGIN
+                    INSERT INTO media_fts(media_fts, rowid, title, prompt, tags, model, notes)
+                    VALUES ('delete', OLD.id, OLD.title, OLD.prompt, OLD.tags, OLD.model, OLD.notes);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS media_fts_update
+                AFTER UPDATE OF title, prompt, tags, model, notes ON media
+                BEGIN
+                    INSERT INTO media_fts(media_fts, rowid, title, prompt, tags, model, notes)
+                    VALUES ('delete', OLD.id, OLD.title, OLD.prompt, OLD.tags, OLD.model, OLD.notes);
+                    INSERT INTO media_fts(rowid, title, prompt, tags, model, notes)
+                    VALUES (NEW.id, NEW.title, NEW.prompt, NEW.tags, NEW.model, NEW.notes);
+                END;
+
+                -- Normalized tags; media.tags keeps a comma-separated copy for
+                -- full-text search and for clients that read the string form
+                CREATE TABLE IF NOT EXISTS tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS media_tags (
+                    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+                    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+                    PRIMARY KEY (media_id, tag_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_media_tags_tag ON media_tags(tag_id);
+
+                -- User-created albums; members keep a manual sort position.
+                -- Smart albums have a saved search query instead of members.
+                CREATE TABLE IF NOT EXISTS albums (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    query TEXT,
+                    cover_media_id INTEGER REFERENCES media(id) ON DELETE SET NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS album_media (
+                    album_id INTEGER NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
+                    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+                    position INTEGER NOT NULL,
+                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (album_id, media_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_album_media_position ON album_media(album_id, position);
+                CREATE INDEX IF NOT EXISTS idx_album_media_media ON album_media(media_id);
+
+                -- Generation settings parsed from the embedded metadata, one row per media item,
+                -- so they can be filtered and indexed. media.generation_params keeps the full
+                -- parsed record (prompts, hires/ADetailer settings, ...) as JSON.
+                CREATE TABLE IF NOT EXISTS generation_params (
+                    media_id INTEGER PRIMARY KEY REFERENCES media(id) ON DELETE CASCADE,
+                    source TEXT,
+                    seed INTEGER,
+                    steps INTEGER,
+                    cfg REAL,
+                    sampler TEXT,
+                    scheduler TEXT,
+                    width INTEGER,
+                    height INTEGER,
+                    denoise REAL,
+                    checkpoint TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_generation_params_seed ON generation_params(seed);
+                CREATE INDEX IF NOT EXISTS idx_generation_params_cfg ON generation_params(cfg);
+                CREATE INDEX IF NOT EXISTS idx_generation_params_steps ON generation_params(steps);
+                CREATE INDEX IF NOT EXISTS idx_generation_params_sampler ON generation_params(sampler COLLATE NOCASE);
+                CREATE INDEX IF NOT EXISTS idx_generation_params_checkpoint ON generation_params(checkpoint COLLATE NOCASE);
+
+                -- LoRAs applied to a media item's generation, in the order they were applied
+                CREATE TABLE IF NOT EXISTS generation_loras (
+                    media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+                    position INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    weight REAL,
+                    clip_weight REAL,
+                    hash TEXT,
+                    PRIMARY KEY (media_id, position)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_generation_loras_name ON generation_loras(name COLLATE NOCASE);
+
+                -- Raw ComfyUI workflow and prompt JSON exactly as embedded in the file,
+                -- gzip-compressed (the sizes are of the uncompressed text)
+                CREATE TABLE IF NOT EXISTS media_workflows (
+                    media_id INTEGER PRIMARY KEY REFERENCES media(id) ON DELETE CASCADE,
+                    workflow BLOB,
+                    prompt BLOB,
+                    workflow_size INTEGER,
+                    prompt_size INTEGER,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- Generator output directories imported automatically (see watchFolders.js).
+                -- mode 'copy' copies new files into images|videos/YYYY-MM-DD/, 'reference'
+                -- leaves them in place and serves them through watched/<id>/
+                CREATE TABLE IF NOT EXISTS watch_folders (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    path TEXT NOT NULL UNIQUE,
+                    mode TEXT NOT NULL DEFAULT 'copy',
+                    recursive INTEGER NOT NULL DEFAULT 1,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    last_scan_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- Every file a watch folder has seen, so restarts and rescans do not import it
+                -- again. status: imported, duplicate (already in the gallery), failed, skipped
+                -- (present when the folder was added without importing existing files)
+                CREATE TABLE IF NOT EXISTS watch_ledger (
+                    file_path TEXT PRIMARY KEY,
+                    folder_id INTEGER NOT NULL REFERENCES watch_folders(id) ON DELETE CASCADE,
+                    file_size INTEGER,
+                    modified_ms INTEGER,
+                    status TEXT NOT NULL,
+                    media_id INTEGER REFERENCES media(id) ON DELETE SET NULL,
+                    error TEXT,
+                    processed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_watch_ledger_folder ON watch_ledger(folder_id);
             `;
 
-            this.db.exec(schema, (err) => {
+            this.execute('exec', schema, (err) => {
                 if (err) {
                     console.error('❌ Schema creation failed:', err);
                     reject(err);
@@ -89,6 +496,152 @@ class ServerDatabase {
                 }
             });
         });
+
+        await this.runMigrations();
+
+        if (!hadSearchIndex) {
+            await this.rebuildSearchIndex();
+        }
+
+        if (!hadTagTables) {
+            await this.migrateTagsFromText();
+        }
+
+        if (!hadGenerationTables) {
+            await this.migrateGenerationParams();
+        }
+    }
+
+    // Bring databases created by older versions up to the current schema
+    async runMigrations() {
+        const addedColumns = await this.ensureColumns('media', {
+            width: 'INTEGER',
+            height: 'INTEGER',
+            rating: 'INTEGER NOT NULL DEFAULT 0',
+            favorite: 'INTEGER NOT NULL DEFAULT 0',
+            color_label: 'TEXT',
+            deleted_at: 'TEXT',
+            trash_path: 'TEXT',
+            content_hash: 'TEXT',
+            perceptual_hash: 'TEXT',
+            generation_params: 'TEXT',
+            frame_count: 'INTEGER'
+        });
+
+        // Videos already recorded their dimensions in the metadata JSON
+        if (addedColumns.includes('width')) {
+            await this.runStatement(`
+                UPDATE media
+                SET width = CAST(COALESCE(json_extract(metadata_json, '$.videoWidth'), json_extract(metadata_json, '$.width')) AS INTEGER),
+                    height = CAST(COALESCE(json_extract(metadata_json, '$.videoHeight'), json_extract(metadata_json, '$.height')) AS INTEGER)
+                WHERE json_valid(metadata_json)
+            `);
+        }
+
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_width ON media(width)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_height ON media(height)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_rating ON media(rating)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_favorite ON media(favorite)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_color_label ON media(color_label)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_deleted_at ON media(deleted_at)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_content_hash ON media(content_hash)');
+        await this.runStatement('CREATE INDEX IF NOT EXISTS idx_frame_count ON media(frame_count)');
+
+        await this.ensureColumns('albums', { query: 'TEXT' });
+    }
+
+    // Add any missing columns to a table; returns the names of the columns that were added
+    async ensureColumns(table, columns) {
+        const existing = await new Promise((resolve, reject) => {
+            this.execute('all', `PRAGMA table_info(${table})`, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(new Set(rows.map(row => row.name)));
+            });
+        });
+
+        const added = [];
+        for (const [name, definition] of Object.entries(columns)) {
+            if (!existing.has(name)) {
+                await this.runStatement(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                console.log(`✅ Added column ${table}.${name}`);
+                added.push(name);
+            }
+        }
+        return added;
+    }
+
+    // Run a single statement that returns no rows
+    async runStatement(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.execute('run', query, params, function(err) {
+                if (err) {
+                    console.error('❌ Statement failed:', err.message);
+                    reject(err);
+                    return;
+                }
+                resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        });
+    }
+
+    // Fetch the first row of a query (undefined when there is none)
+    async getRow(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.execute('get', query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row);
+            });
+        });
+    }
+
+    // Fetch all rows of a query
+    async getRows(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.execute('all', query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    // Check whether a table (or virtual table) exists
+    async tableExists(name) {
+        return new Promise((resolve, reject) => {
+            const query = `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`;
+
+            this.execute('get', query, [name], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(!!row);
+            });
+        });
+    }
+
+    // Rebuild the full-text search index from the media table
+    async rebuildSearchIndex() {
+        return new Promise((resolve, reject) => {
+            this.execute('run', `INSERT INTO media_fts(media_fts) VALUES ('rebuild')`, (err) => {
+                if (err) {
+                    console.error('❌ Search index rebuild failed:', err);
+                    reject(err);
+                    return;
+                }
+
+                console.log('✅ Full-text search index rebuilt');
+                resolve();
+            });
+        });
     }
 
     // Convert database row to expected client format
@@ -107,6 +660,15 @@ class ServerDatabase {
             imageData: row.image_data || '',
             thumbnailData: row.thumbnail_data || '',
             serverPath: row.server_path,
+            width: row.width || null,
+            height: row.height || null,
+            rating: row.rating || 0,
+            favorite: !!row.favorite,
+            colorLabel: row.color_label || null,
+            contentHash: row.content_hash || null,
+            fileSize: row.file_size || 0,
+            frameCount: row.frame_count || null,
+            generationParams: null,
             thumbnailPosition: {
                 x: row.thumbnail_position_x || 50,
                 y: row.thumbnail_position_y || 25
@@ -125,6 +687,26 @@ class ServerDatabase {
             item.metadata = {};
         }
 
+        if (row.generation_params) {
+            try {
+                item.generationParams = JSON.parse(row.generation_params);
+            } catch (e) {
+                console.warn('Failed to parse generation parameters for item', row.id);
+            }
+        }
+
+        // Relevance data is only present on full-text search results
+        if (row.search_rank !== undefined) {
+            item.searchRank = row.search_rank;
+            item.searchSnippet = formatSearchSnippet(row.search_snippet);
+        }
+
+        // Only trashed items carry trash details (trashPath is relative to the .trash directory)
+        if (row.deleted_at) {
+            item.deletedAt = row.deleted_at;
+            item.trashPath = row.trash_path || null;
+        }
+
         return item;
     }
 
@@ -133,9 +715,9 @@ class ServerDatabase {
         if (!this.isInitialized) await this.init();
 
         return new Promise((resolve, reject) => {
-            const query = 'SELECT * FROM media ORDER BY created_at DESC';
+            const query = `SELECT * FROM media WHERE ${ACTIVE_MEDIA_SQL} ORDER BY created_at DESC`;
             
-            this.db.all(query, [], (err, rows) => {
+            this.execute('all', query, [], (err, rows) => {
                 if (err) {
                     console.error('❌ Error fetching all media:', err);
                     reject(err);
@@ -149,6 +731,145 @@ class ServerDatabase {
         });
     }
 
+    // Build WHERE clauses and parameters for the media listing filters
+    buildMediaFilters(filters = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filters.mediaType === 'animated') {
+            clauses.push(ANIMATED_MEDIA_SQL);
+        } else if (filters.mediaType) {
+            clauses.push('media_type = ?');
+            params.push(filters.mediaType);
+        }
+
+        if (filters.model) {
+            clauses.push(`LOWER(model) LIKE ? ESCAPE '\\'`);
+            params.push(`%${escapeLikePattern(String(filters.model).toLowerCase())}%`);
+        }
+
+        if (filters.tag) {
+            clauses.push(TAG_MATCH_SQL);
+            params.push(String(filters.tag).trim());
+        }
+
+        if (filters.minRating !== undefined && filters.minRating !== '') {
+            clauses.push('rating >= ?');
+            params.push(parseInt(filters.minRating) || 0);
+        }
+
+        if (filters.favorite !== undefined && filters.favorite !== '') {
+            clauses.push('favorite = ?');
+            params.push(toFavorite(filters.favorite));
+        }
+
+        if (filters.colorLabel) {
+            if (filters.colorLabel === 'none') {
+                clauses.push('color_label IS NULL');
+            } else {
+                clauses.push('color_label = ?');
+                params.push(String(filters.colorLabel).toLowerCase());
+            }
+        }
+
+        if (filters.dateFrom) {
+            clauses.push('date_added >= ?');
+            params.push(filters.dateFrom);
+        }
+
+        if (filters.dateTo) {
+            // A bare date (YYYY-MM-DD) includes the whole day
+            const dateTo = /^\d{4}-\d{2}-\d{2}$/.test(filters.dateTo)
+                ? `${filters.dateTo}T23:59:59.999Z`
+                : filters.dateTo;
+            clauses.push('date_added <= ?');
+            params.push(dateTo);
+        }
+
+        // Generation parameters take the search syntax: seed=1234, cfg=>7, steps=20..30, sampler=euler
+        for (const field of GENERATION_FILTER_FIELDS) {
+            if (filters[field] !== undefined && filters[field] !== '') {
+                const { sql, values } = this.buildFieldFilter(parseFieldFilter(field, String(filters[field])));
+                clauses.push(`(${sql})`);
+                params.push(...values);
+            }
+        }
+
+        return { clauses, params };
+    }
+
+    // Get one page of media items with optional filters and sorting
+    async queryMedia(options = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, parseInt(options.limit) || DEFAULT_PAGE_SIZE));
+        const offset = Math.max(0, parseInt(options.offset) || 0);
+        const sortColumn = SORTABLE_COLUMNS[options.sort] || SORTABLE_COLUMNS.created_at;
+        const sortOrder = String(options.order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+        const { clauses, params } = this.buildMediaFilters(options);
+        clauses.unshift(ACTIVE_MEDIA_SQL);
+
+        // Smart albums are re-evaluated from their saved query on every listing
+        let albumId = parseInt(options.album) || null;
+        if (albumId) {
+            const scope = await this.getAlbumScope(albumId);
+            if (scope.smart) {
+                clauses.push(...scope.clauses);
+                params.push(...scope.params);
+                albumId = null;
+            }
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+        // Inside an album the listing can follow the album's manual order (sort=position)
+        const from = albumId
+            ? 'media JOIN album_media ON album_media.media_id = media.id AND album_media.album_id = ?'
+            : 'media';
+        const fromParams = albumId ? [albumId] : [];
+        const orderBy = albumId && options.sort === 'position'
+            ? `album_media.position ${sortOrder}`
+            : `${sortColumn} ${sortOrder}`;
+
+        const countQuery = `SELECT COUNT(*) as total FROM ${from} ${where}`;
+        // id is a tiebreaker so pages stay stable when sort values repeat
+        const pageQuery = `
+            SELECT media.* FROM ${from} ${where}
+            ORDER BY ${orderBy}, media.id ${sortOrder}
+            LIMIT ? OFFSET ?
+        `;
+
+        return new Promise((resolve, reject) => {
+            this.execute('get', countQuery, [...fromParams, ...params], (err, countRow) => {
+                if (err) {
+                    console.error('❌ Error counting media:', err);
+                    reject(err);
+                    return;
+                }
+
+                this.execute('all', pageQuery, [...fromParams, ...params, limit, offset], (err, rows) => {
+                    if (err) {
+                        console.error('❌ Error fetching media page:', err);
+                        reject(err);
+                        return;
+                    }
+
+                    const items = rows.map(row => this.convertToClientFormat(row));
+                    const total = countRow.total || 0;
+                    console.log(`📊 Retrieved ${items.length} media items (offset ${offset}, total ${total})`);
+                    resolve({
+                        items,
+                        total,
+                        offset,
+                        limit,
+                        hasMore: offset + items.length < total
+                    });
+                });
+            });
+        });
+    }
+
     // Add new media item
     async addMedia(mediaData) {
         if (!this.isInitialized) await this.init();
@@ -178,14 +899,15 @@ class ServerDatabase {
                 INSERT INTO media (
                     title, prompt, model, tags, notes, date_added, media_type,
                     image_data, thumbnail_data, thumbnail_position_x, thumbnail_position_y,
-                    metadata_json, server_path, file_size
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    metadata_json, server_path, file_size, width, height,
+                    rating, favorite, color_label, content_hash, generation_params, frame_count
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            // Calculate file size based on media type
+            // File size from the stored file, else from the inline data
             let fileSize = 0;
-            if (mediaData.mediaType === 'video' && mediaData.serverPath) {
-                // For videos, we'll get the file size from the actual file
+            if (mediaData.serverPath) {
+                // Files stored by /upload: get the file size from the actual file
                 try {
                     // Normalize path separators to forward slashes
                     const normalizedPath = mediaData.serverPath.replace(/\\/g, '/');
@@ -195,7 +917,7 @@ class ServerDatabase {
                         fileSize = stats.size;
                     }
                 } catch (err) {
-                    console.warn('Could not get video file size:', err.message);
+                    console.warn('Could not get media file size:', err.message);
                 }
             } else {
                 fileSize = this.calculateFileSize(mediaData.imageData);
@@ -232,11 +954,16 @@ class ServerDatabase {
             
             // Handle metadata JSON serialization with better error handling
             let metadataJson = null;
+            let workflowParts = {};
             if (mediaData.metadata && typeof mediaData.metadata === 'object') {
                 try {
+                    // The workflow and prompt JSON are stored losslessly in media_workflows once the row exists
+                    const separated = separateWorkflowParts(mediaData.metadata);
+                    workflowParts = separated.workflowParts;
+
                     // Create a safe copy of metadata with size limits
                     const safeMetadata = {};
-                    for (const [key, value] of Object.entries(mediaData.metadata)) {
+                    for (const [key, value] of Object.entries(separated.metadata)) {
                         try {
                             if (typeof value === 'string') {
                                 // Limit individual string fields to 50KB
@@ -293,7 +1020,7 @@ class ServerDatabase {
                 String(mediaData.title || '').substring(0, 1000), // Limit title to 1000 chars
                 String(mediaData.prompt || '').substring(0, 10000), // Limit prompt to 10KB
                 String(mediaData.model || '').substring(0, 500), // Limit model to 500 chars
-                String(mediaData.tags || '').substring(0, 2000), // Limit tags to 2KB
+                normalizeTagList(mediaData.tags).join(', ').substring(0, 2000), // Limit tags to 2KB
                 String(mediaData.notes || '').substring(0, 10000), // Limit notes to 10KB
                 mediaData.dateAdded || new Date().toISOString(),
                 mediaData.mediaType || 'image',
@@ -303,7 +1030,18 @@ class ServerDatabase {
                 Math.max(0, Math.min(100, mediaData.thumbnailPosition?.y || 25)), // Clamp between 0-100
                 metadataJson,
                 mediaData.serverPath || null,
-                Math.max(0, fileSize) // Ensure non-negative file size
+                Math.max(0, fileSize), // Ensure non-negative file size
+                toDimension(mediaData.width ?? mediaData.metadata?.videoWidth ?? mediaData.metadata?.width),
+                toDimension(mediaData.height ?? mediaData.metadata?.videoHeight ?? mediaData.metadata?.height),
+                // Imported backups are clamped rather than rejected
+                Math.max(0, Math.min(5, parseInt(mediaData.rating) || 0)),
+                toFavorite(mediaData.favorite),
+                COLOR_LABELS.includes(mediaData.colorLabel) ? mediaData.colorLabel : null,
+                // SHA-256 reported by /upload (see contentHash.js)
+                isContentHash(mediaData.contentHash) ? mediaData.contentHash : null,
+                toGenerationParamsJson(mediaData.generationParams),
+                // Images are single frames unless animationDetector.js found more
+                mediaData.mediaType === 'video' ? null : Math.max(1, parseInt(mediaData.metadata?.frameCount) || 1)
             ];
 
             // Log parameter sizes for debugging
@@ -318,8 +1056,8 @@ class ServerDatabase {
                 metadataJson: params[11] ? params[11].length : 0
             });
 
-            return new Promise((resolve, reject) => {
-                this.db.run(query, params, function(err) {
+            const mediaId = await new Promise((resolve, reject) => {
+                this.execute('run', query, params, function(err) {
                     if (err) {
                         console.error('❌ SQLite Error adding media:', err);
                         console.error('❌ Error code:', err.code);
@@ -344,6 +1082,21 @@ class ServerDatabase {
                     resolve(this.lastID);
                 });
             });
+
+            // Link the normalized tag rows
+            if (params[3]) {
+                await this.setMediaTags(mediaId, params[3]);
+            }
+
+            if (params[20]) {
+                await this.setGenerationParams(mediaId, mediaData.generationParams);
+            }
+
+            if (Object.keys(workflowParts).length > 0) {
+                await this.setMediaWorkflow(mediaId, workflowParts);
+            }
+
+            return mediaId;
         } catch (error) {
             console.error('❌ Error in addMedia:', error);
             throw error;
@@ -354,6 +1107,34 @@ class ServerDatabase {
     async updateMedia(id, updateData) {
         if (!this.isInitialized) await this.init();
 
+        // Tags live in their own tables; the media.tags copy is rewritten by setMediaTags
+        const { tags, ...fields } = updateData;
+
+        // Workflow and prompt JSON go to media_workflows, as in addMedia
+        let workflowParts = {};
+        if (fields.metadata && typeof fields.metadata === 'object') {
+            ({ metadata: fields.metadata, workflowParts } = separateWorkflowParts(fields.metadata));
+        }
+
+        const changes = await this.updateMediaFields(id, fields);
+
+        if (fields.generationParams !== undefined && changes > 0) {
+            await this.setGenerationParams(id, fields.generationParams);
+        }
+
+        if (Object.keys(workflowParts).length > 0 && changes > 0) {
+            await this.setMediaWorkflow(id, workflowParts);
+        }
+
+        if (tags !== undefined) {
+            const tagNames = await this.setMediaTags(id, tags);
+            return tagNames ? Math.max(changes, 1) : changes;
+        }
+
+        return changes;
+    }
+
+    async updateMediaFields(id, updateData) {
         return new Promise((resolve, reject) => {
             const setParts = [];
             const values = [];
@@ -366,6 +1147,9 @@ class ServerDatabase {
                 } else if (key === 'metadata') {
                     setParts.push('metadata_json = ?');
                     values.push(JSON.stringify(value));
+                } else if (key === 'generationParams') {
+                    setParts.push('generation_params = ?');
+                    values.push(toGenerationParamsJson(value));
                 } else if (key === 'dateAdded') {
                     setParts.push('date_added = ?');
                     values.push(value);
@@ -379,11 +1163,21 @@ class ServerDatabase {
                     setParts.push('file_size = ?');
                     values.push(fileSize);
                 } else if (key === 'thumbnailData') {
-                    setParts.push('thumbnail_data = ?');
+                    // Videos are hashed from their thumbnail, so the perceptual hash is recomputed
+                    setParts.push('thumbnail_data = ?', 'perceptual_hash = NULL');
                     values.push(value);
                 } else if (key === 'serverPath') {
-                    setParts.push('server_path = ?');
+                    setParts.push('server_path = ?', 'perceptual_hash = NULL');
                     values.push(value);
+                } else if (key === 'rating') {
+                    setParts.push('rating = ?');
+                    values.push(toRating(value));
+                } else if (key === 'favorite') {
+                    setParts.push('favorite = ?');
+                    values.push(toFavorite(value));
+                } else if (key === 'colorLabel') {
+                    setParts.push('color_label = ?');
+                    values.push(toColorLabel(value));
                 } else {
                     setParts.push(`${key} = ?`);
                     values.push(value);
@@ -398,7 +1192,7 @@ class ServerDatabase {
             values.push(id);
             const query = `UPDATE media SET ${setParts.join(', ')} WHERE id = ?`;
 
-            this.db.run(query, values, function(err) {
+            this.execute('run', query, values, function(err) {
                 if (err) {
                     console.error('❌ Error updating media:', err);
                     reject(err);
@@ -418,7 +1212,7 @@ class ServerDatabase {
         return new Promise((resolve, reject) => {
             const query = 'DELETE FROM media WHERE id = ?';
 
-            this.db.run(query, [id], function(err) {
+            this.execute('run', query, [id], function(err) {
                 if (err) {
                     console.error('❌ Error deleting media:', err);
                     reject(err);
@@ -431,46 +1225,354 @@ class ServerDatabase {
         });
     }
 
-    // Get media by ID
-    async getMediaById(id) {
+    // TRASH (file moves are handled by serverTrash.js)
+
+    // Mark an item as trashed; trashPath is where its file now lives inside .trash
+    async markMediaTrashed(id, trashPath) {
         if (!this.isInitialized) await this.init();
 
-        return new Promise((resolve, reject) => {
-            const query = 'SELECT * FROM media WHERE id = ?';
+        await this.runStatement(
+            'UPDATE media SET deleted_at = ?, trash_path = ? WHERE id = ?',
+            [new Date().toISOString(), trashPath, id]
+        );
+        console.log(`🗑️ Moved media item ID ${id} to trash`);
+        return this.getMediaById(id);
+    }
 
-            this.db.get(query, [id], (err, row) => {
-                if (err) {
-                    console.error('❌ Error fetching media by ID:', err);
-                    reject(err);
-                    return;
-                }
+    // Bring a trashed item back; serverPath is where its file was restored to
+    async markMediaRestored(id, serverPath) {
+        if (!this.isInitialized) await this.init();
 
-                resolve(this.convertToClientFormat(row));
-            });
-        });
+        await this.runStatement(
+            'UPDATE media SET deleted_at = NULL, trash_path = NULL, server_path = ? WHERE id = ?',
+            [serverPath, id]
+        );
+        console.log(`♻️ Restored media item ID ${id} from trash`);
+        return this.getMediaById(id);
     }
 
-    // Search media
-    async searchMedia(searchTerm) {
+    // Trashed items, most recently deleted first
+    async listTrash() {
         if (!this.isInitialized) await this.init();
 
-        return new Promise((resolve, reject) => {
-            if (!searchTerm || searchTerm.trim() === '') {
-                return this.getAllMedia().then(resolve).catch(reject);
-            }
+        const rows = await this.getRows('SELECT * FROM media WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC');
+        return rows.map(row => this.convertToClientFormat(row));
+    }
 
-            const term = `%${searchTerm.toLowerCase()}%`;
-            const query = `
-                SELECT * FROM media 
-                WHERE LOWER(title) LIKE ? 
-                   OR LOWER(prompt) LIKE ? 
-                   OR LOWER(tags) LIKE ? 
-                   OR LOWER(model) LIKE ?
-                   OR LOWER(notes) LIKE ?
-                ORDER BY created_at DESC
-            `;
+    // Ids of items trashed before the given ISO date (all trashed items when omitted)
+    async getTrashedIds(deletedBefore = null) {
+        if (!this.isInitialized) await this.init();
+
+        const rows = deletedBefore
+            ? await this.getRows('SELECT id FROM media WHERE deleted_at IS NOT NULL AND deleted_at < ?', [deletedBefore])
+            : await this.getRows('SELECT id FROM media WHERE deleted_at IS NOT NULL');
+        return rows.map(row => row.id);
+    }
+
+    // Stored file paths of all items, trashed ones included (forward slashes), to find files
+    // in images/ and videos/ that have no record
+    async getStoredServerPaths() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows("SELECT server_path FROM media WHERE server_path IS NOT NULL AND server_path != ''");
+        return new Set(rows.map(row => row.server_path.replace(/\\/g, '/')));
+    }
+
+    // DUPLICATES
+
+    // Oldest item (not in the trash) whose file has the given SHA-256, or null
+    async findMediaByContentHash(contentHash) {
+        if (!this.isInitialized) await this.init();
+        if (!isContentHash(contentHash)) return null;
+
+        const row = await this.getRow(
+            `SELECT * FROM media WHERE content_hash = ? AND ${ACTIVE_MEDIA_SQL} ORDER BY id LIMIT 1`,
+            [contentHash]
+        );
+        return this.convertToClientFormat(row);
+    }
+
+    // Hash the files of items stored before content hashes were recorded
+    async backfillContentHashes() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`
+            SELECT id, server_path FROM media
+            WHERE content_hash IS NULL AND server_path IS NOT NULL AND server_path != ''
+        `);
+
+        let hashed = 0;
+        for (const row of rows) {
+            const fullPath = path.join(__dirname, '..', row.server_path.replace(/\\/g, '/'));
+            if (!fs.existsSync(fullPath)) continue;
+
+            try {
+                const contentHash = await hashFile(fullPath);
+                await this.runStatement('UPDATE media SET content_hash = ? WHERE id = ?', [contentHash, row.id]);
+                hashed++;
+            } catch (error) {
+                console.warn(`Could not hash file for media ${row.id}:`, error.message);
+            }
+        }
+
+        if (hashed > 0) {
+            console.log(`🔑 Recorded content hashes for ${hashed} existing media files`);
+        }
+        return hashed;
+    }
+
+    // Record the frame count of images stored before animations were detected
+    // (still images get 1, so each file is only read once)
+    async backfillFrameCounts() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`
+            SELECT id, server_path, metadata_json FROM media
+            WHERE media_type = 'image' AND frame_count IS NULL AND ${ACTIVE_MEDIA_SQL}
+        `);
+
+        let animated = 0;
+        for (const row of rows) {
+            let animation = null;
+            if (row.server_path && ANIMATABLE_EXTENSIONS.test(row.server_path)) {
+                // Missing files stay unchecked until they are back
+                const fullPath = path.join(__dirname, '..', row.server_path.replace(/\\/g, '/'));
+                if (!fs.existsSync(fullPath)) continue;
+
+                try {
+                    animation = detectAnimation(await fs.promises.readFile(fullPath));
+                } catch (error) {
+                    console.warn(`Could not read file for media ${row.id}:`, error.message);
+                    continue;
+                }
+            }
+
+            if (!animation) {
+                await this.runStatement('UPDATE media SET frame_count = 1 WHERE id = ?', [row.id]);
+                continue;
+            }
+
+            let metadata = {};
+            try {
+                metadata = row.metadata_json ? JSON.parse(row.metadata_json) : {};
+            } catch (e) {
+                console.warn('Failed to parse metadata for item', row.id);
+            }
+            await this.runStatement('UPDATE media SET frame_count = ?, metadata_json = ? WHERE id = ?', [
+                animation.frameCount,
+                JSON.stringify({ ...metadata, ...getAnimationMetadata(animation) }),
+                row.id
+            ]);
+            animated++;
+        }
+
+        if (animated > 0) {
+            console.log(`🎞️ Found ${animated} animated images among existing media`);
+        }
+        return animated;
+    }
+
+    // Pixel sources for perceptual hashing (see similarMedia.js)
+    async getPerceptualHashSource(id) {
+        if (!this.isInitialized) await this.init();
+
+        return this.getRow('SELECT id, media_type, server_path, thumbnail_data FROM media WHERE id = ?', [id]);
+    }
+
+    async setPerceptualHash(id, perceptualHash) {
+        if (!this.isInitialized) await this.init();
+
+        await this.runStatement('UPDATE media SET perceptual_hash = ? WHERE id = ?', [perceptualHash, id]);
+    }
+
+    async getIdsWithoutPerceptualHash() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`SELECT id FROM media WHERE perceptual_hash IS NULL AND ${ACTIVE_MEDIA_SQL} ORDER BY id`);
+        return rows.map(row => row.id);
+    }
+
+    // Hashed items outside the trash ('' marks items that could not be decoded)
+    async getPerceptualHashes() {
+        if (!this.isInitialized) await this.init();
+
+        return this.getRows(`
+            SELECT id, perceptual_hash FROM media
+            WHERE perceptual_hash IS NOT NULL AND perceptual_hash != '' AND ${ACTIVE_MEDIA_SQL}
+            ORDER BY id
+        `);
+    }
+
+    // Several items by id (in id order)
+    async getMediaByIds(ids) {
+        if (!this.isInitialized) await this.init();
+        if (ids.length === 0) return [];
+
+        const rows = await this.getRows(
+            `SELECT * FROM media WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id`,
+            ids
+        );
+        return rows.map(row => this.convertToClientFormat(row));
+    }
+
+    // Get media by ID
+    async getMediaById(id) {
+        if (!this.isInitialized) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const query = 'SELECT * FROM media WHERE id = ?';
+
+            this.execute('get', query, [id], (err, row) => {
+                if (err) {
+                    console.error('❌ Error fetching media by ID:', err);
+                    reject(err);
+                    return;
+                }
+
+                resolve(this.convertToClientFormat(row));
+            });
+        });
+    }
+
+    // Build WHERE clauses for a parsed search query (see searchQueryParser.js).
+    // Positive free text is returned separately as an FTS5 expression so it can be ranked.
+    buildSearchFilters(parsedQuery) {
+        const clauses = [];
+        const params = [];
+
+        for (const filter of parsedQuery.filters) {
+            const { sql, values } = this.buildFieldFilter(filter);
+            // Rows with no value for the field (NULL) count as "not matching"
+            clauses.push(filter.negated ? `NOT COALESCE((${sql}), 0)` : `(${sql})`);
+            params.push(...values);
+        }
+
+        for (const term of parsedQuery.text.filter(t => t.negated)) {
+            const excluded = buildFtsQuery([term]);
+            if (excluded) {
+                clauses.push('media.id NOT IN (SELECT rowid FROM media_fts WHERE media_fts MATCH ?)');
+                params.push(excluded);
+            }
+        }
+
+        return {
+            clauses,
+            params,
+            ftsQuery: buildFtsQuery(parsedQuery.text.filter(t => !t.negated))
+        };
+    }
+
+    // SQL condition for a single field:value search term
+    buildFieldFilter(filter) {
+        if (filter.field === 'tag') {
+            return { sql: TAG_MATCH_SQL, values: [filter.value.trim()] };
+        }
+
+        const column = SEARCH_FIELD_COLUMNS[filter.field];
+
+        if (filter.kind === 'text') {
+            return { sql: `LOWER(${column}) LIKE ? ESCAPE '\\'`, values: [`%${escapeLikePattern(filter.value.toLowerCase())}%`] };
+        }
+
+        if (filter.kind === 'mediaType') {
+            if (filter.value === 'animated') {
+                return { sql: ANIMATED_MEDIA_SQL, values: [] };
+            }
+            return { sql: `${column} = ?`, values: [filter.value] };
+        }
+
+        if (filter.kind === 'boolean') {
+            return { sql: `${column} = ?`, values: [filter.value ? 1 : 0] };
+        }
+
+        if (filter.kind === 'colorLabel') {
+            if (filter.value === 'none') {
+                return { sql: `${column} IS NULL`, values: [] };
+            }
+            return { sql: `${column} = ?`, values: [filter.value] };
+        }
+
+        if (filter.kind === 'presence') {
+            if (filter.value === 'tags') {
+                return { sql: 'EXISTS (SELECT 1 FROM media_tags WHERE media_tags.media_id = media.id)', values: [] };
+            }
+            return { sql: `TRIM(IFNULL(${SEARCH_FIELD_COLUMNS[filter.value]}, '')) != ''`, values: [] };
+        }
+
+        // Numeric, size and date comparisons
+        const parts = [];
+        const values = [];
+        if (filter.min !== undefined) {
+            parts.push(`${column} ${filter.minExclusive ? '>' : '>='} ?`);
+            values.push(filter.min);
+        }
+        if (filter.max !== undefined) {
+            parts.push(`${column} ${filter.maxExclusive ? '<' : '<='} ?`);
+            values.push(filter.max);
+        }
+        return { sql: parts.join(' AND '), values };
+    }
+
+    // WHERE clauses matching a search query, with free text as an FTS subquery
+    // (for counting and paging results without relevance ranking). Trashed media never matches.
+    buildSearchWhere(searchTerm) {
+        const { clauses, params, ftsQuery } = this.buildSearchFilters(parseSearchQuery(searchTerm));
+        clauses.push(ACTIVE_MEDIA_SQL);
+        if (ftsQuery) {
+            clauses.unshift('media.id IN (SELECT rowid FROM media_fts WHERE media_fts MATCH ?)');
+            params.unshift(ftsQuery);
+        }
+        return { clauses, params };
+    }
+
+    // Search media with the gallery query language, ranked by relevance (bm25)
+    // when the query has free text. Throws SearchQueryError for malformed queries.
+    async searchMedia(searchTerm, options = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const parsedQuery = parseSearchQuery(searchTerm);
+        const { clauses, params, ftsQuery } = this.buildSearchFilters(parsedQuery);
 
-            this.db.all(query, [term, term, term, term, term], (err, rows) => {
+        // Optionally scope the search to one album
+        if (parseInt(options.album)) {
+            const scope = await this.getAlbumScope(parseInt(options.album));
+            clauses.push(...scope.clauses);
+            params.push(...scope.params);
+        }
+
+        clauses.push(ACTIVE_MEDIA_SQL);
+
+        const limit = parseInt(options.limit) > 0 ? parseInt(options.limit) : -1;
+        const offset = Math.max(0, parseInt(options.offset) || 0);
+
+        let query;
+        let queryParams;
+
+        if (ftsQuery) {
+            // Column weights follow the index column order: title, prompt, tags, model, notes
+            query = `
+                SELECT media.*,
+                       bm25(media_fts, 10.0, 5.0, 4.0, 3.0, 1.0) AS search_rank,
+                       snippet(media_fts, 1, ?, ?, '…', 16) AS search_snippet
+                FROM media_fts
+                JOIN media ON media.id = media_fts.rowid
+                WHERE media_fts MATCH ? ${clauses.map(clause => `AND ${clause}`).join(' ')}
+                ORDER BY search_rank, media.created_at DESC
+                LIMIT ? OFFSET ?
+            `;
+            queryParams = [SNIPPET_MARK_START, SNIPPET_MARK_END, ftsQuery, ...params, limit, offset];
+        } else {
+            query = `
+                SELECT media.* FROM media
+                WHERE ${clauses.join(' AND ')}
+                ORDER BY media.created_at DESC
+                LIMIT ? OFFSET ?
+            `;
+            queryParams = [...params, limit, offset];
+        }
+
+        return new Promise((resolve, reject) => {
+            this.execute('all', query, queryParams, (err, rows) => {
                 if (err) {
                     console.error('❌ Error searching media:', err);
                     reject(err);
@@ -484,6 +1586,1043 @@ class ServerDatabase {
         });
     }
 
+    // WORKFLOWS
+
+    // Store the raw workflow and/or prompt JSON of a media item without truncation.
+    // Parts that are not given keep their stored value. Throws 404 for unknown media
+    // and 400 for parts that are not JSON.
+    async setMediaWorkflow(mediaId, parts) {
+        if (!this.isInitialized) await this.init();
+
+        const media = await this.getRow('SELECT id FROM media WHERE id = ?', [mediaId]);
+        if (!media) {
+            throw requestError('Media not found', 404);
+        }
+
+        const given = WORKFLOW_PARTS.filter(part => parts?.[part] !== undefined && parts[part] !== null);
+        if (given.length === 0) {
+            throw requestError('No workflow or prompt given', 400);
+        }
+
+        const values = {};
+        for (const part of given) {
+            const text = Buffer.isBuffer(parts[part]) ? parts[part].toString('utf8') : parts[part];
+            if (!isJsonText(text)) {
+                throw requestError(`The ${part} is not valid JSON`, 400);
+            }
+            values[part] = { data: await gzip(Buffer.from(text, 'utf8')), size: text.length };
+        }
+
+        await this.runStatement(`
+            INSERT INTO media_workflows (media_id, workflow, prompt, workflow_size, prompt_size)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(media_id) DO UPDATE SET
+                workflow = COALESCE(excluded.workflow, workflow),
+                prompt = COALESCE(excluded.prompt, prompt),
+                workflow_size = COALESCE(excluded.workflow_size, workflow_size),
+                prompt_size = COALESCE(excluded.prompt_size, prompt_size),
+                updated_at = CURRENT_TIMESTAMP
+        `, [
+            mediaId,
+            values.workflow?.data ?? null,
+            values.prompt?.data ?? null,
+            values.workflow?.size ?? null,
+            values.prompt?.size ?? null
+        ]);
+
+        console.log(`🧬 Stored ${given.join(' and ')} for media item ID: ${mediaId}`);
+        return { workflowSize: values.workflow?.size ?? null, promptSize: values.prompt?.size ?? null };
+    }
+
+    // Raw workflow and prompt JSON text of a media item (null when none is stored)
+    async getMediaWorkflow(mediaId) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow('SELECT workflow, prompt FROM media_workflows WHERE media_id = ?', [mediaId]);
+        if (!row) return null;
+
+        return {
+            workflow: row.workflow ? (await gunzip(row.workflow)).toString('utf8') : null,
+            prompt: row.prompt ? (await gunzip(row.prompt)).toString('utf8') : null
+        };
+    }
+
+    // Put the stored workflow and prompt back into the metadata of client-format items
+    // (used by the backup export so an import restores them)
+    async attachStoredWorkflows(items) {
+        for (const item of items) {
+            const stored = await this.getMediaWorkflow(item.id);
+            if (!stored) continue;
+
+            item.metadata = { ...item.metadata };
+            for (const part of WORKFLOW_PARTS) {
+                if (stored[part]) item.metadata[part] = stored[part];
+            }
+        }
+        return items;
+    }
+
+    // GENERATION PARAMETERS
+
+    // Replace the generation_params / generation_loras rows of a media item
+    // (params is the object the parsers produce; anything else clears the rows)
+    async setGenerationParams(mediaId, params) {
+        // Also called from the schema migration, before init() has finished
+        if (!this.db) await this.init();
+
+        const valid = params && typeof params === 'object' && !Array.isArray(params);
+
+        await this.withTransaction(async () => {
+            await this.runStatement('DELETE FROM generation_params WHERE media_id = ?', [mediaId]);
+            await this.runStatement('DELETE FROM generation_loras WHERE media_id = ?', [mediaId]);
+            if (!valid) return;
+
+            await this.runStatement(`
+                INSERT INTO generation_params (
+                    media_id, source, seed, steps, cfg, sampler, scheduler, width, height, denoise, checkpoint
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                mediaId,
+                toTextOrNull(params.source),
+                toNumberOrNull(params.seed),
+                toNumberOrNull(params.steps),
+                toNumberOrNull(params.cfgScale),
+                toTextOrNull(params.sampler),
+                toTextOrNull(params.scheduleType),
+                toDimension(params.width),
+                toDimension(params.height),
+                toNumberOrNull(params.denoise),
+                toTextOrNull(params.model)
+            ]);
+
+            const loras = Array.isArray(params.loras) ? params.loras.filter(lora => toTextOrNull(lora?.name)) : [];
+            for (const [position, lora] of loras.entries()) {
+                await this.runStatement(`
+                    INSERT INTO generation_loras (media_id, position, name, weight, clip_weight, hash)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [
+                    mediaId,
+                    position,
+                    toTextOrNull(lora.name),
+                    toNumberOrNull(lora.weight),
+                    toNumberOrNull(lora.clipWeight),
+                    toTextOrNull(lora.hash)
+                ]);
+            }
+        });
+    }
+
+    // Structured generation parameters of a media item (null when none were parsed)
+    async getGenerationParams(mediaId) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow('SELECT * FROM generation_params WHERE media_id = ?', [mediaId]);
+        if (!row) return null;
+
+        const loras = await this.getRows(`
+            SELECT name, weight, clip_weight, hash FROM generation_loras
+            WHERE media_id = ? ORDER BY position
+        `, [mediaId]);
+
+        return {
+            mediaId: row.media_id,
+            source: row.source,
+            seed: row.seed,
+            steps: row.steps,
+            cfg: row.cfg,
+            sampler: row.sampler,
+            scheduler: row.scheduler,
+            width: row.width,
+            height: row.height,
+            denoise: row.denoise,
+            checkpoint: row.checkpoint,
+            loras: loras.map(lora => ({
+                name: lora.name,
+                weight: lora.weight,
+                clipWeight: lora.clip_weight,
+                hash: lora.hash
+            }))
+        };
+    }
+
+    // One-time migration: fill the generation tables from the media.generation_params JSON
+    async migrateGenerationParams() {
+        const rows = await this.getRows(`SELECT id, generation_params FROM media WHERE generation_params IS NOT NULL`);
+        if (rows.length === 0) return;
+
+        console.log(`🎛️ Migrating generation parameters for ${rows.length} media items...`);
+        await this.withTransaction(async () => {
+            for (const row of rows) {
+                try {
+                    await this.setGenerationParams(row.id, JSON.parse(row.generation_params));
+                } catch (e) {
+                    console.warn('Failed to parse generation parameters for item', row.id);
+                }
+            }
+        });
+        console.log('✅ Generation parameter migration completed');
+    }
+
+    // TAGS
+
+    // Whether the caller runs inside the open transaction (rather than next to it)
+    isInActiveTransaction() {
+        return this.activeTransaction !== null && transactionScope.getStore() === this.activeTransaction;
+    }
+
+    // Issue a sqlite3 call (run, get, all, exec) with its callback. Statements of other callers
+    // wait until the open transaction has finished, so they never become part of it.
+    async execute(method, ...args) {
+        const callback = args.pop();
+        if (this.isInActiveTransaction()) {
+            this.db[method](...args, callback);
+            return;
+        }
+
+        while (this.activeTransaction) {
+            await this.activeTransaction.done;
+        }
+
+        let finish;
+        const pending = new Promise(resolve => { finish = resolve; });
+        const pendingStatements = this.pendingStatements;
+        pendingStatements.add(pending);
+        const settle = () => {
+            pendingStatements.delete(pending);
+            finish();
+        };
+
+        try {
+            this.db[method](...args, function(...results) {
+                settle();
+                callback.apply(this, results);
+            });
+        } catch (error) {
+            settle();
+            callback(error);
+        }
+    }
+
+    // Run `work` inside a transaction (joins the outer one when already inside). Transactions are
+    // queued, and no statement from outside runs between BEGIN and COMMIT/ROLLBACK.
+    async withTransaction(work) {
+        if (this.isInActiveTransaction()) {
+            return work();
+        }
+
+        let release;
+        const done = new Promise(resolve => { release = resolve; });
+        const previous = this.transactionQueue;
+        this.transactionQueue = previous.then(() => done);
+        await previous;
+
+        const transaction = { done };
+        this.activeTransaction = transaction;
+        try {
+            // Statements issued before the transaction started finish outside of it
+            await Promise.all([...this.pendingStatements]);
+
+            return await transactionScope.run(transaction, async () => {
+                await this.runStatement('BEGIN');
+                try {
+                    const result = await work();
+                    await this.runStatement('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.runStatement('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            this.activeTransaction = null;
+            release();
+        }
+    }
+
+    // One-time migration: split the legacy comma-separated media.tags strings into tag rows
+    async migrateTagsFromText() {
+        const rows = await this.getRows(`SELECT id, tags FROM media WHERE tags IS NOT NULL AND TRIM(tags) != ''`);
+        if (rows.length === 0) return;
+
+        console.log(`🏷️ Migrating tags for ${rows.length} media items...`);
+        await this.withTransaction(async () => {
+            for (const row of rows) {
+                await this.setMediaTags(row.id, row.tags);
+            }
+        });
+        console.log('✅ Tag migration completed');
+    }
+
+    // Replace the tags of a media item; accepts an array or a comma-separated string
+    async setMediaTags(mediaId, tags) {
+        // Also called from the schema migration, before init() has finished
+        if (!this.db) await this.init();
+
+        const media = await this.getRow('SELECT id FROM media WHERE id = ?', [mediaId]);
+        if (!media) return null;
+
+        const names = normalizeTagList(tags);
+
+        await this.withTransaction(async () => {
+            await this.runStatement('DELETE FROM media_tags WHERE media_id = ?', [mediaId]);
+
+            for (const name of names) {
+                await this.runStatement('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+                const tag = await this.getRow('SELECT id FROM tags WHERE name = ?', [name]);
+                await this.runStatement('INSERT OR IGNORE INTO media_tags (media_id, tag_id) VALUES (?, ?)', [mediaId, tag.id]);
+            }
+
+            await this.runStatement('UPDATE media SET tags = ? WHERE id = ?', [names.join(', '), mediaId]);
+            await this.pruneUnusedTags();
+        });
+
+        return names;
+    }
+
+    // Get the tags of a media item in the order they were added
+    async getMediaTags(mediaId) {
+        if (!this.isInitialized) await this.init();
+
+        return this.getRows(`
+            SELECT tags.id, tags.name
+            FROM media_tags
+            JOIN tags ON tags.id = media_tags.tag_id
+            WHERE media_tags.media_id = ?
+            ORDER BY media_tags.rowid
+        `, [mediaId]);
+    }
+
+    // List tags with usage counts; `q` filters by name prefix (for autocomplete)
+    async listTags(options = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const params = [];
+        let where = '';
+        if (options.q && String(options.q).trim()) {
+            where = `WHERE tags.name LIKE ? ESCAPE '\\'`;
+            params.push(escapeLikePattern(String(options.q).trim()) + '%');
+        }
+
+        const limit = parseInt(options.limit) > 0 ? parseInt(options.limit) : -1;
+
+        return this.getRows(`
+            SELECT tags.id, tags.name, COUNT(media_tags.media_id) AS count
+            FROM tags
+            JOIN media_tags ON media_tags.tag_id = tags.id
+            JOIN media ON media.id = media_tags.media_id AND ${ACTIVE_MEDIA_SQL}
+            ${where}
+            GROUP BY tags.id
+            ORDER BY count DESC, tags.name COLLATE NOCASE
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    // Get a single tag with its usage count
+    async getTagById(tagId) {
+        if (!this.isInitialized) await this.init();
+
+        const tag = await this.getRow(`
+            SELECT tags.id, tags.name, COUNT(media_tags.media_id) AS count
+            FROM tags
+            LEFT JOIN media_tags ON media_tags.tag_id = tags.id
+            WHERE tags.id = ?
+            GROUP BY tags.id
+        `, [tagId]);
+        return tag || null;
+    }
+
+    // Rename a tag everywhere it is used
+    async renameTag(tagId, newName) {
+        if (!this.isInitialized) await this.init();
+
+        const [name] = normalizeTagList([newName]);
+        if (!name) {
+            throw requestError('Tag name is required', 400);
+        }
+
+        const tag = await this.getTagById(tagId);
+        if (!tag) {
+            throw requestError('Tag not found', 404);
+        }
+
+        const existing = await this.getRow('SELECT id, name FROM tags WHERE name = ? AND id != ?', [name, tagId]);
+        if (existing) {
+            throw requestError(`A tag named "${existing.name}" already exists - merge the tags instead`, 409);
+        }
+
+        await this.withTransaction(async () => {
+            await this.runStatement('UPDATE tags SET name = ? WHERE id = ?', [name, tagId]);
+            await this.syncTagsColumn([tagId]);
+        });
+
+        console.log(`🏷️ Renamed tag "${tag.name}" -> "${name}"`);
+        return this.getTagById(tagId);
+    }
+
+    // Merge the source tags into the target tag; media keep a single copy of the target
+    async mergeTags(sourceIds, targetId) {
+        if (!this.isInitialized) await this.init();
+
+        const sources = (Array.isArray(sourceIds) ? sourceIds : [sourceIds])
+            .map(id => parseInt(id))
+            .filter(id => id > 0 && id !== parseInt(targetId));
+        if (sources.length === 0) {
+            throw requestError('At least one source tag different from the target is required', 400);
+        }
+
+        const target = await this.getTagById(targetId);
+        if (!target) {
+            throw requestError('Target tag not found', 404);
+        }
+
+        const placeholders = sources.map(() => '?').join(', ');
+
+        await this.withTransaction(async () => {
+            await this.runStatement(`
+                INSERT OR IGNORE INTO media_tags (media_id, tag_id)
+                SELECT media_id, ? FROM media_tags WHERE tag_id IN (${placeholders})
+            `, [target.id, ...sources]);
+            await this.runStatement(`DELETE FROM tags WHERE id IN (${placeholders})`, sources);
+            await this.syncTagsColumn([target.id]);
+        });
+
+        console.log(`🏷️ Merged ${sources.length} tag(s) into "${target.name}"`);
+        return this.getTagById(target.id);
+    }
+
+    // Remove a tag from every media item
+    async deleteTag(tagId) {
+        if (!this.isInitialized) await this.init();
+
+        const tag = await this.getTagById(tagId);
+        if (!tag) {
+            throw requestError('Tag not found', 404);
+        }
+
+        await this.withTransaction(async () => {
+            const mediaRows = await this.getRows('SELECT media_id FROM media_tags WHERE tag_id = ?', [tagId]);
+            await this.runStatement('DELETE FROM tags WHERE id = ?', [tagId]);
+            await this.syncTagsColumn(null, mediaRows.map(row => row.media_id));
+        });
+
+        console.log(`🏷️ Deleted tag "${tag.name}" (${tag.count} media items)`);
+        return tag.count;
+    }
+
+    // Rewrite the comma-separated media.tags copy for media using the given tags (or the given media)
+    async syncTagsColumn(tagIds, mediaIds = []) {
+        const tagNamesSql = `
+            SELECT IFNULL(group_concat(name, ', '), '') FROM (
+                SELECT tags.name FROM media_tags
+                JOIN tags ON tags.id = media_tags.tag_id
+                WHERE media_tags.media_id = media.id
+                ORDER BY media_tags.rowid
+            )
+        `;
+
+        if (tagIds && tagIds.length > 0) {
+            await this.runStatement(`
+                UPDATE media SET tags = (${tagNamesSql})
+                WHERE id IN (SELECT media_id FROM media_tags WHERE tag_id IN (${tagIds.map(() => '?').join(', ')}))
+            `, tagIds);
+        }
+
+        if (mediaIds.length > 0) {
+            await this.runStatement(`
+                UPDATE media SET tags = (${tagNamesSql})
+                WHERE id IN (${mediaIds.map(() => '?').join(', ')})
+            `, mediaIds);
+        }
+    }
+
+    // Remove tags that are no longer attached to any media
+    async pruneUnusedTags() {
+        await this.runStatement('DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM media_tags)');
+    }
+
+    // ALBUMS
+
+    // Convert an album row (with item_count and cover columns) to the API format
+    convertAlbumRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description || '',
+            query: row.query || null,
+            isSmart: !!row.query,
+            coverMediaId: row.cover_media_id || null,
+            itemCount: row.item_count || 0,
+            cover: row.cover_id ? {
+                id: row.cover_id,
+                mediaType: row.cover_media_type || 'image',
+                thumbnailData: row.cover_thumbnail_data || '',
+                serverPath: row.cover_server_path || null
+            } : null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Fill in the live item count and cover of a smart album by running its query
+    async evaluateSmartAlbum(album) {
+        try {
+            const { clauses, params } = this.buildSearchWhere(album.query);
+            const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+            const countRow = await this.getRow(`SELECT COUNT(*) AS total FROM media ${where}`, params);
+            const cover = await this.getRow(`
+                SELECT id, media_type, thumbnail_data, server_path FROM media ${where}
+                ORDER BY created_at DESC, id DESC LIMIT 1
+            `, params);
+
+            album.itemCount = countRow.total;
+            album.cover = cover ? {
+                id: cover.id,
+                mediaType: cover.media_type || 'image',
+                thumbnailData: cover.thumbnail_data || '',
+                serverPath: cover.server_path || null
+            } : null;
+        } catch (error) {
+            if (!(error instanceof SearchQueryError)) throw error;
+            // Saved before a change to the query language; reported instead of failing the list
+            album.itemCount = 0;
+            album.cover = null;
+            album.queryError = error.message;
+        }
+        return album;
+    }
+
+    async convertAlbumRows(rows) {
+        const albums = [];
+        for (const row of rows) {
+            const album = this.convertAlbumRow(row);
+            albums.push(album.isSmart ? await this.evaluateSmartAlbum(album) : album);
+        }
+        return albums;
+    }
+
+    // WHERE clauses restricting media to an album: its members, or its query for smart albums
+    async getAlbumScope(albumId) {
+        const album = await this.getRow('SELECT id, query FROM albums WHERE id = ?', [albumId]);
+        if (!album) {
+            // Unknown albums match nothing
+            return { smart: false, clauses: ['0'], params: [] };
+        }
+        if (album.query) {
+            return { smart: true, ...this.buildSearchWhere(album.query) };
+        }
+        return {
+            smart: false,
+            clauses: ['media.id IN (SELECT media_id FROM album_media WHERE album_id = ?)'],
+            params: [albumId]
+        };
+    }
+
+    // Validate a smart album query; returns the trimmed query
+    validateAlbumQuery(query) {
+        const trimmed = String(query || '').trim();
+        try {
+            const parsed = parseSearchQuery(trimmed);
+            if (parsed.text.length === 0 && parsed.filters.length === 0) {
+                throw new SearchQueryError('A smart album needs a search query');
+            }
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                throw requestError(error.message, 400);
+            }
+            throw error;
+        }
+        return trimmed.substring(0, 2000);
+    }
+
+    // Album rows with member counts; the cover falls back to the first member.
+    // Trashed members are not counted and are never used as the cover.
+    albumSelectSql(where = '') {
+        const activeMembers = `
+            album_media JOIN media ON media.id = album_media.media_id AND ${ACTIVE_MEDIA_SQL}
+            WHERE album_media.album_id = albums.id
+        `;
+        return `
+            SELECT albums.*,
+                   (SELECT COUNT(*) FROM ${activeMembers}) AS item_count,
+                   cover.id AS cover_id,
+                   cover.media_type AS cover_media_type,
+                   cover.thumbnail_data AS cover_thumbnail_data,
+                   cover.server_path AS cover_server_path
+            FROM albums
+            LEFT JOIN media AS cover ON cover.id = COALESCE(
+                (SELECT media.id FROM media WHERE media.id = albums.cover_media_id AND ${ACTIVE_MEDIA_SQL}),
+                (SELECT media_id FROM ${activeMembers} ORDER BY position LIMIT 1)
+            )
+            ${where}
+        `;
+    }
+
+    async listAlbums() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`${this.albumSelectSql()} ORDER BY albums.name COLLATE NOCASE, albums.id`);
+        return this.convertAlbumRows(rows);
+    }
+
+    async getAlbumById(albumId) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow(`${this.albumSelectSql('WHERE albums.id = ?')}`, [albumId]);
+        if (!row) return null;
+
+        const [album] = await this.convertAlbumRows([row]);
+        return album;
+    }
+
+    // Manual albums a media item belongs to
+    async getMediaAlbums(mediaId) {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`
+            ${this.albumSelectSql('WHERE albums.id IN (SELECT album_id FROM album_media WHERE media_id = ?)')}
+            ORDER BY albums.name COLLATE NOCASE, albums.id
+        `, [mediaId]);
+        return rows.map(row => this.convertAlbumRow(row));
+    }
+
+    async createAlbum(albumData = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const name = String(albumData.name || '').trim().substring(0, MAX_ALBUM_NAME_LENGTH);
+        if (!name) {
+            throw requestError('Album name is required', 400);
+        }
+
+        // A query makes it a smart album
+        const query = albumData.query ? this.validateAlbumQuery(albumData.query) : null;
+
+        const { lastID } = await this.runStatement(
+            'INSERT INTO albums (name, description, query) VALUES (?, ?, ?)',
+            [name, String(albumData.description || '').substring(0, 2000), query]
+        );
+
+        console.log(`📚 Created ${query ? 'smart ' : ''}album "${name}" (ID: ${lastID})`);
+        return this.getAlbumById(lastID);
+    }
+
+    // Update name, description and/or cover (the cover must be a member of the album)
+    async updateAlbum(albumId, albumData = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const album = await this.getAlbumById(albumId);
+        if (!album) {
+            throw requestError('Album not found', 404);
+        }
+
+        const setParts = [];
+        const values = [];
+
+        if (albumData.name !== undefined) {
+            const name = String(albumData.name || '').trim().substring(0, MAX_ALBUM_NAME_LENGTH);
+            if (!name) {
+                throw requestError('Album name is required', 400);
+            }
+            setParts.push('name = ?');
+            values.push(name);
+        }
+
+        if (albumData.description !== undefined) {
+            setParts.push('description = ?');
+            values.push(String(albumData.description || '').substring(0, 2000));
+        }
+
+        if (albumData.query !== undefined) {
+            if (!album.isSmart) {
+                throw requestError('Only smart albums have a query', 400);
+            }
+            setParts.push('query = ?');
+            values.push(this.validateAlbumQuery(albumData.query));
+        }
+
+        if (albumData.coverMediaId !== undefined) {
+            if (album.isSmart) {
+                throw requestError('Smart albums use their newest match as cover', 400);
+            }
+            const coverMediaId = parseInt(albumData.coverMediaId) || null;
+            if (coverMediaId) {
+                const member = await this.getRow(
+                    'SELECT 1 FROM album_media WHERE album_id = ? AND media_id = ?',
+                    [albumId, coverMediaId]
+                );
+                if (!member) {
+                    throw requestError('The cover must be an item of the album', 400);
+                }
+            }
+            setParts.push('cover_media_id = ?');
+            values.push(coverMediaId);
+        }
+
+        if (setParts.length > 0) {
+            await this.runStatement(
+                `UPDATE albums SET ${setParts.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...values, albumId]
+            );
+        }
+
+        return this.getAlbumById(albumId);
+    }
+
+    // Delete an album (its media are kept)
+    async deleteAlbum(albumId) {
+        if (!this.isInitialized) await this.init();
+
+        const { changes } = await this.runStatement('DELETE FROM albums WHERE id = ?', [albumId]);
+        if (changes === 0) {
+            throw requestError('Album not found', 404);
+        }
+
+        console.log(`📚 Deleted album ID: ${albumId}`);
+        return changes;
+    }
+
+    // Append media to the end of an album; items already in it keep their position
+    async addMediaToAlbum(albumId, mediaIds) {
+        if (!this.isInitialized) await this.init();
+
+        const album = await this.getRow('SELECT id, query FROM albums WHERE id = ?', [albumId]);
+        if (!album) {
+            throw requestError('Album not found', 404);
+        }
+        if (album.query) {
+            throw requestError('Smart albums are filled by their search query', 400);
+        }
+
+        const ids = [...new Set((Array.isArray(mediaIds) ? mediaIds : [mediaIds]).map(id => parseInt(id)).filter(id => id > 0))];
+        let added = 0;
+
+        await this.withTransaction(async () => {
+            for (const mediaId of ids) {
+                const { changes } = await this.runStatement(`
+                    INSERT OR IGNORE INTO album_media (album_id, media_id, position)
+                    SELECT ?, media.id, (SELECT IFNULL(MAX(position), -1) + 1 FROM album_media WHERE album_id = ?)
+                    FROM media WHERE media.id = ?
+                `, [albumId, albumId, mediaId]);
+                added += changes;
+            }
+            await this.runStatement('UPDATE albums SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [albumId]);
+        });
+
+        console.log(`📚 Added ${added} item(s) to album ID: ${albumId}`);
+        return added;
+    }
+
+    async removeMediaFromAlbum(albumId, mediaIds) {
+        if (!this.isInitialized) await this.init();
+
+        const ids = (Array.isArray(mediaIds) ? mediaIds : [mediaIds]).map(id => parseInt(id)).filter(id => id > 0);
+        if (ids.length === 0) return 0;
+
+        const placeholders = ids.map(() => '?').join(', ');
+        let removed = 0;
+
+        await this.withTransaction(async () => {
+            ({ changes: removed } = await this.runStatement(
+                `DELETE FROM album_media WHERE album_id = ? AND media_id IN (${placeholders})`,
+                [albumId, ...ids]
+            ));
+            // A removed cover falls back to the first remaining item
+            await this.runStatement(`
+                UPDATE albums SET cover_media_id = CASE WHEN cover_media_id IN (${placeholders}) THEN NULL ELSE cover_media_id END,
+                                  updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...ids, albumId]);
+        });
+
+        console.log(`📚 Removed ${removed} item(s) from album ID: ${albumId}`);
+        return removed;
+    }
+
+    // Put the given album members into the given order. The members keep the set of
+    // positions they already occupy, so a partial list (e.g. one loaded page) is fine.
+    async reorderAlbum(albumId, orderedMediaIds) {
+        if (!this.isInitialized) await this.init();
+
+        const ids = (Array.isArray(orderedMediaIds) ? orderedMediaIds : []).map(id => parseInt(id)).filter(id => id > 0);
+        if (ids.length === 0 || new Set(ids).size !== ids.length) {
+            throw requestError('mediaIds must be a list of distinct media IDs', 400);
+        }
+
+        const rows = await this.getRows(
+            `SELECT media_id, position FROM album_media WHERE album_id = ? AND media_id IN (${ids.map(() => '?').join(', ')})`,
+            [albumId, ...ids]
+        );
+        if (rows.length !== ids.length) {
+            throw requestError('All reordered items must belong to the album', 400);
+        }
+
+        // Smart albums have no members, so any reorder request fails the check above
+        const positions = rows.map(row => row.position).sort((a, b) => a - b);
+
+        await this.withTransaction(async () => {
+            for (let i = 0; i < ids.length; i++) {
+                await this.runStatement(
+                    'UPDATE album_media SET position = ? WHERE album_id = ? AND media_id = ?',
+                    [positions[i], albumId, ids[i]]
+                );
+            }
+            await this.runStatement('UPDATE albums SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [albumId]);
+        });
+
+        return ids.length;
+    }
+
+    // Smart album definitions for the JSON backup
+    async exportSmartAlbums() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`
+            SELECT name, description, query FROM albums
+            WHERE query IS NOT NULL
+            ORDER BY name COLLATE NOCASE, id
+        `);
+        return rows.map(row => ({ name: row.name, description: row.description || '', query: row.query }));
+    }
+
+    // Restore smart albums from a backup; identical ones (same name and query) are skipped
+    async importSmartAlbums(smartAlbums) {
+        if (!this.isInitialized) await this.init();
+
+        let imported = 0;
+        let skipped = 0;
+        const errors = [];
+
+        for (const smartAlbum of Array.isArray(smartAlbums) ? smartAlbums : []) {
+            try {
+                const existing = await this.getRow(
+                    'SELECT id FROM albums WHERE name = ? AND query = ?',
+                    [String(smartAlbum?.name || '').trim(), String(smartAlbum?.query || '').trim()]
+                );
+                if (existing) {
+                    skipped++;
+                    continue;
+                }
+
+                if (!smartAlbum?.query) {
+                    throw requestError('Missing query', 400);
+                }
+                await this.createAlbum(smartAlbum);
+                imported++;
+            } catch (error) {
+                errors.push({ name: smartAlbum?.name || '', error: error.message });
+            }
+        }
+
+        console.log(`📚 Smart album import: ${imported} imported, ${skipped} already present, ${errors.length} errors`);
+        return { imported, skipped, errors };
+    }
+
+    // WATCH FOLDERS (watching and importing are handled by watchFolders.js)
+
+    convertWatchFolderRow(row) {
+        return {
+            id: row.id,
+            path: row.path,
+            mode: row.mode,
+            recursive: !!row.recursive,
+            enabled: !!row.enabled,
+            lastScanAt: row.last_scan_at || null,
+            createdAt: row.created_at,
+            imported: row.imported || 0,
+            duplicates: row.duplicates || 0,
+            failed: row.failed || 0
+        };
+    }
+
+    watchFolderSelectSql(where = '') {
+        return `
+            SELECT watch_folders.*,
+                (SELECT COUNT(*) FROM watch_ledger WHERE folder_id = watch_folders.id AND status = 'imported') AS imported,
+                (SELECT COUNT(*) FROM watch_ledger WHERE folder_id = watch_folders.id AND status = 'duplicate') AS duplicates,
+                (SELECT COUNT(*) FROM watch_ledger WHERE folder_id = watch_folders.id AND status = 'failed') AS failed
+            FROM watch_folders ${where}
+        `;
+    }
+
+    // Watch folders with the number of files imported, skipped as duplicates and failed
+    async listWatchFolders() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`${this.watchFolderSelectSql()} ORDER BY watch_folders.id`);
+        return rows.map(row => this.convertWatchFolderRow(row));
+    }
+
+    async getWatchFolder(folderId) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow(this.watchFolderSelectSql('WHERE watch_folders.id = ?'), [folderId]);
+        return row ? this.convertWatchFolderRow(row) : null;
+    }
+
+    async getWatchFolderByPath(folderPath) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow(this.watchFolderSelectSql('WHERE watch_folders.path = ?'), [folderPath]);
+        return row ? this.convertWatchFolderRow(row) : null;
+    }
+
+    validateWatchFolderMode(mode) {
+        if (!WATCH_FOLDER_MODES.includes(mode)) {
+            throw requestError(`Mode must be one of: ${WATCH_FOLDER_MODES.join(', ')}`, 400);
+        }
+        return mode;
+    }
+
+    // Add a watch folder; folderPath must already be resolved to an absolute directory
+    async addWatchFolder(folderPath, { mode = 'copy', recursive = true } = {}) {
+        if (!this.isInitialized) await this.init();
+
+        if (await this.getWatchFolderByPath(folderPath)) {
+            throw requestError('This folder is already watched', 409);
+        }
+
+        const { lastID } = await this.runStatement(
+            'INSERT INTO watch_folders (path, mode, recursive) VALUES (?, ?, ?)',
+            [folderPath, this.validateWatchFolderMode(mode), toWatchFlag(recursive)]
+        );
+
+        console.log(`👁️ Added watch folder ${folderPath} (${mode}, ID: ${lastID})`);
+        return this.getWatchFolder(lastID);
+    }
+
+    // Update mode, recursive and/or enabled
+    async updateWatchFolder(folderId, data = {}) {
+        if (!this.isInitialized) await this.init();
+
+        const updates = [];
+        const params = [];
+        if (data.mode !== undefined) {
+            updates.push('mode = ?');
+            params.push(this.validateWatchFolderMode(data.mode));
+        }
+        if (data.recursive !== undefined) {
+            updates.push('recursive = ?');
+            params.push(toWatchFlag(data.recursive));
+        }
+        if (data.enabled !== undefined) {
+            updates.push('enabled = ?');
+            params.push(toWatchFlag(data.enabled));
+        }
+
+        if (updates.length > 0) {
+            await this.runStatement(`UPDATE watch_folders SET ${updates.join(', ')} WHERE id = ?`, [...params, folderId]);
+        }
+        return this.getWatchFolder(folderId);
+    }
+
+    // Remove a watch folder and its ledger (imported media stay in the gallery)
+    async deleteWatchFolder(folderId) {
+        if (!this.isInitialized) await this.init();
+
+        const { changes } = await this.runStatement('DELETE FROM watch_folders WHERE id = ?', [folderId]);
+        return changes > 0;
+    }
+
+    async setWatchFolderScanned(folderId) {
+        if (!this.isInitialized) await this.init();
+
+        await this.runStatement('UPDATE watch_folders SET last_scan_at = ? WHERE id = ?', [new Date().toISOString(), folderId]);
+    }
+
+    // Ledger entries of a folder: full file path -> { status, fileSize, modifiedMs }
+    async getWatchLedger(folderId) {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(
+            'SELECT file_path, status, file_size, modified_ms FROM watch_ledger WHERE folder_id = ?',
+            [folderId]
+        );
+        return new Map(rows.map(row => [row.file_path, {
+            status: row.status,
+            fileSize: row.file_size,
+            modifiedMs: row.modified_ms
+        }]));
+    }
+
+    async getWatchLedgerEntry(filePath) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow('SELECT * FROM watch_ledger WHERE file_path = ?', [filePath]);
+        return row ? { status: row.status, fileSize: row.file_size, modifiedMs: row.modified_ms, mediaId: row.media_id } : null;
+    }
+
+    // Record what happened to a watched file (replaces an earlier entry for the same path)
+    async recordWatchedFile(entry) {
+        if (!this.isInitialized) await this.init();
+
+        await this.runStatement(`
+            INSERT INTO watch_ledger (file_path, folder_id, file_size, modified_ms, status, media_id, error, processed_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(file_path) DO UPDATE SET
+                folder_id = excluded.folder_id,
+                file_size = excluded.file_size,
+                modified_ms = excluded.modified_ms,
+                status = excluded.status,
+                media_id = excluded.media_id,
+                error = excluded.error,
+                processed_at = excluded.processed_at
+        `, [
+            entry.filePath,
+            entry.folderId,
+            entry.fileSize ?? null,
+            entry.modifiedMs ?? null,
+            entry.status,
+            entry.mediaId ?? null,
+            entry.error ?? null,
+            new Date().toISOString()
+        ]);
+    }
+
+    // Whether a media item (trashed included) uses the given file path
+    async hasMediaWithServerPath(serverPath) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow(
+            "SELECT 1 FROM media WHERE REPLACE(server_path, '\\', '/') = ? LIMIT 1",
+            [serverPath]
+        );
+        return Boolean(row);
+    }
+
+    // Animations of the animated images (trashed included), keyed by file path with forward slashes
+    async getAnimationsByServerPath() {
+        if (!this.isInitialized) await this.init();
+
+        const rows = await this.getRows(`
+            SELECT server_path, frame_count,
+                json_extract(metadata, '$.animationFormat') AS animation_format,
+                json_extract(metadata, '$.duration') AS duration,
+                json_extract(metadata, '$.loopCount') AS loop_count
+            FROM (
+                SELECT REPLACE(server_path, '\\', '/') AS server_path, frame_count,
+                    CASE WHEN json_valid(metadata_json) THEN metadata_json END AS metadata
+                FROM media
+                WHERE ${ANIMATED_MEDIA_SQL} AND server_path IS NOT NULL
+            )
+        `);
+        return new Map(rows.map(row => [row.server_path, getStoredAnimation(row.frame_count, {
+            animationFormat: row.animation_format,
+            duration: row.duration,
+            loopCount: row.loop_count
+        })]));
+    }
+
+    // Number of media items (trashed included) whose file path starts with the given prefix
+    async countMediaWithPathPrefix(prefix) {
+        if (!this.isInitialized) await this.init();
+
+        const row = await this.getRow(
+            "SELECT COUNT(*) AS count FROM media WHERE REPLACE(server_path, '\\', '/') LIKE ? ESCAPE '!'",
+            [prefix.replace(/[!%_]/g, '!$&') + '%']
+        );
+        return row.count;
+    }
+
     // Get statistics
     async getStats() {
         if (!this.isInitialized) await this.init();
@@ -494,11 +2633,13 @@ class ServerDatabase {
                     COUNT(*) as total,
                     SUM(CASE WHEN media_type = 'image' THEN 1 ELSE 0 END) as images,
                     SUM(CASE WHEN media_type = 'video' THEN 1 ELSE 0 END) as videos,
-                    SUM(file_size) as total_size
+                    SUM(file_size) as total_size,
+                    (SELECT COUNT(*) FROM media WHERE deleted_at IS NOT NULL) as trashed
                 FROM media
+                WHERE ${ACTIVE_MEDIA_SQL}
             `;
 
-            this.db.get(query, [], (err, row) => {
+            this.execute('get', query, [], (err, row) => {
                 if (err) {
                     console.error('❌ Error getting stats:', err);
                     reject(err);
@@ -509,7 +2650,8 @@ class ServerDatabase {
                     total: row.total || 0,
                     images: row.images || 0,
                     videos: row.videos || 0,
-                    totalSizeMB: Math.round((row.total_size || 0) / (1024 * 1024))
+                    totalSizeMB: Math.round((row.total_size || 0) / (1024 * 1024)),
+                    trashed: row.trashed || 0
                 };
 
                 console.log('📊 Database stats:', stats);
@@ -553,7 +2695,14 @@ class ServerDatabase {
             }
 
             console.log(`✅ Import completed: ${imported} items imported, ${errors} errors`);
-            return { imported, errors };
+
+            // Saved searches travel with the backup (manual albums reference media IDs and do not)
+            let smartAlbums = null;
+            if (Array.isArray(exportData.smartAlbums)) {
+                smartAlbums = await this.importSmartAlbums(exportData.smartAlbums);
+            }
+
+            return { imported, errors, smartAlbums };
 
         } catch (error) {
             console.error('❌ Import failed:', error);
@@ -0,0 +1,230 @@
+// serverThumbnails.js - Thumbnails and video probing for server-side ingestion (see mediaIngest.js)
+// FFmpeg / FFprobe are used when installed. Without them PNG images are scaled down in pure JS
+// and videos get a placeholder poster; JPEG, GIF and WebP images are shown from their file.
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { decodeImage } from './imageDecoder.js';
+
+const execFileAsync = promisify(execFile);
+
+// Longest side of image thumbnails (the gallery shows images from their file)
+const IMAGE_THUMBNAIL_SIZE = 200;
+// Width of video posters, which the gallery cards display
+const VIDEO_THUMBNAIL_WIDTH = 800;
+// FFmpeg JPEG quality (2 = best, 31 = worst)
+const IMAGE_THUMBNAIL_QUALITY = 10;
+const VIDEO_THUMBNAIL_QUALITY = 3;
+
+const TOOL_TIMEOUT = 30000;
+const TOOL_MAX_OUTPUT = 32 * 1024 * 1024;
+
+// Originals larger than this are not decoded in JS for a thumbnail
+const MAX_DECODE_FILE_SIZE = 40 * 1024 * 1024;
+
+// Tools found missing are not tried again until the server restarts
+const missingTools = new Set();
+
+// Run ffmpeg / ffprobe and return its stdout, or null when it is missing or fails
+async function runTool(command, args) {
+    if (missingTools.has(command)) return null;
+
+    try {
+        const { stdout } = await execFileAsync(command, ['-v', 'error', ...args], {
+            encoding: 'buffer',
+            timeout: TOOL_TIMEOUT,
+            maxBuffer: TOOL_MAX_OUTPUT
+        });
+        return stdout;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            missingTools.add(command);
+            console.warn(`⚠️ ${command} is not installed; using built-in thumbnails and metadata only`);
+        } else {
+            console.warn(`⚠️ ${command} failed:`, String(error.stderr || error.message).trim().split('\n')[0]);
+        }
+        return null;
+    }
+}
+
+// One frame as JPEG bytes (null when FFmpeg is missing or the frame could not be read)
+async function extractFrame(filePath, scaleFilter, quality, seekSeconds = 0) {
+    const seek = seekSeconds > 0 ? ['-ss', String(seekSeconds)] : [];
+    const output = await runTool('ffmpeg', [
+        '-nostdin', ...seek, '-i', filePath,
+        '-frames:v', '1', '-vf', scaleFilter,
+        '-f', 'image2pipe', '-vcodec', 'mjpeg', '-q:v', String(quality), '-'
+    ]);
+    return output && output.length > 0 ? output : null;
+}
+
+function toDataUrl(bytes, mimeType) {
+    return `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`;
+}
+
+/**
+ * Read the duration and size of a video with FFprobe
+ * @param {string} filePath - Full path to the video
+ * @returns {Promise<{duration: number|null, width: number|null, height: number|null}|null>}
+ *   null when FFprobe is not installed or cannot read the file
+ */
+export async function probeVideo(filePath) {
+    const output = await runTool('ffprobe', [
+        '-select_streams', 'v:0',
+        '-show_entries', 'stream=width,height:format=duration',
+        '-of', 'json', filePath
+    ]);
+    if (!output) return null;
+
+    try {
+        const probe = JSON.parse(output.toString('utf8'));
+        const stream = probe.streams?.[0] || {};
+        const duration = parseFloat(probe.format?.duration);
+        return {
+            duration: Number.isFinite(duration) ? duration : null,
+            width: stream.width || null,
+            height: stream.height || null
+        };
+    } catch (error) {
+        console.warn('⚠️ Could not parse ffprobe output:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Build a small image thumbnail (max 200px on the longest side)
+ * @param {string} filePath - Full path to the image
+ * @param {Buffer} bytes - The image file contents
+ * @returns {Promise<string>} JPEG or PNG data URL, or '' when no thumbnail could be made
+ */
+export async function createImageThumbnail(filePath, bytes) {
+    const size = IMAGE_THUMBNAIL_SIZE;
+    const jpeg = await extractFrame(
+        filePath,
+        `scale=w='min(${size},iw)':h='min(${size},ih)':force_original_aspect_ratio=decrease`,
+        IMAGE_THUMBNAIL_QUALITY
+    );
+    if (jpeg) return toDataUrl(jpeg, 'image/jpeg');
+
+    // Pure JS fallback: only PNG decodes to color (see imageDecoder.js)
+    if (bytes.length > MAX_DECODE_FILE_SIZE || bytes[0] !== 0x89) return '';
+    try {
+        const image = decodeImage(bytes);
+        return toDataUrl(encodePNG(scaleDown(image, size)), 'image/png');
+    } catch (error) {
+        console.warn(`⚠️ Could not build thumbnail for ${filePath}:`, error.message);
+        return '';
+    }
+}
+
+/**
+ * Build a video poster from a frame near the start (a placeholder without FFmpeg)
+ * @param {string} filePath - Full path to the video
+ * @param {number|null} duration - Length in seconds, if known
+ * @returns {Promise<string>} JPEG or PNG data URL
+ */
+export async function createVideoThumbnail(filePath, duration = null) {
+    const scaleFilter = `scale=w='min(${VIDEO_THUMBNAIL_WIDTH},iw)':h=-2`;
+    // 1 second in, or 10% of short clips; retry from the first frame
+    const seek = duration ? Math.min(1, duration * 0.1) : 1;
+    const jpeg = await extractFrame(filePath, scaleFilter, VIDEO_THUMBNAIL_QUALITY, seek) ||
+        await extractFrame(filePath, scaleFilter, VIDEO_THUMBNAIL_QUALITY);
+
+    return jpeg ? toDataUrl(jpeg, 'image/jpeg') : getVideoPlaceholder();
+}
+
+// Box-filter an RGBA image down so its longest side is at most maxSize
+function scaleDown(image, maxSize) {
+    const { width, height, data } = image;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+    const output = new Uint8Array(targetWidth * targetHeight * 4);
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor((ty * height) / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / targetHeight));
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor((tx * width) / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / targetWidth));
+            const sums = [0, 0, 0, 0];
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    for (let c = 0; c < 4; c++) sums[c] += data[i + c];
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const o = (ty * targetWidth + tx) * 4;
+            for (let c = 0; c < 4; c++) output[o + c] = Math.round(sums[c] / count);
+        }
+    }
+
+    return { width: targetWidth, height: targetHeight, data: output };
+}
+
+// Dark poster with a white play triangle, built once
+let videoPlaceholder = null;
+
+function getVideoPlaceholder() {
+    if (videoPlaceholder) return videoPlaceholder;
+
+    const size = 200;
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // Triangle pointing right, 60px wide, centered
+            const inTriangle = x >= 75 && x <= 135 && Math.abs(y - 100) <= (135 - x) / 2;
+            const value = inTriangle ? 255 : 0x2a;
+            data.set([value, value, value, 255], (y * size + x) * 4);
+        }
+    }
+
+    videoPlaceholder = toDataUrl(encodePNG({ width: size, height: size, data }), 'image/png');
+    return videoPlaceholder;
+}
+
+// PNG
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    Buffer.from(data).copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Encode 8-bit RGBA pixels as a PNG (no filtering; thumbnails are small)
+function encodePNG({ width, height, data }) {
+    const rowLength = width * 4;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        Buffer.from(data.buffer, data.byteOffset + y * rowLength, rowLength).copy(raw, y * (rowLength + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
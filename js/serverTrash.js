@@ -0,0 +1,180 @@
+// serverTrash.js - Soft delete for media: trashed files are moved under .trash/ (keeping their
+// images|videos/YYYY-MM-DD/ layout) until they are restored or permanently deleted.
+// Files of 'reference' watch folders belong to the user and stay where they are.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import serverDB, { requestError } from './serverDatabase.js';
+import { WATCHED_ROOT } from './watchFolders.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+export const TRASH_ROOT = path.join(PROJECT_ROOT, '.trash');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days an item stays in the trash before it is purged (TRASH_RETENTION_DAYS, 0 = never purge)
+export function getTrashRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+}
+
+// Resolve a stored relative path inside `root`; null when it would escape it
+function resolveInside(root, relativePath) {
+    if (!relativePath) return null;
+    const resolved = path.resolve(root, relativePath.replace(/\\/g, '/'));
+    return resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+// Items of 'reference' watch folders use the user's own file through watched/<id>/
+function isReferencedFile(serverPath) {
+    const file = resolveInside(PROJECT_ROOT, serverPath);
+    return Boolean(file) && file.startsWith(WATCHED_ROOT + path.sep);
+}
+
+// Relative path with forward slashes, the format stored in the database
+function toStoredPath(root, fullPath) {
+    return path.relative(root, fullPath).split(path.sep).join('/');
+}
+
+// Add a counter before the extension until the path is free (photo.png -> photo_1.png)
+function findFreePath(fullPath) {
+    const { dir, name, ext } = path.parse(fullPath);
+    let candidate = fullPath;
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = path.join(dir, `${name}_${i}${ext}`);
+    }
+    return candidate;
+}
+
+function moveFile(source, target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    try {
+        fs.renameSync(source, target);
+    } catch (error) {
+        // .trash may be on another device when the media folders are mounted
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(source, target);
+        fs.unlinkSync(source);
+    }
+}
+
+// Move an item to the trash; returns the updated item (null when it does not exist).
+// Referenced files are left in place, only the item is hidden.
+export async function trashMedia(id) {
+    const media = await serverDB.getMediaById(id);
+    if (!media) return null;
+    if (media.deletedAt) return media;
+
+    let trashPath = null;
+    const source = resolveInside(PROJECT_ROOT, media.serverPath);
+    const target = resolveInside(TRASH_ROOT, media.serverPath);
+    if (source && target && !isReferencedFile(media.serverPath) && fs.existsSync(source)) {
+        const destination = findFreePath(target);
+        moveFile(source, destination);
+        trashPath = toStoredPath(TRASH_ROOT, destination);
+    }
+
+    try {
+        return await serverDB.markMediaTrashed(id, trashPath);
+    } catch (error) {
+        // Put the file back so the record and the file stay together
+        if (trashPath) moveFile(path.join(TRASH_ROOT, trashPath), source);
+        throw error;
+    }
+}
+
+// Restore a trashed item to its original folder; returns the updated item (null when it does not exist)
+export async function restoreMedia(id) {
+    const media = await serverDB.getMediaById(id);
+    if (!media) return null;
+    if (!media.deletedAt) {
+        throw requestError('Media is not in the trash', 409);
+    }
+
+    let serverPath = media.serverPath;
+    const source = resolveInside(TRASH_ROOT, media.trashPath);
+    const target = resolveInside(PROJECT_ROOT, media.serverPath);
+    if (source && target && fs.existsSync(source)) {
+        // Another file may have been uploaded under the same name in the meantime
+        const destination = findFreePath(target);
+        moveFile(source, destination);
+        serverPath = toStoredPath(PROJECT_ROOT, destination);
+    }
+
+    return serverDB.markMediaRestored(id, serverPath);
+}
+
+// Permanently delete a trashed item and its file; returns false when it does not exist.
+// Referenced files are kept, and so is their watch ledger entry, so the folder does not import
+// them again.
+export async function deleteTrashedMedia(id) {
+    const media = await serverDB.getMediaById(id);
+    if (!media) return false;
+    if (!media.deletedAt) {
+        throw requestError('Only media in the trash can be deleted permanently', 409);
+    }
+
+    const file = resolveInside(TRASH_ROOT, media.trashPath);
+    if (file && fs.existsSync(file)) {
+        if (isReferencedFile(media.serverPath)) {
+            // Trashed before referenced files were left in place: give the user the file back
+            const original = resolveInside(PROJECT_ROOT, media.serverPath);
+            if (fs.existsSync(path.dirname(original))) {
+                moveFile(file, findFreePath(original));
+            }
+        } else {
+            fs.unlinkSync(file);
+        }
+    }
+
+    await serverDB.deleteMedia(id);
+    return true;
+}
+
+async function deleteTrashedIds(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+        try {
+            if (await deleteTrashedMedia(id)) deleted++;
+        } catch (error) {
+            console.error(`❌ Failed to delete trashed media ${id}:`, error.message);
+        }
+    }
+    return deleted;
+}
+
+// Permanently delete everything in the trash; returns the number of items deleted
+export async function emptyTrash() {
+    const deleted = await deleteTrashedIds(await serverDB.getTrashedIds());
+    console.log(`🗑️ Emptied trash: ${deleted} items deleted`);
+    return deleted;
+}
+
+// Permanently delete items that have been in the trash longer than the retention period
+export async function purgeExpiredTrash() {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return 0;
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    const deleted = await deleteTrashedIds(await serverDB.getTrashedIds(cutoff));
+    if (deleted > 0) {
+        console.log(`🗑️ Purged ${deleted} items trashed more than ${retentionDays} days ago`);
+    }
+    return deleted;
+}
+
+// Purge expired trash now and then every hour while the server runs
+export function startTrashAutoPurge() {
+    const run = () => purgeExpiredTrash().catch(error => {
+        console.error('❌ Trash purge failed:', error);
+    });
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,205 @@
+// similarFinder.js - "Find similar" review screen: groups of near-duplicate media where one
+// item per group is kept and the rest can be moved to the trash
+
+import { database } from './clientDatabase.js';
+import { showNotification, showConfirmDialog, showSideView, closeSideView } from './utils.js';
+
+let similarGroups = [];
+// Group index -> id of the item to keep (defaults to the server's best pick, the first item)
+const keepSelection = new Map();
+let trashedSinceOpen = false;
+
+function getPreviewSrc(item) {
+    if (item.mediaType !== 'video' && item.serverPath) {
+        return `/${item.serverPath.replace(/\\/g, '/')}`;
+    }
+    return item.thumbnailData || '';
+}
+
+function describeItem(item) {
+    const parts = [];
+    if (item.width && item.height) parts.push(`${item.width}×${item.height}`);
+    if (item.rating > 0) parts.push('★'.repeat(item.rating));
+    if (item.favorite) parts.push('♥');
+    if (item.mediaType === 'video') parts.push('video');
+    return parts.join(' · ');
+}
+
+function createSimilarCard(item, keep) {
+    const card = document.createElement('div');
+    card.className = `trash-card similar-card${keep ? ' keep' : ''}`;
+    card.dataset.itemId = item.id;
+    card.title = keep ? 'Kept' : 'Click to keep this one instead';
+
+    const previewSrc = getPreviewSrc(item);
+    if (previewSrc) {
+        const preview = document.createElement('img');
+        preview.src = previewSrc;
+        preview.alt = '';
+        preview.loading = 'lazy';
+        card.appendChild(preview);
+    }
+
+    const badge = document.createElement('span');
+    badge.className = 'similar-badge';
+    badge.textContent = keep ? 'Keep' : 'Trash';
+    card.appendChild(badge);
+
+    const title = document.createElement('div');
+    title.className = 'trash-card-title';
+    title.textContent = item.title || 'Untitled';
+    card.appendChild(title);
+
+    const details = document.createElement('div');
+    details.className = 'trash-card-age';
+    details.textContent = describeItem(item);
+    card.appendChild(details);
+
+    return card;
+}
+
+function renderSimilarGroups() {
+    const container = document.getElementById('similarGroups');
+    const info = document.getElementById('similarInfo');
+    const trashAllButton = document.getElementById('trashAllSimilar');
+    container.innerHTML = '';
+
+    const duplicateCount = similarGroups.reduce((sum, group) => sum + group.items.length - 1, 0);
+    info.textContent = similarGroups.length === 0
+        ? 'No similar media found at this sensitivity.'
+        : `${similarGroups.length} group${similarGroups.length !== 1 ? 's' : ''} with ${duplicateCount} item${duplicateCount !== 1 ? 's' : ''} to trash. Click an item to keep it instead of the suggested one.`;
+    trashAllButton.disabled = similarGroups.length === 0;
+
+    similarGroups.forEach((group, index) => {
+        const section = document.createElement('div');
+        section.className = 'similar-group';
+        section.dataset.groupIndex = index;
+
+        const header = document.createElement('div');
+        header.className = 'similar-group-header';
+        const label = document.createElement('span');
+        label.textContent = `${group.items.length} similar items (differ by up to ${group.maxDistance} bit${group.maxDistance !== 1 ? 's' : ''})`;
+        header.appendChild(label);
+        const trashButton = document.createElement('button');
+        trashButton.className = 'album-action-btn trash-delete-btn';
+        trashButton.dataset.similarAction = 'trash-group';
+        trashButton.textContent = 'Trash the others';
+        header.appendChild(trashButton);
+        section.appendChild(header);
+
+        const list = document.createElement('div');
+        list.className = 'trash-list';
+        const keepId = keepSelection.get(index);
+        for (const item of group.items) {
+            list.appendChild(createSimilarCard(item, item.id === keepId));
+        }
+        section.appendChild(list);
+
+        container.appendChild(section);
+    });
+}
+
+async function scanSimilarMedia() {
+    const threshold = document.getElementById('similarThreshold').value;
+    const info = document.getElementById('similarInfo');
+    info.textContent = '🔍 Comparing media (hashing new items may take a moment)...';
+
+    try {
+        similarGroups = await database.findSimilarMedia(threshold);
+        keepSelection.clear();
+        similarGroups.forEach((group, index) => keepSelection.set(index, group.items[0].id));
+        renderSimilarGroups();
+    } catch (error) {
+        console.error('Error finding similar media:', error);
+        info.textContent = '';
+        showNotification('Error finding similar media: ' + error.message, 'error');
+    }
+}
+
+// Trash every item of the given groups except the one selected to keep
+async function trashUnkeptItems(groupIndexes) {
+    const ids = groupIndexes.flatMap(index =>
+        similarGroups[index].items.map(item => item.id).filter(id => id !== keepSelection.get(index))
+    );
+
+    let trashed = 0;
+    for (const id of ids) {
+        try {
+            await database.trashMedia(id);
+            trashed++;
+        } catch (error) {
+            console.error(`Error trashing media ${id}:`, error);
+        }
+    }
+
+    if (trashed > 0) trashedSinceOpen = true;
+    showNotification(
+        `Moved ${trashed} item${trashed !== 1 ? 's' : ''} to the trash` + (trashed < ids.length ? ` (${ids.length - trashed} failed)` : ''),
+        trashed < ids.length ? 'error' : 'success'
+    );
+
+    // Drop the handled groups (indexes shift, so rebuild the keep selection)
+    const remaining = similarGroups
+        .map((group, index) => ({ group, keepId: keepSelection.get(index), index }))
+        .filter(entry => !groupIndexes.includes(entry.index));
+    similarGroups = remaining.map(entry => entry.group);
+    keepSelection.clear();
+    remaining.forEach((entry, index) => keepSelection.set(index, entry.keepId));
+    renderSimilarGroups();
+}
+
+async function trashAllSimilar() {
+    const count = similarGroups.reduce((sum, group) => sum + group.items.length - 1, 0);
+    const confirmed = await showConfirmDialog(
+        `Keep the selected item of each group and move the other ${count} item${count !== 1 ? 's' : ''} to the trash?`,
+        'Move to Trash'
+    );
+    if (confirmed) {
+        await trashUnkeptItems(similarGroups.map((_, index) => index));
+    }
+}
+
+export async function openSimilarView() {
+    trashedSinceOpen = false;
+    showSideView('similarView');
+    await scanSimilarMedia();
+}
+
+export function closeSimilarView() {
+    closeSideView('similarView');
+    if (trashedSinceOpen) {
+        window.dispatchEvent(new CustomEvent('mediaUpdated'));
+    }
+}
+
+// Wire up the Find Similar button and the review screen; call once at startup
+export function setupSimilarView() {
+    const threshold = document.getElementById('similarThreshold');
+    const thresholdValue = document.getElementById('similarThresholdValue');
+    if (!threshold) return;
+
+    document.getElementById('openSimilar').addEventListener('click', openSimilarView);
+    document.getElementById('closeSimilar').addEventListener('click', closeSimilarView);
+    document.getElementById('scanSimilar').addEventListener('click', scanSimilarMedia);
+    document.getElementById('trashAllSimilar').addEventListener('click', trashAllSimilar);
+    threshold.addEventListener('input', () => {
+        thresholdValue.textContent = threshold.value;
+    });
+
+    document.getElementById('similarGroups').addEventListener('click', async (e) => {
+        const section = e.target.closest('.similar-group');
+        if (!section) return;
+        const index = parseInt(section.dataset.groupIndex);
+
+        if (e.target.closest('[data-similar-action="trash-group"]')) {
+            await trashUnkeptItems([index]);
+            return;
+        }
+
+        const card = e.target.closest('.similar-card');
+        if (card) {
+            keepSelection.set(index, parseInt(card.dataset.itemId));
+            renderSimilarGroups();
+        }
+    });
+}
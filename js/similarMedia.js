@@ -0,0 +1,204 @@
+// similarMedia.js - Perceptual hashes (dHash) and grouping of near-duplicate media (server-side)
+// Hashes are computed from decoded pixels: the original file for PNG/JPEG images, otherwise the
+// stored thumbnail (which is the poster frame for videos).
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import serverDB from './serverDatabase.js';
+import { decodeImage, decodeDataUrl } from './imageDecoder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 10;
+export const MAX_SIMILARITY_THRESHOLD = 32;
+
+// Originals larger than this are hashed from their thumbnail instead (decoding is pure JS)
+const MAX_DECODE_FILE_SIZE = 40 * 1024 * 1024;
+const DECODABLE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Hashes are stored as '' when no pixels could be decoded, so they are not retried
+const UNHASHABLE = '';
+
+// 64-bit difference hash as 16 hex digits: shrink to 9x8 luminance cells and record whether
+// each cell is brighter than its left neighbour
+export function computeDifferenceHash(image) {
+    const { width, height, channels, data } = image;
+    const sums = new Float64Array(72);
+    const counts = new Uint32Array(72);
+
+    for (let y = 0; y < height; y++) {
+        const cellRow = Math.floor((y * 8) / height) * 9;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * channels;
+            let luma;
+            if (channels >= 3) {
+                luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            } else {
+                luma = data[i];
+            }
+            // Transparent pixels are treated as white
+            if (channels === 4 || channels === 2) {
+                const alpha = data[i + channels - 1] / 255;
+                luma = luma * alpha + 255 * (1 - alpha);
+            }
+            const cell = cellRow + Math.floor((x * 9) / width);
+            sums[cell] += luma;
+            counts[cell]++;
+        }
+    }
+
+    // Images narrower than 9 pixels leave some cells empty; reuse the left neighbour
+    const cells = new Float64Array(72);
+    for (let i = 0; i < 72; i++) {
+        cells[i] = counts[i] ? sums[i] / counts[i] : (i % 9 ? cells[i - 1] : 0);
+    }
+
+    let hex = '';
+    for (let row = 0; row < 8; row++) {
+        let byte = 0;
+        for (let col = 0; col < 8; col++) {
+            byte = (byte << 1) | (cells[row * 9 + col + 1] > cells[row * 9 + col] ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+// Number of differing bits between two 32-bit integers
+function popcount32(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Decode the best available pixels for an item (null when nothing can be decoded)
+function decodeMediaPixels(row) {
+    if (row.media_type !== 'video' && row.server_path) {
+        const fullPath = path.join(__dirname, '..', row.server_path.replace(/\\/g, '/'));
+        const extension = path.extname(fullPath).toLowerCase();
+        try {
+            if (DECODABLE_EXTENSIONS.includes(extension) && fs.statSync(fullPath).size <= MAX_DECODE_FILE_SIZE) {
+                return decodeImage(fs.readFileSync(fullPath));
+            }
+        } catch (error) {
+            // Missing file or an encoding we do not support (e.g. progressive JPEG)
+            console.warn(`Could not decode ${row.server_path}, using thumbnail:`, error.message);
+        }
+    }
+
+    if (row.thumbnail_data) {
+        try {
+            return decodeDataUrl(row.thumbnail_data);
+        } catch (error) {
+            console.warn(`Could not decode thumbnail for media ${row.id}:`, error.message);
+        }
+    }
+    return null;
+}
+
+// Compute and store the perceptual hash of one item; returns the hash ('' when unhashable)
+export async function updatePerceptualHash(mediaId) {
+    const row = await serverDB.getPerceptualHashSource(mediaId);
+    if (!row) return null;
+
+    const image = decodeMediaPixels(row);
+    const hash = image ? computeDifferenceHash(image) : UNHASHABLE;
+    await serverDB.setPerceptualHash(mediaId, hash);
+    return hash;
+}
+
+// Hash every item that has no perceptual hash yet; returns the number of items processed
+export async function hashMissingPerceptualHashes() {
+    const ids = await serverDB.getIdsWithoutPerceptualHash();
+    for (const id of ids) {
+        try {
+            await updatePerceptualHash(id);
+        } catch (error) {
+            console.error(`❌ Failed to hash media ${id}:`, error.message);
+        }
+        // Let requests through between items; decoding is synchronous
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (ids.length > 0) {
+        console.log(`🧬 Computed perceptual hashes for ${ids.length} media items`);
+    }
+    return ids.length;
+}
+
+// Server-uploaded images record their size in the metadata rather than file_size
+function sizeOf(item) {
+    return item.fileSize || item.metadata?.fileSize || 0;
+}
+
+// Order of preference for the item to keep in a group: rating, favorite, resolution, file size, oldest
+function compareKeepPreference(a, b) {
+    return (b.rating - a.rating) ||
+        (Number(b.favorite) - Number(a.favorite)) ||
+        ((b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0)) ||
+        (sizeOf(b) - sizeOf(a)) ||
+        (a.id - b.id);
+}
+
+/**
+ * Group media whose perceptual hashes differ by at most `threshold` bits (single linkage:
+ * an item joins a group when it is close to any member).
+ * @returns {Promise<Array<{items: Array, maxDistance: number}>>} groups of 2+ items, best item first
+ */
+export async function findSimilarMedia(threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+    await hashMissingPerceptualHashes();
+
+    const rows = await serverDB.getPerceptualHashes();
+    const high = new Uint32Array(rows.length);
+    const low = new Uint32Array(rows.length);
+    rows.forEach((row, i) => {
+        high[i] = parseInt(row.perceptual_hash.slice(0, 8), 16);
+        low[i] = parseInt(row.perceptual_hash.slice(8), 16);
+    });
+
+    // Union-find over all pairs within the threshold
+    const parent = rows.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const maxDistances = new Map();
+
+    for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+            const distance = popcount32(high[i] ^ high[j]) + popcount32(low[i] ^ low[j]);
+            if (distance > threshold) continue;
+
+            const rootI = find(i);
+            const rootJ = find(j);
+            const groupMax = Math.max(distance, maxDistances.get(rootI) || 0, maxDistances.get(rootJ) || 0);
+            if (rootI !== rootJ) parent[rootJ] = rootI;
+            maxDistances.set(rootI, groupMax);
+        }
+    }
+
+    const members = new Map();
+    rows.forEach((row, i) => {
+        const root = find(i);
+        if (!members.has(root)) members.set(root, []);
+        members.get(root).push(row.id);
+    });
+
+    const groups = [];
+    for (const [root, ids] of members) {
+        if (ids.length < 2) continue;
+        const items = await serverDB.getMediaByIds(ids);
+        items.sort(compareKeepPreference);
+        groups.push({ items, maxDistance: maxDistances.get(root) || 0 });
+    }
+
+    // Largest groups first
+    groups.sort((a, b) => b.items.length - a.items.length || a.items[0].id - b.items[0].id);
+    console.log(`🧬 Found ${groups.length} groups of similar media (threshold ${threshold})`);
+    return groups;
+}
@@ -0,0 +1,108 @@
+// tagAutocomplete.js - Suggests existing tags while typing in a comma-separated tag field
+
+import { database } from './clientDatabase.js';
+import { debounce } from './utils.js';
+
+const MAX_SUGGESTIONS = 8;
+
+// Attach autocomplete to a tag input (safe to call more than once for the same input)
+export function setupTagAutocomplete(input) {
+    if (!input || input.dataset.tagAutocomplete) return;
+    input.dataset.tagAutocomplete = 'true';
+
+    const list = document.createElement('ul');
+    list.className = 'tag-suggestions';
+    list.style.display = 'none';
+    input.parentElement.classList.add('tag-autocomplete');
+    input.insertAdjacentElement('afterend', list);
+
+    let activeIndex = -1;
+
+    const hide = () => {
+        list.style.display = 'none';
+        list.innerHTML = '';
+        activeIndex = -1;
+    };
+
+    const highlight = (index) => {
+        const items = list.querySelectorAll('li');
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        activeIndex = index;
+    };
+
+    // Replace the tag being typed (the last comma-separated segment) with the suggestion
+    const applySuggestion = (name) => {
+        const segments = input.value.split(',');
+        segments[segments.length - 1] = segments.length > 1 ? ` ${name}` : name;
+        input.value = segments.join(',') + ', ';
+        hide();
+        input.focus();
+    };
+
+    const fetchSuggestions = debounce(async () => {
+        const current = input.value.split(',').pop().trim();
+        if (!current) {
+            hide();
+            return;
+        }
+
+        try {
+            const existing = new Set(input.value.split(',').map(tag => tag.trim().toLowerCase()));
+            const tags = await database.listTags(current, MAX_SUGGESTIONS + existing.size);
+            const suggestions = tags
+                .filter(tag => !existing.has(tag.name.toLowerCase()))
+                .slice(0, MAX_SUGGESTIONS);
+
+            // The input may have changed while the request was in flight
+            if (input.value.split(',').pop().trim() !== current) return;
+
+            if (suggestions.length === 0) {
+                hide();
+                return;
+            }
+
+            list.innerHTML = '';
+            for (const tag of suggestions) {
+                const item = document.createElement('li');
+                item.textContent = tag.name;
+                const count = document.createElement('span');
+                count.className = 'tag-suggestion-count';
+                count.textContent = tag.count;
+                item.appendChild(count);
+                // mousedown fires before the input's blur, so the click is not lost
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    applySuggestion(tag.name);
+                });
+                list.appendChild(item);
+            }
+            activeIndex = -1;
+            list.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading tag suggestions:', error);
+            hide();
+        }
+    }, 200);
+
+    input.addEventListener('input', fetchSuggestions);
+    input.addEventListener('blur', hide);
+    input.addEventListener('keydown', (e) => {
+        const items = list.querySelectorAll('li');
+        if (list.style.display === 'none' || items.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlight((activeIndex + 1) % items.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlight((activeIndex - 1 + items.length) % items.length);
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+            e.preventDefault();
+            applySuggestion(items[activeIndex].firstChild.textContent);
+        } else if (e.key === 'Escape') {
+            // Close the suggestions without closing the modal
+            e.stopPropagation();
+            hide();
+        }
+    });
+}
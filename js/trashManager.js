@@ -0,0 +1,172 @@
+// trashManager.js - Trash view: restore trashed media or delete it permanently
+
+import { database } from './clientDatabase.js';
+import { showNotification, showConfirmDialog, showSideView, closeSideView } from './utils.js';
+import { updateStatsDisplay } from './galleryDataManager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Image source for a trashed item (its file now lives under /trash-files/)
+function getTrashPreviewSrc(item) {
+    if (item.mediaType !== 'video' && item.trashPath) {
+        return `/trash-files/${item.trashPath.split('/').map(encodeURIComponent).join('/')}`;
+    }
+    return item.thumbnailData || '';
+}
+
+// "Deleted 3 days ago · purged in 27 days"
+function describeTrashAge(item, retentionDays) {
+    const deletedAt = new Date(item.deletedAt);
+    const daysAgo = Math.floor((Date.now() - deletedAt.getTime()) / DAY_MS);
+    let text = daysAgo < 1 ? 'Deleted today' : `Deleted ${daysAgo} day${daysAgo !== 1 ? 's' : ''} ago`;
+
+    if (retentionDays > 0) {
+        const daysLeft = Math.max(0, retentionDays - daysAgo);
+        text += daysLeft < 1 ? ' · purged soon' : ` · purged in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`;
+    }
+    return text;
+}
+
+function createTrashCard(item, retentionDays) {
+    const card = document.createElement('div');
+    card.className = 'trash-card';
+    card.dataset.itemId = item.id;
+
+    const previewSrc = getTrashPreviewSrc(item);
+    if (previewSrc) {
+        const preview = document.createElement('img');
+        preview.src = previewSrc;
+        preview.alt = '';
+        preview.loading = 'lazy';
+        card.appendChild(preview);
+    } else {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'trash-card-placeholder';
+        placeholder.textContent = item.mediaType === 'video' ? '🎬' : '🖼️';
+        card.appendChild(placeholder);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'trash-card-title';
+    title.textContent = item.title || 'Untitled';
+    card.appendChild(title);
+
+    const age = document.createElement('div');
+    age.className = 'trash-card-age';
+    age.textContent = describeTrashAge(item, retentionDays);
+    card.appendChild(age);
+
+    const actions = document.createElement('div');
+    actions.className = 'trash-card-actions';
+    actions.innerHTML = `
+        <button class="album-action-btn" data-trash-action="restore">♻️ Restore</button>
+        <button class="album-action-btn trash-delete-btn" data-trash-action="delete">Delete forever</button>
+    `;
+    card.appendChild(actions);
+
+    return card;
+}
+
+// Fetch the trash and redraw the trash view
+async function loadTrash() {
+    const list = document.getElementById('trashList');
+    const info = document.getElementById('trashInfo');
+    const emptyButton = document.getElementById('emptyTrash');
+    if (!list) return;
+
+    try {
+        const { items, retentionDays } = await database.listTrash();
+
+        info.textContent = `${items.length} item${items.length !== 1 ? 's' : ''} in the trash. ` + (retentionDays > 0
+            ? `Items are deleted permanently ${retentionDays} days after they were trashed.`
+            : 'Items are kept until you empty the trash.');
+        emptyButton.disabled = items.length === 0;
+
+        list.innerHTML = '';
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'trash-empty';
+            empty.textContent = 'The trash is empty.';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const item of items) {
+            list.appendChild(createTrashCard(item, retentionDays));
+        }
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showNotification('Error loading trash: ' + error.message, 'error');
+    }
+}
+
+export async function openTrashView() {
+    showSideView('trashView');
+    await loadTrash();
+}
+
+export function closeTrashView() {
+    closeSideView('trashView');
+}
+
+async function restoreTrashedItem(id) {
+    try {
+        await database.restoreMedia(id);
+        showNotification('Media restored', 'success');
+        await loadTrash();
+        window.dispatchEvent(new CustomEvent('mediaUpdated'));
+    } catch (error) {
+        console.error('Error restoring media:', error);
+        showNotification('Error restoring media: ' + error.message, 'error');
+    }
+}
+
+async function deleteTrashedItem(id) {
+    const confirmed = await showConfirmDialog('Delete this item permanently? Its file will be removed and this cannot be undone.', 'Delete forever');
+    if (!confirmed) return;
+
+    try {
+        await database.deleteTrashedMedia(id);
+        showNotification('Media deleted permanently', 'success');
+        await loadTrash();
+        await updateStatsDisplay();
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        showNotification('Error deleting media: ' + error.message, 'error');
+    }
+}
+
+async function emptyTrash() {
+    const confirmed = await showConfirmDialog('Permanently delete everything in the trash? This cannot be undone.', 'Empty Trash');
+    if (!confirmed) return;
+
+    try {
+        const deleted = await database.emptyTrash();
+        showNotification(`Trash emptied (${deleted} item${deleted !== 1 ? 's' : ''} deleted)`, 'success');
+        await loadTrash();
+        await updateStatsDisplay();
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        showNotification('Error emptying trash: ' + error.message, 'error');
+    }
+}
+
+// Wire up the Trash button and the trash view; call once at startup
+export function setupTrashView() {
+    document.getElementById('openTrash')?.addEventListener('click', openTrashView);
+    document.getElementById('closeTrash')?.addEventListener('click', closeTrashView);
+    document.getElementById('emptyTrash')?.addEventListener('click', emptyTrash);
+
+    document.getElementById('trashList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-trash-action]');
+        const card = e.target.closest('.trash-card');
+        if (!button || !card) return;
+
+        const id = parseInt(card.dataset.itemId);
+        if (button.dataset.trashAction === 'restore') {
+            restoreTrashedItem(id);
+        } else if (button.dataset.trashAction === 'delete') {
+            deleteTrashedItem(id);
+        }
+    });
+}
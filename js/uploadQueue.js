@@ -0,0 +1,326 @@
+// uploadQueue.js - Upload queue panel: files dropped or picked are uploaded two to four at a time
+// (processFile in mediaProcessor.js) with per-file byte progress, the server processing stage,
+// cancel and retry. The panel floats over the page, so the gallery can be browsed meanwhile.
+
+import { processFile } from './mediaProcessor.js';
+import { showNotification } from './utils.js';
+import { openImageModal } from './modal.js';
+
+export const UPLOAD_CONCURRENCY_OPTIONS = [2, 3, 4];
+const CONCURRENCY_STORAGE_KEY = 'uploadConcurrency';
+
+const STATUS_ICONS = {
+    queued: '⏳',
+    uploading: '📤',
+    processing: '⚙️',
+    done: '✅',
+    duplicate: '♊',
+    failed: '❌',
+    cancelled: '🚫'
+};
+const FINISHED_STATUSES = ['done', 'duplicate', 'failed', 'cancelled'];
+
+const items = [];
+let activeCount = 0;
+// Items finished since the queue was last idle, reported together when it empties
+let batchResults = [];
+let database = null;
+let onQueueDrained = null;
+
+export function getUploadConcurrency() {
+    const value = Number(localStorage.getItem(CONCURRENCY_STORAGE_KEY));
+    return UPLOAD_CONCURRENCY_OPTIONS.includes(value) ? value : UPLOAD_CONCURRENCY_OPTIONS[0];
+}
+
+export function setUploadConcurrency(value) {
+    if (UPLOAD_CONCURRENCY_OPTIONS.includes(Number(value))) {
+        localStorage.setItem(CONCURRENCY_STORAGE_KEY, String(value));
+        startNextUploads();
+    }
+}
+
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+function describeStatus(item) {
+    switch (item.status) {
+        case 'queued':
+            return 'Waiting';
+        case 'uploading': {
+            const percent = item.total ? Math.floor(item.loaded / item.total * 100) : 0;
+            return `Uploading ${formatMegabytes(item.loaded)} / ${formatMegabytes(item.total)} MB (${percent}%)`;
+        }
+        case 'processing':
+            return 'Parsing metadata and building thumbnail…';
+        case 'done':
+            return 'Added to the gallery';
+        case 'duplicate':
+            return `Already in the gallery as "${item.result.duplicateOf.title || item.file.name}"`;
+        case 'failed':
+            return item.error;
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return '';
+    }
+}
+
+function createItemRow(item) {
+    const row = document.createElement('li');
+    row.className = 'upload-item';
+
+    const icon = document.createElement('span');
+    icon.className = 'upload-item-icon';
+
+    const details = document.createElement('div');
+    details.className = 'upload-item-details';
+    const name = document.createElement('div');
+    name.className = 'upload-item-name';
+    name.textContent = item.file.name;
+    name.title = item.file.name;
+    const progress = document.createElement('progress');
+    progress.max = Math.max(1, item.file.size);
+    const status = document.createElement('div');
+    status.className = 'upload-item-status';
+    details.append(name, progress, status);
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'upload-item-btn';
+    cancelButton.textContent = '✕';
+    cancelButton.title = 'Cancel';
+    cancelButton.addEventListener('click', () => cancelUpload(item));
+
+    const retryButton = document.createElement('button');
+    retryButton.className = 'upload-item-btn';
+    retryButton.textContent = '↻';
+    retryButton.title = 'Retry';
+    retryButton.addEventListener('click', () => retryUpload(item));
+
+    row.append(icon, details, cancelButton, retryButton);
+    item.row = { row, icon, progress, status, cancelButton, retryButton };
+    return row;
+}
+
+function renderItem(item) {
+    const { row, icon, progress, status, cancelButton, retryButton } = item.row;
+    row.dataset.status = item.status;
+    icon.textContent = STATUS_ICONS[item.status];
+    progress.value = item.loaded;
+    progress.style.display = ['uploading', 'processing'].includes(item.status) ? '' : 'none';
+    status.textContent = describeStatus(item);
+    status.title = status.textContent;
+    // The server cannot be stopped once it is processing the file
+    cancelButton.style.display = ['queued', 'uploading'].includes(item.status) ? '' : 'none';
+    retryButton.style.display = ['failed', 'cancelled'].includes(item.status) ? '' : 'none';
+}
+
+function renderSummary() {
+    const summary = document.getElementById('uploadQueueSummary');
+    const finished = items.filter(item => FINISHED_STATUSES.includes(item.status));
+    const failed = items.filter(item => item.status === 'failed').length;
+    const pending = items.length - finished.length;
+
+    summary.textContent = `${pending > 0 ? 'Uploading' : 'Uploads finished'} · ${finished.length} of ${items.length} done` +
+        (failed > 0 ? ` · ${failed} failed` : '');
+    document.getElementById('clearFinishedUploads').disabled = finished.length === 0;
+    // Closing hides the panel, so only allow it when nothing is left to upload
+    document.getElementById('closeUploadQueue').style.display = pending > 0 ? 'none' : '';
+}
+
+function showPanel() {
+    document.getElementById('uploadQueuePanel').style.display = '';
+}
+
+function setStatus(item, status) {
+    item.status = status;
+    renderItem(item);
+    renderSummary();
+}
+
+function startNextUploads() {
+    const concurrency = getUploadConcurrency();
+    for (const item of items) {
+        if (activeCount >= concurrency) break;
+        if (item.status === 'queued') {
+            runUpload(item);
+        }
+    }
+
+    if (activeCount === 0 && batchResults.length > 0) {
+        finishBatch();
+    }
+}
+
+async function runUpload(item) {
+    activeCount++;
+    item.controller = new AbortController();
+    item.loaded = 0;
+    item.total = item.file.size;
+    setStatus(item, 'uploading');
+
+    try {
+        item.result = await processFile(item.file, {
+            signal: item.controller.signal,
+            onProgress: (loaded, total) => {
+                item.loaded = loaded;
+                item.total = total;
+                renderItem(item);
+            },
+            onStage: (stage) => setStatus(item, stage)
+        });
+        setStatus(item, item.result.duplicate ? 'duplicate' : 'done');
+        batchResults.push(item.result);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            setStatus(item, 'cancelled');
+        } else {
+            console.error(`Error uploading ${item.file.name}:`, error);
+            item.error = error.message;
+            setStatus(item, 'failed');
+            batchResults.push({ success: false, filename: item.file.name, error: error.message });
+        }
+    }
+
+    item.controller = null;
+    activeCount--;
+    startNextUploads();
+}
+
+function cancelUpload(item) {
+    if (item.status === 'queued') {
+        setStatus(item, 'cancelled');
+    } else if (item.status === 'uploading') {
+        item.controller?.abort();
+    }
+}
+
+function retryUpload(item) {
+    if (!['failed', 'cancelled'].includes(item.status)) return;
+    item.error = null;
+    item.loaded = 0;
+    setStatus(item, 'queued');
+    startNextUploads();
+}
+
+function clearFinishedUploads() {
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (FINISHED_STATUSES.includes(items[i].status)) {
+            items[i].row.row.remove();
+            items.splice(i, 1);
+        }
+    }
+    if (items.length === 0) {
+        document.getElementById('uploadQueuePanel').style.display = 'none';
+    } else {
+        renderSummary();
+    }
+}
+
+// Report the finished uploads once the queue is idle: refresh the gallery, list duplicates and
+// failures, and in "link" mode open the existing item
+async function finishBatch() {
+    const results = batchResults;
+    batchResults = [];
+
+    const added = results.filter(result => result.success && !result.duplicate).length;
+    const duplicates = results.filter(result => result.duplicate);
+    const failed = results.filter(result => !result.success).length;
+    console.log(`Completed: ${added} successful, ${duplicates.length} duplicates, ${failed} failed`);
+
+    if (failed > 0) {
+        showNotification(`${failed} of ${results.length} uploads failed, see the upload panel to retry them`, 'error');
+    } else if (duplicates.length > 0) {
+        const names = duplicates.map(d => `"${d.duplicateOf.title || d.filename}"`).join(', ');
+        showNotification(
+            duplicates.length === 1
+                ? `${duplicates[0].filename} is already in the gallery as ${names}`
+                : `${duplicates.length} files are already in the gallery: ${names}`,
+            'info'
+        );
+    }
+
+    if (onQueueDrained) {
+        try {
+            await onQueueDrained(results);
+        } catch (callbackError) {
+            console.error('Error in completion callback:', callbackError);
+        }
+    }
+
+    // "Link" mode: take the user to the existing item instead of creating a copy
+    const linked = duplicates.find(d => d.linked);
+    if (linked) {
+        try {
+            const existing = await database.getMediaById(linked.imageId);
+            if (existing) openImageModal(existing);
+        } catch (error) {
+            console.error('Error opening existing item:', error);
+        }
+    }
+}
+
+/**
+ * Add files to the upload queue and show the panel
+ * @param {File[]} files - Images and videos (other files are listed as failed)
+ */
+export function queueUploads(files) {
+    const list = document.getElementById('uploadQueueList');
+    for (const file of files) {
+        const item = { file, status: 'queued', loaded: 0, total: file.size, error: null, result: null, controller: null };
+        items.push(item);
+        list.appendChild(createItemRow(item));
+        renderItem(item);
+    }
+
+    showPanel();
+    renderSummary();
+    startNextUploads();
+}
+
+/**
+ * Utility function to handle file selection from input
+ */
+export function handleFileSelect(fileInput) {
+    queueUploads(Array.from(fileInput.files));
+    // Picking the same file again (e.g. after a failed upload) should fire 'change' again
+    fileInput.value = '';
+}
+
+/**
+ * Utility function to handle drag and drop
+ */
+export function handleFileDrop(event) {
+    event.preventDefault();
+
+    // Accept both images and videos
+    queueUploads(Array.from(event.dataTransfer.files).filter(file =>
+        file.type.startsWith('image/') || file.type.startsWith('video/')
+    ));
+}
+
+/**
+ * Wire up the upload queue panel; call once at startup
+ * @param {Object} db - The client database (opens existing items in "link" mode)
+ * @param {Function} [onComplete] - Called with the results whenever the queue becomes idle
+ */
+export function setupUploadQueue(db, onComplete) {
+    database = db;
+    onQueueDrained = onComplete;
+
+    const concurrency = document.getElementById('uploadConcurrency');
+    concurrency.value = String(getUploadConcurrency());
+    concurrency.addEventListener('change', () => setUploadConcurrency(concurrency.value));
+
+    const panel = document.getElementById('uploadQueuePanel');
+    document.getElementById('toggleUploadQueue').addEventListener('click', (e) => {
+        const collapsed = panel.classList.toggle('collapsed');
+        e.currentTarget.textContent = collapsed ? '▴' : '▾';
+        e.currentTarget.title = collapsed ? 'Expand' : 'Collapse';
+    });
+    document.getElementById('clearFinishedUploads').addEventListener('click', clearFinishedUploads);
+    document.getElementById('closeUploadQueue').addEventListener('click', () => {
+        clearFinishedUploads();
+        panel.style.display = 'none';
+    });
+}
@@ -320,7 +320,7 @@ export function dataUrlToBlobUrl(dataUrl) {
 }
 
 // Show custom confirmation dialog
-export function showConfirmDialog(message) {
+export function showConfirmDialog(message, confirmLabel = 'Delete') {
     return new Promise((resolve) => {
         // Remove any existing confirm dialogs
         const existingDialog = document.querySelector('.confirm-dialog');
@@ -336,7 +336,7 @@ export function showConfirmDialog(message) {
             <div class="confirm-dialog-content">
                 <div class="confirm-dialog-message">${message}</div>
                 <div class="confirm-dialog-buttons">
-                    <button class="confirm-dialog-btn confirm-dialog-btn-confirm">Delete</button>
+                    <button class="confirm-dialog-btn confirm-dialog-btn-confirm">${confirmLabel}</button>
                     <button class="confirm-dialog-btn confirm-dialog-btn-cancel">Cancel</button>
                 </div>
             </div>
@@ -392,3 +392,80 @@ export function showConfirmDialog(message) {
         }, 10);
     });
 }
+
+// Show custom text input dialog; resolves with the entered text or null when cancelled
+export function showPromptDialog(message, defaultValue = '', confirmLabel = 'Save') {
+    return new Promise((resolve) => {
+        // Remove any existing dialogs
+        const existingDialog = document.querySelector('.confirm-dialog');
+        if (existingDialog) {
+            existingDialog.remove();
+        }
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'confirm-dialog';
+        
+        dialog.innerHTML = `
+            <div class="confirm-dialog-content">
+                <div class="confirm-dialog-message"></div>
+                <input type="text" class="confirm-dialog-input">
+                <div class="confirm-dialog-buttons">
+                    <button class="confirm-dialog-btn confirm-dialog-btn-save"></button>
+                    <button class="confirm-dialog-btn confirm-dialog-btn-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        dialog.querySelector('.confirm-dialog-message').textContent = message;
+        dialog.querySelector('.confirm-dialog-btn-save').textContent = confirmLabel;
+        
+        document.body.appendChild(dialog);
+        
+        const input = dialog.querySelector('.confirm-dialog-input');
+        input.value = defaultValue;
+        
+        const close = (value) => {
+            document.removeEventListener('keydown', handleKeys, true);
+            dialog.classList.remove('show');
+            setTimeout(() => {
+                if (dialog.parentNode) {
+                    dialog.parentNode.removeChild(dialog);
+                }
+                resolve(value);
+            }, 300);
+        };
+        
+        // Captured so Escape does not also close the modal underneath
+        const handleKeys = (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close(null);
+            } else if (e.key === 'Enter') {
+                close(input.value);
+            }
+        };
+        document.addEventListener('keydown', handleKeys, true);
+        
+        dialog.querySelector('.confirm-dialog-btn-save').addEventListener('click', () => close(input.value));
+        dialog.querySelector('.confirm-dialog-btn-cancel').addEventListener('click', () => close(null));
+        
+        // Show dialog with slight delay to trigger transition
+        setTimeout(() => {
+            dialog.classList.add('show');
+            input.focus();
+            input.select();
+        }, 10);
+    });
+}
+
+// Show a full-page view (Trash, Find similar) in place of the gallery; only one is open at a time
+export function showSideView(viewId) {
+    document.querySelectorAll('.side-view').forEach(view => {
+        view.style.display = view.id === viewId ? 'block' : 'none';
+    });
+    document.body.classList.add('side-view-open');
+}
+
+export function closeSideView(viewId) {
+    document.getElementById(viewId).style.display = 'none';
+    document.body.classList.remove('side-view-open');
+}
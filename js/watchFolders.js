@@ -0,0 +1,442 @@
+// watchFolders.js - Automatic import from generator output directories (ComfyUI output/,
+// A1111 outputs/, ...). Each watch folder is monitored with fs.watch and rescanned periodically;
+// new files go through the normal ingestion (see mediaIngest.js) and are recorded in the
+// watch_ledger table, so restarts and rescans never import a file twice.
+// 'copy' folders copy new files into images|videos/YYYY-MM-DD/ like uploads; 'reference'
+// folders leave them in place and reach them through the link watched/<id> -> folder.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import serverDB, { requestError } from './serverDatabase.js';
+import { importServerFile, isImportableFile } from './mediaIngest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+export const WATCHED_ROOT = path.join(PROJECT_ROOT, 'watched');
+
+const DEFAULT_RESCAN_MINUTES = 5;
+// A file is imported once its size and modification time stop changing for this long
+const SETTLE_MS = 2000;
+
+// Folder id -> fs.FSWatcher
+const watchers = new Map();
+// Full path -> { timer, size, mtimeMs } of files waiting for their writes to finish
+const settling = new Map();
+// Full paths queued for import
+const queued = new Set();
+// Imports run one at a time
+let importQueue = Promise.resolve();
+
+// Minutes between rescans of all watch folders (WATCH_RESCAN_MINUTES, 0 = only watch for changes)
+export function getWatchRescanMinutes() {
+    const minutes = parseFloat(process.env.WATCH_RESCAN_MINUTES);
+    return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_RESCAN_MINUTES : minutes;
+}
+
+function isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolve and check a folder given by the user: an existing directory that neither contains
+// the gallery nor lies inside it (the gallery would import its own files)
+function resolveWatchFolderPath(folderPath) {
+    if (!folderPath || typeof folderPath !== 'string') {
+        throw requestError('Folder path is required', 400);
+    }
+
+    const resolved = path.resolve(folderPath.trim());
+    let realPath;
+    try {
+        realPath = fs.realpathSync(resolved);
+    } catch (error) {
+        throw requestError(`Folder not found: ${resolved}`, 400);
+    }
+    if (!fs.statSync(realPath).isDirectory()) {
+        throw requestError(`Not a folder: ${resolved}`, 400);
+    }
+    if (isInside(realPath, PROJECT_ROOT) || isInside(PROJECT_ROOT, realPath)) {
+        throw requestError('Watch folders must be outside the gallery folder', 400);
+    }
+    return resolved;
+}
+
+// Make watched/<id> point at a 'reference' folder (a junction on Windows, no admin rights needed)
+function ensureFolderLink(folder) {
+    const link = path.join(WATCHED_ROOT, String(folder.id));
+    try {
+        if (fs.lstatSync(link).isSymbolicLink() && fs.readlinkSync(link) === folder.path) return;
+        fs.rmSync(link, { force: true });
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    fs.mkdirSync(WATCHED_ROOT, { recursive: true });
+    fs.symlinkSync(folder.path, link, 'junction');
+}
+
+/**
+ * Full path of a file requested as watched/<id>/<path>. Only the gallery items of the folder are
+ * served (media files with a media row), never the rest of the folder the link leads to.
+ * @param {string} folderId - Watch folder id from the URL
+ * @param {string[]} segments - Decoded path segments inside the folder
+ * @returns {Promise<string|null>} null when the file may not be served
+ */
+export async function resolveWatchedFile(folderId, segments) {
+    if (!/^\d+$/.test(folderId)) return null;
+    const parts = segments.flatMap(segment => segment.split(/[\\/]/));
+    if (parts.length === 0 || parts.some(part => part === '' || part === '.' || part === '..')) return null;
+    if (!isImportableFile(parts[parts.length - 1])) return null;
+    if (!await serverDB.hasMediaWithServerPath(['watched', folderId, ...parts].join('/'))) return null;
+
+    // The file (or a link inside the folder) must not lead out of the folder
+    const link = path.join(WATCHED_ROOT, folderId);
+    try {
+        const folderPath = fs.realpathSync(link);
+        const filePath = fs.realpathSync(path.join(link, ...parts));
+        if (filePath === folderPath || !isInside(folderPath, filePath) || !fs.statSync(filePath).isFile()) return null;
+        return filePath;
+    } catch (error) {
+        return null; // Removed from the folder
+    }
+}
+
+// The link stays while gallery items still use it
+async function removeFolderLink(folder) {
+    const link = path.join(WATCHED_ROOT, String(folder.id));
+    if (await serverDB.countMediaWithPathPrefix(`watched/${folder.id}/`) === 0) {
+        fs.rmSync(link, { force: true });
+    }
+}
+
+// Import one file of a folder and record the outcome in the ledger
+async function importWatchedFile(folder, fullPath) {
+    let stats;
+    try {
+        stats = fs.statSync(fullPath);
+    } catch (error) {
+        return; // Removed before its turn
+    }
+    if (!stats.isFile()) return;
+
+    const entry = {
+        filePath: fullPath,
+        folderId: folder.id,
+        fileSize: stats.size,
+        modifiedMs: Math.round(stats.mtimeMs)
+    };
+    const relativePath = path.relative(folder.path, fullPath);
+
+    try {
+        let storedPath = null;
+        if (folder.mode === 'reference') {
+            ensureFolderLink(folder);
+            storedPath = path.join(WATCHED_ROOT, String(folder.id), relativePath);
+        }
+
+        const { media, duplicateOf } = await importServerFile(fullPath, { storedPath });
+        if (duplicateOf) {
+            await serverDB.recordWatchedFile({ ...entry, status: 'duplicate', mediaId: duplicateOf.id });
+            console.log(`♊ Watch folder: ${relativePath} is already in the gallery as media ID ${duplicateOf.id}`);
+            return;
+        }
+
+        await serverDB.recordWatchedFile({ ...entry, status: 'imported', mediaId: media.id });
+        console.log(`👁️ Watch folder: imported ${relativePath} from ${folder.path} as media ID ${media.id}`);
+    } catch (error) {
+        console.error(`❌ Watch folder: could not import ${fullPath}:`, error.message);
+        await serverDB.recordWatchedFile({ ...entry, status: 'failed', error: error.message });
+    }
+}
+
+function queueImport(folder, fullPath) {
+    if (queued.has(fullPath)) return;
+    queued.add(fullPath);
+
+    importQueue = importQueue
+        .then(async () => {
+            // The folder may have been removed or disabled meanwhile
+            const current = await serverDB.getWatchFolder(folder.id);
+            if (current?.enabled) await importWatchedFile(current, fullPath);
+        })
+        .catch(error => console.error('❌ Watch folder import failed:', error))
+        .finally(() => queued.delete(fullPath));
+}
+
+// Queue a file once it has stopped changing for SETTLE_MS (generators write files in steps)
+function settleThenImport(folder, fullPath) {
+    const previous = settling.get(fullPath);
+    if (previous) clearTimeout(previous.timer);
+
+    const timer = setTimeout(() => {
+        let stats;
+        try {
+            stats = fs.statSync(fullPath);
+        } catch (error) {
+            settling.delete(fullPath);
+            return;
+        }
+
+        const state = settling.get(fullPath);
+        if (state && state.size === stats.size && state.mtimeMs === stats.mtimeMs) {
+            settling.delete(fullPath);
+            queueImport(folder, fullPath);
+        } else {
+            settling.set(fullPath, { timer: null, size: stats.size, mtimeMs: stats.mtimeMs });
+            settleThenImport(folder, fullPath);
+        }
+    }, SETTLE_MS);
+    timer.unref();
+
+    settling.set(fullPath, { ...previous, timer });
+}
+
+// Whether a file still needs importing: new files, and failed ones that have changed since
+function needsImport(ledgerEntry, stats) {
+    if (!ledgerEntry) return true;
+    return ledgerEntry.status === 'failed' &&
+        (ledgerEntry.fileSize !== stats.size || ledgerEntry.modifiedMs !== Math.round(stats.mtimeMs));
+}
+
+// Importable files in a folder (in its subfolders too when recursive), hidden folders skipped
+function listImportableFiles(folder) {
+    const files = [];
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            console.warn(`⚠️ Watch folder: cannot read ${dir}:`, error.message);
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (folder.recursive && !entry.name.startsWith('.')) walk(fullPath);
+            } else if (entry.isFile() && isImportableFile(entry.name)) {
+                files.push(fullPath);
+            }
+        }
+    };
+    walk(folder.path);
+    return files;
+}
+
+// Queue the files of a folder that are not in the ledger yet; returns how many were queued
+async function scanFolder(folder) {
+    if (!fs.existsSync(folder.path)) {
+        console.warn(`⚠️ Watch folder not found: ${folder.path}`);
+        return 0;
+    }
+
+    const ledger = await serverDB.getWatchLedger(folder.id);
+    let found = 0;
+    for (const fullPath of listImportableFiles(folder)) {
+        let stats;
+        try {
+            stats = fs.statSync(fullPath);
+        } catch (error) {
+            continue;
+        }
+        if (!needsImport(ledger.get(fullPath), stats)) continue;
+
+        found++;
+        // Files modified just now may still be being written
+        if (Date.now() - stats.mtimeMs < SETTLE_MS) {
+            settleThenImport(folder, fullPath);
+        } else {
+            queueImport(folder, fullPath);
+        }
+    }
+
+    await serverDB.setWatchFolderScanned(folder.id);
+    if (found > 0) {
+        console.log(`👁️ Watch folder ${folder.path}: ${found} new files`);
+    }
+    return found;
+}
+
+// Record the files already in a folder as skipped, so only files added from now on are imported
+async function skipExistingFiles(folder) {
+    const files = listImportableFiles(folder);
+    for (const fullPath of files) {
+        const stats = fs.statSync(fullPath);
+        await serverDB.recordWatchedFile({
+            filePath: fullPath,
+            folderId: folder.id,
+            fileSize: stats.size,
+            modifiedMs: Math.round(stats.mtimeMs),
+            status: 'skipped'
+        });
+    }
+    console.log(`👁️ Watch folder ${folder.path}: ${files.length} existing files left out`);
+}
+
+function startWatching(folder) {
+    stopWatching(folder.id);
+
+    const onChange = (eventType, fileName) => {
+        // Some platforms do not report the name; rescan the folder instead
+        if (!fileName) {
+            scanFolder(folder).catch(error => console.error('❌ Watch folder scan failed:', error));
+            return;
+        }
+
+        const fullPath = path.join(folder.path, fileName.toString());
+        const relativeParts = path.relative(folder.path, fullPath).split(path.sep);
+        if (relativeParts.some(part => part.startsWith('.')) || !isImportableFile(path.basename(fullPath))) return;
+        if (!fs.existsSync(fullPath)) return;
+
+        serverDB.getWatchLedgerEntry(fullPath)
+            .then(entry => {
+                if (needsImport(entry, fs.statSync(fullPath))) settleThenImport(folder, fullPath);
+            })
+            .catch(() => {
+                // Removed again before it could be checked
+            });
+    };
+
+    let watcher;
+    try {
+        watcher = fs.watch(folder.path, { recursive: folder.recursive, persistent: false }, onChange);
+    } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+            console.warn(`⚠️ Cannot watch ${folder.path} (${error.message}); relying on rescans`);
+            return;
+        }
+        // Recursive watching is not supported here: the top level is watched, rescans find the rest
+        watcher = fs.watch(folder.path, { persistent: false }, onChange);
+    }
+
+    watcher.on('error', (error) => {
+        console.warn(`⚠️ Stopped watching ${folder.path} (${error.message}); relying on rescans`);
+        stopWatching(folder.id);
+    });
+    watchers.set(folder.id, watcher);
+}
+
+function stopWatching(folderId) {
+    const watcher = watchers.get(folderId);
+    if (watcher) {
+        watcher.close();
+        watchers.delete(folderId);
+    }
+}
+
+// Watch an enabled folder (restarting its watcher when it stopped) and scan it
+async function activateFolder(folder) {
+    if (folder.mode === 'reference') ensureFolderLink(folder);
+    if (!watchers.has(folder.id) && fs.existsSync(folder.path)) startWatching(folder);
+    return scanFolder(folder);
+}
+
+/**
+ * Add a watch folder and import the files already in it
+ * @param {Object} data - { path, mode: 'copy'|'reference', recursive, importExisting }
+ *   importExisting: false only imports files added from now on
+ * @returns {Promise<Object>} The watch folder
+ */
+export async function addWatchFolder(data = {}) {
+    const folderPath = resolveWatchFolderPath(data.path);
+    const folder = await serverDB.addWatchFolder(folderPath, {
+        mode: data.mode || 'copy',
+        recursive: data.recursive ?? true
+    });
+
+    try {
+        if (folder.mode === 'reference') ensureFolderLink(folder);
+    } catch (error) {
+        await serverDB.deleteWatchFolder(folder.id);
+        throw requestError(`Cannot link ${folderPath} into the gallery: ${error.message}`, 500);
+    }
+
+    if (data.importExisting === false || data.importExisting === 'false') {
+        await skipExistingFiles(folder);
+    }
+    await activateFolder(folder);
+    return serverDB.getWatchFolder(folder.id);
+}
+
+/**
+ * Change a watch folder's mode, recursive or enabled setting (applies to files imported from now on)
+ * @returns {Promise<Object|null>} The updated folder, null when it does not exist
+ */
+export async function updateWatchFolder(folderId, data = {}) {
+    if (!await serverDB.getWatchFolder(folderId)) return null;
+
+    const folder = await serverDB.updateWatchFolder(folderId, data);
+    stopWatching(folder.id);
+    if (folder.enabled) await activateFolder(folder);
+    return folder;
+}
+
+/**
+ * Stop watching a folder and forget its ledger; items imported from it stay in the gallery
+ * @returns {Promise<boolean>} false when the folder does not exist
+ */
+export async function removeWatchFolder(folderId) {
+    const folder = await serverDB.getWatchFolder(folderId);
+    if (!folder) return false;
+
+    stopWatching(folder.id);
+    await serverDB.deleteWatchFolder(folder.id);
+    await removeFolderLink(folder);
+    console.log(`👁️ Removed watch folder ${folder.path}`);
+    return true;
+}
+
+/**
+ * Scan enabled watch folders for files missed by the watcher
+ * @param {number|null} [folderId] - Only this folder
+ * @returns {Promise<number>} Number of new files queued for import
+ */
+export async function rescanWatchFolders(folderId = null) {
+    const folders = (await serverDB.listWatchFolders())
+        .filter(folder => folder.enabled && (folderId === null || folder.id === folderId));
+
+    let found = 0;
+    for (const folder of folders) {
+        try {
+            found += await activateFolder(folder);
+        } catch (error) {
+            console.error(`❌ Watch folder scan failed for ${folder.path}:`, error);
+        }
+    }
+    return found;
+}
+
+// Add the folders listed in WATCH_FOLDERS (separated like PATH; WATCH_FOLDERS_MODE=copy|reference)
+async function addConfiguredFolders() {
+    const configured = (process.env.WATCH_FOLDERS || '').split(path.delimiter).map(p => p.trim()).filter(Boolean);
+    for (const folderPath of configured) {
+        try {
+            if (await serverDB.getWatchFolderByPath(path.resolve(folderPath))) continue;
+            await addWatchFolder({ path: folderPath, mode: process.env.WATCH_FOLDERS_MODE || 'copy' });
+        } catch (error) {
+            console.error(`❌ Cannot watch ${folderPath} (WATCH_FOLDERS):`, error.message);
+        }
+    }
+}
+
+// Watch the configured folders, import what was added while the server was stopped and rescan
+// every WATCH_RESCAN_MINUTES
+export async function startWatchFolders() {
+    await addConfiguredFolders();
+
+    const folders = (await serverDB.listWatchFolders()).filter(folder => folder.enabled);
+    if (folders.length > 0) {
+        console.log(`👁️ Watching ${folders.length} folders for new media`);
+    }
+
+    const run = () => rescanWatchFolders().catch(error => {
+        console.error('❌ Watch folder rescan failed:', error);
+    });
+
+    await run();
+    const minutes = getWatchRescanMinutes();
+    if (minutes > 0) {
+        setInterval(run, minutes * 60 * 1000).unref();
+    }
+}
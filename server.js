@@ -7,6 +7,51 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import { fileURLToPath } from 'url';
 import serverDB from './js/serverDatabase.js';
+import { SearchQueryError } from './js/searchQueryParser.js';
+import {
+  TRASH_ROOT,
+  trashMedia,
+  restoreMedia,
+  deleteTrashedMedia,
+  emptyTrash,
+  getTrashRetentionDays,
+  startTrashAutoPurge
+} from './js/serverTrash.js';
+import { hashFile } from './js/contentHash.js';
+import { ingestUploadedFile } from './js/mediaIngest.js';
+import {
+  resolveWatchedFile,
+  addWatchFolder,
+  updateWatchFolder,
+  removeWatchFolder,
+  rescanWatchFolders,
+  getWatchRescanMinutes,
+  startWatchFolders
+} from './js/watchFolders.js';
+import {
+  startOrphanImport,
+  startFolderImport,
+  getImportJob,
+  listImportJobs,
+  cancelImportJob
+} from './js/importJobs.js';
+import {
+  startUpload,
+  getUpload,
+  writeChunk,
+  completeUpload,
+  cancelUpload,
+  getMaxUploadSize,
+  startUploadCleanup
+} from './js/chunkedUploads.js';
+import { getStoredAnimation } from './js/animationDetector.js';
+import {
+  findSimilarMedia,
+  updatePerceptualHash,
+  hashMissingPerceptualHashes,
+  DEFAULT_SIMILARITY_THRESHOLD,
+  MAX_SIMILARITY_THRESHOLD
+} from './js/similarMedia.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,10 +63,42 @@ const execAsync = promisify(exec);
 const app = express();
 const PORT = process.env.PORT || 3015;
 
+// A backup holds the metadata (and workflows) of the whole library, so /api/migrate accepts up
+// to MAX_IMPORT_SIZE_MB (default 512) instead of the 10MB other requests are limited to
+const DEFAULT_MAX_IMPORT_SIZE_MB = 512;
+
+function getMaxImportSizeMB() {
+  const megabytes = parseFloat(process.env.MAX_IMPORT_SIZE_MB);
+  return Number.isNaN(megabytes) || megabytes <= 0 ? DEFAULT_MAX_IMPORT_SIZE_MB : megabytes;
+}
+
 // Enable CORS and JSON parsing with increased limits for large metadata
 app.use(cors());
+// Mounted first: the general parser below skips bodies that are already parsed
+app.use('/api/migrate', express.json({ limit: `${getMaxImportSizeMB()}mb` }));
 app.use(express.json({ limit: '10mb' }));
+
+// Files of 'reference' watch folders (watched/<id> links to the folder): only their gallery
+// items are served, so this comes before the static handler, which would serve the whole folder
+app.get('/watched/:folderId/*filePath', async (req, res) => {
+  try {
+    const file = await resolveWatchedFile(req.params.folderId, req.params.filePath);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.sendFile(file, { dotfiles: 'allow' });
+  } catch (error) {
+    console.error('Error serving watched file:', error);
+    res.status(500).json({ error: 'Failed to serve file' });
+  }
+});
+app.use('/watched', (req, res) => {
+  res.status(404).json({ error: 'File not found' });
+});
+
 app.use(express.static('.'));
+// Files of trashed media (the dot directory is not served by the static handler above)
+app.use('/trash-files', express.static(TRASH_ROOT));
 
 // Serve favicon and related files with proper MIME types
 app.get('/favicon.ico', (req, res) => {
@@ -182,17 +259,47 @@ async function generateVideoThumbnailFFmpeg(videoPath, filename) {
   }
 }
 
-// Initialize database on server start
-serverDB.init().catch(console.error);
+// Initialize database on server start (then hash media stored before duplicate detection existed,
+// look for animations in images stored before they were detected and start the watch folders)
+serverDB.init()
+  .then(() => serverDB.backfillContentHashes())
+  .then(() => serverDB.backfillFrameCounts())
+  .then(() => startWatchFolders())
+  .then(() => hashMissingPerceptualHashes())
+  .catch(console.error);
 
 // DATABASE API ENDPOINTS
 
-// Get all media items
+// Get media items
+// Without `limit` the full library is returned (legacy clients). With `limit`
+// the response is a single page, optionally filtered and sorted:
+//   ?limit=50&offset=0&sort=date_added|created_at|title|file_size|rating|favorite&order=asc|desc
+//   &mediaType=image|video|animated&model=flux&tag=portrait&dateFrom=2025-07-01&dateTo=2025-07-31
+//   &minRating=3&favorite=true&colorLabel=red|none
+//   &seed=1234&cfg=>7&steps=20..30&denoise=<0.5&sampler=euler&scheduler=karras&checkpoint=sdxl&lora=detail
+//   (generation parameters use the search syntax, see js/searchQueryParser.js)
 app.get('/api/media', async (req, res) => {
   try {
-    const media = await serverDB.getAllMedia();
-    res.json({ success: true, media });
+    if (req.query.limit === undefined) {
+      const media = await serverDB.getAllMedia();
+      return res.json({ success: true, media });
+    }
+
+    const page = await serverDB.queryMedia(req.query);
+    res.json({
+      success: true,
+      media: page.items,
+      pagination: {
+        total: page.total,
+        offset: page.offset,
+        limit: page.limit,
+        hasMore: page.hasMore
+      }
+    });
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message, invalidQuery: true });
+    }
     console.error('Error fetching media:', error);
     res.status(500).json({ error: 'Failed to fetch media' });
   }
@@ -212,6 +319,9 @@ app.post('/api/media', async (req, res) => {
     
     const id = await serverDB.addMedia(mediaData);
     res.json({ success: true, id });
+
+    // Perceptual hash for the similar-media finder (not needed for the response)
+    updatePerceptualHash(id).catch(error => console.error('Error hashing new media:', error));
   } catch (error) {
     console.error('❌ Error adding media:', error);
     console.error('❌ Error stack:', error.stack);
@@ -228,7 +338,7 @@ app.put('/api/media/:id', async (req, res) => {
     res.json({ success: true, changes });
   } catch (error) {
     console.error('Error updating media:', error);
-    res.status(500).json({ error: 'Failed to update media' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update media' });
   }
 });
 
@@ -260,18 +370,465 @@ app.get('/api/media/:id', async (req, res) => {
   }
 });
 
-// Search media
+// Search media with the query language in js/searchQueryParser.js
+// (free text ranked by relevance; optional ?album=). With ?limit=&offset= the response is a
+// single page and `pagination.hasMore` tells whether another one follows.
 app.get('/api/media/search/:term', async (req, res) => {
   try {
     const searchTerm = req.params.term;
-    const media = await serverDB.searchMedia(searchTerm);
-    res.json({ success: true, media });
+    const limit = parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : null;
+    if (limit === null) {
+      return res.json({ success: true, media: await serverDB.searchMedia(searchTerm, req.query) });
+    }
+
+    // One extra row tells whether there is a next page
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const media = await serverDB.searchMedia(searchTerm, { ...req.query, limit: limit + 1, offset });
+    res.json({
+      success: true,
+      media: media.slice(0, limit),
+      pagination: { offset, limit, hasMore: media.length > limit }
+    });
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(400).json({ error: error.message, invalidQuery: true });
+    }
     console.error('Error searching media:', error);
     res.status(500).json({ error: 'Failed to search media' });
   }
 });
 
+// Workflow and prompt JSON arrive as file parts so their size is not bound by the JSON body limit
+const workflowUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+}).fields([{ name: 'workflow', maxCount: 1 }, { name: 'prompt', maxCount: 1 }]);
+
+// Store the raw ComfyUI workflow and/or prompt JSON of a media item (multipart fields
+// `workflow` and `prompt`); kept gzip-compressed and never truncated
+app.put('/api/media/:id/workflow', workflowUpload, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const parts = {
+      workflow: req.files?.workflow?.[0]?.buffer,
+      prompt: req.files?.prompt?.[0]?.buffer
+    };
+    const sizes = await serverDB.setMediaWorkflow(id, parts);
+    res.json({ success: true, ...sizes });
+  } catch (error) {
+    console.error('Error storing workflow:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to store workflow' });
+  }
+});
+
+// Get the raw workflow and prompt JSON text of a media item
+app.get('/api/media/:id/workflow', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const stored = await serverDB.getMediaWorkflow(id);
+    if (!stored) {
+      return res.status(404).json({ error: 'No workflow stored for this media item' });
+    }
+    res.json({ success: true, workflow: stored.workflow, prompt: stored.prompt });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+// Get the structured generation parameters of a media item (seed, steps, cfg, sampler,
+// scheduler, size, denoise, checkpoint and LoRAs)
+app.get('/api/media/:id/generation-params', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const media = await serverDB.getMediaById(id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    const generationParams = await serverDB.getGenerationParams(id);
+    res.json({ success: true, generationParams });
+  } catch (error) {
+    console.error('Error fetching generation parameters:', error);
+    res.status(500).json({ error: 'Failed to fetch generation parameters' });
+  }
+});
+
+// Get the tags of a media item
+app.get('/api/media/:id/tags', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const media = await serverDB.getMediaById(id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    const tags = await serverDB.getMediaTags(id);
+    res.json({ success: true, tags });
+  } catch (error) {
+    console.error('Error fetching media tags:', error);
+    res.status(500).json({ error: 'Failed to fetch media tags' });
+  }
+});
+
+// Replace the tags of a media item ({ tags: [...] } or a comma-separated string)
+app.put('/api/media/:id/tags', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const tags = await serverDB.setMediaTags(id, req.body?.tags);
+    if (!tags) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ success: true, tags: tags.join(', ') });
+  } catch (error) {
+    console.error('Error updating media tags:', error);
+    res.status(500).json({ error: 'Failed to update media tags' });
+  }
+});
+
+// Get the albums a media item belongs to
+app.get('/api/media/:id/albums', async (req, res) => {
+  try {
+    const albums = await serverDB.getMediaAlbums(parseInt(req.params.id));
+    res.json({ success: true, albums });
+  } catch (error) {
+    console.error('Error fetching media albums:', error);
+    res.status(500).json({ error: 'Failed to fetch media albums' });
+  }
+});
+
+// Groups of visually similar media: ?threshold=0-32 is the maximum Hamming distance
+// between perceptual hashes (64 bits). Items in each group are ordered best first.
+app.get('/api/similar', async (req, res) => {
+  try {
+    const requested = parseInt(req.query.threshold);
+    const threshold = Number.isNaN(requested)
+      ? DEFAULT_SIMILARITY_THRESHOLD
+      : Math.max(0, Math.min(MAX_SIMILARITY_THRESHOLD, requested));
+    const groups = await findSimilarMedia(threshold);
+    res.json({ success: true, threshold, groups });
+  } catch (error) {
+    console.error('Error finding similar media:', error);
+    res.status(500).json({ error: 'Failed to find similar media' });
+  }
+});
+
+// Move a media item to the trash (its file is moved to .trash/ until restored or purged; files of
+// 'reference' watch folders stay where they are)
+app.post('/api/media/:id/trash', async (req, res) => {
+  try {
+    const media = await trashMedia(parseInt(req.params.id));
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ success: true, media });
+  } catch (error) {
+    console.error('Error moving media to trash:', error);
+    res.status(500).json({ error: 'Failed to move media to trash' });
+  }
+});
+
+// List trashed media; items are purged automatically after `retentionDays` (0 = never)
+app.get('/api/trash', async (req, res) => {
+  try {
+    const items = await serverDB.listTrash();
+    res.json({ success: true, items, retentionDays: getTrashRetentionDays() });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore a trashed media item to the gallery
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const media = await restoreMedia(parseInt(req.params.id));
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ success: true, media });
+  } catch (error) {
+    console.error('Error restoring media:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to restore media' });
+  }
+});
+
+// Permanently delete a trashed media item and its file
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTrashedMedia(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trashed media:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete media' });
+  }
+});
+
+// Permanently delete everything in the trash
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const deleted = await emptyTrash();
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// List watch folders with their import counts; all are rescanned every `rescanMinutes`
+// (WATCH_RESCAN_MINUTES, 0 = only watched for changes)
+app.get('/api/watch-folders', async (req, res) => {
+  try {
+    const folders = await serverDB.listWatchFolders();
+    res.json({ success: true, folders, rescanMinutes: getWatchRescanMinutes() });
+  } catch (error) {
+    console.error('Error fetching watch folders:', error);
+    res.status(500).json({ error: 'Failed to fetch watch folders' });
+  }
+});
+
+// Watch a folder on the server ({ path, mode: copy|reference, recursive, importExisting }).
+// 'copy' copies new files into images|videos/YYYY-MM-DD/, 'reference' leaves them in place;
+// importExisting: false only imports files added from now on
+app.post('/api/watch-folders', async (req, res) => {
+  try {
+    const folder = await addWatchFolder(req.body);
+    res.json({ success: true, folder });
+  } catch (error) {
+    console.error('Error adding watch folder:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add watch folder' });
+  }
+});
+
+// Rescan all enabled watch folders now (`queued` new files are imported in the background)
+app.post('/api/watch-folders/rescan', async (req, res) => {
+  try {
+    const queued = await rescanWatchFolders();
+    res.json({ success: true, queued });
+  } catch (error) {
+    console.error('Error rescanning watch folders:', error);
+    res.status(500).json({ error: 'Failed to rescan watch folders' });
+  }
+});
+
+// Change a watch folder ({ mode, recursive, enabled })
+app.put('/api/watch-folders/:id', async (req, res) => {
+  try {
+    const folder = await updateWatchFolder(parseInt(req.params.id), req.body);
+    if (!folder) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+    res.json({ success: true, folder });
+  } catch (error) {
+    console.error('Error updating watch folder:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update watch folder' });
+  }
+});
+
+// Stop watching a folder (media imported from it stay in the gallery)
+app.delete('/api/watch-folders/:id', async (req, res) => {
+  try {
+    const removed = await removeWatchFolder(parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: 'Watch folder not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing watch folder:', error);
+    res.status(500).json({ error: 'Failed to remove watch folder' });
+  }
+});
+
+// Import jobs run in the background; poll GET /api/import-jobs/:id for progress (total,
+// processed, imported, duplicates, failed, currentFile) and the per-file `errors`
+app.get('/api/import-jobs', (req, res) => {
+  res.json({ success: true, jobs: listImportJobs() });
+});
+
+// Start an import job: { source: 'orphans', files } adopts files in images/ and videos/ that
+// have no media record (all of them without `files`), { path, recursive } imports the media
+// files of a folder on the server (copied into images|videos/YYYY-MM-DD/)
+app.post('/api/import-jobs', (req, res) => {
+  try {
+    const job = req.body?.source === 'orphans'
+      ? startOrphanImport(req.body.files)
+      : startFolderImport(req.body?.path, { recursive: req.body?.recursive });
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error starting import job:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to start import' });
+  }
+});
+
+app.get('/api/import-jobs/:id', (req, res) => {
+  const job = getImportJob(parseInt(req.params.id));
+  if (!job) {
+    return res.status(404).json({ error: 'Import job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+// Stop an import job after the file it is importing
+app.post('/api/import-jobs/:id/cancel', (req, res) => {
+  const job = cancelImportJob(parseInt(req.params.id));
+  if (!job) {
+    return res.status(404).json({ error: 'Import job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+// List albums with item counts and covers
+// (album contents are listed with GET /api/media?album=<id>&sort=position&limit=...)
+app.get('/api/albums', async (req, res) => {
+  try {
+    const albums = await serverDB.listAlbums();
+    res.json({ success: true, albums });
+  } catch (error) {
+    console.error('Error fetching albums:', error);
+    res.status(500).json({ error: 'Failed to fetch albums' });
+  }
+});
+
+// Restore smart albums from a backup ({ smartAlbums: [{ name, description, query }] })
+app.post('/api/albums/import', async (req, res) => {
+  try {
+    const result = await serverDB.importSmartAlbums(req.body?.smartAlbums);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error importing smart albums:', error);
+    res.status(500).json({ error: 'Failed to import smart albums' });
+  }
+});
+
+// Create an album ({ name, description }, plus { query } for a smart album)
+app.post('/api/albums', async (req, res) => {
+  try {
+    const album = await serverDB.createAlbum(req.body);
+    res.json({ success: true, album });
+  } catch (error) {
+    console.error('Error creating album:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create album' });
+  }
+});
+
+// Get an album
+app.get('/api/albums/:id', async (req, res) => {
+  try {
+    const album = await serverDB.getAlbumById(parseInt(req.params.id));
+    if (album) {
+      res.json({ success: true, album });
+    } else {
+      res.status(404).json({ error: 'Album not found' });
+    }
+  } catch (error) {
+    console.error('Error fetching album:', error);
+    res.status(500).json({ error: 'Failed to fetch album' });
+  }
+});
+
+// Update an album ({ name, description, coverMediaId }, or { query } for a smart album)
+app.put('/api/albums/:id', async (req, res) => {
+  try {
+    const album = await serverDB.updateAlbum(parseInt(req.params.id), req.body);
+    res.json({ success: true, album });
+  } catch (error) {
+    console.error('Error updating album:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update album' });
+  }
+});
+
+// Delete an album (media stay in the gallery)
+app.delete('/api/albums/:id', async (req, res) => {
+  try {
+    const changes = await serverDB.deleteAlbum(parseInt(req.params.id));
+    res.json({ success: true, changes });
+  } catch (error) {
+    console.error('Error deleting album:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete album' });
+  }
+});
+
+// Add media to an album ({ mediaIds: [...] })
+app.post('/api/albums/:id/media', async (req, res) => {
+  try {
+    const added = await serverDB.addMediaToAlbum(parseInt(req.params.id), req.body?.mediaIds);
+    res.json({ success: true, added });
+  } catch (error) {
+    console.error('Error adding media to album:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add media to album' });
+  }
+});
+
+// Remove a media item from an album
+app.delete('/api/albums/:id/media/:mediaId', async (req, res) => {
+  try {
+    const removed = await serverDB.removeMediaFromAlbum(parseInt(req.params.id), parseInt(req.params.mediaId));
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error removing media from album:', error);
+    res.status(500).json({ error: 'Failed to remove media from album' });
+  }
+});
+
+// Reorder album items ({ mediaIds: [...] } in the new order)
+app.put('/api/albums/:id/order', async (req, res) => {
+  try {
+    const reordered = await serverDB.reorderAlbum(parseInt(req.params.id), req.body?.mediaIds);
+    res.json({ success: true, reordered });
+  } catch (error) {
+    console.error('Error reordering album:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to reorder album' });
+  }
+});
+
+// List tags with usage counts (?q= name prefix for autocomplete, ?limit=)
+app.get('/api/tags', async (req, res) => {
+  try {
+    const tags = await serverDB.listTags(req.query);
+    res.json({ success: true, tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Merge tags ({ sourceIds: [...], targetId })
+app.post('/api/tags/merge', async (req, res) => {
+  try {
+    const { sourceIds, targetId } = req.body || {};
+    const tag = await serverDB.mergeTags(sourceIds, parseInt(targetId));
+    res.json({ success: true, tag });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to merge tags' });
+  }
+});
+
+// Rename a tag ({ name })
+app.put('/api/tags/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const tag = await serverDB.renameTag(id, req.body?.name);
+    res.json({ success: true, tag });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to rename tag' });
+  }
+});
+
+// Delete a tag from all media
+app.delete('/api/tags/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const mediaCount = await serverDB.deleteTag(id);
+    res.json({ success: true, mediaCount });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete tag' });
+  }
+});
+
 // Get database statistics
 app.get('/api/stats', async (req, res) => {
   try {
@@ -294,6 +851,7 @@ app.post('/api/migrate', async (req, res) => {
       success: true, 
       imported: result.imported, 
       errors: result.errors,
+      smartAlbums: result.smartAlbums,
       message: `Successfully imported ${result.imported} items with ${result.errors} errors`
     });
   } catch (error) {
@@ -305,12 +863,14 @@ app.post('/api/migrate', async (req, res) => {
 // Export all data (backup functionality)
 app.get('/api/export', async (req, res) => {
   try {
-    const allMedia = await serverDB.getAllMedia();
+    const allMedia = await serverDB.attachStoredWorkflows(await serverDB.getAllMedia());
+    const smartAlbums = await serverDB.exportSmartAlbums();
     const exportData = {
       version: '3.0-server',
       exportDate: new Date().toISOString(),
       totalItems: allMedia.length,
-      images: allMedia
+      images: allMedia,
+      smartAlbums
     };
     
     res.setHeader('Content-Type', 'application/json');
@@ -327,54 +887,188 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Run one step of adding a stored upload; when it fails the file is removed again
+async function discardOnError(file, step) {
+  try {
+    return await step();
+  } catch (error) {
+    fs.rmSync(file.path, { force: true });
+    throw error;
+  }
+}
+
+// Add a stored upload to the gallery and build the /upload response. The file is hashed unless
+// contentHash is given (chunked uploads hash while assembling). An upload identical to an item
+// already in the gallery is discarded when onDuplicate is 'skip' or 'link'; an upload that
+// cannot be added is removed.
+async function addUploadedFile(file, { contentHash, onDuplicate, lastModified }) {
+  contentHash = contentHash || await discardOnError(file, () => hashFile(file.path));
+  const existing = await discardOnError(file, () => serverDB.findMediaByContentHash(contentHash));
+  const duplicateOf = existing ? {
+    id: existing.id,
+    title: existing.title,
+    mediaType: existing.mediaType,
+    serverPath: existing.serverPath,
+    dateAdded: existing.dateAdded
+  } : null;
+
+  if (duplicateOf && ['skip', 'link'].includes(onDuplicate)) {
+    fs.unlinkSync(file.path);
+    console.log(`♊ Discarded duplicate upload ${file.originalname} (same as media ID ${duplicateOf.id})`);
+    return {
+      success: true,
+      discarded: true,
+      originalName: file.originalname,
+      size: file.size,
+      contentHash,
+      duplicateOf
+    };
+  }
+
+  // Creates the media item (see js/mediaIngest.js)
+  const media = await discardOnError(file, () => ingestUploadedFile(file, { contentHash, lastModified }));
+
+  const fileInfo = {
+    success: true,
+    media,
+    filename: file.filename,
+    originalName: file.originalname,
+    size: file.size,
+    path: file.path,
+    relativePath: path.relative(__dirname, file.path),
+    uploadDate: new Date().toISOString(),
+    mediaType: file.mimetype.startsWith('video/') ? 'video' : 'image',
+    animation: getStoredAnimation(media.frameCount, media.metadata),
+    contentHash,
+    duplicateOf
+  };
+
+  const mediaType = fileInfo.mediaType === 'video' ? 'Video' : 'Image';
+  const folder = fileInfo.mediaType === 'video' ? 'videos' : 'images';
+  console.log(`📁 ${mediaType} saved: ${fileInfo.relativePath} (in ${folder}/ directory) as media ID ${media.id}`);
+
+  // Perceptual hash for the similar-media finder (not needed for the response)
+  updatePerceptualHash(media.id).catch(error => console.error('Error hashing new media:', error));
+  return fileInfo;
+}
+
 // Handle single file upload (supports both images and videos)
-app.post('/upload', upload.single('image'), (req, res) => {
+// The server parses the embedded metadata, probes the dimensions, builds the thumbnail and
+// returns the created item as `media`. Send `lastModified` (ms or ISO date) before the file to
+// record the original file date.
+// Animated images are stored as images; `animation` reports their format, frame count and
+// duration (null for still images and videos).
+// The response includes the file's SHA-256 (`contentHash`) and, when an identical file is
+// already in the gallery, `duplicateOf` with that item. Send `onDuplicate=skip|link` before
+// the file to have the new copy discarded in that case (`discarded: true`); the default
+// (`keep`) stores it anyway.
+// Files over 100MB are sent with the chunked upload API (/api/uploads) instead.
+app.post('/upload', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const fileInfo = {
-      success: true,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      size: req.file.size,
-      path: req.file.path,
-      relativePath: path.relative(__dirname, req.file.path),
-      uploadDate: new Date().toISOString(),
-      mediaType: req.file.mimetype.startsWith('video/') ? 'video' : 'image'
-    };
-
-    const mediaType = fileInfo.mediaType === 'video' ? 'Video' : 'Image';
-    const folder = fileInfo.mediaType === 'video' ? 'videos' : 'images';
-    console.log(`📁 ${mediaType} saved: ${fileInfo.relativePath} (in ${folder}/ directory)`);
-    res.json(fileInfo);
+    res.json(await addUploadedFile(req.file, {
+      onDuplicate: req.body?.onDuplicate,
+      lastModified: req.body?.lastModified
+    }));
   } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({ error: 'Upload failed: ' + error.message });
   }
 });
 
-// Handle multiple file uploads (supports both images and videos)
-app.post('/upload-multiple', upload.array('images', 20), (req, res) => {
+// Chunked, resumable uploads for large files (see js/chunkedUploads.js):
+//   POST   /api/uploads { fileName, size, mimeType, lastModified }  -> { upload } (an unfinished
+//          upload of the same file is resumed: `receivedChunks` lists the chunks already stored)
+//   PUT    /api/uploads/:id/chunks/:index  (raw bytes, `chunkSize` each, the last one shorter)
+//   GET    /api/uploads/:id                -> { upload }
+//   POST   /api/uploads/:id/complete { sha256, onDuplicate } -> same response as /upload
+//   DELETE /api/uploads/:id
+// Files may be up to MAX_UPLOAD_SIZE_MB (default 4096); unfinished uploads are deleted after
+// UPLOAD_EXPIRY_HOURS (default 24) without new chunks.
+app.post('/api/uploads', (req, res) => {
+  try {
+    const upload = startUpload(req.body);
+    res.json({ success: true, upload, maxSize: getMaxUploadSize() });
+  } catch (error) {
+    console.error('Error starting upload:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to start upload' });
+  }
+});
+
+app.get('/api/uploads/:id', (req, res) => {
+  try {
+    res.json({ success: true, upload: getUpload(req.params.id) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch upload' });
+  }
+});
+
+app.put('/api/uploads/:id/chunks/:index', async (req, res) => {
+  try {
+    const upload = await writeChunk(req.params.id, Number(req.params.index), req);
+    res.json({ success: true, upload });
+  } catch (error) {
+    console.error('Error storing upload chunk:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to store chunk' });
+  }
+});
+
+app.post('/api/uploads/:id/complete', async (req, res) => {
+  try {
+    const file = await completeUpload(req.params.id, req.body?.sha256);
+    res.json(await addUploadedFile(file, {
+      contentHash: file.contentHash,
+      onDuplicate: req.body?.onDuplicate,
+      lastModified: file.lastModified
+    }));
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Upload failed: ' + error.message });
+  }
+});
+
+app.delete('/api/uploads/:id', (req, res) => {
+  if (!cancelUpload(req.params.id)) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.json({ success: true });
+});
+
+// Handle multiple file uploads (supports both images and videos); each file is added like with
+// /upload (including `onDuplicate`, sent before the files), and `files[].error` reports the ones
+// that could not be added
+app.post('/upload-multiple', upload.array('images', 20), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const filesInfo = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      size: file.size,
-      relativePath: path.relative(__dirname, file.path),
-      uploadDate: new Date().toISOString(),
-      mediaType: file.mimetype.startsWith('video/') ? 'video' : 'image'
-    }));
+    const filesInfo = [];
+    for (const file of req.files) {
+      // One failed file does not fail the others
+      try {
+        filesInfo.push(await addUploadedFile(file, { onDuplicate: req.body?.onDuplicate }));
+      } catch (error) {
+        console.error(`❌ Could not add ${file.originalname}:`, error);
+        filesInfo.push({
+          success: false,
+          media: null,
+          error: error.message,
+          filename: file.filename,
+          originalName: file.originalname,
+          size: file.size
+        });
+      }
+    }
 
-    const imageCount = filesInfo.filter(f => f.mediaType === 'image').length;
-    const videoCount = filesInfo.filter(f => f.mediaType === 'video').length;
+    const added = filesInfo.filter(f => f.media);
+    const imageCount = added.filter(f => f.mediaType === 'image').length;
+    const videoCount = added.filter(f => f.mediaType === 'video').length;
     
-    console.log(`📁 ${filesInfo.length} files saved to organized directories:`);
+    console.log(`📁 ${added.length} of ${filesInfo.length} files saved to organized directories:`);
     if (imageCount > 0) console.log(`  📷 ${imageCount} images → images/ directory`);
     if (videoCount > 0) console.log(`  🎬 ${videoCount} videos → videos/ directory`);
     
@@ -418,14 +1112,17 @@ app.delete('/delete/:folder/:date/:filename', (req, res) => {
 });
 
 // Get list of uploaded media organized by date (searches both images/ and videos/ directories)
-app.get('/api/images', (req, res) => {
+// Animations come from the database (files that are not gallery items are reported as still)
+app.get('/api/images', async (req, res) => {
   try {
+    const animations = await serverDB.getAnimationsByServerPath();
     const imagesDir = path.join(__dirname, 'images');
     const videosDir = path.join(__dirname, 'videos');
     
     const mediaByDate = {};
     let totalImages = 0;
     let totalVideos = 0;
+    let totalAnimated = 0;
     const allDates = new Set();
 
     // Helper function to process a directory (images or videos)
@@ -447,7 +1144,7 @@ app.get('/api/images', (req, res) => {
 
         const datePath = path.join(baseDir, dateDir);
         const fileExtensions = mediaType === 'image' 
-          ? /\.(jpg|jpeg|png|gif|webp)$/i 
+          ? /\.(jpg|jpeg|png|apng|gif|webp)$/i 
           : /\.(mp4|mov|avi|mkv)$/i;
 
         const files = fs.readdirSync(datePath)
@@ -455,6 +1152,10 @@ app.get('/api/images', (req, res) => {
           .map(file => {
             const stats = fs.statSync(path.join(datePath, file));
             const folderName = mediaType === 'image' ? 'images' : 'videos';
+            const animation = animations.get(`${folderName}/${dateDir}/${file}`) || null;
+            if (animation) {
+              totalAnimated++;
+            }
             
             if (mediaType === 'image') {
               totalImages++;
@@ -467,7 +1168,8 @@ app.get('/api/images', (req, res) => {
               path: `/${folderName}/${dateDir}/${file}`,
               size: stats.size,
               modified: stats.mtime,
-              mediaType: mediaType
+              mediaType: mediaType,
+              animation
             };
           });
         
@@ -498,6 +1200,7 @@ app.get('/api/images', (req, res) => {
       mediaByDate: mediaByDate,
       totalImages: totalImages,
       totalVideos: totalVideos,
+      totalAnimated: totalAnimated,
       totalFiles: totalImages + totalVideos
     });
   } catch (error) {
@@ -522,6 +1225,10 @@ app.use((error, req, res, next) => {
       return res.status(400).json({ error: 'File too large (max 100MB)' });
     }
   }
+  if (error.type === 'entity.too.large') {
+    const limit = req.path === '/api/migrate' ? `${getMaxImportSizeMB()}MB, MAX_IMPORT_SIZE_MB` : '10MB';
+    return res.status(413).json({ error: `Request too large (max ${limit})` });
+  }
   res.status(500).json({ error: error.message });
 });
 
@@ -548,4 +1255,14 @@ app.listen(PORT, () => {
     fs.mkdirSync(videosDir, { recursive: true });
     console.log(`📁 Created videos directory: ${videosDir}`);
   }
+
+  const retentionDays = getTrashRetentionDays();
+  console.log(retentionDays > 0
+    ? `🗑️ Trashed media is purged after ${retentionDays} days (TRASH_RETENTION_DAYS)`
+    : '🗑️ Trashed media is kept until the trash is emptied (TRASH_RETENTION_DAYS=0)');
+  startTrashAutoPurge();
+
+  console.log(`📦 Chunked uploads accept files up to ${Math.round(getMaxUploadSize() / (1024 * 1024))}MB (MAX_UPLOAD_SIZE_MB)`);
+  console.log(`📥 Backups up to ${getMaxImportSizeMB()}MB can be imported (MAX_IMPORT_SIZE_MB)`);
+  startUploadCleanup();
 });
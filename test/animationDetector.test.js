@@ -0,0 +1,147 @@
+// Tests for detecting animated GIF, APNG and WebP files (js/animationDetector.js) against small
+// files built block by block; only the structure the detector walks is written
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnimation, getAnimationMetadata, getStoredAnimation } from '../js/animationDetector.js';
+
+function u16le(value) {
+    const bytes = Buffer.alloc(2);
+    bytes.writeUInt16LE(value);
+    return bytes;
+}
+
+function u32be(value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+}
+
+// GIF 2x2 with a 2-colour global table; delays in centiseconds, one frame per entry
+function gif(delays, { loopCount = null } = {}) {
+    const parts = [Buffer.from('GIF89a'), u16le(2), u16le(2), Buffer.from([0x80, 0, 0]), Buffer.alloc(6)];
+    if (loopCount !== null) {
+        parts.push(Buffer.from([0x21, 0xFF, 11]), Buffer.from('NETSCAPE2.0'), Buffer.from([3, 1]), u16le(loopCount), Buffer.from([0]));
+    }
+    for (const delay of delays) {
+        // Graphic control extension, image descriptor, LZW code size and one data sub-block
+        parts.push(Buffer.from([0x21, 0xF9, 4, 0]), u16le(delay), Buffer.from([0, 0]));
+        parts.push(Buffer.from([0x2C]), u16le(0), u16le(0), u16le(2), u16le(2), Buffer.from([0]));
+        parts.push(Buffer.from([2, 2, 0x44, 0x01, 0]));
+    }
+    parts.push(Buffer.from([0x3B]));
+    return Buffer.concat(parts);
+}
+
+// PNG chunk; the CRC is left at zero because the detector does not check it
+function pngChunk(type, data = Buffer.alloc(0)) {
+    return Buffer.concat([u32be(data.length), Buffer.from(type), data, Buffer.alloc(4)]);
+}
+
+// fcTL: sequence, size, offset, delay numerator / denominator, dispose and blend ops
+function fcTL(sequence, delayNum, delayDen) {
+    const data = Buffer.alloc(26);
+    data.writeUInt32BE(sequence, 0);
+    data.writeUInt32BE(2, 4);
+    data.writeUInt32BE(2, 8);
+    data.writeUInt16BE(delayNum, 20);
+    data.writeUInt16BE(delayDen, 22);
+    return pngChunk('fcTL', data);
+}
+
+function png(...chunks) {
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', Buffer.concat([u32be(2), u32be(2), Buffer.from([8, 6, 0, 0, 0])])),
+        ...chunks,
+        pngChunk('IEND')
+    ]);
+}
+
+// WebP chunk, padded to an even size
+function webpChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+// ANMF: frame offset and size (3 bytes each), duration (3 bytes), flags, then the frame data
+function anmf(durationMs) {
+    const data = Buffer.alloc(16);
+    data.writeUIntLE(durationMs, 12, 3);
+    return webpChunk('ANMF', Buffer.concat([data, webpChunk('VP8L', Buffer.alloc(6))]));
+}
+
+function webp(vp8xFlags, ...chunks) {
+    const body = Buffer.concat([Buffer.from('WEBP'), webpChunk('VP8X', Buffer.from([vp8xFlags, 0, 0, 0, 1, 0, 0, 1, 0, 0])), ...chunks]);
+    return Buffer.concat([Buffer.from('RIFF'), Buffer.from([body.length & 0xFF, (body.length >> 8) & 0xFF, 0, 0]), body]);
+}
+
+describe('detectAnimation', () => {
+    it('counts the frames of an animated GIF and plays fast delays at 100 ms', () => {
+        assert.deepEqual(detectAnimation(gif([5, 0, 20], { loopCount: 0 })), {
+            format: 'GIF',
+            frameCount: 3,
+            duration: 0.35,
+            loopCount: 0
+        });
+        assert.equal(detectAnimation(gif([10, 10])).loopCount, null);
+    });
+
+    it('treats a single-frame GIF as still', () => {
+        assert.equal(detectAnimation(gif([10], { loopCount: 0 })), null);
+    });
+
+    it('reads an APNG from its acTL and fcTL chunks', () => {
+        const acTL = pngChunk('acTL', Buffer.concat([u32be(2), u32be(3)]));
+        const file = png(acTL, fcTL(0, 1, 4), pngChunk('IDAT', Buffer.alloc(8)), fcTL(1, 50, 0), pngChunk('fdAT', Buffer.alloc(12)));
+
+        // A zero denominator means 1/100 s
+        assert.deepEqual(detectAnimation(file), { format: 'APNG', frameCount: 2, duration: 0.75, loopCount: 3 });
+    });
+
+    it('treats a PNG without acTL as still, even with fcTL chunks after its image data', () => {
+        assert.equal(detectAnimation(png(pngChunk('IDAT', Buffer.alloc(8)), fcTL(0, 1, 10), fcTL(1, 1, 10))), null);
+    });
+
+    it('reads an animated WebP from its ANIM and ANMF chunks', () => {
+        const anim = webpChunk('ANIM', Buffer.concat([Buffer.alloc(4), u16le(2)]));
+        assert.deepEqual(detectAnimation(webp(0x02, anim, anmf(120), anmf(80), anmf(300))), {
+            format: 'WebP',
+            frameCount: 3,
+            duration: 0.5,
+            loopCount: 2
+        });
+    });
+
+    it('treats a WebP without the animation flag as still', () => {
+        assert.equal(detectAnimation(webp(0x00, webpChunk('VP8L', Buffer.alloc(6)))), null);
+    });
+
+    it('returns null for other and truncated files', () => {
+        assert.equal(detectAnimation(Buffer.from('\xFF\xD8\xFF\xE0 not animated at all', 'latin1')), null);
+        assert.equal(detectAnimation(Buffer.from('GIF89a')), null);
+        assert.equal(detectAnimation(gif([10, 10, 10]).subarray(0, 40)), null);
+    });
+});
+
+describe('stored animations', () => {
+    it('gives back what was recorded when the item was added', () => {
+        const animation = detectAnimation(gif([10, 10, 10, 10], { loopCount: 0 }));
+        const metadata = getAnimationMetadata(animation);
+
+        assert.equal(metadata.animated, true);
+        assert.deepEqual(getStoredAnimation(metadata.frameCount, metadata), animation);
+    });
+
+    it('reports still images and items without a frame count as still', () => {
+        assert.deepEqual(getAnimationMetadata(null), {});
+        assert.equal(getStoredAnimation(1, {}), null);
+        assert.equal(getStoredAnimation(null, null), null);
+    });
+
+    it('reports older animated items without animation details', () => {
+        assert.deepEqual(getStoredAnimation(12, null), { format: null, frameCount: 12, duration: null, loopCount: null });
+    });
+});
@@ -0,0 +1,150 @@
+// Tests for resumable chunked uploads (js/chunkedUploads.js)
+
+import { describe, it, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Every upload logs its progress; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.UPLOADS_DIR = path.join(tempDir, 'uploads');
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after UPLOADS_DIR is set so the tests never touch real partial uploads
+const {
+    CHUNK_SIZE,
+    startUpload,
+    getUpload,
+    writeChunk,
+    completeUpload,
+    cancelUpload
+} = await import('../js/chunkedUploads.js');
+
+// Files completed into images/YYYY-MM-DD/, removed after the tests
+const completedFiles = [];
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+// A file of three chunks, the last one short
+function createFile(name) {
+    const bytes = crypto.randomBytes(2 * CHUNK_SIZE + 1234);
+    return {
+        bytes,
+        info: { fileName: name, size: bytes.length, mimeType: 'image/png', lastModified: String(Date.now()) }
+    };
+}
+
+function sendChunk(upload, bytes, index) {
+    const start = index * upload.chunkSize;
+    return writeChunk(upload.id, index, Readable.from([bytes.subarray(start, start + upload.chunkSize)]));
+}
+
+async function complete(id, checksum) {
+    const file = await completeUpload(id, checksum);
+    completedFiles.push(file.path);
+    return file;
+}
+
+after(() => {
+    for (const file of completedFiles) {
+        fs.rmSync(file, { force: true });
+        // The date folder too when the tests created it
+        try {
+            fs.rmdirSync(path.dirname(file));
+        } catch (error) {
+            // Not empty
+        }
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('chunked uploads', () => {
+    it('assembles chunks sent out of order', async () => {
+        const { bytes, info } = createFile('out-of-order.png');
+        const upload = startUpload(info);
+        assert.equal(upload.totalChunks, 3);
+        assert.equal(upload.resumed, false);
+
+        for (const index of [2, 0, 1]) {
+            await sendChunk(upload, bytes, index);
+        }
+        assert.deepEqual(getUpload(upload.id).receivedChunks, [0, 1, 2]);
+
+        const file = await complete(upload.id, sha256(bytes));
+        assert.equal(file.originalname, 'out-of-order.png');
+        assert.equal(file.size, bytes.length);
+        assert.equal(file.contentHash, sha256(bytes));
+        assert.ok(fs.readFileSync(file.path).equals(bytes));
+        assert.throws(() => getUpload(upload.id), { statusCode: 404 });
+    });
+
+    it('resumes the unfinished upload of the same file', async () => {
+        const { bytes, info } = createFile('resumed.png');
+        const upload = startUpload(info);
+        await sendChunk(upload, bytes, 1);
+
+        const resumed = startUpload(info);
+        assert.equal(resumed.id, upload.id);
+        assert.equal(resumed.resumed, true);
+        assert.deepEqual(resumed.receivedChunks, [1]);
+
+        // A different modification time is another file
+        assert.notEqual(startUpload({ ...info, lastModified: '1' }).id, upload.id);
+
+        await sendChunk(resumed, bytes, 0);
+        await sendChunk(resumed, bytes, 2);
+        assert.equal((await complete(upload.id, sha256(bytes))).contentHash, sha256(bytes));
+    });
+
+    it('refuses to complete while chunks are missing', async () => {
+        const { bytes, info } = createFile('missing.png');
+        const upload = startUpload(info);
+        await sendChunk(upload, bytes, 0);
+
+        await assert.rejects(completeUpload(upload.id), { statusCode: 409, message: /2 of 3 chunks/ });
+        assert.equal(cancelUpload(upload.id), true);
+    });
+
+    it('rejects chunks of the wrong size', async () => {
+        const { info } = createFile('short-chunk.png');
+        const upload = startUpload(info);
+
+        await assert.rejects(writeChunk(upload.id, 0, Readable.from([Buffer.alloc(10)])), { statusCode: 400 });
+        await assert.rejects(writeChunk(upload.id, 3, Readable.from([Buffer.alloc(10)])), { statusCode: 400 });
+        assert.deepEqual(getUpload(upload.id).receivedChunks, []);
+        cancelUpload(upload.id);
+    });
+
+    it('discards a file whose checksum does not match', async () => {
+        const { bytes, info } = createFile('corrupt.png');
+        const upload = startUpload(info);
+        for (const index of [0, 1, 2]) {
+            await sendChunk(upload, bytes, index);
+        }
+
+        await assert.rejects(completeUpload(upload.id, sha256('something else')), { statusCode: 422 });
+        assert.throws(() => getUpload(upload.id), { statusCode: 404 });
+        assert.equal(fs.existsSync(path.join(process.env.UPLOADS_DIR, upload.id)), false);
+    });
+
+    it('completes an upload only once when asked twice at the same time', async () => {
+        const { bytes, info } = createFile('twice.png');
+        const upload = startUpload(info);
+        for (const index of [0, 1, 2]) {
+            await sendChunk(upload, bytes, index);
+        }
+
+        const [first, second] = await Promise.allSettled([complete(upload.id), complete(upload.id)]);
+        assert.equal(first.status, 'fulfilled');
+        assert.ok(fs.readFileSync(first.value.path).equals(bytes));
+        assert.equal(second.status, 'rejected');
+        assert.equal(second.reason.statusCode, 409);
+    });
+});
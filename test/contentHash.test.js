@@ -0,0 +1,100 @@
+// Tests for content hashes and duplicate detection (js/contentHash.js, serverDatabase.js, mediaIngest.js)
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hashFile, isContentHash } from '../js/contentHash.js';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+const { importServerFile } = await import('../js/mediaIngest.js');
+
+function writeTempFile(name, content) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+describe('hashFile', () => {
+    it('returns the hex SHA-256 of the file', async () => {
+        const content = crypto.randomBytes(300 * 1024);
+        assert.equal(await hashFile(writeTempFile('random.bin', content)), sha256(content));
+    });
+
+    it('hashes an empty file', async () => {
+        assert.equal(await hashFile(writeTempFile('empty.bin', '')), sha256(''));
+    });
+
+    it('rejects for a missing file', async () => {
+        await assert.rejects(hashFile(path.join(tempDir, 'missing.bin')), { code: 'ENOENT' });
+    });
+});
+
+describe('isContentHash', () => {
+    it('accepts only 64 lowercase hex characters', () => {
+        assert.equal(isContentHash(sha256('x')), true);
+        assert.equal(isContentHash(sha256('x').toUpperCase()), false);
+        assert.equal(isContentHash(sha256('x').slice(1)), false);
+        assert.equal(isContentHash('z'.repeat(64)), false);
+        assert.equal(isContentHash(null), false);
+    });
+});
+
+describe('duplicate detection', () => {
+    const content = 'not really a png, but the hash is all that matters';
+    const contentHash = sha256(content);
+    let existingId;
+
+    before(async () => {
+        await serverDB.init();
+        existingId = await serverDB.addMedia({ title: 'original', mediaType: 'image', contentHash });
+    });
+
+    after(async () => {
+        await serverDB.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('stores the hash with the item', async () => {
+        assert.equal((await serverDB.getMediaById(existingId)).contentHash, contentHash);
+    });
+
+    it('finds the item holding a hash', async () => {
+        const found = await serverDB.findMediaByContentHash(contentHash);
+        assert.equal(found.id, existingId);
+        assert.equal(await serverDB.findMediaByContentHash(sha256('something else')), null);
+        assert.equal(await serverDB.findMediaByContentHash('not-a-hash'), null);
+    });
+
+    it('ignores invalid hashes when adding media', async () => {
+        const id = await serverDB.addMedia({ title: 'no hash', mediaType: 'image', contentHash: 'abc' });
+        assert.equal((await serverDB.getMediaById(id)).contentHash, null);
+    });
+
+    it('does not import a server file identical to an item', async () => {
+        const sourcePath = writeTempFile('copy.png', content);
+        const result = await importServerFile(sourcePath);
+
+        assert.equal(result.media, null);
+        assert.equal(result.duplicateOf.id, existingId);
+        assert.equal(fs.readFileSync(sourcePath, 'utf8'), content);
+    });
+
+    it('does not report trashed items as duplicates', async () => {
+        await serverDB.markMediaTrashed(existingId, null);
+        assert.equal(await serverDB.findMediaByContentHash(contentHash), null);
+    });
+});
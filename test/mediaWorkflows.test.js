@@ -0,0 +1,73 @@
+// Tests for keeping workflow and prompt JSON in media_workflows (js/serverDatabase.js) when
+// items are added and updated, run against a temporary database
+
+import { describe, it, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+
+// Larger than the 50KB metadata strings are truncated to
+function createWorkflow(label) {
+    return JSON.stringify({ nodes: [{ id: 1, type: 'Note', widgets_values: [label.repeat(60000)] }] });
+}
+
+async function storedMetadataJson(mediaId) {
+    return (await serverDB.getRow('SELECT metadata_json FROM media WHERE id = ?', [mediaId])).metadata_json;
+}
+
+after(async () => {
+    await serverDB.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('workflow storage', () => {
+    it('stores the workflow of a new item apart from its metadata', async () => {
+        const workflow = createWorkflow('a');
+        const mediaId = await serverDB.addMedia({ title: 'added', filename: 'added.png', mediaType: 'image', metadata: { workflow, source: 'comfyui' } });
+
+        assert.equal((await serverDB.getMediaWorkflow(mediaId)).workflow, workflow);
+        const { metadata } = await serverDB.getMediaById(mediaId);
+        assert.equal(metadata.workflow, `[Stored separately: ${workflow.length} characters]`);
+        assert.equal(metadata.source, 'comfyui');
+    });
+
+    it('moves a workflow and prompt written with an update to media_workflows', async () => {
+        const mediaId = await serverDB.addMedia({ title: 'updated', filename: 'updated.png', mediaType: 'image', metadata: { source: 'upload' } });
+        const workflow = createWorkflow('b');
+        const prompt = { 3: { class_type: 'KSampler', inputs: { seed: 1 } } };
+
+        assert.equal(await serverDB.updateMedia(mediaId, { metadata: { workflow, prompt, source: 'comfyui' } }), 1);
+
+        assert.deepEqual(await serverDB.getMediaWorkflow(mediaId), { workflow, prompt: JSON.stringify(prompt) });
+        assert.ok((await storedMetadataJson(mediaId)).length < 1000);
+        const { metadata } = await serverDB.getMediaById(mediaId);
+        assert.equal(metadata.workflow, `[Stored separately: ${workflow.length} characters]`);
+        assert.equal(metadata.source, 'comfyui');
+    });
+
+    it('keeps the stored workflow when the metadata is saved back with its placeholder', async () => {
+        const workflow = createWorkflow('c');
+        const mediaId = await serverDB.addMedia({ title: 'edited', filename: 'edited.png', mediaType: 'image', metadata: { workflow } });
+        const { metadata } = await serverDB.getMediaById(mediaId);
+
+        await serverDB.updateMedia(mediaId, { metadata: { ...metadata, note: 'edited' } });
+
+        assert.equal((await serverDB.getMediaWorkflow(mediaId)).workflow, workflow);
+        assert.deepEqual((await serverDB.getMediaById(mediaId)).metadata, { ...metadata, note: 'edited' });
+    });
+
+    it('ignores metadata updates of unknown items', async () => {
+        assert.equal(await serverDB.updateMedia(999999, { metadata: { workflow: createWorkflow('d') } }), 0);
+        assert.equal(await serverDB.getMediaWorkflow(999999), null);
+    });
+});
@@ -0,0 +1,497 @@
+// Tests for the metadata parsers (js/parsers/) against the PNGs in fixtures/parsers/, which
+// carry the metadata each generator writes (see fixtures/parsers/README.md)
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { extractEmbeddedTextChunks } from '../js/parsers/metadataExtractor.js';
+import { extractPNGTextChunkEntries } from '../js/parsers/pngChunkExtractor.js';
+import {
+    extractAIInfo,
+    selectMetadataParser,
+    registerMetadataParser,
+    unregisterMetadataParser,
+    getMetadataParsers
+} from '../js/parsers/parserRegistry.js';
+import { parseXmp } from '../js/parsers/exifXmpExtractor.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'parsers');
+
+// The registry logs the parser chosen for every file; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+async function parseFixture(fileName) {
+    const bytes = new Uint8Array(fs.readFileSync(path.join(FIXTURES, fileName)));
+    const chunks = await extractEmbeddedTextChunks(bytes);
+    return extractAIInfo({ name: fileName }, chunks);
+}
+
+// Expected values, as listed in fixtures/parsers/README.md
+const FIXTURE_EXPECTATIONS = {
+    'invokeai.png': {
+        parserId: 'invokeai',
+        tag: 'InvokeAI',
+        prompt: 'a lighthouse on a cliff at dusk, dramatic clouds',
+        negativePrompt: 'blurry, lowres',
+        model: 'Juggernaut XL v9',
+        seed: 1234567,
+        sampler: 'dpmpp_2m_k',
+        width: 1024,
+        height: 768,
+        loras: [{ name: 'add-detail-xl', weight: 0.75 }]
+    },
+    'fooocus.png': {
+        parserId: 'fooocus',
+        tag: 'Fooocus',
+        prompt: 'a cozy cabin in a snowy forest, warm light',
+        negativePrompt: 'unrealistic, saturated',
+        model: 'juggernautXL_v8Rundiffusion',
+        seed: 987654321,
+        sampler: 'dpmpp_2m_sde_gpu',
+        width: 1152,
+        height: 896,
+        loras: [{ name: 'sd_xl_offset_example-lora_1.0.safetensors', weight: 0.1 }]
+    },
+    'novelai.png': {
+        parserId: 'novelai',
+        tag: 'NovelAI',
+        prompt: '1girl, silver hair, night sky, stars',
+        negativePrompt: 'lowres, bad anatomy, worst quality',
+        model: 'NovelAI Diffusion V4.5 4BDE2A90',
+        seed: 3407,
+        sampler: 'k_euler_ancestral',
+        width: 832,
+        height: 1216,
+        loras: []
+    },
+    'swarmui.png': {
+        parserId: 'swarmui',
+        tag: 'SwarmUI',
+        prompt: 'a red panda astronaut, studio lighting',
+        negativePrompt: 'text, watermark',
+        model: 'OfficialStableDiffusion/sd_xl_base_1.0',
+        seed: 424242,
+        sampler: 'euler',
+        width: 1024,
+        height: 1024,
+        loras: [{ name: 'pixel-art-xl', weight: 0.8 }]
+    },
+    'drawthings.png': {
+        parserId: 'drawthings',
+        tag: 'Draw Things',
+        prompt: 'a watercolor fox in autumn leaves',
+        negativePrompt: 'photo, 3d render',
+        model: 'sd_xl_base_1.0_f16.ckpt',
+        seed: 5551212,
+        sampler: 'DPM++ 2M Karras',
+        width: 896,
+        height: 1152,
+        loras: [{ name: 'watercolor_xl_f16.ckpt', weight: 0.6 }]
+    }
+};
+
+describe('metadata parsers on fixtures', () => {
+    it('has a fixture for every expectation', () => {
+        const fixtures = fs.readdirSync(FIXTURES).filter(name => name.endsWith('.png')).sort();
+        assert.deepEqual(fixtures, Object.keys(FIXTURE_EXPECTATIONS).sort());
+    });
+
+    for (const [fileName, expected] of Object.entries(FIXTURE_EXPECTATIONS)) {
+        it(`parses ${fileName} with the ${expected.parserId} parser`, async () => {
+            const { parserId, aiInfo } = await parseFixture(fileName);
+            const params = aiInfo.generationParams;
+
+            assert.equal(parserId, expected.parserId);
+            assert.equal(aiInfo.prompt, expected.prompt);
+            assert.equal(aiInfo.model, expected.model);
+            assert.ok(aiInfo.tags.split(',').includes(expected.tag), `tags "${aiInfo.tags}" include ${expected.tag}`);
+
+            assert.equal(params.source, expected.parserId);
+            assert.equal(params.positivePrompt, expected.prompt);
+            assert.equal(params.negativePrompt, expected.negativePrompt);
+            assert.equal(params.seed, expected.seed);
+            assert.equal(params.sampler, expected.sampler);
+            assert.equal(params.width, expected.width);
+            assert.equal(params.height, expected.height);
+            assert.deepEqual(params.loras.map(({ name, weight }) => ({ name, weight })), expected.loras);
+        });
+    }
+});
+
+describe('metadata parsers on text chunks', () => {
+    it('parses A1111 / Forge parameters', async () => {
+        const { parserId, aiInfo } = await extractAIInfo({ name: 'a1111.png' }, {
+            parameters: 'a castle in fog\nNegative prompt: blurry\n' +
+                'Steps: 20, Sampler: DPM++ 2M, Schedule type: Karras, CFG scale: 7, Seed: 42, Size: 512x768, ' +
+                'Model hash: abc123, Model: dreamshaper_8, Version: f2.0.1'
+        });
+
+        assert.equal(parserId, 'a1111');
+        assert.equal(aiInfo.prompt, 'a castle in fog');
+        assert.equal(aiInfo.model, 'dreamshaper_8');
+        assert.equal(aiInfo.tags, 'Forge,AI-Generated');
+        assert.deepEqual(
+            (({ negativePrompt, steps, sampler, scheduleType, cfgScale, seed, width, height, modelHash }) =>
+                ({ negativePrompt, steps, sampler, scheduleType, cfgScale, seed, width, height, modelHash }))(aiInfo.generationParams),
+            { negativePrompt: 'blurry', steps: 20, sampler: 'DPM++ 2M', scheduleType: 'Karras', cfgScale: 7, seed: 42, width: 512, height: 768, modelHash: 'abc123' }
+        );
+    });
+
+    it('resolves a ComfyUI prompt graph from the sampler', async () => {
+        const prompt = {
+            3: { class_type: 'KSampler', inputs: { seed: 7, steps: 25, cfg: 6, sampler_name: 'euler', scheduler: 'normal', denoise: 1, model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0] } },
+            4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sdxl.safetensors' } },
+            5: { class_type: 'EmptyLatentImage', inputs: { width: 1024, height: 1024, batch_size: 1 } },
+            6: { class_type: 'CLIPTextEncode', inputs: { text: 'a castle in fog', clip: ['4', 1] } },
+            7: { class_type: 'CLIPTextEncode', inputs: { text: 'blurry', clip: ['4', 1] } }
+        };
+        const { parserId, aiInfo } = await extractAIInfo({ name: 'comfy.png' }, { prompt: JSON.stringify(prompt) });
+
+        assert.equal(parserId, 'comfyui');
+        assert.equal(aiInfo.prompt, 'a castle in fog');
+        assert.equal(aiInfo.model, 'sdxl.safetensors');
+        assert.equal(aiInfo.generationParams.negativePrompt, 'blurry');
+        assert.equal(aiInfo.generationParams.seed, 7);
+        assert.equal(aiInfo.generationParams.width, 1024);
+    });
+
+    it('prefers the ComfyUI workflow over A1111-style parameters written next to it', () => {
+        const chunks = { workflow: '{"nodes":[]}', parameters: 'a cat\nSteps: 20, Sampler: Euler, Seed: 1' };
+        assert.equal(selectMetadataParser({ name: 'both.png' }, chunks).parser.id, 'comfyui');
+    });
+
+    it('recognizes ChatGPT images by name', () => {
+        assert.equal(selectMetadataParser({ name: 'ChatGPT Image Jul 1, 2025.png' }, {}).parser.id, 'chatgpt');
+    });
+
+    it('returns empty info when no parser recognizes the file', async () => {
+        const { parserId, aiInfo } = await extractAIInfo({ name: 'photo.png' }, {});
+        assert.equal(parserId, null);
+        assert.equal(aiInfo.prompt, '');
+        assert.equal(aiInfo.generationParams, null);
+    });
+});
+
+// PNG text chunk fixtures. Only the chunks the reader looks at are written, and the CRCs are
+// left at zero because it does not check them.
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    Buffer.from(data).copy(chunk, 8);
+    return chunk;
+}
+
+function png(...chunks) {
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', Buffer.alloc(13)),
+        ...chunks,
+        pngChunk('IEND', Buffer.alloc(0))
+    ]));
+}
+
+// keyword \0 compression-method zlib-text
+function zTXt(keyword, text) {
+    return pngChunk('zTXt', Buffer.concat([Buffer.from(`${keyword}\0\0`, 'latin1'), zlib.deflateSync(Buffer.from(text))]));
+}
+
+// keyword \0 compression-flag compression-method language-tag \0 translated-keyword \0 text
+function iTXt(keyword, text, { compressed = false, languageTag = '', translatedKeyword = '' } = {}) {
+    return pngChunk('iTXt', Buffer.concat([
+        Buffer.from(`${keyword}\0`, 'latin1'),
+        Buffer.from([compressed ? 1 : 0, 0]),
+        Buffer.from(`${languageTag}\0${translatedKeyword}\0`),
+        compressed ? zlib.deflateSync(Buffer.from(text)) : Buffer.from(text)
+    ]));
+}
+
+describe('PNG text chunks', () => {
+    const parameters = 'a café in Montmartre, 雨の夜\nNegative prompt: blurry\n' +
+        'Steps: 30, Sampler: Euler a, CFG scale: 5, Seed: 99, Size: 832x1216, Model: ponyDiffusion_v6';
+    const comfyPrompt = JSON.stringify({
+        3: { class_type: 'KSampler', inputs: { seed: 11, steps: 20, cfg: 7, sampler_name: 'dpmpp_2m', scheduler: 'karras', denoise: 1, model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0] } },
+        4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'flux-dev.safetensors' } },
+        5: { class_type: 'EmptyLatentImage', inputs: { width: 768, height: 768, batch_size: 1 } },
+        6: { class_type: 'CLIPTextEncode', inputs: { text: 'a koi pond under cherry blossoms', clip: ['4', 1] } },
+        7: { class_type: 'CLIPTextEncode', inputs: { text: 'oversaturated', clip: ['4', 1] } }
+    });
+
+    it('inflates zTXt chunks', async () => {
+        const file = png(zTXt('prompt', comfyPrompt), pngChunk('tEXt', Buffer.from('Software\0ComfyUI')));
+
+        const [entry] = await extractPNGTextChunkEntries(file);
+        assert.deepEqual(entry, { type: 'zTXt', keyword: 'prompt', text: comfyPrompt, compressed: true, languageTag: '', translatedKeyword: '' });
+
+        const chunks = await extractEmbeddedTextChunks(file);
+        assert.deepEqual(chunks, { prompt: comfyPrompt, Software: 'ComfyUI' });
+        const { parserId, aiInfo } = await extractAIInfo({ name: 'comfy.png' }, chunks);
+        assert.equal(parserId, 'comfyui');
+        assert.equal(aiInfo.prompt, 'a koi pond under cherry blossoms');
+        assert.equal(aiInfo.model, 'flux-dev.safetensors');
+        assert.equal(aiInfo.generationParams.seed, 11);
+    });
+
+    it('inflates compressed iTXt chunks as UTF-8', async () => {
+        const file = png(iTXt('parameters', parameters, { compressed: true, languageTag: 'fr', translatedKeyword: 'paramètres' }));
+
+        const [entry] = await extractPNGTextChunkEntries(file);
+        assert.deepEqual(entry, { type: 'iTXt', keyword: 'parameters', text: parameters, compressed: true, languageTag: 'fr', translatedKeyword: 'paramètres' });
+
+        const { parserId, aiInfo } = await extractAIInfo({ name: 'a1111.png' }, await extractEmbeddedTextChunks(file));
+        assert.equal(parserId, 'a1111');
+        assert.equal(aiInfo.prompt, 'a café in Montmartre, 雨の夜');
+        assert.equal(aiInfo.model, 'ponyDiffusion_v6');
+        assert.equal(aiInfo.generationParams.seed, 99);
+    });
+
+    it('reads uncompressed iTXt chunks', async () => {
+        const [entry] = await extractPNGTextChunkEntries(png(iTXt('Description', 'un café')));
+        assert.equal(entry.text, 'un café');
+        assert.equal(entry.compressed, false);
+    });
+
+    it('skips a chunk whose compressed text is corrupt and keeps the others', async () => {
+        const warning = mock.method(console, 'warn', () => {});
+        try {
+            const corrupt = pngChunk('zTXt', Buffer.concat([Buffer.from('workflow\0\0'), Buffer.from('not zlib data')]));
+            const chunks = await extractEmbeddedTextChunks(png(corrupt, iTXt('parameters', parameters, { compressed: true })));
+            assert.deepEqual(chunks, { parameters });
+            assert.equal(warning.mock.callCount(), 1);
+        } finally {
+            warning.mock.restore();
+        }
+    });
+});
+
+// EXIF / XMP fixtures for JPEG and WebP
+
+// UTF-16 text without a byte order mark
+function utf16(text, littleEndian) {
+    const bytes = Buffer.from(text, 'utf16le');
+    return littleEndian ? bytes : bytes.swap16();
+}
+
+// EXIF UserComment with the UNICODE character code
+function unicodeComment(text, littleEndian) {
+    return Buffer.concat([Buffer.from('UNICODE\0'), utf16(text, littleEndian)]);
+}
+
+// A TIFF block with IFD0 and an Exif IFD; entries are [tag, type, bytes] (types 1, 2 and 7
+// count bytes, so the byte length is the count)
+function tiff({ littleEndian, ifd0 = [], exif = [] }) {
+    const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+    const exifIfdOffset = 8 + ifdSize(ifd0) + 12;
+    const ifds = [[...ifd0, [0x8769, 4, null]], exif];
+    let dataOffset = exifIfdOffset + ifdSize(exif);
+
+    const block = Buffer.alloc(dataOffset + [...ifd0, ...exif].reduce((size, [, , bytes]) => size + bytes.length, 0));
+    const u16 = (value, offset) => (littleEndian ? block.writeUInt16LE(value, offset) : block.writeUInt16BE(value, offset));
+    const u32 = (value, offset) => (littleEndian ? block.writeUInt32LE(value, offset) : block.writeUInt32BE(value, offset));
+
+    block.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+    u16(42, 2);
+    u32(8, 4);
+    let offset = 8;
+    for (const entries of ifds) {
+        u16(entries.length, offset);
+        offset += 2;
+        for (const [tag, type, bytes] of entries) {
+            u16(tag, offset);
+            u16(type, offset + 2);
+            if (bytes === null) {
+                // Exif IFD pointer
+                u32(1, offset + 4);
+                u32(exifIfdOffset, offset + 8);
+            } else {
+                u32(bytes.length, offset + 4);
+                if (bytes.length <= 4) {
+                    bytes.copy(block, offset + 8);
+                } else {
+                    u32(dataOffset, offset + 8);
+                    dataOffset += bytes.copy(block, dataOffset);
+                }
+            }
+            offset += 12;
+        }
+        offset += 4; // No next IFD
+    }
+    return block;
+}
+
+function xmpPacket(properties) {
+    return '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?><x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><rdf:Description rdf:about="" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" ' +
+        `${properties}/></rdf:RDF></x:xmpmeta><?xpacket end="w"?>`;
+}
+
+function jpegSegment(marker, data) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(data.length + 2);
+    return Buffer.concat([Buffer.from([0xFF, marker]), length, data]);
+}
+
+function jpeg({ exif, xmp }) {
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        jpegSegment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0'), exif])),
+        jpegSegment(0xE1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0${xmp}`)),
+        jpegSegment(0xDA, Buffer.alloc(10)),
+        Buffer.from([0xFF, 0xD9])
+    ]));
+}
+
+function webpChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function webp({ exif, xmp }) {
+    const body = Buffer.concat([
+        Buffer.from('WEBP'),
+        webpChunk('VP8X', Buffer.alloc(10)),
+        webpChunk('VP8 ', Buffer.alloc(16)),
+        webpChunk('EXIF', exif),
+        webpChunk('XMP ', Buffer.from(xmp))
+    ]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return new Uint8Array(Buffer.concat([header, body]));
+}
+
+describe('EXIF and XMP metadata of JPEG and WebP', () => {
+    const parameters = 'a misty harbor at dawn, fishing boats\nNegative prompt: people\n' +
+        'Steps: 28, Sampler: DPM++ 2M, Schedule type: Karras, CFG scale: 6, Seed: 31337, Size: 1216x832, Model: realvisxlV40';
+
+    const expectHarborParameters = async (fileName, chunks) => {
+        const { parserId, aiInfo } = await extractAIInfo({ name: fileName }, chunks);
+        assert.equal(parserId, 'a1111');
+        assert.equal(aiInfo.prompt, 'a misty harbor at dawn, fishing boats');
+        assert.equal(aiInfo.model, 'realvisxlV40');
+        assert.equal(aiInfo.generationParams.seed, 31337);
+    };
+
+    it('reads a big-endian UNICODE UserComment from a little-endian JPEG, with XPComment and XMP', async () => {
+        // piexif writes UserComment big-endian whatever the byte order of the TIFF block
+        const exif = tiff({
+            littleEndian: true,
+            ifd0: [
+                [0x0131, 2, Buffer.from('Forge\0')],
+                [0x9C9C, 1, utf16('made on the couch\0', true)]
+            ],
+            exif: [[0x9286, 7, unicodeComment(parameters, false)]]
+        });
+        const xmp = xmpPacket('xmp:CreatorTool="Forge f2.0.1" dc:title="Harbor &amp; boats"');
+
+        const chunks = await extractEmbeddedTextChunks(jpeg({ exif, xmp }));
+        assert.deepEqual(chunks, {
+            parameters,
+            Software: 'Forge',
+            XPComment: 'made on the couch',
+            'xmp:CreatorTool': 'Forge f2.0.1',
+            'dc:title': 'Harbor & boats'
+        });
+        await expectHarborParameters('harbor.jpg', chunks);
+    });
+
+    it('reads a little-endian UNICODE UserComment from a big-endian WebP', async () => {
+        const exif = tiff({ littleEndian: false, exif: [[0x9286, 7, unicodeComment(parameters, true)]] });
+        const chunks = await extractEmbeddedTextChunks(webp({ exif, xmp: xmpPacket('xmp:CreatorTool="SD.Next"') }));
+
+        assert.deepEqual(chunks, { parameters, 'xmp:CreatorTool': 'SD.Next' });
+        await expectHarborParameters('harbor.webp', chunks);
+    });
+
+    it('accepts a WebP EXIF chunk that keeps the JPEG "Exif" prefix', async () => {
+        const exif = Buffer.concat([Buffer.from('Exif\0\0'), tiff({ littleEndian: true, exif: [[0x9286, 7, unicodeComment(parameters, true)]] })]);
+        assert.equal((await extractEmbeddedTextChunks(webp({ exif, xmp: '' }))).parameters, parameters);
+    });
+
+    it('falls back to the TIFF byte order for UNICODE text without ASCII characters', async () => {
+        for (const littleEndian of [true, false]) {
+            const exif = tiff({ littleEndian, exif: [[0x9286, 7, unicodeComment('雨の港の夜明け', littleEndian)]] });
+            assert.equal((await extractEmbeddedTextChunks(jpeg({ exif, xmp: xmpPacket('') }))).UserComment, '雨の港の夜明け');
+        }
+    });
+
+    it('takes A1111 parameters from XPComment', async () => {
+        const exif = tiff({ littleEndian: false, ifd0: [[0x9C9C, 1, utf16(parameters, true)]] });
+        const chunks = await extractEmbeddedTextChunks(jpeg({ exif, xmp: xmpPacket('') }));
+        assert.deepEqual(chunks, { parameters });
+    });
+
+    it('keeps the EXIF fields when the XMP has a malformed entity', async () => {
+        const exif = tiff({ littleEndian: true, exif: [[0x9286, 7, unicodeComment(parameters, true)]] });
+        const xmp = xmpPacket('dc:description="broken &#x110000; entity"');
+
+        for (const file of [jpeg({ exif, xmp }), webp({ exif, xmp })]) {
+            assert.deepEqual(await extractEmbeddedTextChunks(file), { parameters, 'dc:description': 'broken &#x110000; entity' });
+        }
+    });
+});
+
+describe('parser registry', () => {
+    it('lets a registered parser take over and removes it again', async () => {
+        registerMetadataParser({
+            id: 'test-tool',
+            detect: (file, chunks) => (chunks.testtool ? 1 : 0),
+            extract: (chunks) => ({ prompt: JSON.parse(chunks.testtool).prompt, tags: 'TestTool' })
+        });
+        try {
+            assert.ok(getMetadataParsers().some(parser => parser.id === 'test-tool'));
+            const { parserId, aiInfo } = await extractAIInfo({ name: 'x.png' }, { testtool: '{"prompt":"hello"}' });
+            assert.equal(parserId, 'test-tool');
+            assert.equal(aiInfo.prompt, 'hello');
+            assert.equal(aiInfo.model, '');
+        } finally {
+            assert.equal(unregisterMetadataParser('test-tool'), true);
+        }
+        assert.ok(!getMetadataParsers().some(parser => parser.id === 'test-tool'));
+    });
+
+    it('rejects parsers without an id or functions', () => {
+        assert.throws(() => registerMetadataParser({ detect: () => 1, extract: () => ({}) }), /needs an id/);
+        assert.throws(() => registerMetadataParser({ id: 'broken' }), /needs detect\(\) and extract\(\)/);
+    });
+
+    it('does not fail the upload when a parser throws', async () => {
+        const errorLog = mock.method(console, 'error', () => {});
+        registerMetadataParser({
+            id: 'throws',
+            detect: (file, chunks) => (chunks.boom ? 1 : 0),
+            extract: () => { throw new Error('boom'); }
+        });
+        try {
+            const { parserId, aiInfo } = await extractAIInfo({ name: 'x.png' }, { boom: 'yes' });
+            assert.equal(parserId, null);
+            assert.equal(aiInfo.prompt, '');
+            assert.equal(errorLog.mock.callCount(), 1);
+        } finally {
+            unregisterMetadataParser('throws');
+            errorLog.mock.restore();
+        }
+    });
+});
+
+describe('parseXmp', () => {
+    const packet = (description) =>
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        `<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" dc:description="${description}"/>` +
+        '</rdf:RDF></x:xmpmeta>';
+
+    it('decodes character and named entities', () => {
+        assert.equal(parseXmp(packet('fox &amp; hound &#65;&#x42; &#x1F98A;'))['dc:description'], 'fox & hound AB \u{1F98A}');
+    });
+
+    it('keeps entities that are not characters as written', () => {
+        assert.equal(parseXmp(packet('a &#x110000; b &#99999999; c'))['dc:description'], 'a &#x110000; b &#99999999; c');
+    });
+});
@@ -0,0 +1,141 @@
+// Tests for backup export and import (/api/export and /api/migrate) on a server started against a
+// temporary database
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MB = 1024 * 1024;
+// Workflows are stored without truncation, so these make a backup larger than the 10MB other
+// JSON requests are limited to
+const ITEM_COUNT = 12;
+const WORKFLOW_SIZE = MB;
+
+let tempDir;
+let server;
+let baseUrl;
+
+async function getFreePort() {
+    const probe = net.createServer().listen(0, '127.0.0.1');
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    await once(probe, 'close');
+    return port;
+}
+
+async function startServer() {
+    const port = await getFreePort();
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: PROJECT_ROOT,
+        env: { ...process.env, PORT: String(port), DB_PATH: path.join(tempDir, 'gallery.db') },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stderr.resume();
+
+    // Ready once it listens and the database is open
+    let output = '';
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('running on port') && output.includes('database initialized')) resolve();
+        });
+        server.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+    server.stdout.resume();
+    baseUrl = `http://127.0.0.1:${port}`;
+}
+
+function postJson(url, body) {
+    return fetch(`${baseUrl}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+function createWorkflow(index) {
+    return JSON.stringify({ nodes: [{ id: index, type: 'Note', widgets_values: ['x'.repeat(WORKFLOW_SIZE)] }] });
+}
+
+function createItem(index) {
+    return {
+        title: `Item ${index}`,
+        filename: `item-${index}.png`,
+        mediaType: 'image',
+        prompt: `prompt ${index}`,
+        model: 'sdxl',
+        tags: 'backup-test',
+        dateAdded: new Date(Date.UTC(2025, 0, 1 + index)).toISOString(),
+        metadata: { workflow: createWorkflow(index) }
+    };
+}
+
+describe('backup export and import', () => {
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+        await startServer();
+    });
+
+    after(async () => {
+        if (server && server.exitCode === null) {
+            server.kill();
+            await once(server, 'exit');
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    let exported;
+
+    it('imports a backup larger than 10MB', async () => {
+        const response = await postJson('/api/migrate', {
+            version: '3.0-server',
+            images: Array.from({ length: ITEM_COUNT }, (_, index) => createItem(index))
+        });
+        assert.equal(response.status, 200);
+        const result = await response.json();
+        assert.equal(result.success, true);
+        assert.equal(result.imported, ITEM_COUNT);
+        assert.equal(result.errors, 0);
+    });
+
+    it('exports every item with its full metadata', async () => {
+        const response = await fetch(`${baseUrl}/api/export`);
+        assert.equal(response.status, 200);
+        exported = await response.text();
+        assert.ok(exported.length > 10 * MB);
+
+        const data = JSON.parse(exported);
+        assert.equal(data.totalItems, ITEM_COUNT);
+        const byTitle = new Map(data.images.map(item => [item.title, item]));
+        for (let index = 0; index < ITEM_COUNT; index++) {
+            const item = byTitle.get(`Item ${index}`);
+            assert.equal(item.prompt, `prompt ${index}`);
+            assert.equal(item.metadata.workflow, createWorkflow(index));
+        }
+    });
+
+    it('re-imports its own export', async () => {
+        const response = await postJson('/api/migrate', exported);
+        assert.equal(response.status, 200);
+        const result = await response.json();
+        assert.equal(result.success, true);
+        assert.equal(result.imported, ITEM_COUNT);
+
+        const data = await (await fetch(`${baseUrl}/api/export`)).json();
+        assert.equal(data.totalItems, ITEM_COUNT * 2);
+    });
+
+    it('keeps the 10MB limit on other requests', async () => {
+        const response = await postJson('/api/albums', { name: 'x'.repeat(11 * MB) });
+        assert.equal(response.status, 413);
+        assert.match((await response.json()).error, /max 10MB/);
+    });
+});
@@ -0,0 +1,63 @@
+// Tests for field filters of the search language in js/serverDatabase.js, run against a
+// temporary database
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+
+// Titles of the matching items, sorted
+async function search(query) {
+    return (await serverDB.searchMedia(query)).map(item => item.title).sort();
+}
+
+before(async () => {
+    const items = [
+        { title: '100% crop', model: 'sd_xl_base_1.0', notes: 'C:\\outputs\\day1' },
+        { title: '1000 steps', model: 'sdaxl', notes: 'C:/outputs/day1' },
+        { title: 'Under_score', model: 'SD_XL Turbo', notes: 'plain' }
+    ];
+    for (const item of items) {
+        await serverDB.addMedia({ ...item, filename: `${item.title}.png`, mediaType: 'image' });
+    }
+});
+
+after(async () => {
+    await serverDB.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('text field filters', () => {
+    it('match part of the value, ignoring case', async () => {
+        assert.deepEqual(await search('model:TURBO'), ['Under_score']);
+        assert.deepEqual(await search('title:steps'), ['1000 steps']);
+    });
+
+    it('treat % and _ as plain characters', async () => {
+        assert.deepEqual(await search('title:100%'), ['100% crop']);
+        assert.deepEqual(await search('model:sd_xl'), ['100% crop', 'Under_score']);
+        assert.deepEqual(await search('title:_'), ['Under_score']);
+        assert.deepEqual(await search('-model:sd_xl'), ['1000 steps']);
+    });
+
+    it('treat a backslash as a plain character', async () => {
+        assert.deepEqual(await search('notes:"outputs\\day1"'), ['100% crop']);
+    });
+});
+
+describe('model filter of the gallery listing', () => {
+    it('treats % and _ as plain characters', async () => {
+        const { items } = await serverDB.queryMedia({ model: 'sd_x' });
+        assert.deepEqual(items.map(item => item.title).sort(), ['100% crop', 'Under_score']);
+    });
+});
@@ -0,0 +1,149 @@
+// Tests for the gallery search language (js/searchQueryParser.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, parseFieldFilter, SearchQueryError } from '../js/searchQueryParser.js';
+
+function filterOf(query) {
+    const { filters } = parseSearchQuery(query);
+    assert.equal(filters.length, 1);
+    return filters[0];
+}
+
+describe('parseSearchQuery', () => {
+    it('returns no terms for empty input', () => {
+        assert.deepEqual(parseSearchQuery(''), { text: [], filters: [] });
+        assert.deepEqual(parseSearchQuery('   '), { text: [], filters: [] });
+        assert.deepEqual(parseSearchQuery(null), { text: [], filters: [] });
+    });
+
+    it('splits free text into words and quoted phrases', () => {
+        assert.deepEqual(parseSearchQuery('sunset "red sky"  -blurry').text, [
+            { value: 'sunset', phrase: false, negated: false },
+            { value: 'red sky', phrase: true, negated: false },
+            { value: 'blurry', phrase: false, negated: true }
+        ]);
+    });
+
+    it('treats a lone dash as text, not negation', () => {
+        assert.deepEqual(parseSearchQuery('a - b').text.map(term => term.value), ['a', '-', 'b']);
+    });
+
+    it('parses text fields, quoted values and negation', () => {
+        assert.deepEqual(parseSearchQuery('model:"flux dev" -tag:nsfw').filters, [
+            { field: 'model', negated: false, kind: 'text', value: 'flux dev' },
+            { field: 'tag', negated: true, kind: 'text', value: 'nsfw' }
+        ]);
+    });
+
+    it('accepts field names in any case', () => {
+        assert.equal(filterOf('MODEL:sdxl').field, 'model');
+    });
+
+    it('parses numeric comparisons and ranges', () => {
+        assert.deepEqual(filterOf('width:>1024'), { field: 'width', negated: false, kind: 'number', min: 1024, minExclusive: true });
+        assert.deepEqual(filterOf('width:>=1024'), { field: 'width', negated: false, kind: 'number', min: 1024 });
+        assert.deepEqual(filterOf('height:<512'), { field: 'height', negated: false, kind: 'number', max: 512, maxExclusive: true });
+        assert.deepEqual(filterOf('height:<=512'), { field: 'height', negated: false, kind: 'number', max: 512 });
+        assert.deepEqual(filterOf('rating:4'), { field: 'rating', negated: false, kind: 'number', min: 4, max: 4 });
+        assert.deepEqual(filterOf('cfg:6.5..8'), { field: 'cfg', negated: false, kind: 'number', min: 6.5, max: 8 });
+        assert.deepEqual(filterOf('steps:20..'), { field: 'steps', negated: false, kind: 'number', min: 20 });
+        assert.deepEqual(filterOf('seed:..99'), { field: 'seed', negated: false, kind: 'number', max: 99 });
+    });
+
+    it('parses file sizes with units', () => {
+        assert.deepEqual(filterOf('size:>10mb'), { field: 'size', negated: false, kind: 'size', min: 10 * 1024 * 1024, minExclusive: true });
+        assert.deepEqual(filterOf('size:500kb..1.5MB'), { field: 'size', negated: false, kind: 'size', min: 500 * 1024, max: 1.5 * 1024 * 1024 });
+        assert.equal(filterOf('size:2048').min, 2048);
+    });
+
+    it('parses dates as periods', () => {
+        assert.deepEqual(filterOf('added:2025'), {
+            field: 'added', negated: false, kind: 'date',
+            min: '2025-01-01T00:00:00.000Z', max: '2026-01-01T00:00:00.000Z', maxExclusive: true
+        });
+        assert.deepEqual(filterOf('added:2025-07..2025-08'), {
+            field: 'added', negated: false, kind: 'date',
+            min: '2025-07-01T00:00:00.000Z', max: '2025-09-01T00:00:00.000Z', maxExclusive: true
+        });
+        assert.deepEqual(filterOf('added:>2025-02-28'), { field: 'added', negated: false, kind: 'date', min: '2025-03-01T00:00:00.000Z' });
+        assert.deepEqual(filterOf('added:<2024-02'), {
+            field: 'added', negated: false, kind: 'date', max: '2024-02-01T00:00:00.000Z', maxExclusive: true
+        });
+    });
+
+    it('parses relative dates against the current day', () => {
+        const today = filterOf('added:today');
+        const start = new Date(today.min);
+        assert.equal(start.getTime(), Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+        assert.equal(new Date(today.max) - start, 86400000);
+        assert.ok(start <= new Date() && new Date() < new Date(today.max));
+
+        const lastWeek = filterOf('added:last-week');
+        assert.equal(new Date(lastWeek.max) - new Date(lastWeek.min), 7 * 86400000);
+        assert.equal(new Date(lastWeek.min).getUTCDay(), 1);
+
+        assert.ok(filterOf('added:7d').min < today.min);
+    });
+
+    it('parses types, flags, labels and presence', () => {
+        assert.equal(filterOf('type:videos').value, 'video');
+        assert.equal(filterOf('type:animated').value, 'animated');
+        assert.equal(filterOf('favorite:yes').value, true);
+        assert.equal(filterOf('favorite:0').value, false);
+        assert.equal(filterOf('label:Red').value, 'red');
+        assert.equal(filterOf('label:none').value, 'none');
+        assert.equal(filterOf('has:tag').value, 'tags');
+        assert.deepEqual(filterOf('-has:prompt'), { field: 'has', negated: true, kind: 'presence', value: 'prompt' });
+    });
+
+    it('combines text and filters', () => {
+        const parsed = parseSearchQuery('castle model:sdxl -label:red "in fog"');
+        assert.deepEqual(parsed.text.map(term => term.value), ['castle', 'in fog']);
+        assert.deepEqual(parsed.filters.map(filter => filter.field), ['model', 'label']);
+    });
+
+    describe('errors', () => {
+        const invalid = {
+            'unknown field': ['color:red', /Unknown search field "color:"/],
+            'missing value': ['model:', /Missing value after "model:"/],
+            'unclosed quote': ['"red sky', /Missing closing quote/],
+            'unclosed quoted value': ['model:"flux', /Missing closing quote/],
+            'bad number': ['width:wide', /Invalid number "wide" for width:/],
+            'empty range': ['width:..', /Invalid range/],
+            'reversed range': ['width:2000..100', /start is after end/],
+            'bad size unit': ['size:10tb', /Invalid size "10tb"/],
+            'bad date': ['added:yesterday-ish', /Invalid date "yesterday-ish"/],
+            'overflowing month': ['added:2025-13', /Invalid date "2025-13"/],
+            'overflowing day': ['added:2025-02-30', /Invalid date "2025-02-30"/],
+            'reversed date range': ['added:2025..2024', /start is after end/],
+            'bad type': ['type:audio', /Invalid type "audio"/],
+            'bad boolean': ['favorite:maybe', /Use favorite:yes or favorite:no/],
+            'bad label': ['label:pink', /Invalid label "pink"/],
+            'bad presence': ['has:seed', /Invalid value "seed" for has:/]
+        };
+
+        for (const [name, [query, message]] of Object.entries(invalid)) {
+            it(`rejects ${name}`, () => {
+                assert.throws(() => parseSearchQuery(query), error => {
+                    assert.ok(error instanceof SearchQueryError);
+                    assert.match(error.message, message);
+                    return true;
+                });
+            });
+        }
+    });
+});
+
+describe('parseFieldFilter', () => {
+    it('parses a single API filter value', () => {
+        assert.deepEqual(parseFieldFilter('cfg', '>7'), { field: 'cfg', negated: false, kind: 'number', min: 7, minExclusive: true });
+        assert.deepEqual(parseFieldFilter('Sampler', 'euler a'), { field: 'sampler', negated: false, kind: 'text', value: 'euler a' });
+    });
+
+    it('rejects unknown fields and missing values', () => {
+        assert.throws(() => parseFieldFilter('colour', 'red'), /Unknown filter "colour"/);
+        assert.throws(() => parseFieldFilter('seed', ' '), /Missing value for seed/);
+        assert.throws(() => parseFieldFilter('seed', undefined), SearchQueryError);
+    });
+});
@@ -0,0 +1,100 @@
+// Tests for the trash (js/serverTrash.js) with items of 'reference' watch folders, whose files
+// belong to the user and must survive trashing and permanent deletion
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+process.env.TRASH_RETENTION_DAYS = '1';
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+const { trashMedia, restoreMedia, deleteTrashedMedia, purgeExpiredTrash } = await import('../js/serverTrash.js');
+const { WATCHED_ROOT } = await import('../js/watchFolders.js');
+
+// A link of its own under watched/ (real watch folders use their numeric id)
+const LINK_NAME = `test-${process.pid}`;
+const userFolder = path.join(tempDir, 'outputs');
+const link = path.join(WATCHED_ROOT, LINK_NAME);
+const createdWatchedRoot = !fs.existsSync(WATCHED_ROOT);
+
+let folderId;
+
+// A referenced file with its gallery item and ledger entry, as a watch folder import leaves them
+async function addReferencedItem(name) {
+    const filePath = path.join(userFolder, name);
+    fs.writeFileSync(filePath, `image data of ${name}`);
+
+    const mediaId = await serverDB.addMedia({
+        title: name,
+        filename: name,
+        mediaType: 'image',
+        serverPath: `watched/${LINK_NAME}/${name}`
+    });
+    await serverDB.recordWatchedFile({ filePath, folderId, fileSize: fs.statSync(filePath).size, status: 'imported', mediaId });
+    return { filePath, mediaId };
+}
+
+describe('trash with referenced files', () => {
+    before(async () => {
+        fs.mkdirSync(userFolder);
+        fs.mkdirSync(WATCHED_ROOT, { recursive: true });
+        fs.symlinkSync(userFolder, link, 'junction');
+        ({ id: folderId } = await serverDB.addWatchFolder(userFolder, { mode: 'reference' }));
+    });
+
+    after(async () => {
+        await serverDB.close();
+        fs.rmSync(link, { force: true });
+        if (createdWatchedRoot) fs.rmSync(WATCHED_ROOT, { recursive: true, force: true });
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('hides the item but leaves the file in the watch folder', async () => {
+        const { filePath, mediaId } = await addReferencedItem('trashed.png');
+
+        const media = await trashMedia(mediaId);
+        assert.ok(media.deletedAt);
+        assert.equal(media.trashPath, null);
+        assert.ok(fs.existsSync(filePath));
+
+        const restored = await restoreMedia(mediaId);
+        assert.ok(!restored.deletedAt);
+        assert.equal(restored.serverPath, `watched/${LINK_NAME}/trashed.png`);
+        assert.ok(fs.existsSync(filePath));
+    });
+
+    it('keeps the file and its ledger entry when the item is deleted', async () => {
+        const { filePath, mediaId } = await addReferencedItem('deleted.png');
+
+        await trashMedia(mediaId);
+        assert.equal(await deleteTrashedMedia(mediaId), true);
+
+        assert.equal(await serverDB.getMediaById(mediaId), null);
+        assert.ok(fs.existsSync(filePath));
+        // Still recorded as imported, so a rescan does not bring the item back
+        const entry = await serverDB.getWatchLedgerEntry(filePath);
+        assert.equal(entry.status, 'imported');
+        assert.equal(entry.mediaId, null);
+    });
+
+    it('keeps the file when the trash is purged', async () => {
+        const { filePath, mediaId } = await addReferencedItem('purged.png');
+
+        await trashMedia(mediaId);
+        const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+        await serverDB.runStatement('UPDATE media SET deleted_at = ? WHERE id = ?', [twoDaysAgo, mediaId]);
+        assert.equal(await purgeExpiredTrash(), 1);
+
+        assert.equal(await serverDB.getMediaById(mediaId), null);
+        assert.ok(fs.existsSync(filePath));
+        assert.equal((await serverDB.getWatchLedgerEntry(filePath)).status, 'imported');
+    });
+});
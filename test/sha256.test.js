@@ -0,0 +1,51 @@
+// Tests for the browser's incremental SHA-256 (js/sha256.js), which must match the server's
+// contentHash (node crypto)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Sha256 } from '../js/sha256.js';
+
+function nodeSha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+// Sizes around the 64-byte block and the 56-byte padding boundary
+const SIZES = [0, 1, 55, 56, 63, 64, 65, 119, 120, 128, 1000, 100 * 1024 + 7];
+
+describe('Sha256', () => {
+    it('matches known digests', () => {
+        assert.equal(new Sha256().hexDigest(), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        assert.equal(
+            new Sha256().update(new TextEncoder().encode('abc')).hexDigest(),
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+        );
+    });
+
+    for (const size of SIZES) {
+        it(`matches node crypto for ${size} bytes in one update`, () => {
+            const bytes = crypto.randomBytes(size);
+            assert.equal(new Sha256().update(new Uint8Array(bytes)).hexDigest(), nodeSha256(bytes));
+        });
+    }
+
+    it('gives the same digest however the input is split', () => {
+        const bytes = new Uint8Array(crypto.randomBytes(5000));
+        const expected = nodeSha256(bytes);
+
+        for (let round = 0; round < 20; round++) {
+            const hash = new Sha256();
+            for (let offset = 0; offset < bytes.length;) {
+                const length = crypto.randomInt(0, 200);
+                hash.update(bytes.subarray(offset, offset + length));
+                offset += length;
+            }
+            assert.equal(hash.hexDigest(), expected);
+        }
+    });
+
+    it('accepts an ArrayBuffer', () => {
+        const bytes = new Uint8Array(crypto.randomBytes(300));
+        assert.equal(new Sha256().update(bytes.slice().buffer).hexDigest(), nodeSha256(bytes));
+    });
+});
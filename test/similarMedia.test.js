@@ -0,0 +1,154 @@
+// Tests for perceptual hashing and grouping of near-duplicates (js/similarMedia.js) with PNGs
+// decoded by js/imageDecoder.js; the images are generated so every hash is deterministic
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+const { computeDifferenceHash, findSimilarMedia, DEFAULT_SIMILARITY_THRESHOLD } = await import('../js/similarMedia.js');
+const { decodeImage } = await import('../js/imageDecoder.js');
+
+const WIDTH = 72;
+const HEIGHT = 64;
+
+// RGBA pixels from a function of the position returning [r, g, b]
+function image(width, height, color) {
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...color(x, y).map(value => Math.max(0, Math.min(255, Math.round(value)))), 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, channels: 4, data };
+}
+
+// Soft waves: every hash cell differs clearly from its left neighbour
+const waves = (x, y) => {
+    const value = 128 + 90 * Math.sin((x / WIDTH) * 3 * Math.PI) * Math.cos((y / HEIGHT) * 2 * Math.PI);
+    return [value, value * 0.8, 255 - value];
+};
+
+// The same picture retouched: a little brighter, a fixed pattern of noise and a small label
+// at the top, which changes 4 bits of the hash
+const retouchedWaves = (x, y) => {
+    const label = x >= 32 && x < 40 && y < 16 ? 80 : 0;
+    return waves(x, y).map((value, channel) => value + 6 + label + (((x * 7 + y * 13 + channel * 5) % 9) - 4));
+};
+
+// Another picture: a diagonal ramp with a dark disc
+const disc = (x, y) => {
+    const inside = (x - 20) ** 2 + (y - 40) ** 2 < 15 ** 2;
+    const value = inside ? 30 : 60 + 2 * (WIDTH - x) + y;
+    return [value, value, value];
+};
+
+// RGBA PNG without filtering; the CRCs are left at zero because the decoder does not check them
+function encodePNG({ width, height, data }) {
+    const chunk = (type, body) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(body.length);
+        return Buffer.concat([length, Buffer.from(type), body, Buffer.alloc(4)]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        Buffer.from(data.subarray(y * width * 4, (y + 1) * width * 4)).copy(raw, y * (width * 4 + 1) + 1);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function hammingDistance(a, b) {
+    let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    for (; bits; bits >>= 1n) count += Number(bits & 1n);
+    return count;
+}
+
+const hashOf = (color) => computeDifferenceHash(decodeImage(encodePNG(image(WIDTH, HEIGHT, color))));
+
+after(async () => {
+    await serverDB.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('computeDifferenceHash', () => {
+    it('sets a bit for every cell brighter than its left neighbour', () => {
+        assert.equal(computeDifferenceHash(image(WIDTH, HEIGHT, x => [x * 3, x * 3, x * 3])), 'ffffffffffffffff');
+        assert.equal(computeDifferenceHash(image(WIDTH, HEIGHT, x => [255 - x * 3, 255 - x * 3, 255 - x * 3])), '0000000000000000');
+    });
+
+    it('hashes the decoded PNG like its pixels, every time', () => {
+        assert.equal(computeDifferenceHash(image(WIDTH, HEIGHT, waves)), '8e8e717171718e8e');
+        assert.equal(hashOf(waves), '8e8e717171718e8e');
+        assert.equal(hashOf(retouchedWaves), '9696717171718e8e');
+        assert.equal(hashOf(disc), '0000003018183000');
+    });
+
+    it('treats transparent pixels as white', () => {
+        const transparent = image(WIDTH, HEIGHT, x => [x * 3, 0, 0]);
+        for (let i = 3; i < transparent.data.length; i += 4) transparent.data[i] = 0;
+        assert.equal(computeDifferenceHash(transparent), computeDifferenceHash(image(WIDTH, HEIGHT, () => [255, 255, 255])));
+    });
+
+    it('keeps near-identical images within the similarity threshold and different ones outside it', () => {
+        const original = hashOf(waves);
+
+        assert.equal(hammingDistance(original, hashOf(retouchedWaves)), 4);
+        assert.ok(hammingDistance(original, hashOf(disc)) > DEFAULT_SIMILARITY_THRESHOLD);
+        assert.ok(hammingDistance(hashOf(retouchedWaves), hashOf(disc)) > DEFAULT_SIMILARITY_THRESHOLD);
+    });
+});
+
+describe('findSimilarMedia', () => {
+    const ids = {};
+
+    before(async () => {
+        // Items without an original file are hashed from their thumbnail
+        for (const [name, color] of Object.entries({ original: waves, retouched: retouchedWaves, different: disc })) {
+            ids[name] = await serverDB.addMedia({
+                title: name,
+                filename: `${name}.png`,
+                mediaType: 'image',
+                thumbnailData: `data:image/png;base64,${encodePNG(image(WIDTH, HEIGHT, color)).toString('base64')}`
+            });
+        }
+    });
+
+    it('groups the near-identical images and leaves the different one out', async () => {
+        const groups = await findSimilarMedia();
+
+        assert.equal(groups.length, 1);
+        assert.deepEqual(groups[0].items.map(item => item.id).sort((a, b) => a - b), [ids.original, ids.retouched]);
+        assert.equal(groups[0].maxDistance, 4);
+    });
+
+    it('stores the hashes it computed', async () => {
+        const hashes = Object.fromEntries((await serverDB.getPerceptualHashes()).map(row => [row.id, row.perceptual_hash]));
+        assert.deepEqual([hashes[ids.original], hashes[ids.retouched], hashes[ids.different]], ['8e8e717171718e8e', '9696717171718e8e', '0000003018183000']);
+    });
+
+    it('only groups images within the threshold', async () => {
+        assert.equal((await findSimilarMedia(4)).length, 1);
+        assert.deepEqual(await findSimilarMedia(3), []);
+    });
+});
@@ -0,0 +1,216 @@
+// Tests for tag management, manual album order and smart albums in js/serverDatabase.js,
+// run against a temporary database
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+
+function addItem(title, fields = {}) {
+    return serverDB.addMedia({ title, filename: `${title}.png`, mediaType: 'image', ...fields });
+}
+
+async function tagsOf(mediaId) {
+    return (await serverDB.getMediaTags(mediaId)).map(tag => tag.name);
+}
+
+async function tagNamed(name) {
+    return (await serverDB.listTags()).find(tag => tag.name === name);
+}
+
+// Ids of an album's listing, in the album's manual order
+async function albumOrder(albumId) {
+    const { items } = await serverDB.queryMedia({ album: albumId, sort: 'position', order: 'asc' });
+    return items.map(item => item.id);
+}
+
+after(async () => {
+    await serverDB.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('tags', () => {
+    it('renames a tag on every item and in the tags column', async () => {
+        const first = await addItem('rename-1', { tags: 'landscpe, sunset' });
+        const second = await addItem('rename-2', { tags: 'portrait, landscpe' });
+
+        const renamed = await serverDB.renameTag((await tagNamed('landscpe')).id, '  landscape ');
+        assert.equal(renamed.name, 'landscape');
+        assert.equal(renamed.count, 2);
+
+        assert.deepEqual(await tagsOf(first), ['landscape', 'sunset']);
+        assert.deepEqual(await tagsOf(second), ['portrait', 'landscape']);
+        assert.equal((await serverDB.getMediaById(second)).tags, 'portrait, landscape');
+    });
+
+    it('changes only the case of a tag name', async () => {
+        const mediaId = await addItem('recase', { tags: 'bokeh' });
+        const tag = await tagNamed('bokeh');
+
+        assert.equal((await serverDB.renameTag(tag.id, 'Bokeh')).name, 'Bokeh');
+        assert.deepEqual(await tagsOf(mediaId), ['Bokeh']);
+    });
+
+    it('refuses to rename onto an existing tag, an empty name or an unknown tag', async () => {
+        await addItem('conflict', { tags: 'cat, kitten' });
+        const kitten = await tagNamed('kitten');
+
+        await assert.rejects(serverDB.renameTag(kitten.id, 'CAT'), { statusCode: 409, message: /merge the tags/ });
+        await assert.rejects(serverDB.renameTag(kitten.id, ' , '), { statusCode: 400 });
+        await assert.rejects(serverDB.renameTag(999999, 'dog'), { statusCode: 404 });
+        assert.equal((await serverDB.getTagById(kitten.id)).name, 'kitten');
+    });
+
+    it('merges tags into one, keeping a single copy on items that had several', async () => {
+        const both = await addItem('merge-both', { tags: 'flux, flux-dev, night' });
+        const source = await addItem('merge-source', { tags: 'FLUX.1' });
+        const target = await addItem('merge-target', { tags: 'flux' });
+
+        const sources = [(await tagNamed('flux-dev')).id, (await tagNamed('FLUX.1')).id];
+        const merged = await serverDB.mergeTags(sources, (await tagNamed('flux')).id);
+
+        assert.equal(merged.name, 'flux');
+        assert.equal(merged.count, 3);
+        assert.deepEqual(await tagsOf(both), ['flux', 'night']);
+        assert.deepEqual(await tagsOf(source), ['flux']);
+        assert.deepEqual(await tagsOf(target), ['flux']);
+        assert.equal((await serverDB.getMediaById(both)).tags, 'flux, night');
+        for (const id of sources) {
+            assert.equal(await serverDB.getTagById(id), null);
+        }
+    });
+
+    it('refuses merges without another source tag or with an unknown target', async () => {
+        await addItem('merge-invalid', { tags: 'macro, closeup' });
+        const macro = await tagNamed('macro');
+
+        await assert.rejects(serverDB.mergeTags([macro.id], macro.id), { statusCode: 400 });
+        await assert.rejects(serverDB.mergeTags([], macro.id), { statusCode: 400 });
+        await assert.rejects(serverDB.mergeTags([macro.id], 999999), { statusCode: 404 });
+    });
+});
+
+describe('album order', () => {
+    let albumId;
+    const ids = [];
+
+    before(async () => {
+        ({ id: albumId } = await serverDB.createAlbum({ name: 'Ordered' }));
+        for (const title of ['a', 'b', 'c', 'd']) {
+            ids.push(await addItem(`order-${title}`));
+        }
+        await serverDB.addMediaToAlbum(albumId, ids);
+    });
+
+    it('lists items in the order they were added', async () => {
+        assert.deepEqual(await albumOrder(albumId), ids);
+    });
+
+    it('reorders the whole album', async () => {
+        const [a, b, c, d] = ids;
+        assert.equal(await serverDB.reorderAlbum(albumId, [d, b, a, c]), 4);
+        assert.deepEqual(await albumOrder(albumId), [d, b, a, c]);
+    });
+
+    it('reorders part of the album within the positions those items held', async () => {
+        const [a, b, c, d] = ids;
+        await serverDB.reorderAlbum(albumId, [d, b, a, c]);
+
+        // d and a swap; b and c stay where they are
+        await serverDB.reorderAlbum(albumId, [a, d]);
+        assert.deepEqual(await albumOrder(albumId), [a, b, d, c]);
+    });
+
+    it('appends items added later and keeps the positions of items already there', async () => {
+        const before = await albumOrder(albumId);
+        const added = await addItem('order-e');
+
+        assert.equal(await serverDB.addMediaToAlbum(albumId, [before[0], added]), 1);
+        assert.deepEqual(await albumOrder(albumId), [...before, added]);
+    });
+
+    it('refuses duplicate ids and items outside the album', async () => {
+        const outsider = await addItem('order-outsider');
+
+        await assert.rejects(serverDB.reorderAlbum(albumId, [ids[0], ids[0]]), { statusCode: 400 });
+        await assert.rejects(serverDB.reorderAlbum(albumId, [ids[0], outsider]), { statusCode: 400 });
+        await assert.rejects(serverDB.reorderAlbum(albumId, []), { statusCode: 400 });
+    });
+});
+
+describe('smart albums', () => {
+    let album;
+    const ids = {};
+
+    before(async () => {
+        ids.match = await addItem('smart-match', { tags: 'seascape', rating: 5 });
+        ids.lowRating = await addItem('smart-low-rating', { tags: 'seascape', rating: 2 });
+        ids.otherTag = await addItem('smart-other-tag', { tags: 'portrait', rating: 5 });
+        ids.later = await addItem('smart-later', { tags: 'seascape' });
+        album = await serverDB.createAlbum({ name: 'Best seascapes', query: 'tag:seascape rating:>=4' });
+    });
+
+    it('matches the items its query selects', async () => {
+        assert.equal(album.isSmart, true);
+        assert.equal(album.itemCount, 1);
+        assert.equal(album.cover.id, ids.match);
+
+        const { items } = await serverDB.queryMedia({ album: album.id });
+        assert.deepEqual(items.map(item => item.id), [ids.match]);
+    });
+
+    it('follows changes to the items on every evaluation', async () => {
+        await serverDB.updateMedia(ids.later, { rating: 4 });
+        await serverDB.updateMedia(ids.match, { tags: 'ocean' });
+
+        const updated = await serverDB.getAlbumById(album.id);
+        assert.equal(updated.itemCount, 1);
+        assert.equal(updated.cover.id, ids.later);
+        assert.deepEqual((await serverDB.queryMedia({ album: album.id })).items.map(item => item.id), [ids.later]);
+    });
+
+    it('leaves trashed items out', async () => {
+        await serverDB.markMediaTrashed(ids.later, null);
+
+        const updated = await serverDB.getAlbumById(album.id);
+        assert.equal(updated.itemCount, 0);
+        assert.equal(updated.cover, null);
+    });
+
+    it('scopes a search to the album', async () => {
+        await serverDB.updateMedia(ids.lowRating, { rating: 5 });
+        await serverDB.updateMedia(ids.otherTag, { tags: 'seascape, portrait' });
+
+        const results = await serverDB.searchMedia('portrait', { album: album.id });
+        assert.deepEqual(results.map(item => item.id), [ids.otherTag]);
+    });
+
+    it('refuses empty or malformed queries and manual changes', async () => {
+        await assert.rejects(serverDB.createAlbum({ name: 'Empty', query: '   ' }), { statusCode: 400 });
+        await assert.rejects(serverDB.createAlbum({ name: 'Broken', query: 'rating:lots' }), { statusCode: 400 });
+        await assert.rejects(serverDB.updateAlbum(album.id, { query: 'width:>' }), { statusCode: 400 });
+        await assert.rejects(serverDB.addMediaToAlbum(album.id, [ids.match]), { statusCode: 400 });
+        await assert.rejects(serverDB.reorderAlbum(album.id, [ids.otherTag]), { statusCode: 400 });
+    });
+
+    it('reports a saved query that no longer parses instead of failing the list', async () => {
+        const { lastID } = await serverDB.runStatement(
+            'INSERT INTO albums (name, query) VALUES (?, ?)',
+            ['Outdated', 'resolution:>4k']
+        );
+
+        const outdated = (await serverDB.listAlbums()).find(item => item.id === lastID);
+        assert.equal(outdated.itemCount, 0);
+        assert.match(outdated.queryError, /resolution/);
+    });
+});
@@ -0,0 +1,145 @@
+// Tests for reading ComfyUI metadata from MP4/MOV and Matroska/WebM containers
+// (js/parsers/videoMetadataExtractor.js) against small files built box by box
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractVideoTags, extractVideoTextChunks } from '../js/parsers/videoMetadataExtractor.js';
+
+const prompt = { 3: { class_type: 'KSampler', inputs: { seed: 5, steps: 20 } } };
+const workflow = { last_node_id: 3, nodes: [{ id: 3, type: 'KSampler' }] };
+
+function u32(value) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+}
+
+// MP4 box; the type is Latin-1 so iTunes item names like "©cmt" keep their 0xA9 byte
+function box(type, ...payload) {
+    const data = Buffer.concat(payload.map(part => (typeof part === 'string' ? Buffer.from(part) : part)));
+    return Buffer.concat([u32(8 + data.length), Buffer.from(type, 'latin1'), data]);
+}
+
+// ilst item value: data type (1 = UTF-8, 2 = UTF-16BE), locale, text
+function dataBox(text, dataType = 1) {
+    const value = dataType === 2 ? Buffer.from(text, 'utf16le').swap16() : Buffer.from(text);
+    return box('data', u32(dataType), u32(0), value);
+}
+
+// Item of a keyed ilst: its type is the 1-based index into the keys box
+function keyedItem(index, ...payload) {
+    const data = Buffer.concat(payload);
+    return Buffer.concat([u32(8 + data.length), u32(index), data]);
+}
+
+const hdlr = (handler) => box('hdlr', Buffer.alloc(8), handler, Buffer.alloc(12));
+const ftyp = box('ftyp', 'isom', u32(512), 'isomiso2mp41');
+
+function mp4(...boxes) {
+    return new Blob([Buffer.concat(boxes)]);
+}
+
+// Matroska element: id with its marker bits, then the size as an 8-byte vint
+function element(id, ...payload) {
+    const idBytes = Buffer.from(id.toString(16).padStart(id > 0xFFFFFF ? 8 : id > 0xFFFF ? 6 : id > 0xFF ? 4 : 2, '0'), 'hex');
+    const data = Buffer.concat(payload.map(part => (typeof part === 'string' ? Buffer.from(part) : part)));
+    const size = Buffer.alloc(8);
+    size[0] = 0x01;
+    size.writeUIntBE(data.length, 2, 6);
+    return Buffer.concat([idBytes, size, data]);
+}
+
+// Size vint of a segment written live, whose end is the end of the file
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+const simpleTag = (name, value) => element(0x67C8, element(0x45A3, name), element(0x4487, value));
+
+describe('MP4 metadata', () => {
+    it('reads iTunes items of moov/udta/meta/ilst and expands a VideoHelperSuite comment', async () => {
+        const ilst = box('ilst',
+            box('©cmt', dataBox(JSON.stringify({ prompt, workflow }))),
+            box('©too', dataBox('Lavf60.16.100')),
+            box('©nam', dataBox('koi pond', 2))
+        );
+        // ISO files make "meta" a full box (version and flags before its children)
+        const moov = box('moov', box('mvhd', Buffer.alloc(100)), box('udta', box('meta', Buffer.alloc(4), hdlr('mdir'), ilst)));
+        const file = mp4(ftyp, box('free'), box('mdat', Buffer.alloc(4096)), moov);
+
+        assert.deepEqual(await extractVideoTextChunks(file), {
+            prompt: JSON.stringify(prompt),
+            workflow: JSON.stringify(workflow),
+            encoder: 'Lavf60.16.100',
+            title: 'koi pond'
+        });
+    });
+
+    it('names QuickTime mdta items by their keys and freeform items by their name', async () => {
+        const keys = box('keys', Buffer.alloc(4), u32(2),
+            box('mdta', 'prompt'),
+            box('mdta', 'workflow'));
+        const freeform = box('----', box('mean', Buffer.alloc(4), 'com.apple.iTunes'), box('name', Buffer.alloc(4), 'seed'), dataBox('5'));
+        const ilst = box('ilst',
+            keyedItem(2, dataBox(JSON.stringify(workflow))),
+            keyedItem(1, dataBox(JSON.stringify(prompt))),
+            freeform);
+        // QuickTime "meta" is a plain container, directly in moov
+        const file = mp4(box('wide'), box('mdat', Buffer.alloc(64)), box('moov', box('meta', hdlr('mdta'), keys, ilst)));
+
+        assert.deepEqual(await extractVideoTags(file), {
+            workflow: JSON.stringify(workflow),
+            prompt: JSON.stringify(prompt),
+            seed: '5'
+        });
+    });
+
+    it('skips a 64-bit mdat to reach moov', async () => {
+        const largeSize = Buffer.concat([u32(1), Buffer.from('mdat'), u32(0), u32(16 + 256), Buffer.alloc(256)]);
+        const moov = box('moov', box('udta', box('meta', Buffer.alloc(4), hdlr('mdir'), box('ilst', box('©cmt', dataBox('plain comment'))))));
+
+        assert.deepEqual(await extractVideoTextChunks(mp4(ftyp, largeSize, moov)), { comment: 'plain comment' });
+    });
+
+    it('returns no tags for a file without moov or with a truncated one', async () => {
+        assert.deepEqual(await extractVideoTags(mp4(ftyp, box('mdat', Buffer.alloc(32)))), {});
+
+        const moov = box('moov', box('udta', box('meta', Buffer.alloc(4), hdlr('mdir'), box('ilst', box('©cmt', dataBox('cut off'))))));
+        assert.deepEqual(await extractVideoTags(mp4(ftyp, moov.subarray(0, moov.length - 10))), {});
+    });
+});
+
+describe('Matroska metadata', () => {
+    const ebmlHeader = element(0x1A45DFA3, element(0x4282, 'webm'));
+
+    it('reads SimpleTags of the Tags element after skipping the clusters', async () => {
+        const segment = Buffer.concat([
+            Buffer.from([0x18, 0x53, 0x80, 0x67]), UNKNOWN_SIZE,
+            element(0x1549A966, Buffer.alloc(20)),
+            element(0x1F43B675, Buffer.alloc(2048)),
+            element(0x1254C367, element(0x7373,
+                element(0x63C0, Buffer.alloc(4)),
+                simpleTag('PROMPT', JSON.stringify(prompt)),
+                simpleTag('WORKFLOW', JSON.stringify(workflow)),
+                simpleTag('ENCODER', 'Lavf60.16.100')))
+        ]);
+
+        assert.deepEqual(await extractVideoTextChunks(new Blob([ebmlHeader, segment])), {
+            prompt: JSON.stringify(prompt),
+            workflow: JSON.stringify(workflow),
+            encoder: 'Lavf60.16.100'
+        });
+    });
+
+    it('expands the prompt and workflow of a JSON COMMENT tag', async () => {
+        const segment = element(0x18538067, element(0x1254C367, element(0x7373, simpleTag('COMMENT', JSON.stringify({ prompt, workflow })))));
+        assert.deepEqual(await extractVideoTextChunks(new Blob([ebmlHeader, segment])), {
+            prompt: JSON.stringify(prompt),
+            workflow: JSON.stringify(workflow)
+        });
+    });
+});
+
+describe('video tags of other files', () => {
+    it('returns no tags for a file that is not a video container', async () => {
+        assert.deepEqual(await extractVideoTextChunks(new Blob([Buffer.from('GIF89a, not a video at all')])), {});
+    });
+});
@@ -0,0 +1,97 @@
+// Tests for serving files of 'reference' watch folders (resolveWatchedFile in js/watchFolders.js):
+// only the gallery items of a folder may be served, never the rest of it
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The database logs every item it adds; keep that out of the test report
+mock.method(console, 'log', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-test-'));
+process.env.DB_PATH = path.join(tempDir, 'test.db');
+
+// Loaded after DB_PATH is set so the tests never touch the real database
+const { default: serverDB } = await import('../js/serverDatabase.js');
+const { WATCHED_ROOT, resolveWatchedFile } = await import('../js/watchFolders.js');
+
+// An id no real watch folder uses, so its link never replaces one
+const FOLDER_ID = String(900000000 + process.pid);
+const userFolder = path.join(tempDir, 'outputs');
+const link = path.join(WATCHED_ROOT, FOLDER_ID);
+const createdWatchedRoot = !fs.existsSync(WATCHED_ROOT);
+
+function writeUserFile(relativePath, content = 'data') {
+    const filePath = path.join(userFolder, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+async function addItem(relativePath) {
+    await serverDB.addMedia({
+        title: relativePath,
+        filename: path.basename(relativePath),
+        mediaType: 'image',
+        serverPath: `watched/${FOLDER_ID}/${relativePath}`
+    });
+}
+
+describe('resolveWatchedFile', () => {
+    before(async () => {
+        writeUserFile('image.png');
+        writeUserFile('nested/deeper.webp');
+        writeUserFile('not-imported.png');
+        writeUserFile('secret.txt');
+        fs.writeFileSync(path.join(tempDir, 'outside.png'), 'outside');
+        fs.symlinkSync(path.join(tempDir, 'outside.png'), path.join(userFolder, 'escape.png'));
+
+        fs.mkdirSync(WATCHED_ROOT, { recursive: true });
+        fs.symlinkSync(userFolder, link, 'junction');
+
+        await addItem('image.png');
+        await addItem('nested/deeper.webp');
+        await addItem('secret.txt');
+        await addItem('escape.png');
+    });
+
+    after(async () => {
+        await serverDB.close();
+        fs.rmSync(link, { force: true });
+        if (createdWatchedRoot) fs.rmSync(WATCHED_ROOT, { recursive: true, force: true });
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('serves the gallery items of the folder', async () => {
+        const realFolder = fs.realpathSync(userFolder);
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['image.png']), path.join(realFolder, 'image.png'));
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['nested', 'deeper.webp']), path.join(realFolder, 'nested', 'deeper.webp'));
+    });
+
+    it('refuses media files that are not gallery items', async () => {
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['not-imported.png']), null);
+    });
+
+    it('refuses files that are not media, even when recorded', async () => {
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['secret.txt']), null);
+    });
+
+    it('refuses links that lead out of the folder', async () => {
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['escape.png']), null);
+    });
+
+    it('refuses path traversal and other folder ids', async () => {
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['nested', '..', 'image.png']), null);
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['nested/../image.png']), null);
+        assert.equal(await resolveWatchedFile(FOLDER_ID, []), null);
+        assert.equal(await resolveWatchedFile('..', ['image.png']), null);
+        assert.equal(await resolveWatchedFile('1', ['image.png']), null);
+    });
+
+    it('refuses items whose file was removed', async () => {
+        await addItem('removed.png');
+        assert.equal(await resolveWatchedFile(FOLDER_ID, ['removed.png']), null);
+    });
+});